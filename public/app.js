@@ -4,6 +4,7 @@ const state = {
   project: null,
   projects: [],
   stylepacks: [],
+  scriptTemplates: [],
   selectedStylePack: null,
 };
 
@@ -27,6 +28,13 @@ const api = {
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify(body || {}),
     }).then((res) => res.json()),
+  patch: (path, body) =>
+    fetch(path, {
+      method: 'PATCH',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body || {}),
+    }).then((res) => res.json()),
+  delete: (path) => fetch(path, { method: 'DELETE' }).then((res) => res.json()),
   postForm: (path, formData) =>
     fetch(path, {
       method: 'POST',
@@ -107,6 +115,7 @@ const refreshStylePacks = async () => {
   });
 
   const list = qs('#stylePackList');
+  const selectedPack = list.value;
   list.innerHTML = '';
   state.stylepacks.forEach((pack) => {
     const option = document.createElement('option');
@@ -114,6 +123,9 @@ const refreshStylePacks = async () => {
     option.textContent = pack.name;
     list.appendChild(option);
   });
+  if (state.stylepacks.some((pack) => pack.pack_id === selectedPack)) {
+    list.value = selectedPack;
+  }
 
   if (state.project) {
     syncProjectSettingsUI();
@@ -123,21 +135,173 @@ const refreshStylePacks = async () => {
 const syncProjectSettingsUI = () => {
   if (!state.project) return;
   qs('#activeStylePack').value = state.project.selected_style_pack_id || '';
+  syncStylePackPin();
   qs('#continuityMode').value = state.project.continuity_mode || 'bridging';
+  qs('#autoFixContinuity').checked = Boolean(state.project.continuity_check?.auto_regenerate);
+  qs('#budgetLimit').value = state.project.budget?.limit_usd ?? '';
+  qs('#budgetMode').value = state.project.budget?.mode || 'block';
+  qs('#imageChain').value = (state.project.provider_policy?.image_chain || []).join(', ');
+  qs('#videoChain').value = (state.project.provider_policy?.video_chain || []).join(', ');
+  qs('#strictProviders').checked = Boolean(state.project.provider_policy?.strict);
+  qs('#voiceName').value = state.project.voiceover?.voice || '';
+  qs('#voiceoverFit').value = state.project.voiceover?.fit || 'stretch';
+};
+
+const syncStylePackPin = () => {
+  const pack = state.stylepacks.find((item) => item.pack_id === state.project.selected_style_pack_id);
+  const pinned = state.project.selected_style_pack_version;
+  const upToDate = !pack || !pinned || pinned === pack.version;
+  qs('#stylePackPin').textContent = pack
+    ? `Pinned to v${pinned || pack.version}${upToDate ? ' (latest)' : `, latest is v${pack.version}`}`
+    : '';
+  qs('#upgradeStylePack').disabled = upToDate;
+};
+
+const renderSwatches = (container, colors) => {
+  container.innerHTML = '';
+  colors.forEach((color) => {
+    const swatch = document.createElement('span');
+    swatch.className = 'swatch';
+    swatch.innerHTML = `<i style="background: ${color.hex}"></i>${color.hex}${color.coverage != null ? ` ${color.coverage}%` : ''}`;
+    container.appendChild(swatch);
+  });
+};
+
+const describePaletteMatch = (match) => {
+  const lines = [`Style pack v${match.version}: ${match.on_brand_coverage}% of the palette is within ΔE ${match.match_delta_e} of a brand color`];
+  match.brand_colors.forEach((color) => {
+    lines.push(`${color.color}: ${color.nearest_pack ? `closest ${color.nearest_pack.hex} (ΔE ${color.nearest_pack.delta_e})` : 'no pack colors'}${color.on_palette ? '' : ' - missing from pack'}`);
+  });
+  if (match.unparsed_colors.length) {
+    lines.push(`Not compared (use hex or rgb()): ${match.unparsed_colors.join(', ')}`);
+  }
+  return lines.join('\n');
+};
+
+const describeStyleAnalysis = (analysis) => {
+  if (!analysis) return '';
+  return [
+    `Lighting: ${analysis.lighting}`,
+    `Lens & camera: ${analysis.lens_and_camera}`,
+    `Composition: ${analysis.composition}`,
+    `Grading: ${analysis.grading}`,
+    `Pacing: ${analysis.pacing}`,
+    `Subjects: ${analysis.subject_matter}`,
+    `(${analysis.model}, ${analysis.ref_paths.length} refs)`,
+  ].join('\n');
+};
+
+const describeStylePackDiff = (diff) => {
+  const lines = [`v${diff.from_version} → v${diff.to_version}`];
+  diff.fields.forEach((change) => lines.push(`${change.field}: "${change.from}" → "${change.to}"`));
+  if (diff.prompt_spine.changed) {
+    lines.push(`Prompt spine: "${diff.prompt_spine.to}"`);
+  }
+  if (diff.palette.added.length || diff.palette.removed.length) {
+    lines.push(`Palette: +${diff.palette.added.join(', ') || 'none'} / -${diff.palette.removed.join(', ') || 'none'}`);
+  }
+  diff.metadata.forEach((change) => lines.push(`${change.field}: ${change.from ?? '-'} → ${change.to ?? '-'}`));
+  lines.push(`Refs: ${diff.refs.added.length} added, ${diff.refs.removed.length} removed, ${diff.refs.unchanged} unchanged`);
+  if (diff.source_videos.added.length) {
+    lines.push(`Videos added: ${diff.source_videos.added.join(', ')}`);
+  }
+  return lines.join('\n');
+};
+
+const renderBrandAssets = () => {
+  const container = qs('#brandAssets');
+  container.innerHTML = '';
+  const brand = state.project?.brand_kit || {};
+  (brand.assets || []).forEach((asset) => {
+    const card = document.createElement('div');
+    card.className = 'brand-asset';
+    const selected = (brand.product_photo_paths || []).includes(asset.path);
+    card.innerHTML = `
+      <img src="/api/projects/${state.project.id}/brand/assets/${asset.id}/thumbnail" alt="${asset.original_name}" />
+      <div>${asset.kind === 'logo' ? 'Logo' : asset.original_name}</div>
+      ${asset.kind === 'product'
+        ? `<label><span><input type="checkbox" data-product="${asset.path}" ${selected ? 'checked' : ''} /> Use in keyframes</span></label>`
+        : ''}
+      <button class="secondary" data-asset="${asset.id}">Remove</button>
+    `;
+    card.querySelector('button').addEventListener('click', async () => {
+      const result = await api.delete(`/api/projects/${state.project.id}/brand/assets/${asset.id}`);
+      if (result.error) return alert(result.error);
+      state.project = result;
+      syncBrandKitUI();
+      renderShotTable();
+    });
+    container.appendChild(card);
+  });
+};
+
+const syncBrandKitUI = () => {
+  if (!state.project) return;
+  const brand = state.project.brand_kit || {};
+  qs('#brandColors').value = (brand.colors || []).join(', ');
+  qs('#voicePlayful').value = brand.brand_voice?.playful ?? 0.5;
+  qs('#voiceLuxury').value = brand.brand_voice?.luxury ?? 0.5;
+  qs('#voiceMinimal').value = brand.brand_voice?.minimal ?? 0.5;
+  renderBrandAssets();
 };
 
 const loadStylePackDetails = async (packId) => {
+  qs('#stylePackDiff').textContent = '';
+  qs('#stylePackVersions').innerHTML = '';
+  qs('#stylePackPalette').innerHTML = '';
   if (!packId) {
     qs('#promptSpine').value = '';
+    qs('#negativeSpine').value = '';
+    qs('#stylePackAnalysis').textContent = '';
     qs('#stylePackMeta').textContent = '';
     return;
   }
   const pack = await api.get(`/api/stylepacks/${packId}`);
   state.selectedStylePack = pack;
   qs('#promptSpine').value = pack.prompt_spine || '';
-  qs('#stylePackMeta').textContent = `Videos: ${pack.source_videos.length}, Refs: ${pack.extracted_ref_images.length}, Brightness: ${Math.round(
+  qs('#negativeSpine').value = pack.negative_prompt_spine || '';
+  qs('#stylePackAnalysis').textContent = describeStyleAnalysis(pack.style_analysis);
+  qs('#framesPerVideo').value = pack.frames_per_video || 5;
+  renderSwatches(qs('#stylePackPalette'), (pack.metadata_summary.palette || []).filter((color) => color.hex));
+  qs('#stylePackMeta').textContent = `Version: v${pack.version}, Videos: ${pack.source_videos.length}, Refs: ${pack.extracted_ref_images.length}, Brightness: ${Math.round(
     pack.metadata_summary.brightness || 0
   )}`;
+  const { versions = [] } = await api.get(`/api/stylepacks/${packId}/versions`);
+  versions.forEach((version) => {
+    const option = document.createElement('option');
+    option.value = version.version;
+    option.textContent = `v${version.version} - ${version.note || ''}`;
+    qs('#stylePackVersions').appendChild(option);
+  });
+};
+
+const transitionOptions = [
+  { value: 'none', label: 'Cut' },
+  { value: 'crossfade', label: 'Crossfade' },
+  { value: 'dip-to-black', label: 'Dip to black' },
+  { value: 'whip', label: 'Whip' },
+];
+
+const buildTransitionOptions = (current) =>
+  transitionOptions
+    .map((option) => `<option value="${option.value}" ${option.value === current ? 'selected' : ''}>${option.label}</option>`)
+    .join('');
+
+// Per-shot product photos: the brand kit selection (null), none, or one uploaded photo
+const buildProductPhotoOptions = (current) => {
+  const products = (state.project?.brand_kit?.assets || []).filter((asset) => asset.kind === 'product');
+  const options = [
+    { value: null, label: 'Brand kit photos' },
+    { value: [], label: 'No product photos' },
+    ...products.map((asset) => ({ value: [asset.path], label: asset.original_name })),
+  ];
+  const currentValue = JSON.stringify(current ?? null);
+  return options
+    .map((option) => {
+      const value = JSON.stringify(option.value);
+      return `<option value='${value}' ${value === currentValue ? 'selected' : ''}>${option.label}</option>`;
+    })
+    .join('');
 };
 
 const buildVersionOptions = (versions, currentVersion) => {
@@ -154,6 +318,53 @@ const buildVersionOptions = (versions, currentVersion) => {
     .join('');
 };
 
+// Flag assets a fallback provider made, so placeholders never slip into an export unnoticed
+const currentVersionQa = (versions, version) => (versions || []).find((entry) => entry.version === version)?.qa || null;
+
+const describeQa = (qa) => {
+  if (!qa) return '';
+  const title = qa.warnings.map((item) => item.message).join('\n') || 'No problems found';
+  return ` <span class="qa-flag${qa.passed ? '' : ' failed'}" title="${title}">QA ${qa.score}</span>`;
+};
+
+const describeAssetStatus = (status, fallback, qa = null) => {
+  const label = `${status || 'pending'}${describeQa(qa)}`;
+  if (!fallback) return label;
+  return `${label} <span class="fallback-flag" title="${(fallback.errors || []).map((item) => `${item.provider}: ${item.error}`).join('\n')}">fallback: ${fallback.provider}</span>`;
+};
+
+const describeContinuityReport = (report) => {
+  const { summary } = report;
+  const lines = [`${summary.ok} smooth, ${summary.jarring} jarring, ${summary.unchecked} unchecked of ${summary.boundaries} cuts`];
+  report.boundaries.forEach((boundary) => {
+    const cut = `${boundary.from_shot_id} → ${boundary.to_shot_id}`;
+    if (boundary.status === 'unchecked') {
+      lines.push(`${cut}: unchecked (${boundary.reason})`);
+    } else if (boundary.issues.length) {
+      lines.push(`${cut}: ${boundary.status} · ${boundary.issues.map((issue) => issue.message).join('; ')}`);
+    }
+  });
+  return lines.join('\n');
+};
+
+const describeQaReport = (report) => {
+  const describe = (label, summary) =>
+    summary.checked
+      ? `${label}: ${summary.passed}/${summary.checked} passed, average score ${summary.average_score}`
+      : `${label}: nothing checked yet`;
+  const counts = Object.entries(report.keyframes.warning_counts)
+    .concat(Object.entries(report.clips.warning_counts))
+    .reduce((totals, [code, count]) => ({ ...totals, [code]: (totals[code] || 0) + count }), {});
+  return [
+    describe('Keyframes', report.keyframes),
+    describe('Clips', report.clips),
+    Object.keys(counts).length ? `Warnings: ${Object.entries(counts).map(([code, count]) => `${code} ×${count}`).join(', ')}` : null,
+    report.needs_attention.length ? `Needs attention: ${report.needs_attention.join(', ')}` : null,
+  ]
+    .filter(Boolean)
+    .join('\n');
+};
+
 const renderShotTable = () => {
   const container = qs('#shotTable');
   container.innerHTML = '';
@@ -172,8 +383,20 @@ const renderShotTable = () => {
         <input value="${shot.keyframe_prompt}" data-shot="${shot.id}" data-field="keyframe_prompt" />
         <input value="${shot.duration_sec}" data-shot="${shot.id}" data-field="duration_sec" />
         <input value="${shot.on_screen_text || ''}" data-shot="${shot.id}" data-field="on_screen_text" />
+        <select data-shot="${shot.id}" data-field="transition_out" title="Transition into the next shot">
+          ${buildTransitionOptions(shot.transition_out?.type || 'none')}
+        </select>
+        <select data-shot="${shot.id}" data-field="product_photo_paths" title="Product photos for this keyframe">
+          ${buildProductPhotoOptions(shot.product_photo_paths)}
+        </select>
       </div>
       <div class="shot-actions">
+        <div class="action-buttons">
+          <button class="secondary" data-action="move-up" data-shot="${shot.id}">Move up</button>
+          <button class="secondary" data-action="move-down" data-shot="${shot.id}">Move down</button>
+          <button class="secondary" data-action="duplicate" data-shot="${shot.id}">Duplicate</button>
+          <button class="secondary" data-action="delete" data-shot="${shot.id}">Delete</button>
+        </div>
         <div class="action-buttons">
           <button class="secondary" data-action="regen-keyframe" data-shot="${shot.id}">Regenerate keyframe</button>
           <button class="secondary" data-action="regen-clip" data-shot="${shot.id}">Regenerate clip</button>
@@ -191,21 +414,50 @@ const renderShotTable = () => {
           </select>
           <button class="secondary" data-action="rollback-clip" data-shot="${shot.id}">Rollback</button>
         </div>
-        <div>Keyframe: ${shot.status?.keyframe_status || 'pending'} · Clip: ${shot.status?.clip_status || 'pending'}</div>
+        <div>
+          Keyframe: ${describeAssetStatus(shot.status?.keyframe_status, shot.provider_config?.image_fallback, currentVersionQa(keyframeVersions, shot.keyframe_version))} ·
+          Clip: ${describeAssetStatus(shot.status?.clip_status, shot.provider_config?.video_fallback, currentVersionQa(clipVersions, shot.clip_version))}
+          ${shot.narration ? ` · Narration: ${shot.narration.duration_sec}s` : ''}
+          ${shot.status?.error ? `<span class="shot-error">${shot.status.error}</span>` : ''}
+        </div>
       </div>
     `;
-    card.querySelectorAll('input').forEach((input) => {
-      input.addEventListener('change', (event) => {
+    card.querySelectorAll('[data-field]').forEach((input) => {
+      input.addEventListener('change', async (event) => {
         const field = event.target.dataset.field;
         const shotId = event.target.dataset.shot;
-        const targetShot = state.project.shots.find((item) => item.id === shotId);
-        targetShot[field] = field === 'duration_sec' ? Number(event.target.value) : event.target.value;
+        let value = event.target.value;
+        if (field === 'duration_sec') {
+          value = Number(value);
+        } else if (field === 'transition_out') {
+          value = { type: value, duration_sec: shot.transition_out?.duration_sec || 0.5 };
+        } else if (field === 'product_photo_paths') {
+          value = JSON.parse(value);
+        }
+        const result = await api.patch(`/api/projects/${state.project.id}/shots/${shotId}`, { [field]: value });
+        if (result.error) {
+          alert([result.error, ...(result.details || [])].join('\n'));
+          renderShotTable();
+          return;
+        }
+        state.project = result.project;
+        updateCostEstimates();
       });
     });
     container.appendChild(card);
   });
 };
 
+// The continuity mode a clip actually used, and how its handoff clip turned out
+const describeContinuity = (continuity) => {
+  if (!continuity?.mode) return '';
+  const handoff = continuity.handoff;
+  if (!handoff) return ` · ${continuity.mode}`;
+  return handoff.error
+    ? ` · ${continuity.mode} <span class="shot-error">handoff failed: ${handoff.error}</span>`
+    : ` · ${continuity.mode} (${handoff.planned_sec || handoff.duration_sec}s handoff)`;
+};
+
 const updateClipStatus = () => {
   const container = qs('#clipStatus');
   container.innerHTML = '';
@@ -214,7 +466,11 @@ const updateClipStatus = () => {
   }
   state.project.shots.forEach((shot) => {
     const div = document.createElement('div');
-    div.textContent = `${shot.id}: ${shot.status.clip_status}`;
+    div.innerHTML = `${shot.id}: ${describeAssetStatus(
+      shot.status.clip_status,
+      shot.provider_config?.video_fallback,
+      currentVersionQa(shot.clip_versions, shot.clip_version)
+    )}${describeContinuity(shot.continuity)}`;
     container.appendChild(div);
   });
 };
@@ -228,11 +484,140 @@ const updateExportStatus = () => {
   }
   state.project.exports.forEach((item) => {
     const div = document.createElement('div');
-    div.textContent = `Exported: ${item.path}`;
+    const frame = item.reframe || item.stitch;
+    const size = frame ? ` · ${frame.width}x${frame.height} @ ${item.stitch.fps}fps` : '';
+    const audio = item.audio
+      ? ` · music ${item.audio.mixed ? `mixed at ${item.audio.target_lufs} LUFS${item.audio.ducked ? ', ducked' : ''}` : 'not mixed'}`
+      : '';
+    const narration = item.narration
+      ? ` · narration ${item.narration.mixed ? `mixed (${item.narration.cues.length} shots)` : 'not mixed'}`
+      : '';
+    const captions = item.captions?.srt
+      ? ` · captions ${item.captions.burned ? 'burned + ' : ''}${item.captions.srt.replace(/\.srt$/, '.{srt,vtt}')}`
+      : '';
+    const preset = item.preset && item.preset !== 'master' ? ` · ${item.preset} (${item.rendition.fit})` : '';
+    div.textContent = `Exported: ${item.path}${preset}${size}${narration}${audio}${captions}`;
+    container.appendChild(div);
+  });
+};
+
+const renderVariants = async () => {
+  const container = qs('#variantList');
+  container.innerHTML = '';
+  if (!state.project) return;
+  const { variants = [], variant_of: variantOf } = await api.get(`/api/projects/${state.project.id}/variants`);
+  if (variantOf) {
+    container.textContent = `Variant "${variantOf.name}" of project ${variantOf.project_id}.`;
+  }
+  variants.forEach((variant) => {
+    const div = document.createElement('div');
+    const branch = variant.branch
+      ? ` · ${variant.branch.pending_clip_shot_ids.length} clip(s) to generate (${formatCost(variant.branch.pending_estimate_usd)})`
+      : '';
+    div.innerHTML = `<strong>${variant.name}</strong>: ${Object.values(variant.sections)[0] || ''}${branch} `;
+    const button = document.createElement('button');
+    button.className = 'secondary';
+    button.textContent = variant.branch ? 'Open' : 'Branch';
+    button.addEventListener('click', async () => {
+      let projectId = variant.branch?.project_id;
+      if (!projectId) {
+        const result = await api.post(`/api/projects/${state.project.id}/variants/${variant.id}/branch`, {});
+        if (result.error) return alert(result.error);
+        projectId = result.project.id;
+      }
+      await refreshProjects();
+      qs('#projectList').value = projectId;
+      qs('#openProject').click();
+    });
+    div.appendChild(button);
     container.appendChild(div);
   });
 };
 
+const jobLabels = {
+  keyframes: 'Keyframes',
+  clips: 'Clips',
+  regenerate: 'Regenerate',
+  continuity: 'Fix cuts',
+  narration: 'Narration',
+  export: 'Export',
+};
+
+const describeJob = (job) => {
+  const label = jobLabels[job.type] || job.type;
+  const { total, completed, failed, current_shot_id: currentShot } = job.progress;
+  if (job.status === 'queued') return `${label}: queued`;
+  if (job.status === 'failed' && !total) return `${label}: failed · ${job.error}`;
+  const counts = `${completed}/${total} done${failed ? ` · ${failed} failed` : ''}`;
+  const stage = job.progress.shots[currentShot]?.stage;
+  if (job.status === 'running') {
+    return `${label}: ${counts}${currentShot ? ` · working on ${currentShot}${stage ? ` (${stage})` : ''}` : ''}`;
+  }
+  return `${label}: ${job.status} · ${counts}`;
+};
+
+const applyJobProgress = (job) => {
+  qs('#jobStatus').textContent = describeJob(job);
+  if (!state.project || state.project.id !== job.project_id) return;
+  Object.entries(job.progress.shots).forEach(([shotId, entry]) => {
+    const shot = state.project.shots.find((item) => item.id === shotId);
+    if (!shot || entry.status !== 'running' || entry.asset === 'narration') return;
+    const assets = entry.asset === 'both' ? ['keyframe', 'clip'] : [entry.asset];
+    assets.forEach((asset) => {
+      shot.status[`${asset}_status`] = 'generating';
+    });
+  });
+  renderShotTable();
+  updateClipStatus();
+};
+
+const followJob = (job) =>
+  new Promise((resolve) => {
+    applyJobProgress(job);
+    const source = new EventSource(`/api/jobs/${job.id}/events`);
+    const handleEvent = (event) => {
+      const update = JSON.parse(event.data);
+      applyJobProgress(update);
+      if (event.type === 'done') {
+        source.close();
+        resolve(update);
+      }
+    };
+    source.addEventListener('progress', handleEvent);
+    source.addEventListener('done', handleEvent);
+  });
+
+const runProjectJob = async (path, body) => {
+  let { job, error, requires_confirmation: requiresConfirmation } = await api.post(path, body);
+  if (!job && requiresConfirmation && confirm(`${error}. Continue anyway?`)) {
+    ({ job, error } = await api.post(path, { ...body, confirm_over_budget: true }));
+  }
+  if (!job) {
+    qs('#jobStatus').textContent = error || 'Could not start job';
+    return;
+  }
+  await followJob(job);
+  state.project = await api.get(`/api/projects/${job.project_id}`);
+  renderShotTable();
+  updateClipStatus();
+  updateSessionCosts();
+  updateProjectCosts();
+};
+
+const resumeProjectJobs = async () => {
+  if (!state.project) return;
+  const { jobs = [] } = await api.get(`/api/projects/${state.project.id}/jobs`);
+  const active = jobs.find((job) => job.status === 'queued' || job.status === 'running');
+  if (active) {
+    await followJob(active);
+    state.project = await api.get(`/api/projects/${state.project.id}`);
+    renderShotTable();
+    updateClipStatus();
+    updateSessionCosts();
+    updateProjectCosts();
+  }
+};
+
 const formatCost = (cost) => {
   if (cost === 0) return '$0.00';
   if (cost < 0.01) return '<$0.01';
@@ -251,6 +636,23 @@ const updateSessionCosts = async () => {
   }
 };
 
+const updateProjectCosts = async () => {
+  if (!state.project) {
+    qs('#projectSpent').textContent = '$0.00';
+    qs('#projectBudget').textContent = 'No limit';
+    return;
+  }
+  try {
+    const costs = await api.get(`/api/projects/${state.project.id}/costs`);
+    qs('#projectSpent').textContent = formatCost(costs.totals?.total || 0);
+    qs('#projectBudget').textContent = costs.budget?.limit_usd
+      ? `${formatCost(costs.budget.remaining)} left of ${formatCost(costs.budget.limit_usd)}`
+      : 'No limit';
+  } catch (e) {
+    console.error('Failed to update project costs:', e);
+  }
+};
+
 const updateCostEstimates = async () => {
   if (!state.project?.shots?.length) {
     qs('#keyframeCostEstimate').textContent = 'Generate a storyboard first';
@@ -271,14 +673,54 @@ const updateCostEstimates = async () => {
   }
 };
 
+// The project's own copy of its template, or the classic one for projects made before templates
+const projectTemplate = () =>
+  state.project?.script_template || state.scriptTemplates.find((template) => template.id === 'classic');
+
+const refreshScriptTemplates = async () => {
+  const data = await api.get('/api/script-templates');
+  state.scriptTemplates = data.templates || [];
+  const select = qs('#scriptTemplate');
+  select.innerHTML = '';
+  state.scriptTemplates.forEach((template) => {
+    const option = document.createElement('option');
+    option.value = template.id;
+    option.textContent = template.built_in ? template.name : `${template.name} (saved)`;
+    select.appendChild(option);
+  });
+  renderScriptSections();
+};
+
+const renderScriptSections = () => {
+  const template = projectTemplate();
+  const container = qs('#scriptSections');
+  container.innerHTML = '';
+  if (!template) return;
+  qs('#scriptTemplate').value = template.id;
+  qs('#scriptTemplateHelp').textContent = template.description || '';
+  const sections = state.project?.script?.sections || {};
+  template.sections.forEach((section) => {
+    const label = document.createElement('label');
+    label.textContent = `${section.label} (${Math.round(section.share * 100)}%) `;
+    const textarea = document.createElement('textarea');
+    textarea.rows = 2;
+    textarea.placeholder = section.guidance;
+    textarea.value = sections[section.id] || '';
+    label.appendChild(textarea);
+    container.appendChild(label);
+  });
+};
+
 const init = async () => {
   renderSteps();
   setStep(0);
   setView('stepper');
   await refreshProjects();
   await refreshStylePacks();
+  await refreshScriptTemplates();
   updateProjectUI();
   updateSessionCosts();
+  updateProjectCosts();
   updateCostEstimates();
 };
 
@@ -297,8 +739,11 @@ qs('#createProject').addEventListener('click', async () => {
   state.project = await api.post('/api/projects', payload);
   updateProjectUI();
   syncProjectSettingsUI();
+  syncBrandKitUI();
   await refreshProjects();
   qs('#projectList').value = state.project.id;
+  renderScriptSections();
+  renderVariants();
   setStep(state.activeStep);
 });
 
@@ -308,8 +753,45 @@ qs('#openProject').addEventListener('click', async () => {
   state.project = await api.get(`/api/projects/${projectId}`);
   updateProjectUI();
   syncProjectSettingsUI();
+  syncBrandKitUI();
   updateCostEstimates();
+  updateProjectCosts();
   setStep(1);
+  renderScriptSections();
+  renderVariants();
+  resumeProjectJobs();
+});
+
+qs('#bundleUpload').addEventListener('change', async (event) => {
+  const [file] = event.target.files;
+  event.target.value = '';
+  if (!file) return;
+  const formData = new FormData();
+  formData.append('bundle', file);
+  const result = await api.postForm('/api/projects/import', formData);
+  if (result.error) return alert([result.error, ...(result.details || [])].join('\n'));
+  if (result.missing.length) {
+    alert(`Imported. ${result.missing.length} file(s) were already missing when the bundle was made.`);
+  }
+  await refreshProjects();
+  await refreshStylePacks();
+  qs('#projectList').value = result.project.id;
+  qs('#openProject').click();
+});
+
+// Fetched rather than linked so a busy project shows its error instead of a JSON page
+qs('#downloadBundle').addEventListener('click', async () => {
+  if (!state.project) return;
+  const res = await fetch(`/api/projects/${state.project.id}/bundle`);
+  if (!res.ok) {
+    const result = await res.json();
+    return alert(result.error);
+  }
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(await res.blob());
+  link.download = `project-${state.project.id}.tar.gz`;
+  link.click();
+  URL.revokeObjectURL(link.href);
 });
 
 qs('#saveProjectSettings').addEventListener('click', async () => {
@@ -317,8 +799,42 @@ qs('#saveProjectSettings').addEventListener('click', async () => {
   const payload = {
     selected_style_pack_id: qs('#activeStylePack').value || null,
     continuity_mode: qs('#continuityMode').value || 'bridging',
+    continuity_check: {
+      ...state.project.continuity_check,
+      auto_regenerate: qs('#autoFixContinuity').checked,
+    },
+    budget: {
+      limit_usd: qs('#budgetLimit').value === '' ? null : Number(qs('#budgetLimit').value),
+      mode: qs('#budgetMode').value,
+    },
+    provider_policy: {
+      image_chain: qs('#imageChain').value.split(',').map((item) => item.trim()).filter(Boolean),
+      video_chain: qs('#videoChain').value.split(',').map((item) => item.trim()).filter(Boolean),
+      strict: qs('#strictProviders').checked,
+    },
   };
-  state.project = await api.post(`/api/projects/${state.project.id}/settings`, payload);
+  const result = await api.post(`/api/projects/${state.project.id}/settings`, payload);
+  if (result.error) return alert(result.error);
+  state.project = result;
+  syncProjectSettingsUI();
+  updateProjectCosts();
+});
+
+qs('#comparePalette').addEventListener('click', async () => {
+  if (!state.project) return;
+  const match = await api.get(`/api/projects/${state.project.id}/palette-match`);
+  qs('#paletteMatch').textContent = match.error || describePaletteMatch(match);
+});
+
+qs('#upgradeStylePack').addEventListener('click', async () => {
+  if (!state.project?.selected_style_pack_id) return;
+  const packId = state.project.selected_style_pack_id;
+  const diff = await api.get(`/api/stylepacks/${packId}/diff?from=${state.project.selected_style_pack_version}`);
+  if (diff.error) return alert(diff.error);
+  if (!confirm(`Upgrade this project's style pack?\n\n${describeStylePackDiff(diff)}`)) return;
+  const result = await api.post(`/api/projects/${state.project.id}/stylepack/upgrade`, { version: diff.to_version });
+  if (result.error) return alert(result.error);
+  state.project = result.project;
   syncProjectSettingsUI();
 });
 
@@ -326,16 +842,41 @@ qs('#saveBrandKit').addEventListener('click', async () => {
   if (!state.project) return;
   const payload = {
     colors: qs('#brandColors').value.split(',').map((color) => color.trim()).filter(Boolean),
-    logo_path: qs('#logoPath').value || null,
-    product_photo_paths: qs('#productPhotos').value.split(',').map((item) => item.trim()).filter(Boolean),
+    logo_path: state.project.brand_kit?.logo_path || null,
+    product_photo_paths: [...document.querySelectorAll('#brandAssets input[data-product]:checked')].map(
+      (input) => input.dataset.product
+    ),
     brand_voice: {
       playful: Number(qs('#voicePlayful').value),
       luxury: Number(qs('#voiceLuxury').value),
       minimal: Number(qs('#voiceMinimal').value),
     },
   };
-  state.project.brand_kit = payload;
-  await api.post(`/api/projects/${state.project.id}/brand-kit`, payload);
+  const result = await api.post(`/api/projects/${state.project.id}/brand-kit`, payload);
+  if (result.error) return alert(result.error);
+  state.project = result;
+  syncBrandKitUI();
+});
+
+const uploadBrandImages = async (route, field, files) => {
+  if (!state.project || !files.length) return;
+  const formData = new FormData();
+  [...files].forEach((file) => formData.append(field, file));
+  const result = await api.postForm(`/api/projects/${state.project.id}/brand/${route}`, formData);
+  if (result.error) return alert([result.error, ...(result.details || [])].join('\n'));
+  state.project = result;
+  syncBrandKitUI();
+  renderShotTable();
+};
+
+qs('#logoUpload').addEventListener('change', async (event) => {
+  await uploadBrandImages('logo', 'logo', event.target.files);
+  event.target.value = '';
+});
+
+qs('#productUpload').addEventListener('change', async (event) => {
+  await uploadBrandImages('products', 'photos', event.target.files);
+  event.target.value = '';
 });
 
 qs('#generateScript').addEventListener('click', async () => {
@@ -345,46 +886,185 @@ qs('#generateScript').addEventListener('click', async () => {
     raw_script: qs('#scriptText').value,
   };
   const script = await api.post(`/api/projects/${state.project.id}/script`, payload);
-  qs('#scriptHook').value = script.sections.hook || '';
-  qs('#scriptProblem').value = script.sections.problem || '';
-  qs('#scriptSolution').value = script.sections.solution || '';
-  qs('#scriptCta').value = script.sections.cta || '';
+  if (script.error) return alert(script.error);
+  state.project.script = script;
+  renderScriptSections();
   updateSessionCosts();
+  updateProjectCosts();
+});
+
+qs('#scriptTemplate').addEventListener('change', async (event) => {
+  if (!state.project) return;
+  const result = await api.post(`/api/projects/${state.project.id}/settings`, { script_template_id: event.target.value });
+  if (result.error) return alert(result.error);
+  state.project = result;
+  renderScriptSections();
+});
+
+qs('#saveTemplate').addEventListener('click', async () => {
+  let input;
+  try {
+    input = JSON.parse(qs('#templateJson').value);
+  } catch (error) {
+    return alert('Template JSON is not valid JSON');
+  }
+  const result = await api.post('/api/script-templates', input);
+  if (result.error) return alert(result.error);
+  await refreshScriptTemplates();
+  alert(`Saved template "${result.name}". Pick it in Script template to use it.`);
 });
 
 qs('#generateStoryboard').addEventListener('click', async () => {
   if (!state.project) return;
-  const result = await api.post(`/api/projects/${state.project.id}/storyboard`, {});
+  const result = await api.post(`/api/projects/${state.project.id}/storyboard`, { mode: qs('#storyboardMode').value });
+  if (result.error) return alert([result.error, ...(result.details || [])].join('\n'));
   state.project.shots = result.shots;
   renderShotTable();
   updateCostEstimates();
+  updateSessionCosts();
+  updateProjectCosts();
 });
 
-qs('#generateKeyframes').addEventListener('click', async () => {
+qs('#addShot').addEventListener('click', async () => {
   if (!state.project) return;
-  const result = await api.post(`/api/projects/${state.project.id}/keyframes`, {});
-  state.project.shots = result.shots;
+  const result = await api.post(`/api/projects/${state.project.id}/shots`, {
+    keyframe_prompt: 'New shot',
+    video_prompt: 'New shot',
+  });
+  if (result.error) return alert(result.error);
+  state.project = result.project;
   renderShotTable();
-  updateSessionCosts();
+  updateCostEstimates();
+});
+
+// Body for a keyframes or clips batch: every shot, or only those that are missing, failed or stale
+const batchSelection = (checkboxId) => (qs(checkboxId).checked ? { only: ['missing', 'failed', 'stale'] } : {});
+
+qs('#generateKeyframes').addEventListener('click', async () => {
+  if (!state.project) return;
+  await runProjectJob(`/api/projects/${state.project.id}/keyframes`, batchSelection('#keyframesOutdatedOnly'));
 });
 
 qs('#generateClips').addEventListener('click', async () => {
   if (!state.project) return;
-  const result = await api.post(`/api/projects/${state.project.id}/clips`, {});
-  state.project.shots = result.shots;
-  updateClipStatus();
+  await runProjectJob(`/api/projects/${state.project.id}/clips`, batchSelection('#clipsOutdatedOnly'));
+});
+
+qs('#checkContinuity').addEventListener('click', async () => {
+  if (!state.project) return;
+  const report = await api.get(`/api/projects/${state.project.id}/continuity`);
+  qs('#continuityReport').textContent = report.error || describeContinuityReport(report);
+});
+
+qs('#fixContinuity').addEventListener('click', async () => {
+  if (!state.project) return;
+  await runProjectJob(`/api/projects/${state.project.id}/continuity/regenerate`, {});
+  const report = await api.get(`/api/projects/${state.project.id}/continuity`);
+  qs('#continuityReport').textContent = report.error || describeContinuityReport(report);
+});
+
+qs('#runQa').addEventListener('click', async () => {
+  if (!state.project) return;
+  const result = await api.post(`/api/projects/${state.project.id}/qa`, {});
+  if (result.error) return alert(result.error);
+  state.project = result.project;
   renderShotTable();
-  updateSessionCosts();
+  updateClipStatus();
+  qs('#qaReport').textContent = describeQaReport(result.report);
 });
 
-qs('#exportVideo').addEventListener('click', async () => {
+const describeNarrationReport = (report) => {
+  const lines = [`Narration: ${report.total_sec}s over ${report.shots.filter((item) => item.narration_sec !== null).length} shots`];
+  report.shots
+    .filter((item) => item.stretched_from !== null)
+    .forEach((item) => lines.push(`Shot ${item.order} stretched from ${item.stretched_from}s to ${item.shot_sec}s`));
+  return [...lines, ...report.warnings].join('\n');
+};
+
+qs('#generateNarration').addEventListener('click', async () => {
   if (!state.project) return;
-  const payload = {
+  const settings = await api.post(`/api/projects/${state.project.id}/settings`, {
+    voiceover: { voice: qs('#voiceName').value || null, fit: qs('#voiceoverFit').value },
+  });
+  if (settings.error) return alert(settings.error);
+  state.project = settings;
+  await runProjectJob(`/api/projects/${state.project.id}/narration`, {});
+  const report = await api.get(`/api/projects/${state.project.id}/narration`);
+  qs('#narrationReport').textContent = report.error || describeNarrationReport(report);
+});
+
+const exportOptions = () => {
+  const presets = qsa('#exportPresets input[data-preset]:checked').map((input) => input.dataset.preset);
+  return {
+    presets,
+    narration: qs('#mixNarration').checked,
+    captions: qs('#captionFiles').checked
+      ? { burn: qs('#burnCaptions').checked, highlight: qs('#highlightWords').checked }
+      : false,
     audio_path: qs('#audioPath').value || null,
+    audio_mix: {
+      music_volume: Number(qs('#musicVolume').value),
+      target_lufs: Number(qs('#targetLoudness').value),
+      duck: qs('#duckMusic').checked,
+    },
+    overlays: {
+      text: qs('#burnText').checked,
+      position: qs('#textPosition').value,
+      logo_mode: qs('#logoMode').value,
+    },
   };
-  const result = await api.post(`/api/projects/${state.project.id}/export`, payload);
-  state.project = result.project;
+};
+
+const appendExportStatus = (text) => {
+  const div = document.createElement('div');
+  div.textContent = text;
+  qs('#exportStatus').appendChild(div);
+};
+
+qs('#exportVideo').addEventListener('click', async () => {
+  if (!state.project) return;
+  const { job, error } = await api.post(`/api/projects/${state.project.id}/export`, exportOptions());
+  if (!job) {
+    qs('#exportStatus').textContent = error || 'Could not start export';
+    return;
+  }
+  const finished = await followJob(job);
+  state.project = await api.get(`/api/projects/${state.project.id}`);
   updateExportStatus();
+  if (finished.status === 'failed') {
+    appendExportStatus(`Export failed · ${finished.error}`);
+  }
+});
+
+qs('#exportVariants').addEventListener('click', async () => {
+  if (!state.project) return;
+  const result = await api.post(`/api/projects/${state.project.id}/variants/export`, exportOptions());
+  if (result.error) {
+    qs('#exportStatus').textContent = result.error;
+    return;
+  }
+  const lines = [];
+  for (const cut of result.cuts) {
+    if (!cut.job) {
+      lines.push(`${cut.name}: failed · ${cut.error}`);
+      continue;
+    }
+    const finished = await followJob(cut.job);
+    lines.push(`${cut.name}: ${finished.status === 'failed' ? `failed · ${finished.error}` : finished.result.outputPath}`);
+  }
+  state.project = await api.get(`/api/projects/${state.project.id}`);
+  updateExportStatus();
+  lines.forEach(appendExportStatus);
+});
+
+qs('#generateVariants').addEventListener('click', async () => {
+  if (!state.project) return;
+  const angles = qsa('#variantAngles input[data-angle]:checked').map((input) => input.dataset.angle);
+  const result = await api.post(`/api/projects/${state.project.id}/variants`, { brief: qs('#briefText').value, angles });
+  if (result.error) return alert(result.error);
+  renderVariants();
+  updateSessionCosts();
+  updateProjectCosts();
 });
 
 qs('#shotTable').addEventListener('click', async (event) => {
@@ -394,24 +1074,36 @@ qs('#shotTable').addEventListener('click', async (event) => {
   const action = button.dataset.action;
   if (!shotId) return;
 
-  if (action === 'regen-keyframe') {
-    const result = await api.post(`/api/projects/${state.project.id}/shots/${shotId}/regenerate`, {
+  if (action === 'move-up' || action === 'move-down') {
+    const ids = state.project.shots.map((item) => item.id);
+    const index = ids.indexOf(shotId);
+    const swapWith = action === 'move-up' ? index - 1 : index + 1;
+    if (swapWith < 0 || swapWith >= ids.length) return;
+    [ids[index], ids[swapWith]] = [ids[swapWith], ids[index]];
+    const result = await api.post(`/api/projects/${state.project.id}/shots/reorder`, { shot_ids: ids });
+    if (result.error) return alert(result.error);
+    state.project = result.project;
+  } else if (action === 'duplicate') {
+    const result = await api.post(`/api/projects/${state.project.id}/shots/${shotId}/duplicate`, {});
+    if (result.error) return alert(result.error);
+    state.project = result.project;
+  } else if (action === 'delete') {
+    if (!confirm('Delete this shot and its generated versions?')) return;
+    const result = await api.delete(`/api/projects/${state.project.id}/shots/${shotId}`);
+    if (result.error) return alert(result.error);
+    state.project = result.project;
+  } else if (action === 'regen-keyframe') {
+    await runProjectJob(`/api/projects/${state.project.id}/shots/${shotId}/regenerate`, {
       mode: 'keyframe',
     });
-    state.project = result.project;
-    updateSessionCosts();
   } else if (action === 'regen-clip') {
-    const result = await api.post(`/api/projects/${state.project.id}/shots/${shotId}/regenerate`, {
+    await runProjectJob(`/api/projects/${state.project.id}/shots/${shotId}/regenerate`, {
       mode: 'clip',
     });
-    state.project = result.project;
-    updateSessionCosts();
   } else if (action === 'regen-both') {
-    const result = await api.post(`/api/projects/${state.project.id}/shots/${shotId}/regenerate`, {
+    await runProjectJob(`/api/projects/${state.project.id}/shots/${shotId}/regenerate`, {
       mode: 'both',
     });
-    state.project = result.project;
-    updateSessionCosts();
   } else if (action === 'rollback-keyframe' || action === 'rollback-clip') {
     const asset = action === 'rollback-keyframe' ? 'keyframe' : 'clip';
     const select = qs(`select[data-asset="${asset}"][data-shot="${shotId}"]`);
@@ -426,6 +1118,7 @@ qs('#shotTable').addEventListener('click', async (event) => {
 
   renderShotTable();
   updateClipStatus();
+  updateCostEstimates();
 });
 
 qs('#createStylePack').addEventListener('click', async () => {
@@ -447,7 +1140,9 @@ qs('#uploadStyleVideos').addEventListener('click', async () => {
   if (!packId || !files.length) return;
   const formData = new FormData();
   Array.from(files).forEach((file) => formData.append('videos', file));
-  await api.postForm(`/api/stylepacks/${packId}/videos`, formData);
+  formData.append('frames_per_video', qs('#framesPerVideo').value);
+  const result = await api.postForm(`/api/stylepacks/${packId}/videos`, formData);
+  if (result.error) return alert(result.error);
   await loadStylePackDetails(packId);
   await refreshStylePacks();
 });
@@ -455,8 +1150,31 @@ qs('#uploadStyleVideos').addEventListener('click', async () => {
 qs('#savePromptSpine').addEventListener('click', async () => {
   const packId = qs('#stylePackList').value;
   if (!packId) return;
-  const payload = { prompt_spine: qs('#promptSpine').value };
+  const payload = { prompt_spine: qs('#promptSpine').value, negative_prompt_spine: qs('#negativeSpine').value };
   await api.post(`/api/stylepacks/${packId}`, payload);
+  await loadStylePackDetails(packId);
+  await refreshStylePacks();
+});
+
+qs('#analyzeStylePack').addEventListener('click', async () => {
+  const packId = qs('#stylePackList').value;
+  if (!packId) return;
+  qs('#stylePackAnalysis').textContent = 'Analyzing reference frames...';
+  const result = await api.post(`/api/stylepacks/${packId}/analyze`, {});
+  if (result.error) {
+    qs('#stylePackAnalysis').textContent = '';
+    return alert([result.error, ...(result.details || [])].join('\n'));
+  }
+  await loadStylePackDetails(packId);
+  await refreshStylePacks();
+});
+
+qs('#compareStylePack').addEventListener('click', async () => {
+  const packId = qs('#stylePackList').value;
+  const from = qs('#stylePackVersions').value;
+  if (!packId || !from) return;
+  const diff = await api.get(`/api/stylepacks/${packId}/diff?from=${from}`);
+  qs('#stylePackDiff').textContent = diff.error || describeStylePackDiff(diff);
 });
 
 init();
@@ -1,4 +1,5 @@
 const express = require('express');
+const fs = require('fs');
 const path = require('path');
 const multer = require('multer');
 const { nanoid } = require('nanoid');
@@ -7,7 +8,15 @@ const {
   loadProject,
   saveProject,
   listProjects,
+  projectPath,
+  projectFilePath,
 } = require('./src/storage/projectStore');
+const {
+  validateBrandImage,
+  storeBrandAsset,
+  removeBrandAssetFiles,
+  productPhotoPaths,
+} = require('./src/storage/brandAssetStore');
 const {
   estimateProjectCost,
   getProviderInfo,
@@ -18,21 +27,64 @@ const {
   listStylePacks,
   loadStylePack,
   saveStylePack,
+  listStylePackVersions,
   ensureStylePackDirs,
   processStylePackVideos,
 } = require('./src/storage/stylePackStore');
+const { diffStylePacks, normalizeFramesPerVideo } = require('./src/utils/stylePackUtils');
+const { compareBrandPalette } = require('./src/utils/colorUtils');
+const { normalizeAnalysisRefCount } = require('./src/core/styleAnalysis');
 const {
   generateScriptSections,
+  generateScriptVariants,
   generateStoryboardShots,
-  generateKeyframesForShots,
-  generateClipsForShots,
-  generateKeyframeForShot,
-  generateClipForShot,
+  generateLLMStoryboardShots,
+  analyzeStylePackWithLLM,
   applyKeyframeVersion,
   applyClipVersion,
   ensureShotHistory,
-  exportProjectVideo,
+  checkProjectAssets,
+  exportOptionsError,
+  pinnedStylePackError,
 } = require('./src/core/pipeline');
+const { buildQaReport } = require('./src/core/qa');
+const { normalizeContinuityCheck, buildContinuityReport } = require('./src/core/continuityCheck');
+const { CONTINUITY_MODES } = require('./src/core/continuity');
+const { SHOT_ASSETS, normalizeShotSelection, planShotBatch } = require('./src/core/shotSelection');
+const { normalizeVariantRequest, createVariantBranch } = require('./src/core/scriptVariants');
+const { normalizeVoiceover, planNarrationBatch, narrationReport } = require('./src/core/voiceover');
+const { MAX_BUNDLE_BYTES, buildProjectBundle, importProjectBundle } = require('./src/core/projectBundle');
+const {
+  listScriptTemplates,
+  loadScriptTemplate,
+  projectScriptTemplate,
+  normalizeScriptTemplate,
+  parseScriptSections,
+} = require('./src/core/scriptTemplates');
+const { saveScriptTemplate, deleteScriptTemplate } = require('./src/storage/scriptTemplateStore');
+const {
+  createShot,
+  validateShotFields,
+  duplicateShot,
+  normalizeShotOrder,
+} = require('./src/core/shots');
+const { EXPORT_PRESETS, FIT_MODES } = require('./src/core/exportPresets');
+const {
+  DEFAULT_BUDGET,
+  normalizeBudget,
+  estimateGenerationCost,
+  checkBudget,
+  describeBudgetCheck,
+} = require('./src/core/budget');
+const { normalizeProviderPolicy } = require('./src/core/providerPolicy');
+const { queue } = require('./src/core/jobQueue');
+const { registerPipelineJobs } = require('./src/core/jobHandlers');
+const { loadJob, listJobs } = require('./src/storage/jobStore');
+const { PROVIDER_KINDS, listAdapters, describeAdapter } = require('./src/providers/registry');
+const { ImageProvider } = require('./src/providers/imageProvider');
+const { VideoProvider } = require('./src/providers/videoProvider');
+const { LLMProvider } = require('./src/providers/llmProvider');
+const { VoiceProvider } = require('./src/providers/voiceProvider');
 
 const app = express();
 const port = process.env.PORT || 3000;
@@ -41,6 +93,10 @@ app.use(express.json({ limit: '10mb' }));
 app.use(express.static(path.join(__dirname, 'public')));
 
 const upload = multer({ dest: path.join(__dirname, 'data', 'uploads') });
+const bundleUpload = multer({ dest: path.join(__dirname, 'data', 'uploads'), limits: { fileSize: MAX_BUNDLE_BYTES, files: 1 } });
+
+registerPipelineJobs(queue);
+queue.recover();
 
 app.get('/api/health', (req, res) => {
   res.json({ status: 'ok' });
@@ -51,6 +107,24 @@ app.get('/api/costs/providers', (req, res) => {
   res.json(getProviderInfo());
 });
 
+// Registered provider adapters with their capabilities, pricing and config (secrets are never returned)
+app.get('/api/providers', (req, res) => {
+  const facades = {
+    image: new ImageProvider(ImageProvider.defaultConfig()),
+    video: new VideoProvider(VideoProvider.defaultConfig()),
+    llm: new LLMProvider(LLMProvider.defaultConfig()),
+    voice: new VoiceProvider(VoiceProvider.defaultConfig()),
+  };
+  const providers = PROVIDER_KINDS.reduce((result, kind) => ({
+    ...result,
+    [kind]: {
+      active: { provider: facades[kind].name, model: facades[kind].model },
+      adapters: listAdapters(kind).map(describeAdapter),
+    },
+  }), {});
+  res.json(providers);
+});
+
 app.get('/api/costs/estimate', (req, res) => {
   const {
     shotCount = 4,
@@ -73,9 +147,28 @@ app.get('/api/projects', (req, res) => {
   res.json({ projects: listProjects() });
 });
 
+const invalidContinuityMode = (mode) =>
+  mode !== undefined && mode !== null && !CONTINUITY_MODES.includes(mode)
+    ? `continuity_mode must be one of ${CONTINUITY_MODES.join(', ')}`
+    : null;
+
 app.post('/api/projects', (req, res) => {
+  const modeError = invalidContinuityMode(req.body.continuity_mode);
+  if (modeError) {
+    return res.status(400).json({ error: modeError });
+  }
+  const scriptTemplate = req.body.script_template_id ? loadScriptTemplate(req.body.script_template_id) : null;
+  if (req.body.script_template_id && !scriptTemplate) {
+    return res.status(400).json({ error: 'Script template not found' });
+  }
   const projectId = nanoid(10);
-  const project = createProject(projectId, req.body);
+  // New projects pin whatever version of the style pack is current right now
+  const stylePack = req.body.selected_style_pack_id ? loadStylePack(req.body.selected_style_pack_id) : null;
+  const project = createProject(projectId, {
+    ...req.body,
+    selected_style_pack_version: stylePack?.version || null,
+    script_template: scriptTemplate,
+  });
   res.status(201).json(project);
 });
 
@@ -87,12 +180,157 @@ app.get('/api/projects/:id', (req, res) => {
   res.json(project);
 });
 
+// Portable .tar.gz of the project, its files and its pinned style pack, with relative paths
+app.get('/api/projects/:id/bundle', (req, res) => {
+  const project = loadProject(req.params.id);
+  if (!project) {
+    return res.status(404).json({ error: 'Project not found' });
+  }
+  if (rejectIfBusy(project, res)) return;
+  try {
+    const { buffer, manifest } = buildProjectBundle(project);
+    console.log(`[Server] Bundled project ${project.id}: ${manifest.files.length} files, ${buffer.length} bytes`);
+    res.attachment(`project-${project.id}.tar.gz`);
+    res.type('application/gzip');
+    res.send(buffer);
+  } catch (error) {
+    console.error('[Server] Project bundle error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Multer reports an oversized upload as an error; answer it here instead of with an HTML 500
+const receiveBundle = (req, res, next) => {
+  bundleUpload.single('bundle')(req, res, (error) => {
+    if (error?.code === 'LIMIT_FILE_SIZE') {
+      return res.status(413).json({ error: `Bundle is larger than ${MAX_BUNDLE_BYTES} bytes` });
+    }
+    if (error) {
+      return res.status(400).json({ error: error.message });
+    }
+    next();
+  });
+};
+
+// Restores a bundle as a new project; nothing is written unless every checksum matches
+app.post('/api/projects/import', receiveBundle, (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({ error: 'No bundle uploaded' });
+  }
+  try {
+    const buffer = fs.readFileSync(req.file.path);
+    const result = importProjectBundle(buffer, nanoid(10));
+    if (result.error) {
+      return res.status(400).json({ error: result.error, details: result.details || [] });
+    }
+    res.status(201).json(result);
+  } catch (error) {
+    console.error('[Server] Project import error:', error);
+    res.status(500).json({ error: error.message });
+  } finally {
+    if (fs.existsSync(req.file.path)) {
+      fs.unlinkSync(req.file.path);
+    }
+  }
+});
+
 app.post('/api/projects/:id/brand-kit', (req, res) => {
   const project = loadProject(req.params.id);
   if (!project) {
     return res.status(404).json({ error: 'Project not found' });
   }
-  project.brand_kit = req.body;
+  if (rejectIfBusy(project, res)) return;
+  const photos = req.body?.product_photo_paths ?? [];
+  const uploaded = productPhotoPaths(project);
+  if (!Array.isArray(photos) || photos.some((item) => !uploaded.includes(item))) {
+    return res.status(400).json({ error: 'product_photo_paths must name uploaded product photos' });
+  }
+  // Uploaded assets are managed by the brand upload routes and survive brand kit edits
+  project.brand_kit = { ...req.body, product_photo_paths: photos, assets: project.brand_kit?.assets || [] };
+  saveProject(project);
+  res.json(project);
+});
+
+// Validate every upload before storing any, so a bad file leaves the brand kit untouched
+const storeBrandUploads = (project, files, kind, res) => {
+  const checks = files.map((file) => ({ file, ...validateBrandImage(file) }));
+  const errors = checks.filter((check) => check.error).map((check) => check.error);
+  if (!files.length || errors.length) {
+    files.forEach((file) => fs.existsSync(file.path) && fs.unlinkSync(file.path));
+    res.status(400).json({ error: 'Invalid brand image', details: files.length ? errors : ['No image uploaded'] });
+    return null;
+  }
+  return checks.map(({ file, info }) => storeBrandAsset(project, file, kind, info));
+};
+
+app.post('/api/projects/:id/brand/logo', upload.single('logo'), (req, res) => {
+  const project = loadProject(req.params.id);
+  if (!project) {
+    return res.status(404).json({ error: 'Project not found' });
+  }
+  if (rejectIfBusy(project, res)) return;
+  const stored = storeBrandUploads(project, req.file ? [req.file] : [], 'logo', res);
+  if (!stored) return;
+  const previous = (project.brand_kit.assets || []).filter((asset) => asset.kind === 'logo');
+  previous.forEach((asset) => removeBrandAssetFiles(project, asset));
+  project.brand_kit.assets = [...(project.brand_kit.assets || []).filter((asset) => asset.kind !== 'logo'), ...stored];
+  project.brand_kit.logo_path = stored[0].path;
+  saveProject(project);
+  res.json(project);
+});
+
+// New product photos are selected for the whole project; deselect them through the brand kit
+app.post('/api/projects/:id/brand/products', upload.array('photos', 10), (req, res) => {
+  const project = loadProject(req.params.id);
+  if (!project) {
+    return res.status(404).json({ error: 'Project not found' });
+  }
+  if (rejectIfBusy(project, res)) return;
+  const stored = storeBrandUploads(project, req.files || [], 'product', res);
+  if (!stored) return;
+  project.brand_kit.assets = [...(project.brand_kit.assets || []), ...stored];
+  project.brand_kit.product_photo_paths = [...(project.brand_kit.product_photo_paths || []), ...stored.map((asset) => asset.path)];
+  saveProject(project);
+  res.json(project);
+});
+
+app.get('/api/projects/:id/brand/assets/:assetId/thumbnail', (req, res) => {
+  const project = loadProject(req.params.id);
+  if (!project) {
+    return res.status(404).json({ error: 'Project not found' });
+  }
+  const asset = (project.brand_kit.assets || []).find((item) => item.id === req.params.assetId);
+  if (!asset) {
+    return res.status(404).json({ error: 'Brand asset not found' });
+  }
+  const filePath = projectFilePath(project.id, asset.thumbnail_path || asset.path);
+  if (!filePath || !fs.existsSync(filePath)) {
+    return res.status(404).json({ error: 'Brand asset file not found' });
+  }
+  res.sendFile(filePath);
+});
+
+app.delete('/api/projects/:id/brand/assets/:assetId', (req, res) => {
+  const project = loadProject(req.params.id);
+  if (!project) {
+    return res.status(404).json({ error: 'Project not found' });
+  }
+  if (rejectIfBusy(project, res)) return;
+  const asset = (project.brand_kit.assets || []).find((item) => item.id === req.params.assetId);
+  if (!asset) {
+    return res.status(404).json({ error: 'Brand asset not found' });
+  }
+  removeBrandAssetFiles(project, asset);
+  project.brand_kit.assets = project.brand_kit.assets.filter((item) => item.id !== asset.id);
+  if (project.brand_kit.logo_path === asset.path) {
+    project.brand_kit.logo_path = null;
+  }
+  project.brand_kit.product_photo_paths = (project.brand_kit.product_photo_paths || []).filter((item) => item !== asset.path);
+  project.shots.forEach((shot) => {
+    if (shot.product_photo_paths) {
+      shot.product_photo_paths = shot.product_photo_paths.filter((item) => item !== asset.path);
+    }
+  });
   saveProject(project);
   res.json(project);
 });
@@ -103,14 +341,24 @@ app.post('/api/projects/:id/script', async (req, res) => {
     if (!project) {
       return res.status(404).json({ error: 'Project not found' });
     }
-    const { brief, raw_script } = req.body;
-    const result = await generateScriptSections({ brief, raw_script });
+    if (rejectIfBusy(project, res)) return;
+    const { brief, raw_script, template_id: templateId } = req.body;
+    if (templateId) {
+      const template = loadScriptTemplate(templateId);
+      if (!template) {
+        return res.status(400).json({ error: 'Script template not found' });
+      }
+      project.script_template = template;
+    }
+    const template = projectScriptTemplate(project);
+    const result = await generateScriptSections({ brief, raw_script, template, projectId: project.id });
     project.script = {
       raw: result.raw,
       sections: result.sections,
       generated: result.generated,
       provider: result.provider,
       model: result.model,
+      template_id: result.template_id,
     };
     saveProject(project);
     res.json(project.script);
@@ -120,14 +368,134 @@ app.post('/api/projects/:id/script', async (req, res) => {
   }
 });
 
-app.post('/api/projects/:id/storyboard', (req, res) => {
+// What a branched variant still needs before it can export, and what that would cost
+const describeVariantBranch = (branch) => {
+  const outdated = { only: ['missing', 'failed', 'stale'] };
+  const pending = (asset) => {
+    const planned = planShotBatch(branch, asset, outdated).map((item) => item.shot_id);
+    return branch.shots.filter((shot) => planned.includes(shot.id));
+  };
+  const keyframes = pending('keyframe');
+  const clips = pending('clip');
+  return {
+    project_id: branch.id,
+    shots: branch.shots.length,
+    pending_keyframe_shot_ids: keyframes.map((shot) => shot.id),
+    pending_clip_shot_ids: clips.map((shot) => shot.id),
+    pending_estimate_usd:
+      estimateGenerationCost(branch, { shots: keyframes, assets: ['keyframe'] }) +
+      estimateGenerationCost(branch, { shots: clips, assets: ['clip'] }),
+    latest_export: branch.exports[branch.exports.length - 1]?.path || null,
+  };
+};
+
+app.get('/api/projects/:id/variants', (req, res) => {
+  const project = loadProject(req.params.id);
+  if (!project) {
+    return res.status(404).json({ error: 'Project not found' });
+  }
+  res.json({
+    variant_of: project.variant_of || null,
+    variants: (project.script_variants || []).map((variant) => {
+      const branch = variant.branch_project_id ? loadProject(variant.branch_project_id) : null;
+      return { ...variant, branch: branch ? describeVariantBranch(branch) : null };
+    }),
+  });
+});
+
+// { brief, angles } writes one script per angle; { variants: [{ name, raw_script }] } stores given scripts
+app.post('/api/projects/:id/variants', async (req, res) => {
+  try {
+    const project = loadProject(req.params.id);
+    if (!project) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+    if (rejectIfBusy(project, res)) return;
+    const { request, error } = normalizeVariantRequest(req.body || {});
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    const variants = await generateScriptVariants(project, request);
+    project.script_variants = [...(project.script_variants || []), ...variants];
+    saveProject(project);
+    res.status(201).json({ variants, script_variants: project.script_variants });
+  } catch (error) {
+    console.error('[Server] Script variant error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Branch a variant into its own project that reuses the shots of unchanged script sections
+app.post('/api/projects/:id/variants/:variantId/branch', (req, res) => {
   const project = loadProject(req.params.id);
   if (!project) {
     return res.status(404).json({ error: 'Project not found' });
   }
-  project.shots = generateStoryboardShots(project);
+  const variant = (project.script_variants || []).find((item) => item.id === req.params.variantId);
+  if (!variant) {
+    return res.status(404).json({ error: 'Variant not found' });
+  }
+  if ((variant.template_id || 'classic') !== projectScriptTemplate(project).id) {
+    return res.status(400).json({ error: 'Variant was written for a different script template than the project now uses' });
+  }
+  if (variant.branch_project_id && loadProject(variant.branch_project_id)) {
+    return res.status(409).json({ error: 'Variant is already branched', project_id: variant.branch_project_id });
+  }
+  if (rejectIfBusy(project, res)) return;
+  const branch = createVariantBranch(project, variant, nanoid(10));
   saveProject(project);
-  res.json({ shots: project.shots });
+  res.status(201).json({ ...branch, variant });
+});
+
+app.get('/api/script-templates', (req, res) => {
+  res.json({ templates: listScriptTemplates() });
+});
+
+// Save a user template (a new id creates one, an existing id replaces it); built-in ids are reserved
+app.post('/api/script-templates', (req, res) => {
+  const { template, error } = normalizeScriptTemplate(req.body || {});
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  res.status(201).json(saveScriptTemplate(template));
+});
+
+// Projects keep their own copy, so deleting a template does not change existing scripts
+app.delete('/api/script-templates/:templateId', (req, res) => {
+  const template = loadScriptTemplate(req.params.templateId);
+  if (template?.built_in) {
+    return res.status(400).json({ error: 'Built-in templates cannot be deleted' });
+  }
+  if (!deleteScriptTemplate(req.params.templateId)) {
+    return res.status(404).json({ error: 'Script template not found' });
+  }
+  res.json({ templates: listScriptTemplates() });
+});
+
+// mode 'template' makes one shot per script section; 'llm' lets the LLM split sections into shots
+app.post('/api/projects/:id/storyboard', async (req, res) => {
+  try {
+    const project = loadProject(req.params.id);
+    if (!project) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+    if (rejectIfBusy(project, res)) return;
+    const { mode = 'template', max_shots: maxShots } = req.body || {};
+    if (mode === 'llm') {
+      const { shots, errors } = await generateLLMStoryboardShots(project, maxShots ? { maxShots: Number(maxShots) } : {});
+      if (errors.length) {
+        return res.status(422).json({ error: 'Could not generate an LLM storyboard', details: errors });
+      }
+      project.shots = shots;
+    } else {
+      project.shots = generateStoryboardShots(project);
+    }
+    saveProject(project);
+    res.json({ shots: project.shots });
+  } catch (error) {
+    console.error('[Server] Storyboard generation error:', error);
+    res.status(500).json({ error: error.message });
+  }
 });
 
 app.post('/api/projects/:id/settings', (req, res) => {
@@ -135,52 +503,323 @@ app.post('/api/projects/:id/settings', (req, res) => {
   if (!project) {
     return res.status(404).json({ error: 'Project not found' });
   }
+  if (rejectIfBusy(project, res)) return;
   if (req.body.selected_style_pack_id !== undefined) {
-    project.selected_style_pack_id = req.body.selected_style_pack_id || null;
+    const packId = req.body.selected_style_pack_id || null;
+    if (packId !== project.selected_style_pack_id) {
+      const stylePack = packId ? loadStylePack(packId) : null;
+      if (packId && !stylePack) {
+        return res.status(400).json({ error: 'Style pack not found' });
+      }
+      // Switching packs pins the latest version; re-selecting the same pack keeps the pin
+      project.selected_style_pack_id = packId;
+      project.selected_style_pack_version = stylePack?.version || null;
+    }
+  }
+  if (req.body.script_template_id !== undefined) {
+    const template = loadScriptTemplate(req.body.script_template_id || 'classic');
+    if (!template) {
+      return res.status(400).json({ error: 'Script template not found' });
+    }
+    // The current script is re-read into the new sections; its raw text is kept either way
+    project.script_template = template;
+    project.script = {
+      ...project.script,
+      sections: parseScriptSections(project.script?.raw, template),
+      template_id: template.id,
+    };
   }
   if (req.body.continuity_mode) {
+    const modeError = invalidContinuityMode(req.body.continuity_mode);
+    if (modeError) {
+      return res.status(400).json({ error: modeError });
+    }
     project.continuity_mode = req.body.continuity_mode;
   }
+  if (req.body.continuity_check !== undefined) {
+    const { check, error } = normalizeContinuityCheck(req.body.continuity_check || {});
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    project.continuity_check = check;
+  }
+  if (req.body.budget !== undefined) {
+    const { budget, error } = normalizeBudget(req.body.budget || {});
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    project.budget = budget;
+  }
+  if (req.body.voiceover !== undefined) {
+    const { voiceover, error } = normalizeVoiceover(req.body.voiceover || {}, project.voiceover);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    project.voiceover = voiceover;
+  }
+  if (req.body.provider_policy !== undefined) {
+    const { policy, error } = normalizeProviderPolicy(req.body.provider_policy || {});
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    project.provider_policy = policy;
+  }
   saveProject(project);
   res.json(project);
 });
 
-app.post('/api/projects/:id/keyframes', async (req, res) => {
+// Move a project to another version of its style pack (the latest when none is given).
+// Returns the diff so the caller can show what changed.
+app.post('/api/projects/:id/stylepack/upgrade', (req, res) => {
   const project = loadProject(req.params.id);
   if (!project) {
     return res.status(404).json({ error: 'Project not found' });
   }
-  const updated = await generateKeyframesForShots(project);
-  saveProject(updated);
-  res.json({ shots: updated.shots });
+  if (rejectIfBusy(project, res)) return;
+  if (!project.selected_style_pack_id) {
+    return res.status(400).json({ error: 'Project has no style pack selected' });
+  }
+  const target = loadStylePack(project.selected_style_pack_id, req.body?.version || null);
+  if (!target) {
+    return res.status(404).json({ error: 'Style pack version not found' });
+  }
+  const current = loadStylePack(project.selected_style_pack_id, project.selected_style_pack_version) || target;
+  project.selected_style_pack_version = target.version;
+  saveProject(project);
+  res.json({ project, diff: diffStylePacks(current, target) });
 });
 
-app.post('/api/projects/:id/clips', async (req, res) => {
+// Compare a style pack palette with the project's brand colors.
+// Uses the pinned version of the project's pack unless ?stylepack=<id> names another pack (latest version).
+app.get('/api/projects/:id/palette-match', (req, res) => {
   const project = loadProject(req.params.id);
   if (!project) {
     return res.status(404).json({ error: 'Project not found' });
   }
-  const updated = await generateClipsForShots(project);
-  saveProject(updated);
-  res.json({ shots: updated.shots });
+  const packId = req.query.stylepack || project.selected_style_pack_id;
+  if (!packId) {
+    return res.status(400).json({ error: 'Project has no style pack selected' });
+  }
+  const pinned = packId === project.selected_style_pack_id ? project.selected_style_pack_version : null;
+  const stylePack = loadStylePack(packId, pinned);
+  if (!stylePack) {
+    return res.status(404).json({ error: 'Style pack not found' });
+  }
+  res.json({
+    pack_id: stylePack.pack_id,
+    version: stylePack.version,
+    ...compareBrandPalette(stylePack.metadata_summary?.palette, project.brand_kit?.colors),
+  });
 });
 
-app.post('/api/projects/:id/shots/:shotId/keyframe', async (req, res) => {
+// Refuse generations that would push spend past the project budget.
+// In confirm mode the request goes through when it repeats with confirm_over_budget: true.
+const rejectIfOverBudget = (project, { shots, assets }, req, res) => {
+  const check = checkBudget(project, estimateGenerationCost(project, { shots, assets }));
+  if (check.ok || (check.mode === 'confirm' && req.body?.confirm_over_budget === true)) {
+    return false;
+  }
+  res.status(402).json({
+    error: describeBudgetCheck(check),
+    budget: check,
+    requires_confirmation: check.mode === 'confirm',
+  });
+  return true;
+};
+
+// Generation would fail on every shot when the pinned style pack version is gone
+const rejectIfStylePackMissing = (project, res) => {
+  const error = pinnedStylePackError(project);
+  if (error) {
+    res.status(409).json({ error });
+    return true;
+  }
+  return false;
+};
+
+// Resolve shot_ids / only into the shots a batch will generate. Responds 400 and returns null
+// when the selection is invalid or matches nothing.
+const planBatchRequest = (project, asset, input, res) => {
+  const { selection, error } = normalizeShotSelection(project, input);
+  if (error) {
+    res.status(400).json({ error });
+    return null;
+  }
+  const shots = planShotBatch(project, asset, selection);
+  if (!shots.length) {
+    res.status(400).json({ error: `No shots match the selection for ${asset} generation`, selection });
+    return null;
+  }
+  return { selection, shots, filtered: Boolean(selection.shot_ids || selection.only) };
+};
+
+// Dry run of a keyframes or clips batch: which shots would be generated and why
+app.get('/api/projects/:id/generation-plan', (req, res) => {
   const project = loadProject(req.params.id);
   if (!project) {
     return res.status(404).json({ error: 'Project not found' });
   }
-  const shotIndex = project.shots.findIndex((item) => item.id === req.params.shotId);
-  if (shotIndex === -1) {
+  const asset = req.query.asset || 'clip';
+  if (!SHOT_ASSETS.includes(asset)) {
+    return res.status(400).json({ error: `asset must be one of ${SHOT_ASSETS.join(', ')}` });
+  }
+  const { selection, error } = normalizeShotSelection(project, {
+    shot_ids: req.query.shot_ids ? String(req.query.shot_ids).split(',') : undefined,
+    only: req.query.only,
+  });
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  const shots = planShotBatch(project, asset, selection);
+  res.json({
+    asset,
+    selection,
+    shots,
+    estimate: estimateGenerationCost(project, {
+      shots: project.shots.filter((shot) => shots.some((item) => item.shot_id === shot.id)),
+      assets: [asset],
+    }),
+  });
+});
+
+const enqueueBatch = (type, asset) => (req, res) => {
+  const project = loadProject(req.params.id);
+  if (!project) {
+    return res.status(404).json({ error: 'Project not found' });
+  }
+  if (rejectIfStylePackMissing(project, res)) return;
+  const plan = planBatchRequest(project, asset, req.body || {}, res);
+  if (!plan) return;
+  const shots = project.shots.filter((shot) => plan.shots.some((item) => item.shot_id === shot.id));
+  if (rejectIfOverBudget(project, { shots, assets: [asset] }, req, res)) return;
+  const job = queue.enqueue({
+    type,
+    projectId: project.id,
+    payload: {
+      confirm_over_budget: req.body?.confirm_over_budget === true,
+      shot_ids: plan.filtered ? shots.map((shot) => shot.id) : null,
+    },
+  });
+  res.status(202).json({ job, selection: plan.selection, shots: plan.shots });
+};
+
+app.post('/api/projects/:id/keyframes', enqueueBatch('keyframes', 'keyframe'));
+
+app.post('/api/projects/:id/clips', enqueueBatch('clips', 'clip'));
+
+// Narration per shot against shot length, the fit warnings, and which shots a narration batch would voice
+app.get('/api/projects/:id/narration', (req, res) => {
+  const project = loadProject(req.params.id);
+  if (!project) {
+    return res.status(404).json({ error: 'Project not found' });
+  }
+  res.json({ ...narrationReport(project), plan: planNarrationBatch(project) });
+});
+
+// Voice missing or outdated narration, or exactly the shots in shot_ids
+app.post('/api/projects/:id/narration', (req, res) => {
+  const project = loadProject(req.params.id);
+  if (!project) {
+    return res.status(404).json({ error: 'Project not found' });
+  }
+  const shotIds = req.body?.shot_ids;
+  if (shotIds !== undefined && (!Array.isArray(shotIds) || shotIds.some((id) => !project.shots.some((shot) => shot.id === id)))) {
+    return res.status(400).json({ error: 'shot_ids must list shots of this project' });
+  }
+  const plan = planNarrationBatch(project, shotIds || null);
+  if (!plan.length) {
+    return res.status(400).json({ error: 'No shots need narration. Pass shot_ids to voice shots again.' });
+  }
+  const shots = project.shots.filter((shot) => plan.some((item) => item.shot_id === shot.id));
+  if (rejectIfOverBudget(project, { shots, assets: ['narration'] }, req, res)) return;
+  const job = queue.enqueue({
+    type: 'narration',
+    projectId: project.id,
+    payload: {
+      confirm_over_budget: req.body?.confirm_over_budget === true,
+      shot_ids: shots.map((shot) => shot.id),
+    },
+  });
+  res.status(202).json({ job, shots: plan });
+});
+
+// Shot edits would be overwritten when a running job saves its copy of the project
+const rejectIfBusy = (project, res) => {
+  if (queue.hasActiveJob(project.id)) {
+    res.status(409).json({ error: 'A generation job is running for this project. Try again when it finishes.' });
+    return true;
+  }
+  return false;
+};
+
+app.post('/api/projects/:id/shots', (req, res) => {
+  const project = loadProject(req.params.id);
+  if (!project) {
+    return res.status(404).json({ error: 'Project not found' });
+  }
+  if (rejectIfBusy(project, res)) return;
+  const { after_shot_id: afterShotId, ...input } = req.body || {};
+  const { fields, errors } = validateShotFields(input, { productPhotoPaths: productPhotoPaths(project) });
+  if (errors.length) {
+    return res.status(400).json({ error: 'Invalid shot fields', details: errors });
+  }
+  let insertAt = project.shots.length;
+  if (afterShotId !== undefined) {
+    const afterIndex = afterShotId === null ? -1 : project.shots.findIndex((item) => item.id === afterShotId);
+    if (afterShotId !== null && afterIndex === -1) {
+      return res.status(404).json({ error: 'Shot not found' });
+    }
+    insertAt = afterIndex + 1;
+  }
+  const shot = createShot(fields);
+  project.shots.splice(insertAt, 0, shot);
+  normalizeShotOrder(project);
+  saveProject(project);
+  res.status(201).json({ project, shot });
+});
+
+app.post('/api/projects/:id/shots/reorder', (req, res) => {
+  const project = loadProject(req.params.id);
+  if (!project) {
+    return res.status(404).json({ error: 'Project not found' });
+  }
+  if (rejectIfBusy(project, res)) return;
+  const shotIds = req.body?.shot_ids;
+  const currentIds = project.shots.map((item) => item.id);
+  if (
+    !Array.isArray(shotIds) ||
+    shotIds.length !== currentIds.length ||
+    new Set(shotIds).size !== shotIds.length ||
+    !shotIds.every((id) => currentIds.includes(id))
+  ) {
+    return res.status(400).json({ error: 'shot_ids must list every shot exactly once' });
+  }
+  project.shots = shotIds.map((id) => project.shots.find((item) => item.id === id));
+  normalizeShotOrder(project);
+  saveProject(project);
+  res.json({ project });
+});
+
+app.patch('/api/projects/:id/shots/:shotId', (req, res) => {
+  const project = loadProject(req.params.id);
+  if (!project) {
+    return res.status(404).json({ error: 'Project not found' });
+  }
+  const shot = project.shots.find((item) => item.id === req.params.shotId);
+  if (!shot) {
     return res.status(404).json({ error: 'Shot not found' });
   }
-  const shot = project.shots[shotIndex];
-  await generateKeyframeForShot({ project, shot });
+  if (rejectIfBusy(project, res)) return;
+  const { fields, errors } = validateShotFields(req.body, { productPhotoPaths: productPhotoPaths(project) });
+  if (errors.length) {
+    return res.status(400).json({ error: 'Invalid shot fields', details: errors });
+  }
+  Object.assign(shot, fields);
   saveProject(project);
   res.json({ project, shot });
 });
 
-app.post('/api/projects/:id/shots/:shotId/clip', async (req, res) => {
+app.delete('/api/projects/:id/shots/:shotId', (req, res) => {
   const project = loadProject(req.params.id);
   if (!project) {
     return res.status(404).json({ error: 'Project not found' });
@@ -189,14 +828,14 @@ app.post('/api/projects/:id/shots/:shotId/clip', async (req, res) => {
   if (shotIndex === -1) {
     return res.status(404).json({ error: 'Shot not found' });
   }
-  const shot = project.shots[shotIndex];
-  const previousShot = project.shots[shotIndex - 1];
-  await generateClipForShot({ project, shot, previousShot });
+  if (rejectIfBusy(project, res)) return;
+  project.shots.splice(shotIndex, 1);
+  normalizeShotOrder(project);
   saveProject(project);
-  res.json({ project, shot });
+  res.json({ project });
 });
 
-app.post('/api/projects/:id/shots/:shotId/regenerate', async (req, res) => {
+app.post('/api/projects/:id/shots/:shotId/duplicate', (req, res) => {
   const project = loadProject(req.params.id);
   if (!project) {
     return res.status(404).json({ error: 'Project not found' });
@@ -205,24 +844,52 @@ app.post('/api/projects/:id/shots/:shotId/regenerate', async (req, res) => {
   if (shotIndex === -1) {
     return res.status(404).json({ error: 'Shot not found' });
   }
-  const shot = project.shots[shotIndex];
-  const mode = req.body?.mode || 'both';
-  if (mode === 'keyframe' || mode === 'both') {
-    await generateKeyframeForShot({ project, shot });
-  }
-  if (mode === 'clip' || mode === 'both') {
-    const previousShot = project.shots[shotIndex - 1];
-    await generateClipForShot({ project, shot, previousShot });
-  }
+  if (rejectIfBusy(project, res)) return;
+  const shot = duplicateShot(project.shots[shotIndex]);
+  project.shots.splice(shotIndex + 1, 0, shot);
+  normalizeShotOrder(project);
   saveProject(project);
-  res.json({ project, shot });
+  res.status(201).json({ project, shot });
 });
 
+// One shot's keyframe and/or clip, run by the queue like every other generation so the job's
+// copy of project.json is the only one being written. mode comes from the route or the body.
+const enqueueShotJob = (fixedMode) => (req, res) => {
+  const project = loadProject(req.params.id);
+  if (!project) {
+    return res.status(404).json({ error: 'Project not found' });
+  }
+  const shot = project.shots.find((item) => item.id === req.params.shotId);
+  if (!shot) {
+    return res.status(404).json({ error: 'Shot not found' });
+  }
+  const mode = fixedMode || req.body?.mode || 'both';
+  if (!['keyframe', 'clip', 'both'].includes(mode)) {
+    return res.status(400).json({ error: 'Invalid regenerate mode' });
+  }
+  const assets = mode === 'both' ? ['keyframe', 'clip'] : [mode];
+  if (rejectIfStylePackMissing(project, res)) return;
+  if (rejectIfOverBudget(project, { shots: [shot], assets }, req, res)) return;
+  const job = queue.enqueue({
+    type: 'regenerate',
+    projectId: project.id,
+    payload: { shotId: shot.id, mode, confirm_over_budget: req.body?.confirm_over_budget === true },
+  });
+  res.status(202).json({ job });
+};
+
+app.post('/api/projects/:id/shots/:shotId/keyframe', enqueueShotJob('keyframe'));
+
+app.post('/api/projects/:id/shots/:shotId/clip', enqueueShotJob('clip'));
+
+app.post('/api/projects/:id/shots/:shotId/regenerate', enqueueShotJob(null));
+
 app.post('/api/projects/:id/shots/:shotId/rollback', (req, res) => {
   const project = loadProject(req.params.id);
   if (!project) {
     return res.status(404).json({ error: 'Project not found' });
   }
+  if (rejectIfBusy(project, res)) return;
   const shot = project.shots.find((item) => item.id === req.params.shotId);
   if (!shot) {
     return res.status(404).json({ error: 'Shot not found' });
@@ -254,14 +921,180 @@ app.post('/api/projects/:id/shots/:shotId/rollback', (req, res) => {
   res.json({ project, shot });
 });
 
-app.post('/api/projects/:id/export', async (req, res) => {
+// Measure every cut between adjacent clips (last frame against the next first frame)
+app.get('/api/projects/:id/continuity', (req, res) => {
   const project = loadProject(req.params.id);
   if (!project) {
     return res.status(404).json({ error: 'Project not found' });
   }
-  const result = await exportProjectVideo(project, req.body || {});
-  saveProject(result.project);
-  res.json(result);
+  try {
+    res.json(buildContinuityReport(project));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/projects/:id/continuity/regenerate', (req, res) => {
+  const project = loadProject(req.params.id);
+  if (!project) {
+    return res.status(404).json({ error: 'Project not found' });
+  }
+  if (rejectIfBusy(project, res)) return;
+  const { check, error } = normalizeContinuityCheck({
+    max_attempts: req.body?.max_attempts ?? project.continuity_check?.max_attempts,
+  });
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  const report = buildContinuityReport(project);
+  const shots = project.shots.filter((shot) => report.jarring_shot_ids.includes(shot.id));
+  if (!shots.length) {
+    return res.status(400).json({ error: 'No jarring cuts to fix', report });
+  }
+  if (rejectIfStylePackMissing(project, res)) return;
+  if (rejectIfOverBudget(project, { shots, assets: ['clip'] }, req, res)) return;
+  const job = queue.enqueue({
+    type: 'continuity',
+    projectId: project.id,
+    payload: { max_attempts: check.max_attempts, confirm_over_budget: req.body?.confirm_over_budget === true },
+  });
+  res.status(202).json({ job, report });
+});
+
+app.get('/api/projects/:id/qa', (req, res) => {
+  const project = loadProject(req.params.id);
+  if (!project) {
+    return res.status(404).json({ error: 'Project not found' });
+  }
+  res.json(buildQaReport(project));
+});
+
+app.post('/api/projects/:id/qa', (req, res) => {
+  const project = loadProject(req.params.id);
+  if (!project) {
+    return res.status(404).json({ error: 'Project not found' });
+  }
+  if (rejectIfBusy(project, res)) return;
+  if (rejectIfStylePackMissing(project, res)) return;
+  try {
+    checkProjectAssets(project);
+  } catch (error) {
+    return res.status(500).json({ error: error.message });
+  }
+  saveProject(project);
+  res.json({ project, report: buildQaReport(project) });
+});
+
+app.get('/api/export/presets', (req, res) => {
+  res.json({ presets: EXPORT_PRESETS, fit_modes: FIT_MODES });
+});
+
+// Exports run as background jobs; the project's other jobs finish first
+const enqueueExport = (project, options) =>
+  queue.enqueue({ type: 'export', projectId: project.id, payload: { options } });
+
+app.post('/api/projects/:id/export', (req, res) => {
+  const project = loadProject(req.params.id);
+  if (!project) {
+    return res.status(404).json({ error: 'Project not found' });
+  }
+  const error = exportOptionsError(project, req.body || {});
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  res.status(202).json({ job: enqueueExport(project, req.body || {}) });
+});
+
+// Export the project and every branched variant as separate cuts with the same export options,
+// one job per cut. A cut that cannot be exported is listed with its error instead of a job.
+app.post('/api/projects/:id/variants/export', (req, res) => {
+  const project = loadProject(req.params.id);
+  if (!project) {
+    return res.status(404).json({ error: 'Project not found' });
+  }
+  const cuts = [{ variant_id: null, name: 'Original', project }].concat(
+    (project.script_variants || [])
+      .map((variant) => ({
+        variant_id: variant.id,
+        name: variant.name,
+        project: variant.branch_project_id ? loadProject(variant.branch_project_id) : null,
+      }))
+      .filter((cut) => cut.project)
+  );
+  const results = cuts.map((cut) => {
+    const summary = { variant_id: cut.variant_id, name: cut.name, project_id: cut.project.id };
+    const error = exportOptionsError(cut.project, req.body || {});
+    return error ? { ...summary, error } : { ...summary, job: enqueueExport(cut.project, req.body || {}) };
+  });
+  res.status(202).json({ cuts: results });
+});
+
+app.get('/api/projects/:id/costs', (req, res) => {
+  const project = loadProject(req.params.id);
+  if (!project) {
+    return res.status(404).json({ error: 'Project not found' });
+  }
+  const summary = tracker.getProjectSummary(project.id);
+  const budget = { ...DEFAULT_BUDGET, ...project.budget };
+  res.json({
+    project_id: project.id,
+    budget: {
+      ...budget,
+      spent: summary.totals.total,
+      remaining: budget.limit_usd === null ? null : Math.max(budget.limit_usd - summary.totals.total, 0),
+    },
+    ...summary,
+  });
+});
+
+app.get('/api/projects/:id/jobs', (req, res) => {
+  const project = loadProject(req.params.id);
+  if (!project) {
+    return res.status(404).json({ error: 'Project not found' });
+  }
+  res.json({ jobs: listJobs({ projectId: project.id }) });
+});
+
+app.get('/api/jobs/:jobId', (req, res) => {
+  const job = loadJob(req.params.jobId);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+  res.json(job);
+});
+
+// Server-Sent Events stream of job updates; closes once the job finishes
+app.get('/api/jobs/:jobId/events', (req, res) => {
+  const job = loadJob(req.params.jobId);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+  });
+  res.flushHeaders();
+
+  const send = (update) => {
+    res.write(`event: ${queue.isFinished(update) ? 'done' : 'progress'}\n`);
+    res.write(`data: ${JSON.stringify(update)}\n\n`);
+    if (queue.isFinished(update)) {
+      cleanup();
+      res.end();
+    }
+  };
+  const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+  const eventName = `update:${job.id}`;
+  const cleanup = () => {
+    clearInterval(heartbeat);
+    queue.off(eventName, send);
+  };
+
+  queue.on(eventName, send);
+  req.on('close', cleanup);
+  send(job);
 });
 
 app.get('/api/stylepacks', (req, res) => {
@@ -269,8 +1102,12 @@ app.get('/api/stylepacks', (req, res) => {
 });
 
 app.post('/api/stylepacks', (req, res) => {
+  const { value: framesPerVideo, error } = normalizeFramesPerVideo(req.body.frames_per_video);
+  if (error) {
+    return res.status(400).json({ error });
+  }
   const packId = nanoid(10);
-  const pack = createStylePack(packId, req.body);
+  const pack = createStylePack(packId, { ...req.body, frames_per_video: framesPerVideo });
   res.status(201).json(pack);
 });
 
@@ -287,20 +1124,101 @@ app.post('/api/stylepacks/:id', (req, res) => {
   if (!pack) {
     return res.status(404).json({ error: 'Style pack not found' });
   }
-  Object.assign(pack, req.body);
-  saveStylePack(pack);
+  const { name, description, prompt_spine: promptSpine, negative_prompt_spine: negativeSpine, version_note: note } = req.body;
+  const edits = { name, description, prompt_spine: promptSpine, negative_prompt_spine: negativeSpine };
+  if (req.body.frames_per_video !== undefined) {
+    const { value, error } = normalizeFramesPerVideo(req.body.frames_per_video);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    // Takes effect the next time videos are processed; existing refs are not re-extracted
+    edits.frames_per_video = value;
+  }
+  Object.keys(edits).forEach((key) => edits[key] === undefined && delete edits[key]);
+  const saved = saveStylePack({ ...pack, ...edits }, note || `Edited ${Object.keys(edits).join(', ') || 'pack'}`);
+  res.json(saved);
+});
+
+// Describe the pack's top refs with a multimodal LLM and save the spines it writes as a new version
+app.post('/api/stylepacks/:id/analyze', async (req, res) => {
+  try {
+    const pack = loadStylePack(req.params.id);
+    if (!pack) {
+      return res.status(404).json({ error: 'Style pack not found' });
+    }
+    const { value: refCount, error } = normalizeAnalysisRefCount(req.body?.ref_count);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    const { analysis, errors } = await analyzeStylePackWithLLM(pack, { refCount });
+    if (errors.length) {
+      return res.status(422).json({ error: 'Could not analyze the style pack', details: errors });
+    }
+    const saved = saveStylePack({
+      ...pack,
+      prompt_spine: analysis.prompt_spine,
+      negative_prompt_spine: analysis.negative_prompt_spine,
+      style_analysis: analysis,
+    }, `LLM style analysis (${analysis.model})`);
+    res.json(saved);
+  } catch (error) {
+    console.error('[Server] Style analysis error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/stylepacks/:id/versions', (req, res) => {
+  const pack = loadStylePack(req.params.id);
+  if (!pack) {
+    return res.status(404).json({ error: 'Style pack not found' });
+  }
+  res.json({ pack_id: pack.pack_id, latest_version: pack.version, versions: listStylePackVersions(pack.pack_id) });
+});
+
+app.get('/api/stylepacks/:id/versions/:version', (req, res) => {
+  const pack = loadStylePack(req.params.id, req.params.version);
+  if (!pack) {
+    return res.status(404).json({ error: 'Style pack version not found' });
+  }
   res.json(pack);
 });
 
+// ?from=<version>&to=<version>; to defaults to the latest version
+app.get('/api/stylepacks/:id/diff', (req, res) => {
+  const latest = loadStylePack(req.params.id);
+  if (!latest) {
+    return res.status(404).json({ error: 'Style pack not found' });
+  }
+  const from = loadStylePack(latest.pack_id, req.query.from || 1);
+  const to = loadStylePack(latest.pack_id, req.query.to || latest.version);
+  if (!from || !to) {
+    return res.status(404).json({ error: 'Style pack version not found' });
+  }
+  res.json(diffStylePacks(from, to));
+});
+
 app.post('/api/stylepacks/:id/videos', upload.array('videos', 10), async (req, res) => {
   const pack = loadStylePack(req.params.id);
   if (!pack) {
     return res.status(404).json({ error: 'Style pack not found' });
   }
-  ensureStylePackDirs(pack.pack_id);
-  const updatedPack = await processStylePackVideos(pack, req.files);
-  saveStylePack(updatedPack);
-  res.json(updatedPack);
+  if (req.body.frames_per_video !== undefined) {
+    const { value, error } = normalizeFramesPerVideo(req.body.frames_per_video);
+    if (error) {
+      (req.files || []).forEach((file) => fs.existsSync(file.path) && fs.unlinkSync(file.path));
+      return res.status(400).json({ error });
+    }
+    pack.frames_per_video = value;
+  }
+  try {
+    ensureStylePackDirs(pack.pack_id);
+    const updatedPack = await processStylePackVideos(pack, req.files);
+    const saved = saveStylePack(updatedPack, `Added ${req.files.map((file) => file.originalname).join(', ')}`);
+    res.json(saved);
+  } catch (error) {
+    console.error('[Server] Style pack video processing error:', error);
+    res.status(500).json({ error: error.message });
+  }
 });
 
 app.listen(port, () => {
@@ -0,0 +1,164 @@
+const fs = require('fs');
+const { hasFfmpeg, runFfmpegAsync, getMediaDuration, hasAudioStream } = require('../utils/ffmpeg');
+
+const DEFAULT_AUDIO_MIX = {
+  music_volume: 0.35,
+  fade_in_sec: 1.5,
+  fade_out_sec: 2,
+  target_lufs: -14,
+  duck: true,
+};
+
+const normalizeMixOptions = (options = {}) => {
+  const pick = (key) => {
+    const value = Number(options[key]);
+    return options[key] === undefined || options[key] === null || Number.isNaN(value) ? DEFAULT_AUDIO_MIX[key] : value;
+  };
+  return {
+    music_volume: Math.min(Math.max(pick('music_volume'), 0), 2),
+    fade_in_sec: Math.max(pick('fade_in_sec'), 0),
+    fade_out_sec: Math.max(pick('fade_out_sec'), 0),
+    target_lufs: Math.min(Math.max(pick('target_lufs'), -36), -5),
+    duck: options.duck === undefined ? DEFAULT_AUDIO_MIX.duck : Boolean(options.duck),
+  };
+};
+
+/**
+ * Build the filter graph for the music bed.
+ * The music is looped by the input options, trimmed to the cut length, faded,
+ * ducked under native clip audio via sidechain compression, then loudness-normalized.
+ */
+const buildMixFilter = ({ duration, settings, withClipAudio }) => {
+  const fadeOutStart = Math.max(duration - settings.fade_out_sec, 0);
+  const music = [
+    `[1:a]atrim=0:${duration.toFixed(3)}`,
+    'asetpts=N/SR/TB',
+    `afade=t=in:st=0:d=${settings.fade_in_sec}`,
+    `afade=t=out:st=${fadeOutStart.toFixed(3)}:d=${settings.fade_out_sec}`,
+    `volume=${settings.music_volume}[music]`,
+  ].join(',');
+  const loudnorm = `loudnorm=I=${settings.target_lufs}:TP=-1.5:LRA=11`;
+
+  if (!withClipAudio) {
+    return `${music};[music]${loudnorm}[aout]`;
+  }
+
+  const bed = settings.duck
+    ? '[0:a]asplit=2[clip][sidechain];[music][sidechain]sidechaincompress=threshold=0.05:ratio=8:attack=20:release=400[bed]'
+    : '[0:a]anull[clip];[music]anull[bed]';
+  return `${music};${bed};[bed][clip]amix=inputs=2:duration=first:normalize=0,${loudnorm}[aout]`;
+};
+
+/**
+ * Mix background music under a stitched export.
+ * durationSec is the timeline's length, used when ffprobe cannot measure the stitched file.
+ * Returns the audio record stored on the export entry.
+ */
+const mixBackgroundMusic = async ({ videoPath, musicPath, outputPath, options, durationSec = null }) => {
+  const settings = normalizeMixOptions(options);
+  if (!fs.existsSync(musicPath)) {
+    throw new Error(`Background music not found: ${musicPath}`);
+  }
+
+  const record = { path: musicPath, ...settings, mixed: false, ducked: false };
+  if (!hasFfmpeg()) {
+    fs.copyFileSync(videoPath, outputPath);
+    return record;
+  }
+
+  const duration = getMediaDuration(videoPath) || durationSec;
+  if (!duration) {
+    throw new Error('Could not read export duration for audio mix');
+  }
+  const withClipAudio = hasAudioStream(videoPath);
+  const args = [
+    '-y',
+    '-i', videoPath,
+    '-stream_loop', '-1',
+    '-i', musicPath,
+    '-filter_complex', buildMixFilter({ duration, settings, withClipAudio }),
+    '-map', '0:v',
+    '-map', '[aout]',
+    '-c:v', 'copy',
+    '-c:a', 'aac',
+    '-b:a', '192k',
+    '-ar', '48000',
+    '-t', duration.toFixed(3),
+    outputPath,
+  ];
+  const result = await runFfmpegAsync(args);
+  if (!result.ok) {
+    console.error('[AudioMix] ffmpeg mix failed:', result.stderr?.slice(-500));
+    fs.copyFileSync(videoPath, outputPath);
+    return { ...record, error: 'ffmpeg audio mix failed' };
+  }
+
+  return { ...record, mixed: true, ducked: withClipAudio && settings.duck, duration_sec: duration };
+};
+
+/**
+ * Lay each shot's narration over the cut from the moment its shot becomes visible, mixed with
+ * any native clip audio. Runs before the music pass so the music ducks under the voice.
+ * durationSec works as in mixBackgroundMusic. Returns the narration record stored on the export entry.
+ */
+const mixNarration = async ({ videoPath, outputPath, cues, durationSec = null }) => {
+  const record = {
+    cues: cues.map((cue) => ({
+      shot_id: cue.shot_id,
+      start_sec: Math.round(cue.start_sec * 1000) / 1000,
+      duration_sec: cue.duration_sec,
+      overrun_sec: Math.max(0, Math.round((cue.duration_sec - cue.window_sec) * 100) / 100),
+    })),
+    mixed: false,
+  };
+  if (!hasFfmpeg()) {
+    fs.copyFileSync(videoPath, outputPath);
+    return record;
+  }
+
+  const duration = getMediaDuration(videoPath) || durationSec;
+  if (!duration) {
+    throw new Error('Could not read export duration for narration mix');
+  }
+  const withClipAudio = hasAudioStream(videoPath);
+  const delayed = cues.map((cue, index) => {
+    const delayMs = Math.round(cue.start_sec * 1000);
+    return `[${index + 1}:a]aresample=48000,adelay=delays=${delayMs}:all=1[n${index}]`;
+  });
+  const voices = cues.map((cue, index) => `[n${index}]`).join('');
+  const narration = cues.length > 1
+    ? `${voices}amix=inputs=${cues.length}:duration=longest:normalize=0[narration]`
+    : '[n0]anull[narration]';
+  const output = withClipAudio
+    ? '[0:a][narration]amix=inputs=2:duration=first:normalize=0[aout]'
+    : '[narration]apad[aout]';
+  const args = [
+    '-y',
+    '-i', videoPath,
+    ...cues.flatMap((cue) => ['-i', cue.path]),
+    '-filter_complex', [...delayed, narration, output].join(';'),
+    '-map', '0:v',
+    '-map', '[aout]',
+    '-c:v', 'copy',
+    '-c:a', 'aac',
+    '-b:a', '192k',
+    '-ar', '48000',
+    '-t', duration.toFixed(3),
+    outputPath,
+  ];
+  const result = await runFfmpegAsync(args);
+  if (!result.ok) {
+    console.error('[AudioMix] ffmpeg narration mix failed:', result.stderr?.slice(-500));
+    fs.copyFileSync(videoPath, outputPath);
+    return { ...record, error: 'ffmpeg narration mix failed' };
+  }
+
+  return { ...record, mixed: true, with_clip_audio: withClipAudio, duration_sec: duration };
+};
+
+module.exports = {
+  DEFAULT_AUDIO_MIX,
+  normalizeMixOptions,
+  mixBackgroundMusic,
+  mixNarration,
+};
@@ -0,0 +1,110 @@
+const { ImageProvider } = require('../providers/imageProvider');
+const { VideoProvider } = require('../providers/videoProvider');
+const { VoiceProvider } = require('../providers/voiceProvider');
+const { imageProviderConfig, videoProviderConfig } = require('./providerPolicy');
+const { bridgeProviderConfig, bridgeClipDuration } = require('./handoff');
+const { narrationTexts } = require('./voiceover');
+const { estimateImageCost, estimateVideoCost, estimateVoiceCost, tracker } = require('../utils/costs');
+
+// block refuses over-budget generations; confirm lets them through once the caller confirms
+const BUDGET_MODES = ['block', 'confirm'];
+const DEFAULT_BUDGET = { limit_usd: null, mode: 'block' };
+
+/**
+ * Validate a budget update from the settings API. A null or 0 limit removes the cap.
+ */
+const normalizeBudget = (input = {}) => {
+  const mode = input.mode === undefined ? DEFAULT_BUDGET.mode : input.mode;
+  if (!BUDGET_MODES.includes(mode)) {
+    return { error: `budget.mode must be one of ${BUDGET_MODES.join(', ')}` };
+  }
+  if (input.limit_usd === null || input.limit_usd === undefined || input.limit_usd === '' || Number(input.limit_usd) === 0) {
+    return { budget: { limit_usd: null, mode } };
+  }
+  const limit = Number(input.limit_usd);
+  if (Number.isNaN(limit) || limit < 0) {
+    return { error: 'budget.limit_usd must be a positive number' };
+  }
+  return { budget: { limit_usd: limit, mode } };
+};
+
+/**
+ * Estimate what generating the given assets for these shots will cost with the
+ * first provider of the project's fallback chain. In bridge-clip continuity mode every clip
+ * after the first also pays for its bridge clip, at the length the provider will render it.
+ * Narration is priced by the characters it reads.
+ */
+const estimateGenerationCost = (project, { shots, assets }) => {
+  const imageProvider = assets.includes('keyframe') ? new ImageProvider(imageProviderConfig(project)) : null;
+  const videoProvider = assets.includes('clip') ? new VideoProvider(videoProviderConfig(project)) : null;
+  const bridgeConfig = videoProvider && project.continuity_mode === 'bridge-clip' ? bridgeProviderConfig(project) : null;
+  const bridgeProvider = bridgeConfig ? new VideoProvider(bridgeConfig) : null;
+  const firstShotId = project.shots[0]?.id;
+  const voiceProvider = assets.includes('narration') ? new VoiceProvider() : null;
+  const texts = voiceProvider ? narrationTexts(project) : {};
+
+  return shots.reduce((total, shot) => {
+    let cost = total;
+    if (imageProvider) {
+      cost += estimateImageCost(imageProvider.name, imageProvider.model).cost;
+    }
+    if (videoProvider) {
+      const { durationSec } = videoProvider.resolveOutputSettings(videoProvider.name, {
+        aspectRatio: project.aspect_ratio,
+        durationSec: shot.duration_sec,
+      });
+      cost += estimateVideoCost(videoProvider.name, videoProvider.model, durationSec).cost;
+    }
+    if (bridgeProvider && shot.id !== firstShotId) {
+      const durationSec = bridgeClipDuration(bridgeProvider, project.aspect_ratio);
+      cost += estimateVideoCost(bridgeProvider.name, bridgeProvider.model, durationSec).cost;
+    }
+    if (voiceProvider && texts[shot.id]) {
+      cost += estimateVoiceCost(voiceProvider.name, voiceProvider.model, texts[shot.id].length).cost;
+    }
+    return cost;
+  }, 0);
+};
+
+/**
+ * Compare recorded spend plus an estimate against the project's budget
+ */
+const checkBudget = (project, estimate) => {
+  const budget = { ...DEFAULT_BUDGET, ...project.budget };
+  const spent = tracker.getProjectSummary(project.id).totals.total;
+  const projected = spent + estimate;
+  return {
+    ...budget,
+    spent,
+    estimate,
+    projected,
+    remaining: budget.limit_usd === null ? null : Math.max(budget.limit_usd - spent, 0),
+    // Free generations (e.g. placeholders) are never blocked
+    ok: budget.limit_usd === null || estimate === 0 || projected <= budget.limit_usd,
+  };
+};
+
+const describeBudgetCheck = (check) =>
+  `Budget exceeded: $${check.spent.toFixed(2)} spent + $${check.estimate.toFixed(2)} estimated ` +
+  `is over the $${check.limit_usd.toFixed(2)} limit`;
+
+/**
+ * Throw before a generation that would take the project past its budget
+ */
+const assertWithinBudget = (project, { shots, assets }) => {
+  const check = checkBudget(project, estimateGenerationCost(project, { shots, assets }));
+  if (!check.ok) {
+    throw new Error(describeBudgetCheck(check));
+  }
+  return check;
+};
+
+module.exports = {
+  BUDGET_MODES,
+  DEFAULT_BUDGET,
+  normalizeBudget,
+  estimateGenerationCost,
+  checkBudget,
+  describeBudgetCheck,
+  assertWithinBudget,
+};
@@ -0,0 +1,321 @@
+const fs = require('fs');
+const { hasFfmpeg, runFfmpegAsync, escapeFilterValue } = require('../utils/ffmpeg');
+const { TEXT_POSITIONS, safeAreaFor, toFfmpegColor, wrapText } = require('./overlays');
+
+const DEFAULT_CAPTIONS = {
+  burn: false,
+  highlight: true,
+  position: 'bottom',
+  font: 'Sans',
+  max_lines: 2,
+};
+const MAX_CAPTION_LINES = 3;
+// Characters per caption line; tall frames get shorter lines
+const LINE_CHARS = { portrait: 28, square: 32, landscape: 42 };
+const SENTENCE_END = /[.!?]["')\]]*$/;
+// ASS alignment codes (numpad layout)
+const ASS_ALIGNMENT = { bottom: 2, center: 5, top: 8 };
+
+/**
+ * Caption settings for an export. Sidecar SRT and WebVTT files are written unless options is
+ * false. Burned captions move to the center when on-screen text is burned at the same position.
+ */
+const normalizeCaptionOptions = (options, overlays = null) => {
+  if (options === false) {
+    return null;
+  }
+  const input = options && typeof options === 'object' ? options : {};
+  const defaultPosition =
+    overlays?.text && overlays.position === DEFAULT_CAPTIONS.position ? 'center' : DEFAULT_CAPTIONS.position;
+  return {
+    burn: Boolean(input.burn),
+    highlight: input.highlight === undefined ? DEFAULT_CAPTIONS.highlight : Boolean(input.highlight),
+    position: TEXT_POSITIONS.includes(input.position) ? input.position : defaultPosition,
+    font: input.font || overlays?.font || DEFAULT_CAPTIONS.font,
+    max_lines: Math.min(Math.max(Math.round(Number(input.max_lines)) || DEFAULT_CAPTIONS.max_lines, 1), MAX_CAPTION_LINES),
+  };
+};
+
+const lineChars = (width, height) => {
+  if (width < height) return LINE_CHARS.portrait;
+  return width === height ? LINE_CHARS.square : LINE_CHARS.landscape;
+};
+
+// Spread a block's time over its words by length, with a short pause after punctuation
+const estimateWordTimes = (text, start, end) => {
+  const words = text.split(/\s+/).filter(Boolean);
+  const weights = words.map((word) => word.length + 1 + (/[.,!?;:]$/.test(word) ? 3 : 0));
+  const total = weights.reduce((sum, weight) => sum + weight, 0);
+  let cursor = start;
+  return words.map((word, index) => {
+    const length = ((end - start) * weights[index]) / total;
+    const timing = { text: word, start: cursor, end: cursor + length };
+    cursor += length;
+    return timing;
+  });
+};
+
+/**
+ * Word timings for a block: from the voice provider when it reported them (seconds from the
+ * start of the narration), otherwise estimated across the block
+ */
+const blockWordTimes = (block) => {
+  const words = block.narration?.words;
+  if (!words?.length) {
+    return estimateWordTimes(block.text, block.start, block.end);
+  }
+  return words.map((word) => ({
+    text: word.text,
+    start: Math.min(block.start + word.start, block.end),
+    end: Math.min(block.start + word.end, block.end),
+  }));
+};
+
+/**
+ * What is said or shown over each shot on the export timeline: the narration while it plays,
+ * else the shot's on-screen text for the shot's visible window. A block never runs into the next one.
+ */
+const captionBlocks = (project, timeline) => {
+  const blocks = timeline
+    .filter((entry) => entry.shot_id)
+    .map((entry) => {
+      const shot = project.shots.find((item) => item.id === entry.shot_id);
+      const narration = shot?.narration?.path && fs.existsSync(shot.narration.path) ? shot.narration : null;
+      if (narration?.text) {
+        return {
+          shot_id: shot.id,
+          source: 'narration',
+          text: narration.text,
+          start: entry.start,
+          end: entry.start + narration.duration_sec,
+          narration,
+        };
+      }
+      const onScreen = shot?.on_screen_text?.trim();
+      return onScreen ? { shot_id: shot.id, source: 'on-screen', text: onScreen, start: entry.start, end: entry.end } : null;
+    })
+    .filter(Boolean);
+  return blocks.map((block, index) => ({ ...block, end: Math.min(block.end, blocks[index + 1]?.start ?? Infinity) }));
+};
+
+const roundTime = (seconds) => Math.round(seconds * 1000) / 1000;
+
+/**
+ * Split the caption blocks into cues of at most maxLines wrapped lines, breaking early at the end
+ * of a sentence. Narrated cues keep their word timings for highlighting.
+ */
+const buildCaptionCues = (project, timeline, { width, height, maxLines = DEFAULT_CAPTIONS.max_lines }) => {
+  const maxChars = lineChars(width, height);
+  const fits = (words) => wrapText(words.map((word) => word.text).join(' '), maxChars).split('\n').length <= maxLines;
+
+  return captionBlocks(project, timeline).flatMap((block) => {
+    const groups = [];
+    let current = [];
+    blockWordTimes(block).forEach((word) => {
+      if (current.length && !fits([...current, word])) {
+        groups.push(current);
+        current = [];
+      }
+      current.push(word);
+      if (SENTENCE_END.test(word.text)) {
+        groups.push(current);
+        current = [];
+      }
+    });
+    if (current.length) {
+      groups.push(current);
+    }
+    return groups.map((words) => ({
+      shot_id: block.shot_id,
+      source: block.source,
+      start: roundTime(words[0].start),
+      end: roundTime(words[words.length - 1].end),
+      text: wrapText(words.map((word) => word.text).join(' '), maxChars),
+      words: block.source === 'narration'
+        ? words.map((word) => ({ text: word.text, start: roundTime(word.start), end: roundTime(word.end) }))
+        : null,
+    }));
+  });
+};
+
+const pad = (value, size = 2) => String(value).padStart(size, '0');
+
+const formatTimestamp = (seconds, separator) => {
+  const ms = Math.round(seconds * 1000);
+  return `${pad(Math.floor(ms / 3600000))}:${pad(Math.floor(ms / 60000) % 60)}:${pad(Math.floor(ms / 1000) % 60)}${separator}${pad(ms % 1000, 3)}`;
+};
+
+// Lay a cue's words back onto its wrapped lines so each word can carry its own markup
+const mapCueWords = (cue, renderWord) => {
+  let index = 0;
+  return cue.text.split('\n').map((line) =>
+    line.split(' ').map(() => {
+      const word = cue.words[index];
+      index += 1;
+      return renderWord(word, index - 1);
+    }).join(' ')
+  );
+};
+
+const formatSrt = (cues) =>
+  cues.map((cue, index) => `${index + 1}\n${formatTimestamp(cue.start, ',')} --> ${formatTimestamp(cue.end, ',')}\n${cue.text}\n`).join('\n');
+
+const escapeVtt = (text) => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+// WebVTT timestamp tags let players that support them highlight each word as it is spoken
+const vttCueText = (cue) =>
+  cue.words
+    ? mapCueWords(cue, (word, index) =>
+        index === 0 ? escapeVtt(word.text) : `<${formatTimestamp(word.start, '.')}>${escapeVtt(word.text)}`
+      ).join('\n')
+    : escapeVtt(cue.text);
+
+const formatVtt = (cues) =>
+  ['WEBVTT', '', ...cues.map((cue) => `${formatTimestamp(cue.start, '.')} --> ${formatTimestamp(cue.end, '.')}\n${vttCueText(cue)}\n`)].join('\n');
+
+/**
+ * Convert a brand color to ASS syntax (&HAABBGGRR)
+ */
+const toAssColor = (color, fallback) => {
+  const hex = String(toFfmpegColor(color, '')).match(/^0x([0-9a-f]{6})$/i)?.[1];
+  return hex ? `&H00${hex.slice(4, 6)}${hex.slice(2, 4)}${hex.slice(0, 2)}`.toUpperCase() : fallback;
+};
+
+const assTime = (seconds) => {
+  const cs = Math.round(seconds * 100);
+  return `${Math.floor(cs / 360000)}:${pad(Math.floor(cs / 6000) % 60)}:${pad(Math.floor(cs / 100) % 60)}.${pad(cs % 100)}`;
+};
+
+// ASS has no escape for override braces, so they are dropped from caption text
+const escapeAss = (text) => text.replace(/[{}\\]/g, '');
+
+// With highlighting, \kf sweeps each word from the base color to the highlight color while it is spoken
+const assCueText = (cue, highlight) => {
+  if (!highlight || !cue.words) {
+    return escapeAss(cue.text).replace(/\n/g, '\\N');
+  }
+  return mapCueWords(cue, (word, index) => {
+    const next = cue.words[index + 1];
+    const centiseconds = Math.max(1, Math.round(((next ? next.start : word.end) - word.start) * 100));
+    return `{\\kf${centiseconds}}${escapeAss(word.text)}`;
+  }).join('\\N');
+};
+
+/**
+ * Styled subtitle script for burned captions: outlined text inside the safe area, with the
+ * highlight taken from the Brand Kit (third color, else the first)
+ */
+const buildAssScript = (cues, { width, height, settings, colors = [] }) => {
+  const margins = safeAreaFor(`${width}:${height}`);
+  const fontSize = Math.round(Math.min(width, height) * 0.06);
+  const base = '&H00FFFFFF';
+  const highlight = toAssColor(colors[2] || colors[0], '&H0000D7FF');
+  const marginV = Math.round((settings.position === 'top' ? margins.top : margins.bottom) * height);
+  const marginH = Math.round(margins.side * width);
+  const style = [
+    'Caption',
+    settings.font,
+    fontSize,
+    settings.highlight ? highlight : base,
+    base,
+    '&H00000000',
+    '&H80000000',
+    -1, 0, 0, 0, 100, 100, 0, 0, 1,
+    Math.max(2, Math.round(fontSize * 0.06)),
+    1,
+    ASS_ALIGNMENT[settings.position],
+    marginH,
+    marginH,
+    marginV,
+    1,
+  ].join(',');
+  return [
+    '[Script Info]',
+    'ScriptType: v4.00+',
+    `PlayResX: ${width}`,
+    `PlayResY: ${height}`,
+    'WrapStyle: 2',
+    'ScaledBorderAndShadow: yes',
+    '',
+    '[V4+ Styles]',
+    'Format: Name, Fontname, Fontsize, PrimaryColour, SecondaryColour, OutlineColour, BackColour, Bold, Italic, Underline, StrikeOut, ScaleX, ScaleY, Spacing, Angle, BorderStyle, Outline, Shadow, Alignment, MarginL, MarginR, MarginV, Encoding',
+    `Style: ${style}`,
+    '',
+    '[Events]',
+    'Format: Layer, Start, End, Style, Name, MarginL, MarginR, MarginV, Effect, Text',
+    ...cues.map((cue) => `Dialogue: 0,${assTime(cue.start)},${assTime(cue.end)},Caption,,0,0,0,,${assCueText(cue, settings.highlight)}`),
+    '',
+  ].join('\n');
+};
+
+/**
+ * Write the caption files for one rendition next to its export (basePath without extension).
+ * Burned captions leave out on-screen text when the overlay pass already burns it.
+ * Returns the captions record stored on the export entry.
+ */
+const writeCaptionFiles = ({ project, timeline, basePath, rendition, settings, overlays }) => {
+  const cues = buildCaptionCues(project, timeline, {
+    width: rendition.width,
+    height: rendition.height,
+    maxLines: settings.max_lines,
+  });
+  const record = { ...settings, cue_count: cues.length, word_timing: cues.some((cue) => cue.words), srt: null, vtt: null, ass: null, burned: false };
+  if (!cues.length) {
+    return record;
+  }
+  record.srt = `${basePath}.srt`;
+  record.vtt = `${basePath}.vtt`;
+  fs.writeFileSync(record.srt, formatSrt(cues));
+  fs.writeFileSync(record.vtt, formatVtt(cues));
+
+  const burnCues = overlays?.text ? cues.filter((cue) => cue.source !== 'on-screen') : cues;
+  if (settings.burn && burnCues.length) {
+    record.ass = `${basePath}.ass`;
+    fs.writeFileSync(
+      record.ass,
+      buildAssScript(burnCues, { width: rendition.width, height: rendition.height, settings, colors: project.brand_kit?.colors })
+    );
+  }
+  return record;
+};
+
+/**
+ * Burn an ASS caption script into the video with ffmpeg's subtitles filter (libass)
+ */
+const burnCaptions = async ({ videoPath, outputPath, assPath }) => {
+  if (!hasFfmpeg()) {
+    fs.copyFileSync(videoPath, outputPath);
+    return { burned: false };
+  }
+  const args = [
+    '-y',
+    '-i', videoPath,
+    '-vf', `subtitles=filename=${escapeFilterValue(assPath)}`,
+    '-map', '0:v',
+    '-map', '0:a?',
+    '-c:v', 'libx264',
+    '-preset', 'fast',
+    '-crf', '18',
+    '-pix_fmt', 'yuv420p',
+    '-c:a', 'copy',
+    outputPath,
+  ];
+  const result = await runFfmpegAsync(args);
+  if (!result.ok) {
+    console.error('[Captions] ffmpeg caption burn failed:', result.stderr?.slice(-500));
+    fs.copyFileSync(videoPath, outputPath);
+    return { burned: false, error: 'ffmpeg caption burn failed' };
+  }
+  return { burned: true };
+};
+
+module.exports = {
+  DEFAULT_CAPTIONS,
+  normalizeCaptionOptions,
+  buildCaptionCues,
+  formatSrt,
+  formatVtt,
+  buildAssScript,
+  writeCaptionFiles,
+  burnCaptions,
+};
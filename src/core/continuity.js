@@ -15,50 +15,94 @@ const extractLastFrame = (clipPath, outputPath) => {
   return outputPath;
 };
 
+// bridge-clip and interpolate start each clip on its own keyframe and add a handoff clip at the cut
+const CONTINUITY_MODES = ['bridging', 'last-frame', 'independent', 'bridge-clip', 'interpolate'];
+const HANDOFF_MODES = ['bridge-clip', 'interpolate'];
+
+// What each mode falls back to when the video model or the machine cannot do it
+const MODE_FALLBACKS = {
+  bridging: ['bridging', 'interpolate', 'last-frame'],
+  'bridge-clip': ['bridge-clip', 'interpolate', 'last-frame'],
+  interpolate: ['interpolate', 'last-frame'],
+  'last-frame': ['last-frame'],
+  independent: ['independent'],
+};
+
 class ContinuityManager {
-  constructor({ supportsFirstLast, mode } = {}) {
+  constructor({ supportsFirstLast, mode, canBridgeClip, canInterpolate } = {}) {
     this.supportsFirstLast = supportsFirstLast || false;
-    this.mode = mode || 'bridging';
+    this.mode = CONTINUITY_MODES.includes(mode) ? mode : 'bridging';
+    // A configured model with last-frame support for bridge clips, and ffmpeg for minterpolate
+    this.canBridgeClip = canBridgeClip || false;
+    this.canInterpolate = canInterpolate || false;
   }
 
-  resolveFrames({ previousShot, currentShot }) {
-    if (this.mode === 'independent') {
-      return {
-        firstFramePath: currentShot.keyframe_image_path,
-        targetLastFramePath: null,
-      };
-    }
+  /**
+   * Video capabilities a continuity mode needs, used to pick the video adapter.
+   * Bridging works best with first + last frame conditioning; the other modes only need a first frame.
+   */
+  static requiredCapabilities(mode = 'bridging') {
+    return mode === 'bridging' ? { firstFrame: true, lastFrame: true } : { firstFrame: true };
+  }
 
+  /**
+   * The mode used for the cut into currentShot: the project's mode, or the first fallback the
+   * video model and machine support. Handoff modes also need the previous shot's clip.
+   */
+  resolveMode({ previousShot }) {
     if (!previousShot) {
-      return {
-        firstFramePath: currentShot.keyframe_image_path,
-        targetLastFramePath: null,
-      };
+      return 'independent';
     }
+    const supported = {
+      bridging: this.supportsFirstLast,
+      'bridge-clip': this.canBridgeClip && Boolean(previousShot.clip_path),
+      interpolate: this.canInterpolate && Boolean(previousShot.clip_path),
+      'last-frame': true,
+      independent: true,
+    };
+    return MODE_FALLBACKS[this.mode].find((mode) => supported[mode]);
+  }
 
-    if (this.mode === 'last-frame') {
+  resolveFrames({ previousShot, currentShot }) {
+    const mode = this.resolveMode({ previousShot });
+    if (mode === 'last-frame') {
       return {
+        mode,
         firstFramePath: previousShot.continuity?.last_frame_path || previousShot.keyframe_image_path,
         targetLastFramePath: null,
       };
     }
 
-    if (this.supportsFirstLast) {
+    if (mode === 'bridging') {
       return {
+        mode,
         firstFramePath: currentShot.keyframe_image_path,
         targetLastFramePath: previousShot.continuity?.last_frame_path || previousShot.keyframe_image_path,
       };
     }
 
     return {
-      firstFramePath: previousShot.continuity?.last_frame_path || previousShot.keyframe_image_path,
+      mode,
+      firstFramePath: currentShot.keyframe_image_path,
       targetLastFramePath: null,
     };
   }
 
+  /**
+   * Stronger bridging for re-generating a clip whose cut did not match: start on the previous clip's
+   * actual last frame and, when the adapter supports it, steer the end toward this shot's keyframe.
+   */
+  resolveBridgeFrames({ previousShot, currentShot }) {
+    return {
+      mode: this.supportsFirstLast ? 'bridging' : 'last-frame',
+      firstFramePath: previousShot.continuity?.last_frame_path || previousShot.keyframe_image_path,
+      targetLastFramePath: this.supportsFirstLast ? currentShot.keyframe_image_path : null,
+    };
+  }
+
   saveLastFrame({ clipPath, framePath }) {
     return extractLastFrame(clipPath, framePath);
   }
 }
 
-module.exports = { ContinuityManager };
+module.exports = { CONTINUITY_MODES, HANDOFF_MODES, ContinuityManager };
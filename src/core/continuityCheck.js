@@ -0,0 +1,157 @@
+const fs = require('fs');
+const path = require('path');
+const { projectPath } = require('../storage/projectStore');
+const {
+  analyzePng,
+  readImageInfo,
+  colorHistogram,
+  histogramDistance,
+  structuralSimilarity,
+} = require('../utils/imageUtils');
+const { hasFfmpeg, runFfmpeg } = require('../utils/ffmpeg');
+
+// A cut is jarring when any of these is crossed between the last frame and the next first frame
+const CUT_THRESHOLDS = {
+  max_histogram_distance: 0.6,
+  max_brightness_jump: 40,
+  min_ssim: 0.4,
+};
+
+const DEFAULT_CONTINUITY_CHECK = { auto_regenerate: false, max_attempts: 1 };
+const MAX_FIX_ATTEMPTS = 3;
+
+/**
+ * Validate the continuity_check settings: whether jarring clips are regenerated after a clips job,
+ * and how many bridged retries each boundary gets
+ */
+const normalizeContinuityCheck = (input = {}) => {
+  const maxAttempts = input.max_attempts ?? DEFAULT_CONTINUITY_CHECK.max_attempts;
+  if (!Number.isInteger(maxAttempts) || maxAttempts < 1 || maxAttempts > MAX_FIX_ATTEMPTS) {
+    return { error: `continuity_check.max_attempts must be a whole number between 1 and ${MAX_FIX_ATTEMPTS}` };
+  }
+  return { check: { auto_regenerate: Boolean(input.auto_regenerate), max_attempts: maxAttempts } };
+};
+
+const projectContinuityCheck = (project) => ({ ...DEFAULT_CONTINUITY_CHECK, ...project.continuity_check });
+
+// Placeholder frames are text files or 1x1 images and cannot be measured
+const isMeasurableFrame = (filePath) => {
+  if (!filePath || !fs.existsSync(filePath)) {
+    return false;
+  }
+  const info = readImageInfo(filePath);
+  return Boolean(info && info.type === 'png' && info.width > 1 && info.height > 1);
+};
+
+/**
+ * First frame of a shot's current clip, cached next to the saved last frames
+ */
+const extractFirstFrame = (project, shot) => {
+  if (!shot.clip_path || !fs.existsSync(shot.clip_path)) {
+    return null;
+  }
+  const framePath = path.join(projectPath(project.id), 'assets', 'frames', `${shot.id}_first_v${shot.clip_version}.png`);
+  if (fs.existsSync(framePath)) {
+    return framePath;
+  }
+  if (!hasFfmpeg()) {
+    return null;
+  }
+  const result = runFfmpeg(['-y', '-i', shot.clip_path, '-frames:v', '1', framePath]);
+  return result.ok && fs.existsSync(framePath) ? framePath : null;
+};
+
+const round = (value, places = 2) => Math.round(value * 10 ** places) / 10 ** places;
+
+/**
+ * Color histogram distance, brightness jump and SSIM across one cut
+ */
+const compareCut = (lastFramePath, firstFramePath) => {
+  const before = analyzePng(lastFramePath);
+  const after = analyzePng(firstFramePath);
+  const metrics = {
+    histogram_distance: round(histogramDistance(colorHistogram(lastFramePath), colorHistogram(firstFramePath))),
+    brightness_jump: round(after.brightness - before.brightness, 1),
+    ssim: round(structuralSimilarity(lastFramePath, firstFramePath)),
+  };
+  const issues = [];
+  if (metrics.histogram_distance > CUT_THRESHOLDS.max_histogram_distance) {
+    issues.push({ code: 'color_shift', message: `Colors change sharply (histogram distance ${metrics.histogram_distance})` });
+  }
+  if (Math.abs(metrics.brightness_jump) > CUT_THRESHOLDS.max_brightness_jump) {
+    issues.push({
+      code: 'brightness_jump',
+      message: `Brightness ${metrics.brightness_jump > 0 ? 'jumps up' : 'drops'} by ${Math.abs(metrics.brightness_jump)}`,
+    });
+  }
+  if (metrics.ssim < CUT_THRESHOLDS.min_ssim) {
+    issues.push({ code: 'structure_change', message: `Framing and layout do not line up (SSIM ${metrics.ssim})` });
+  }
+  return { metrics, issues };
+};
+
+/**
+ * Check the cut from previousShot's clip into shot's clip. status is 'ok', 'jarring' or 'unchecked'.
+ * In independent mode every cut is meant to be hard, so issues are reported but never jarring.
+ */
+const analyzeBoundary = (project, previousShot, shot) => {
+  const boundary = {
+    from_shot_id: previousShot.id,
+    to_shot_id: shot.id,
+    from_clip_version: previousShot.clip_version || 0,
+    to_clip_version: shot.clip_version || 0,
+    transition: previousShot.transition_out?.type || 'none',
+    status: 'unchecked',
+    metrics: null,
+    issues: [],
+  };
+  if (!previousShot.clip_version || !shot.clip_version) {
+    return { ...boundary, reason: 'Both clips must be generated first' };
+  }
+  const lastFramePath = previousShot.continuity?.last_frame_path;
+  if (!isMeasurableFrame(lastFramePath)) {
+    return { ...boundary, reason: 'The previous clip has no readable last frame' };
+  }
+  const firstFramePath = extractFirstFrame(project, shot);
+  if (!isMeasurableFrame(firstFramePath)) {
+    return { ...boundary, reason: hasFfmpeg() ? 'The first frame could not be read from the clip' : 'ffmpeg is needed to read the first frame' };
+  }
+  try {
+    const { metrics, issues } = compareCut(lastFramePath, firstFramePath);
+    const jarring = issues.length > 0 && project.continuity_mode !== 'independent';
+    return { ...boundary, status: jarring ? 'jarring' : 'ok', metrics, issues, last_frame_path: lastFramePath, first_frame_path: firstFramePath };
+  } catch (error) {
+    return { ...boundary, reason: `Frames could not be compared: ${error.message}` };
+  }
+};
+
+/**
+ * Per-boundary continuity report for the project's current clips
+ */
+const buildContinuityReport = (project) => {
+  const boundaries = project.shots.slice(1).map((shot, index) => analyzeBoundary(project, project.shots[index], shot));
+  return {
+    project_id: project.id,
+    continuity_mode: project.continuity_mode || 'bridging',
+    thresholds: CUT_THRESHOLDS,
+    summary: {
+      boundaries: boundaries.length,
+      ok: boundaries.filter((boundary) => boundary.status === 'ok').length,
+      jarring: boundaries.filter((boundary) => boundary.status === 'jarring').length,
+      unchecked: boundaries.filter((boundary) => boundary.status === 'unchecked').length,
+    },
+    jarring_shot_ids: boundaries.filter((boundary) => boundary.status === 'jarring').map((boundary) => boundary.to_shot_id),
+    boundaries,
+    generated_at: new Date().toISOString(),
+  };
+};
+
+module.exports = {
+  CUT_THRESHOLDS,
+  DEFAULT_CONTINUITY_CHECK,
+  normalizeContinuityCheck,
+  projectContinuityCheck,
+  extractFirstFrame,
+  analyzeBoundary,
+  buildContinuityReport,
+};
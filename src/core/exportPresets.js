@@ -0,0 +1,138 @@
+const fs = require('fs');
+const { hasFfmpeg, runFfmpegAsync } = require('../utils/ffmpeg');
+const { outputDimensions } = require('../utils/mediaSettings');
+
+const FIT_MODES = ['pad', 'center-crop', 'blur-pad', 'focus'];
+
+// Codec settings per delivery container
+const CONTAINERS = {
+  mp4: { extension: 'mp4', video: ['-c:v', 'libx264', '-preset', 'medium', '-pix_fmt', 'yuv420p'], audio: 'aac', extra: ['-movflags', '+faststart'] },
+  mov: { extension: 'mov', video: ['-c:v', 'libx264', '-preset', 'medium', '-pix_fmt', 'yuv420p'], audio: 'aac', extra: [] },
+  webm: { extension: 'webm', video: ['-c:v', 'libvpx-vp9', '-row-mt', '1', '-pix_fmt', 'yuv420p'], audio: 'libopus', extra: [] },
+};
+
+const EXPORT_PRESETS = {
+  reels: {
+    label: 'Reels / Stories / TikTok (9:16)',
+    aspect_ratio: '9:16',
+    width: 1080,
+    height: 1920,
+    fit: 'blur-pad',
+    video_bitrate: '8M',
+    audio_bitrate: '192k',
+    container: 'mp4',
+  },
+  feed_square: {
+    label: 'Feed square (1:1)',
+    aspect_ratio: '1:1',
+    width: 1080,
+    height: 1080,
+    fit: 'center-crop',
+    video_bitrate: '6M',
+    audio_bitrate: '192k',
+    container: 'mp4',
+  },
+  feed_portrait: {
+    label: 'Feed portrait (4:5)',
+    aspect_ratio: '4:5',
+    width: 1080,
+    height: 1350,
+    fit: 'center-crop',
+    video_bitrate: '6M',
+    audio_bitrate: '192k',
+    container: 'mp4',
+  },
+  youtube: {
+    label: 'YouTube landscape (16:9)',
+    aspect_ratio: '16:9',
+    width: 1920,
+    height: 1080,
+    fit: 'blur-pad',
+    video_bitrate: '12M',
+    audio_bitrate: '256k',
+    container: 'mp4',
+  },
+};
+
+const masterRendition = (project) => ({
+  preset: 'master',
+  label: 'Project master',
+  aspect_ratio: project.aspect_ratio,
+  ...outputDimensions(project.aspect_ratio),
+  fit: 'pad',
+  video_bitrate: null,
+  audio_bitrate: '192k',
+  container: 'mp4',
+});
+
+/**
+ * Turn export options into a list of renditions.
+ * `presets` names presets as-is; `renditions` entries pick a preset (or the master) and override
+ * its fit, size, bitrates or container. With neither, a single master at the project aspect ratio is produced.
+ */
+const resolveRenditions = (project, options = {}) => {
+  const requested = [
+    ...(options.presets || []).map((preset) => ({ preset })),
+    ...(options.renditions || []),
+  ];
+  if (!requested.length) {
+    return [masterRendition(project)];
+  }
+
+  return requested.map((entry) => {
+    const base = entry.preset && entry.preset !== 'master' ? EXPORT_PRESETS[entry.preset] : masterRendition(project);
+    if (!base) {
+      throw new Error(`Unknown export preset: ${entry.preset}`);
+    }
+    const rendition = { preset: entry.preset || 'master', ...base, ...entry };
+    if (!FIT_MODES.includes(rendition.fit)) {
+      throw new Error(`Unknown fit mode: ${rendition.fit}`);
+    }
+    if (!CONTAINERS[rendition.container]) {
+      throw new Error(`Unsupported container: ${rendition.container}`);
+    }
+    rendition.width = Math.round(Number(rendition.width) / 2) * 2;
+    rendition.height = Math.round(Number(rendition.height) / 2) * 2;
+    if (!rendition.width || !rendition.height) {
+      throw new Error(`Invalid size for rendition ${rendition.preset}`);
+    }
+    return rendition;
+  });
+};
+
+/**
+ * Final delivery encode: apply the rendition's bitrate and container
+ */
+const encodeRendition = async ({ videoPath, outputPath, rendition }) => {
+  if (!hasFfmpeg()) {
+    fs.copyFileSync(videoPath, outputPath);
+    return { encoded: false };
+  }
+  const container = CONTAINERS[rendition.container];
+  const args = ['-y', '-i', videoPath, ...container.video];
+  if (rendition.video_bitrate) {
+    args.push('-b:v', rendition.video_bitrate, '-maxrate', rendition.video_bitrate, '-bufsize', rendition.video_bitrate);
+  } else {
+    args.push('-crf', '20');
+  }
+  args.push('-c:a', container.audio, '-b:a', rendition.audio_bitrate || '192k', ...container.extra, outputPath);
+
+  const result = await runFfmpegAsync(args);
+  if (!result.ok) {
+    console.error('[ExportPresets] ffmpeg encode failed:', result.stderr?.slice(-500));
+    fs.copyFileSync(videoPath, outputPath);
+    return { encoded: false, error: 'ffmpeg encode failed' };
+  }
+  return { encoded: true };
+};
+
+const containerExtension = (container) => CONTAINERS[container]?.extension || 'mp4';
+
+module.exports = {
+  EXPORT_PRESETS,
+  FIT_MODES,
+  masterRendition,
+  resolveRenditions,
+  encodeRendition,
+  containerExtension,
+};
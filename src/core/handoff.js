@@ -0,0 +1,167 @@
+const fs = require('fs');
+const path = require('path');
+const { VideoProvider } = require('../providers/videoProvider');
+const { listAdapters, resolveAdapterConfig, isAdapterConfigured, adapterCapabilities } = require('../providers/registry');
+const { videoProviderConfig } = require('./providerPolicy');
+const { readImageInfo } = require('../utils/imageUtils');
+const { hasFfmpeg, runFfmpeg } = require('../utils/ffmpeg');
+
+// Length a generated bridge clip plays for on the timeline
+const BRIDGE_CLIP_SEC = 2;
+const INTERPOLATE_SEC = 0.5;
+
+const BRIDGE_PROMPT = 'Seamless continuous shot that moves from the opening frame to the closing frame with no cut.';
+
+/**
+ * VideoProvider config for bridge clips, which need first + last frame conditioning.
+ * Uses the project's provider when its model supports a last frame, otherwise the first configured
+ * adapter that has a model that does. Returns null when nothing can bridge.
+ */
+const bridgeProviderConfig = (project) => {
+  const config = videoProviderConfig(project, { firstFrame: true, lastFrame: true });
+  if (new VideoProvider(config).capabilities.lastFrame) {
+    return config;
+  }
+  for (const adapter of listAdapters('video').filter((item) => !item.placeholder)) {
+    const adapterConfig = resolveAdapterConfig(adapter);
+    if (!isAdapterConfigured(adapter, adapterConfig)) {
+      continue;
+    }
+    const model = [adapterConfig.model, ...Object.keys(adapter.models || {})].find(
+      (candidate) => adapterCapabilities(adapter, candidate).lastFrame
+    );
+    if (model) {
+      return { ...config, chain: [adapter.id], adapters: { [adapter.id]: { model } } };
+    }
+  }
+  return null;
+};
+
+/**
+ * Duration to generate a bridge clip at: BRIDGE_CLIP_SEC, or the provider's shortest supported
+ * duration when that is longer (Veo renders at least 4s). Exports fit it back into BRIDGE_CLIP_SEC.
+ */
+const bridgeClipDuration = (videoProvider, aspectRatio) => {
+  const shortest = Math.min(...(videoProvider.capabilities.durations || []));
+  const requested = Number.isFinite(shortest) ? Math.max(BRIDGE_CLIP_SEC, shortest) : BRIDGE_CLIP_SEC;
+  return videoProvider.resolveOutputSettings(videoProvider.name, { aspectRatio, durationSec: requested }).durationSec;
+};
+
+const isUsableFrame = (filePath) => {
+  const info = filePath && fs.existsSync(filePath) ? readImageInfo(filePath) : null;
+  return Boolean(info && (info.width === null || (info.width > 1 && info.height > 1)));
+};
+
+/**
+ * Generate a short clip from the previous shot's last frame to this shot's first frame.
+ * `duration_sec` is what the provider rendered; `planned_sec` is how long it plays on export.
+ */
+const generateBridgeClip = async ({ project, config, fromFramePath, toFramePath, outputPath, promptSpine, costContext }) => {
+  const videoProvider = new VideoProvider(config);
+  const durationSec = bridgeClipDuration(videoProvider, project.aspect_ratio);
+  const response = await videoProvider.generateVideo({
+    prompt: [BRIDGE_PROMPT, promptSpine].filter(Boolean).join('\n'),
+    outputPath,
+    firstFramePath: fromFramePath,
+    lastFramePath: toFramePath,
+    aspectRatio: project.aspect_ratio,
+    durationSec,
+    costContext,
+  });
+  return {
+    path: outputPath,
+    duration_sec: response.durationSec || durationSec,
+    planned_sec: BRIDGE_CLIP_SEC,
+    provider: response.provider || videoProvider.name,
+    model: response.model || videoProvider.model,
+  };
+};
+
+/**
+ * Blend two boundary frames into a short clip with ffmpeg motion-compensated interpolation.
+ * Both frames are shown for one frame period each and minterpolate fills the frames in between.
+ */
+const interpolateHandoff = ({ fromFramePath, toFramePath, outputPath, fps = 30, durationSec = INTERPOLATE_SEC }) => {
+  const info = readImageInfo(fromFramePath);
+  const width = Math.floor((info?.width || 1280) / 2) * 2;
+  const height = Math.floor((info?.height || 720) / 2) * 2;
+  // Two input frames durationSec apart: one frame each at a rate of 1 / durationSec
+  const inputRate = `${Math.round(1000 / durationSec)}/1000`;
+  const filter = [
+    `[0:v]scale=${width}:${height},setsar=1,format=yuv420p[from]`,
+    `[1:v]scale=${width}:${height},setsar=1,format=yuv420p[to]`,
+    `[from][to]concat=n=2:v=1:a=0,minterpolate=fps=${fps}:mi_mode=mci:mc_mode=aobmc:me_mode=bidir,` +
+      `trim=duration=${durationSec.toFixed(3)},setpts=PTS-STARTPTS[out]`,
+  ].join(';');
+  const result = runFfmpeg([
+    '-y',
+    '-framerate', inputRate, '-i', fromFramePath,
+    '-framerate', inputRate, '-i', toFramePath,
+    '-filter_complex', filter,
+    '-map', '[out]',
+    '-c:v', 'libx264',
+    '-preset', 'fast',
+    '-pix_fmt', 'yuv420p',
+    '-r', `${fps}`,
+    outputPath,
+  ]);
+  if (!result.ok) {
+    throw new Error(`ffmpeg interpolation failed: ${result.stderr?.slice(-300)}`);
+  }
+  return { path: outputPath, duration_sec: durationSec };
+};
+
+/**
+ * Make the handoff clip that plays between previousShot and shot for the bridge-clip and
+ * interpolate modes. Returns the record stored in shot.continuity.handoff; a failure is
+ * recorded with its error and the export falls back to a plain cut.
+ */
+const createHandoff = async ({ project, mode, previousShot, shot, clipPath, version, firstFramePath, promptSpine, bridgeConfig }) => {
+  const record = {
+    mode,
+    from_shot_id: previousShot.id,
+    from_clip_version: previousShot.clip_version,
+    clip_version: version,
+    path: null,
+    duration_sec: 0,
+    created_at: new Date().toISOString(),
+  };
+  const fromFramePath = previousShot.continuity?.last_frame_path;
+  const toFramePath = isUsableFrame(firstFramePath) ? firstFramePath : shot.keyframe_image_path;
+  if (!isUsableFrame(fromFramePath) || !isUsableFrame(toFramePath)) {
+    return { ...record, error: 'Boundary frames are not readable images' };
+  }
+  const outputPath = path.join(path.dirname(clipPath), `${shot.id}_${mode}_v${version}.mp4`);
+  try {
+    if (mode === 'bridge-clip') {
+      const bridge = await generateBridgeClip({
+        project,
+        config: bridgeConfig,
+        fromFramePath,
+        toFramePath,
+        outputPath,
+        promptSpine,
+        costContext: { project_id: project.id, shot_id: shot.id, version, asset: 'bridge' },
+      });
+      return { ...record, ...bridge };
+    }
+    if (!hasFfmpeg()) {
+      return { ...record, error: 'ffmpeg is needed to interpolate the handoff' };
+    }
+    return {
+      ...record,
+      ...interpolateHandoff({ fromFramePath, toFramePath, outputPath, fps: Number(project.fps_target) || 30 }),
+    };
+  } catch (error) {
+    console.error(`[Handoff] ${mode} for ${shot.id} failed:`, error.message);
+    return { ...record, error: error.message };
+  }
+};
+
+module.exports = {
+  BRIDGE_CLIP_SEC,
+  INTERPOLATE_SEC,
+  bridgeProviderConfig,
+  bridgeClipDuration,
+  createHandoff,
+};
@@ -0,0 +1,172 @@
+const { loadProject, saveProject } = require('../storage/projectStore');
+const {
+  generateKeyframesForShots,
+  generateClipsForShots,
+  generateKeyframeForShot,
+  generateClipForShot,
+  regenerateJarringClips,
+  generateNarrationForShots,
+  exportProjectVideo,
+} = require('./pipeline');
+const { assertWithinBudget } = require('./budget');
+const { projectContinuityCheck } = require('./continuityCheck');
+const { narrationReport } = require('./voiceover');
+
+const loadJobProject = (job) => {
+  const project = loadProject(job.project_id);
+  if (!project) {
+    throw new Error('Project not found');
+  }
+  return project;
+};
+
+// Version and file a batch just produced for a shot
+const producedAsset = (shot, asset) => {
+  if (asset === 'narration') {
+    return { version: shot.narration?.version || null, path: shot.narration?.path || null };
+  }
+  return asset === 'keyframe'
+    ? { version: shot.keyframe_version, path: shot.keyframe_image_path }
+    : { version: shot.clip_version, path: shot.clip_path };
+};
+
+const summarizeShots = (project) =>
+  project.shots.map((shot) => ({
+    id: shot.id,
+    keyframe_version: shot.keyframe_version,
+    clip_version: shot.clip_version,
+    status: shot.status,
+  }));
+
+// Persist the project after every shot so a reload mid-job shows finished work.
+// Unless the caller confirmed going over budget, the job stops before a shot that would exceed it.
+const batchCallbacks = (job, project, progress, asset) => ({
+  onShotStart: (shot) => {
+    if (!job.payload.confirm_over_budget) {
+      assertWithinBudget(project, { shots: [shot], assets: [asset] });
+    }
+    progress.shot(shot.id, { status: 'running', asset, started_at: new Date().toISOString() });
+  },
+  onShotComplete: (shot) => {
+    saveProject(project);
+    progress.shot(shot.id, {
+      status: 'completed',
+      ...producedAsset(shot, asset),
+      finished_at: new Date().toISOString(),
+    });
+  },
+  onShotError: (shot, error) => {
+    saveProject(project);
+    progress.shot(shot.id, { status: 'failed', error: error.message, finished_at: new Date().toISOString() });
+  },
+});
+
+// payload.shot_ids limits a batch to the shots the server planned (see planShotBatch); null means every shot
+const batchSize = (job, project) => (job.payload.shot_ids || project.shots).length;
+
+const runKeyframesJob = async (job, progress) => {
+  const project = loadJobProject(job);
+  progress.start(batchSize(job, project));
+  await generateKeyframesForShots(project, {
+    ...batchCallbacks(job, project, progress, 'keyframe'),
+    shotIds: job.payload.shot_ids,
+  });
+  saveProject(project);
+  return { shots: summarizeShots(project) };
+};
+
+const runClipsJob = async (job, progress) => {
+  const project = loadJobProject(job);
+  progress.start(batchSize(job, project));
+  await generateClipsForShots(project, {
+    ...batchCallbacks(job, project, progress, 'clip'),
+    shotIds: job.payload.shot_ids,
+  });
+  saveProject(project);
+  if (!projectContinuityCheck(project).auto_regenerate) {
+    return { shots: summarizeShots(project) };
+  }
+  const { fixes, report } = await regenerateJarringClips(project, batchCallbacks(job, project, progress, 'clip'));
+  saveProject(project);
+  return { shots: summarizeShots(project), continuity: { fixes, summary: report.summary } };
+};
+
+// Narration for the shots the server planned; the result carries the fit warnings
+const runNarrationJob = async (job, progress) => {
+  const project = loadJobProject(job);
+  progress.start(batchSize(job, project));
+  await generateNarrationForShots(project, {
+    ...batchCallbacks(job, project, progress, 'narration'),
+    shotIds: job.payload.shot_ids,
+  });
+  saveProject(project);
+  const report = narrationReport(project);
+  return { shots: summarizeShots(project), narration: { total_sec: report.total_sec, warnings: report.warnings } };
+};
+
+// Re-generate the clips after jarring cuts; the progress total is the number of shots that could need it
+const runContinuityJob = async (job, progress) => {
+  const project = loadJobProject(job);
+  progress.start(Math.max(project.shots.length - 1, 0));
+  const { fixes, report } = await regenerateJarringClips(project, {
+    ...batchCallbacks(job, project, progress, 'clip'),
+    maxAttempts: job.payload.max_attempts,
+  });
+  saveProject(project);
+  return { shots: summarizeShots(project), fixes, report };
+};
+
+const runRegenerateJob = async (job, progress) => {
+  const project = loadJobProject(job);
+  const { shotId, mode = 'both', confirm_over_budget: confirmOverBudget } = job.payload;
+  const shotIndex = project.shots.findIndex((item) => item.id === shotId);
+  if (shotIndex === -1) {
+    throw new Error('Shot not found');
+  }
+  const shot = project.shots[shotIndex];
+  progress.start(1);
+  progress.shot(shot.id, { status: 'running', asset: mode, started_at: new Date().toISOString() });
+  try {
+    if (!confirmOverBudget) {
+      assertWithinBudget(project, { shots: [shot], assets: mode === 'both' ? ['keyframe', 'clip'] : [mode] });
+    }
+    if (mode === 'keyframe' || mode === 'both') {
+      await generateKeyframeForShot({ project, shot });
+      saveProject(project);
+    }
+    if (mode === 'clip' || mode === 'both') {
+      const previousShot = project.shots[shotIndex - 1];
+      await generateClipForShot({ project, shot, previousShot });
+      saveProject(project);
+    }
+  } catch (error) {
+    shot.status.error = error.message;
+    saveProject(project);
+    progress.shot(shot.id, { status: 'failed', error: error.message, finished_at: new Date().toISOString() });
+    throw error;
+  }
+  progress.shot(shot.id, { status: 'completed', finished_at: new Date().toISOString() });
+  return { shots: summarizeShots(project) };
+};
+
+// Export with the options the request passed; the steps are the shared stitch and each rendition
+const runExportJob = async (job, progress) => {
+  const project = loadJobProject(job);
+  const result = await exportProjectVideo(project, job.payload.options, {
+    onStart: (total) => progress.start(total),
+    onProgress: (step, update) => progress.shot(step, update),
+  });
+  saveProject(result.project);
+  return { outputPath: result.outputPath, renditions: result.renditions };
+};
+
+const registerPipelineJobs = (queue) =>
+  queue
+    .register('keyframes', runKeyframesJob)
+    .register('clips', runClipsJob)
+    .register('regenerate', runRegenerateJob)
+    .register('continuity', runContinuityJob)
+    .register('narration', runNarrationJob)
+    .register('export', runExportJob);
+
+module.exports = { registerPipelineJobs };
@@ -0,0 +1,131 @@
+const { EventEmitter } = require('events');
+const { nanoid } = require('nanoid');
+const { createJob, loadJob, saveJob, listJobs } = require('../storage/jobStore');
+
+const FINISHED_STATUSES = ['completed', 'failed'];
+
+/**
+ * Persistent background job queue.
+ * Jobs are stored under data/jobs so progress survives a page reload, and every
+ * state change is emitted as an 'update' event for SSE subscribers.
+ */
+class JobQueue extends EventEmitter {
+  constructor({ concurrency = 1 } = {}) {
+    super();
+    this.concurrency = concurrency;
+    this.handlers = {};
+    this.pending = [];
+    this.running = 0;
+  }
+
+  register(type, handler) {
+    this.handlers[type] = handler;
+    return this;
+  }
+
+  enqueue({ type, projectId, payload }) {
+    if (!this.handlers[type]) {
+      throw new Error(`Unknown job type: ${type}`);
+    }
+    const job = createJob(nanoid(10), { type, project_id: projectId, payload });
+    console.log(`[JobQueue] Enqueued ${type} job ${job.id} for project ${projectId}`);
+    this.pending.push(job.id);
+    this._emit(job);
+    setImmediate(() => this._drain());
+    return job;
+  }
+
+  /**
+   * Re-queue jobs left over from a previous run. Jobs that were mid-flight
+   * are marked failed because their provider calls cannot be resumed.
+   */
+  recover() {
+    listJobs()
+      .filter((job) => !FINISHED_STATUSES.includes(job.status))
+      .forEach((job) => {
+        if (job.status === 'running') {
+          job.status = 'failed';
+          job.error = 'Interrupted by server restart';
+          job.finished_at = new Date().toISOString();
+          saveJob(job);
+          return;
+        }
+        this.pending.push(job.id);
+      });
+    setImmediate(() => this._drain());
+  }
+
+  isFinished(job) {
+    return FINISHED_STATUSES.includes(job.status);
+  }
+
+  hasActiveJob(projectId) {
+    return listJobs({ projectId }).some((job) => !this.isFinished(job));
+  }
+
+  _emit(job) {
+    this.emit('update', job);
+    this.emit(`update:${job.id}`, job);
+  }
+
+  _save(job) {
+    saveJob(job);
+    this._emit(job);
+    return job;
+  }
+
+  _reporter(job) {
+    return {
+      start: (total) => {
+        job.progress.total = total;
+        this._save(job);
+      },
+      shot: (shotId, update) => {
+        const entry = { ...(job.progress.shots[shotId] || {}), ...update };
+        job.progress.shots[shotId] = entry;
+        job.progress.current_shot_id = update.status === 'running' ? shotId : null;
+        job.progress.completed = Object.values(job.progress.shots).filter((item) => item.status === 'completed').length;
+        job.progress.failed = Object.values(job.progress.shots).filter((item) => item.status === 'failed').length;
+        this._save(job);
+      },
+    };
+  }
+
+  _drain() {
+    while (this.running < this.concurrency && this.pending.length) {
+      const job = loadJob(this.pending.shift());
+      if (job && job.status === 'queued') {
+        this.running += 1;
+        this._run(job).finally(() => {
+          this.running -= 1;
+          this._drain();
+        });
+      }
+    }
+  }
+
+  async _run(job) {
+    job.status = 'running';
+    job.started_at = new Date().toISOString();
+    this._save(job);
+
+    try {
+      const handler = this.handlers[job.type];
+      job.result = (await handler(job, this._reporter(job))) || null;
+      job.status = 'completed';
+    } catch (error) {
+      console.error(`[JobQueue] Job ${job.id} failed:`, error);
+      job.status = 'failed';
+      job.error = error.message;
+    }
+
+    job.progress.current_shot_id = null;
+    job.finished_at = new Date().toISOString();
+    this._save(job);
+  }
+}
+
+// Singleton queue; one job at a time so project.json writes never interleave
+const queue = new JobQueue({ concurrency: 1 });
+
+module.exports = { JobQueue, queue };
@@ -0,0 +1,196 @@
+const fs = require('fs');
+const path = require('path');
+const { hasFfmpeg, runFfmpegAsync, getVideoStreamInfo, escapeFilterValue } = require('../utils/ffmpeg');
+const { outputDimensions, closestAspectRatio } = require('../utils/mediaSettings');
+const { timelineDuration } = require('./timeline');
+
+// Safe-area margins as fractions of the frame; tall formats leave room for platform UI
+const SAFE_AREAS = {
+  '9:16': { top: 0.12, bottom: 0.2, side: 0.06 },
+  '1:1': { top: 0.08, bottom: 0.1, side: 0.06 },
+  '16:9': { top: 0.06, bottom: 0.08, side: 0.05 },
+};
+
+const safeAreaFor = (aspectRatio) => SAFE_AREAS[closestAspectRatio(Object.keys(SAFE_AREAS), aspectRatio)];
+
+const TEXT_POSITIONS = ['top', 'center', 'bottom'];
+const LOGO_MODES = ['none', 'bug', 'end-card'];
+
+const DEFAULT_OVERLAYS = {
+  text: true,
+  position: 'bottom',
+  font: 'Sans',
+  font_path: null,
+  logo_mode: 'bug',
+  end_card_sec: 2,
+};
+
+const normalizeOverlayOptions = (options = {}) => ({
+  text: options.text === undefined ? DEFAULT_OVERLAYS.text : Boolean(options.text),
+  position: TEXT_POSITIONS.includes(options.position) ? options.position : DEFAULT_OVERLAYS.position,
+  font: options.font || DEFAULT_OVERLAYS.font,
+  font_path: options.font_path || DEFAULT_OVERLAYS.font_path,
+  logo_mode: LOGO_MODES.includes(options.logo_mode) ? options.logo_mode : DEFAULT_OVERLAYS.logo_mode,
+  end_card_sec: Math.max(Number(options.end_card_sec) || DEFAULT_OVERLAYS.end_card_sec, 0.5),
+});
+
+/**
+ * Convert a brand color ("#0f62fe", "rgb(15, 98, 254)" or a named color) to ffmpeg syntax
+ */
+const toFfmpegColor = (color, fallback) => {
+  if (!color) return fallback;
+  const value = String(color).trim();
+  const hex = value.match(/^#?([0-9a-f]{6})$/i);
+  if (hex) return `0x${hex[1]}`;
+  const rgb = value.match(/^rgb\(\s*(\d+)\s*,\s*(\d+)\s*,\s*(\d+)\s*\)$/i);
+  if (rgb) {
+    return `0x${rgb.slice(1, 4).map((part) => Number(part).toString(16).padStart(2, '0')).join('')}`;
+  }
+  return /^[a-z]+$/i.test(value) ? value.toLowerCase() : fallback;
+};
+
+const wrapText = (text, maxChars) => {
+  const lines = [];
+  text.split(/\s+/).filter(Boolean).forEach((word) => {
+    const last = lines[lines.length - 1];
+    if (last && `${last} ${word}`.length <= maxChars) {
+      lines[lines.length - 1] = `${last} ${word}`;
+    } else {
+      lines.push(word);
+    }
+  });
+  return lines.join('\n');
+};
+
+const textY = (position, margins, height) => {
+  if (position === 'top') return `${Math.round(margins.top * height)}`;
+  if (position === 'center') return '(h-text_h)/2';
+  return `h-text_h-${Math.round(margins.bottom * height)}`;
+};
+
+/**
+ * Build the filter graph that draws each shot's on-screen text for its time range
+ * and composites the logo as a corner bug or a closing end-card.
+ */
+const buildOverlayPlan = ({ project, timeline, width, height, options, logoPath, workDir }) => {
+  const margins = safeAreaFor(`${width}:${height}`);
+  const colors = project.brand_kit?.colors || [];
+  const fontSize = Math.round(Math.min(width, height) * 0.055);
+  const maxChars = Math.max(Math.floor((width * (1 - margins.side * 2)) / (fontSize * 0.55)), 10);
+  const boxColor = `${toFfmpegColor(colors[0], 'black')}@0.75`;
+  const fontColor = toFfmpegColor(colors[1], 'white');
+  const font = options.font_path ? `fontfile=${escapeFilterValue(options.font_path)}` : `font=${escapeFilterValue(options.font)}`;
+
+  const drawFilters = [];
+  const textFiles = [];
+  if (options.text) {
+    timeline.forEach((entry) => {
+      const shot = project.shots.find((item) => item.id === entry.shot_id);
+      const text = shot?.on_screen_text?.trim();
+      if (!text) return;
+      const textFile = path.join(workDir, `overlay_${entry.shot_id}.txt`);
+      fs.writeFileSync(textFile, wrapText(text, maxChars));
+      textFiles.push(textFile);
+      drawFilters.push(
+        [
+          `drawtext=textfile=${escapeFilterValue(textFile)}`,
+          font,
+          `fontsize=${fontSize}`,
+          `fontcolor=${fontColor}`,
+          'box=1',
+          `boxcolor=${boxColor}`,
+          `boxborderw=${Math.round(fontSize * 0.4)}`,
+          `line_spacing=${Math.round(fontSize * 0.25)}`,
+          'x=(w-text_w)/2',
+          `y=${textY(options.position, margins, height)}`,
+          `enable='between(t,${entry.start.toFixed(3)},${entry.end.toFixed(3)})'`,
+        ].join(':')
+      );
+    });
+  }
+
+  const useLogo = options.logo_mode !== 'none' && logoPath && fs.existsSync(logoPath);
+  if (!drawFilters.length && !useLogo) {
+    return null;
+  }
+
+  const duration = timelineDuration(timeline);
+  const endCardStart = Math.max(duration - options.end_card_sec, 0).toFixed(3);
+  if (useLogo && options.logo_mode === 'end-card') {
+    drawFilters.push(`drawbox=x=0:y=0:w=iw:h=ih:color=black@0.6:t=fill:enable='gte(t,${endCardStart})'`);
+  }
+  const base = drawFilters.length ? `[0:v]${drawFilters.join(',')}` : '[0:v]null';
+
+  if (!useLogo) {
+    return { filter: `${base}[vout]`, inputs: [], textFiles };
+  }
+
+  const sidePx = Math.round(margins.side * width);
+  const topPx = Math.round(margins.top * height);
+  const logo =
+    options.logo_mode === 'bug'
+      ? `[1:v]scale=${Math.round(width * 0.12)}:-1,format=rgba,colorchannelmixer=aa=0.85[logo];[base][logo]overlay=x=W-w-${sidePx}:y=${topPx}[vout]`
+      : `[1:v]scale=${Math.round(width * 0.4)}:-1[logo];[base][logo]overlay=x=(W-w)/2:y=(H-h)/2:enable='gte(t,${endCardStart})'[vout]`;
+  return { filter: `${base}[base];${logo}`, inputs: [logoPath], textFiles };
+};
+
+/**
+ * Burn text and logo overlays into an export. Returns the overlay record stored on the export entry.
+ */
+const burnOverlays = async ({ videoPath, outputPath, project, timeline, options, logoPath, aspectRatio }) => {
+  const settings = normalizeOverlayOptions(options);
+  const record = { ...settings, logo_path: logoPath || null, rendered: false };
+  if (!hasFfmpeg()) {
+    fs.copyFileSync(videoPath, outputPath);
+    return record;
+  }
+
+  const info = getVideoStreamInfo(videoPath);
+  const dimensions = info?.width ? info : outputDimensions(aspectRatio || project.aspect_ratio);
+  const plan = buildOverlayPlan({
+    project,
+    timeline,
+    width: dimensions.width,
+    height: dimensions.height,
+    options: settings,
+    logoPath,
+    workDir: path.dirname(outputPath),
+  });
+  if (!plan) {
+    fs.copyFileSync(videoPath, outputPath);
+    return record;
+  }
+
+  const args = ['-y', '-i', videoPath];
+  plan.inputs.forEach((input) => args.push('-i', input));
+  args.push(
+    '-filter_complex', plan.filter,
+    '-map', '[vout]',
+    '-map', '0:a?',
+    '-c:v', 'libx264',
+    '-preset', 'fast',
+    '-crf', '18',
+    '-pix_fmt', 'yuv420p',
+    '-c:a', 'copy',
+    outputPath
+  );
+  const result = await runFfmpegAsync(args);
+  plan.textFiles.forEach((file) => fs.unlinkSync(file));
+  if (!result.ok) {
+    console.error('[Overlays] ffmpeg overlay failed:', result.stderr?.slice(-500));
+    fs.copyFileSync(videoPath, outputPath);
+    return { ...record, error: 'ffmpeg overlay failed' };
+  }
+  return { ...record, rendered: true, safe_area: safeAreaFor(`${dimensions.width}:${dimensions.height}`) };
+};
+
+module.exports = {
+  DEFAULT_OVERLAYS,
+  SAFE_AREAS,
+  TEXT_POSITIONS,
+  safeAreaFor,
+  normalizeOverlayOptions,
+  toFfmpegColor,
+  wrapText,
+  burnOverlays,
+};
@@ -3,10 +3,44 @@ const fs = require('fs');
 const { ImageProvider } = require('../providers/imageProvider');
 const { VideoProvider } = require('../providers/videoProvider');
 const { LLMProvider } = require('../providers/llmProvider');
-const { ContinuityManager } = require('./continuity');
+const { VoiceProvider } = require('../providers/voiceProvider');
+const { HANDOFF_MODES, ContinuityManager } = require('./continuity');
+const { bridgeProviderConfig, createHandoff } = require('./handoff');
+const { createShot } = require('./shots');
 const { loadStylePack } = require('../storage/stylePackStore');
-const { ensureProjectDirs } = require('../storage/projectStore');
-const { hasFfmpeg, runFfmpeg } = require('../utils/ffmpeg');
+const { ensureProjectDirs, projectPath, projectFilePath } = require('../storage/projectStore');
+const { productPhotoPaths } = require('../storage/brandAssetStore');
+const { mixBackgroundMusic, mixNarration } = require('./audioMix');
+const { normalizeOverlayOptions, burnOverlays } = require('./overlays');
+const { normalizeCaptionOptions, writeCaptionFiles, burnCaptions } = require('./captions');
+const { buildExportTimeline, timelineDuration } = require('./timeline');
+const { stitchClips, reframeVideo } = require('./stitch');
+const { masterRendition, resolveRenditions, encodeRendition, containerExtension } = require('./exportPresets');
+const { imageProviderConfig, videoProviderConfig, voiceProviderConfig } = require('./providerPolicy');
+const { DEFAULT_MAX_SHOTS, buildTemplateShot, buildStoryboardPrompt, validateStoryboard } = require('./storyboard');
+const {
+  DEFAULT_SCRIPT_TEMPLATE_ID,
+  loadScriptTemplate,
+  projectScriptTemplate,
+  buildScriptSystemPrompt,
+  parseScriptSections,
+  formatScriptSections,
+  sectionDurations,
+} = require('./scriptTemplates');
+const { DEFAULT_ANALYSIS_REFS, buildStyleAnalysisPrompt, validateStyleAnalysis } = require('./styleAnalysis');
+const { checkKeyframe, checkClip } = require('./qa');
+const { projectContinuityCheck, extractFirstFrame, analyzeBoundary, buildContinuityReport } = require('./continuityCheck');
+const { keyframeSource, clipSource } = require('./shotSelection');
+const { angleBrief, createScriptVariant } = require('./scriptVariants');
+const {
+  projectVoiceover,
+  narrationTexts,
+  narrationSource,
+  measureNarration,
+  fitShotToNarration,
+  narrationCues,
+} = require('./voiceover');
+const { hasFfmpeg } = require('../utils/ffmpeg');
 
 const ensureShotHistory = (shot) => {
   if (!shot.keyframe_versions) {
@@ -25,6 +59,7 @@ const recordKeyframeVersion = (shot, payload) => {
   shot.provider_config.image_provider = payload.provider_config?.image_provider || shot.provider_config.image_provider;
   shot.provider_config.image_model = payload.provider_config?.image_model || shot.provider_config.image_model;
   shot.provider_config.image_settings = payload.provider_config?.image_settings || shot.provider_config.image_settings;
+  shot.provider_config.image_fallback = payload.provider_config?.image_fallback || null;
 };
 
 const recordClipVersion = (shot, payload) => {
@@ -35,6 +70,7 @@ const recordClipVersion = (shot, payload) => {
   shot.provider_config.video_provider = payload.provider_config?.video_provider || shot.provider_config.video_provider;
   shot.provider_config.video_model = payload.provider_config?.video_model || shot.provider_config.video_model;
   shot.provider_config.video_settings = payload.provider_config?.video_settings || shot.provider_config.video_settings;
+  shot.provider_config.video_fallback = payload.provider_config?.video_fallback || null;
 };
 
 const applyKeyframeVersion = (shot, versionEntry) => {
@@ -47,6 +83,7 @@ const applyKeyframeVersion = (shot, versionEntry) => {
     versionEntry.provider_config?.image_model || shot.provider_config.image_model;
   shot.provider_config.image_settings =
     versionEntry.provider_config?.image_settings || shot.provider_config.image_settings;
+  shot.provider_config.image_fallback = versionEntry.provider_config?.image_fallback || null;
   shot.status.keyframe_status = 'ready';
 };
 
@@ -60,11 +97,62 @@ const applyClipVersion = (shot, versionEntry) => {
     versionEntry.provider_config?.video_model || shot.provider_config.video_model;
   shot.provider_config.video_settings =
     versionEntry.provider_config?.video_settings || shot.provider_config.video_settings;
+  shot.provider_config.video_fallback = versionEntry.provider_config?.video_fallback || null;
   shot.status.clip_status = 'ready';
   shot.continuity.prev_last_frame_path = versionEntry.continuity?.prev_last_frame_path || null;
   shot.continuity.first_frame_path = versionEntry.continuity?.first_frame_path || null;
   shot.continuity.target_last_frame_path = versionEntry.continuity?.target_last_frame_path || null;
   shot.continuity.last_frame_path = versionEntry.continuity?.last_frame_path || null;
+  shot.continuity.mode = versionEntry.continuity?.mode || null;
+  shot.continuity.handoff = versionEntry.continuity?.handoff || null;
+};
+
+// Effective output settings as the provider reported them, next to what the project asked for
+const buildImageSettings = (imageProvider, project, response) => ({
+  ...imageProvider.settings,
+  requested_aspect_ratio: project.aspect_ratio,
+  aspect_ratio: response?.aspectRatio || project.aspect_ratio,
+  ...(response?.width ? { width: response.width, height: response.height } : {}),
+});
+
+const buildVideoSettings = (videoProvider, project, shot, response) => ({
+  ...videoProvider.settings,
+  requested_aspect_ratio: project.aspect_ratio,
+  aspect_ratio: response?.aspectRatio || project.aspect_ratio,
+  requested_duration_sec: shot.duration_sec,
+  duration_sec: response?.durationSec || shot.duration_sec,
+});
+
+// Which provider actually produced an asset when the primary one failed, so the UI can flag it
+const describeFallback = (response) =>
+  response?.fallbackUsed
+    ? { provider: response.provider, model: response.model, errors: response.fallbackErrors || [] }
+    : null;
+
+const resolveProjectFile = (project, filePath) =>
+  filePath ? path.resolve(projectPath(project.id), filePath) : null;
+
+/**
+ * Product photos that condition a shot's keyframe: the shot's own pick, else the brand kit's.
+ * Paths that are not uploaded product photos and missing files are skipped.
+ */
+const selectProductPhotos = (project, shot) => {
+  const uploaded = productPhotoPaths(project);
+  return (shot.product_photo_paths ?? project.brand_kit?.product_photo_paths ?? [])
+    .filter((filePath) => uploaded.includes(filePath))
+    .map((filePath) => projectFilePath(project.id, filePath))
+    .filter((filePath) => filePath && fs.existsSync(filePath));
+};
+
+const PRODUCT_REFERENCE_NOTE = 'Show the exact product from the reference photos: same shape, colors, materials and branding.';
+
+// Product photos lead so providers that accept few references keep them over style frames
+const buildKeyframeReferences = (project, shot, styleRefs) => {
+  const productPhotos = selectProductPhotos(project, shot);
+  return {
+    productPhotos,
+    referenceImages: [...productPhotos, ...styleRefs.map((ref) => ref.cached_path || ref.path)],
+  };
 };
 
 const buildPromptSpine = (project, stylePack) => {
@@ -77,6 +165,10 @@ const buildPromptSpine = (project, stylePack) => {
   return `${voiceText} ${colorText} ${styleText}`.trim();
 };
 
+// The shot's own negative prompt plus the style pack's negative spine
+const buildNegativePrompt = (shotNegative, stylePack) =>
+  [shotNegative, stylePack?.negative_prompt_spine].filter(Boolean).join(', ') || undefined;
+
 const selectStyleRefs = (stylePack, count = 3) => {
   if (!stylePack?.extracted_ref_images?.length) {
     return [];
@@ -84,6 +176,38 @@ const selectStyleRefs = (stylePack, count = 3) => {
   return [...stylePack.extracted_ref_images].sort((a, b) => b.score - a.score).slice(0, count);
 };
 
+/**
+ * Why the project's pinned style pack version cannot be used, or null when it can. A pack that
+ * was deleted altogether is not an error; the project generates without one.
+ */
+const pinnedStylePackError = (project) => {
+  const { selected_style_pack_id: packId, selected_style_pack_version: version } = project;
+  if (!packId || !loadStylePack(packId) || loadStylePack(packId, version)) {
+    return null;
+  }
+  return `Pinned style pack version missing: ${packId} v${version}. Upgrade the project to an available version.`;
+};
+
+/**
+ * Load the style pack version the project is pinned to. Projects without a pin
+ * (created before versioning) are pinned to the current latest version.
+ */
+const loadProjectStylePack = (project) => {
+  if (!project.selected_style_pack_id) {
+    return null;
+  }
+  const missing = pinnedStylePackError(project);
+  if (missing) {
+    throw new Error(missing);
+  }
+  const stylePack = loadStylePack(project.selected_style_pack_id, project.selected_style_pack_version);
+  if (!stylePack) {
+    return null;
+  }
+  project.selected_style_pack_version = stylePack.version;
+  return stylePack;
+};
+
 const cacheStylePackRefs = (projectId, stylePack, refs) => {
   if (!stylePack || !refs.length) {
     return [];
@@ -93,7 +217,8 @@ const cacheStylePackRefs = (projectId, stylePack, refs) => {
     fs.mkdirSync(cacheDir, { recursive: true });
   }
   return refs.map((ref) => {
-    const filename = path.basename(ref.path);
+    // Refs from different pack versions can share a basename, so keep their folder in the name
+    const filename = `${path.basename(path.dirname(ref.path))}_${path.basename(ref.path)}`;
     const destination = path.join(cacheDir, filename);
     if (!fs.existsSync(destination)) {
       fs.copyFileSync(ref.path, destination);
@@ -102,24 +227,50 @@ const cacheStylePackRefs = (projectId, stylePack, refs) => {
   });
 };
 
-const generateScriptSections = async ({ brief, raw_script, useLLM = true }) => {
+// Copy for the classic sections when there is no brief or the LLM fails; other sections use their placeholder
+const PLACEHOLDER_SCRIPT = {
+  hook: 'Introduce the product, highlight the problem, show the solution, and finish with a CTA.',
+  problem: 'The audience struggles with the current workflow.',
+  solution: 'Show how the product solves it with clarity and speed.',
+  cta: 'Invite them to try it today.',
+};
+const FALLBACK_SCRIPT = {
+  problem: 'The audience faces challenges that need solving.',
+  solution: "Here's how this product makes things better.",
+  cta: 'Get started today!',
+};
+
+const fillTemplateSections = (template, copy) =>
+  Object.fromEntries(template.sections.map((item) => [item.id, copy[item.id] || item.placeholder]));
+
+/**
+ * Script for a template: parsed from raw_script, written by the LLM from the brief, or placeholder copy
+ */
+const generateScriptSections = async ({
+  brief,
+  raw_script,
+  template = loadScriptTemplate(DEFAULT_SCRIPT_TEMPLATE_ID),
+  useLLM = true,
+  projectId = null,
+}) => {
   // If raw script provided, just parse it
   if (raw_script) {
     return {
       raw: raw_script,
-      sections: splitScriptSections(raw_script),
+      sections: parseScriptSections(raw_script, template),
       generated: false,
+      template_id: template.id,
     };
   }
 
   // If no brief, use placeholder
   if (!brief) {
-    const seed = 'Introduce the product, highlight the problem, show the solution, and finish with a CTA.';
-    const raw = `Hook: ${seed}\nProblem: The audience struggles with the current workflow.\nSolution: Show how the product solves it with clarity and speed.\nCTA: Invite them to try it today.`;
+    const sections = fillTemplateSections(template, PLACEHOLDER_SCRIPT);
     return {
-      raw,
-      sections: splitScriptSections(raw),
+      raw: formatScriptSections(sections, template),
+      sections,
       generated: false,
+      template_id: template.id,
     };
   }
 
@@ -127,23 +278,22 @@ const generateScriptSections = async ({ brief, raw_script, useLLM = true }) => {
   if (useLLM) {
     try {
       const llm = new LLMProvider();
-      console.log('[Pipeline] Generating script with LLM...');
-      const result = await llm.generateScript(brief);
-
-      // Format as raw script for storage
-      const raw = `Hook: ${result.hook}\nProblem: ${result.problem}\nSolution: ${result.solution}\nCTA: ${result.cta}`;
+      console.log(`[Pipeline] Generating ${template.id} script with LLM...`);
+      const result = await llm.generateScript(brief, {
+        sections: template.sections.map((item) => item.id),
+        systemPrompt: buildScriptSystemPrompt(template),
+        costContext: { project_id: projectId },
+      });
+      const sections = Object.fromEntries(template.sections.map((item) => [item.id, result[item.id]]));
 
       return {
-        raw,
-        sections: {
-          hook: result.hook,
-          problem: result.problem,
-          solution: result.solution,
-          cta: result.cta,
-        },
+        // Format as raw script for storage
+        raw: formatScriptSections(sections, template),
+        sections,
         generated: true,
         provider: result.provider,
         model: result.model,
+        template_id: template.id,
       };
     } catch (error) {
       console.error('[Pipeline] LLM script generation failed:', error.message);
@@ -151,186 +301,361 @@ const generateScriptSections = async ({ brief, raw_script, useLLM = true }) => {
     }
   }
 
-  // Fallback to simple placeholder
-  const raw = `Hook: ${brief}\nProblem: The audience faces challenges that need solving.\nSolution: Here's how this product makes things better.\nCTA: Get started today!`;
+  // Fallback to simple placeholder: the brief opens, the rest is generic
+  const sections = fillTemplateSections(template, { ...FALLBACK_SCRIPT, [template.sections[0].id]: brief });
   return {
-    raw,
-    sections: splitScriptSections(raw),
+    raw: formatScriptSections(sections, template),
+    sections,
     generated: false,
+    template_id: template.id,
   };
 };
 
-const splitScriptSections = (raw) => {
-  const sections = { hook: '', problem: '', solution: '', cta: '' };
-  raw.split('\n').forEach((line) => {
-    const [label, ...rest] = line.split(':');
-    const content = rest.join(':').trim();
-    const key = label.trim().toLowerCase();
-    if (sections[key] !== undefined) {
-      sections[key] = content;
-    }
-  });
-  return sections;
+/**
+ * Script variants for a normalized variant request (see normalizeVariantRequest): one LLM script
+ * per angle from the brief, or the hand-written scripts parsed into sections. Variants follow the
+ * project's script template.
+ */
+const generateScriptVariants = async (project, request) => {
+  const template = projectScriptTemplate(project);
+  if (request.variants) {
+    return Promise.all(
+      request.variants.map(async (variant) =>
+        createScriptVariant(await generateScriptSections({ raw_script: variant.raw_script, template }), { name: variant.name })
+      )
+    );
+  }
+  const variants = [];
+  for (const angle of request.angles) {
+    const script = await generateScriptSections({ brief: angleBrief(request.brief, angle), template, projectId: project.id });
+    variants.push(createScriptVariant(script, { name: angle, angle }));
+  }
+  return variants;
 };
 
+// One shot per template section, timed by the section's share of the target duration
 const generateStoryboardShots = (project) => {
   const script = project.script?.sections || {};
-  const shotLabels = [
-    { id: 'hook', text: script.hook || 'Open with the hook.' },
-    { id: 'problem', text: script.problem || 'Highlight the problem.' },
-    { id: 'solution', text: script.solution || 'Show the solution.' },
-    { id: 'cta', text: script.cta || 'Close with the CTA.' },
-  ];
-  const duration = project.target_duration || 30;
-  const perShot = Math.max(2, Math.round(duration / shotLabels.length));
-  return shotLabels.map((shot, index) => ({
-    id: `${shot.id}-${index + 1}`,
-    order: index + 1,
-    duration_sec: perShot,
-    keyframe_prompt: `${shot.text} Visualize with marketing polish.`,
-    negative_prompt: 'blurry, distorted, low quality',
-    on_screen_text: shot.text,
-    camera_notes: 'Smooth push-in, steady framing.',
-    keyframe_image_path: null,
-    keyframe_version: 0,
-    keyframe_versions: [],
-    video_prompt: `${shot.text} Maintain continuity and brand style.`,
-    video_negative_prompt: 'flicker, jitter, low fidelity',
-    clip_path: null,
-    clip_version: 0,
-    clip_versions: [],
-    continuity: {
-      prev_last_frame_path: null,
-      first_frame_path: null,
-      target_last_frame_path: null,
-      last_frame_path: null,
-    },
-    provider_config: {
-      image_provider: null,
-      image_model: null,
-      image_settings: {},
-      video_provider: null,
-      video_model: null,
-      video_settings: {},
-    },
-    status: {
-      keyframe_status: 'pending',
-      clip_status: 'pending',
-      error: null,
-    },
-  }));
+  const template = projectScriptTemplate(project);
+  const durations = sectionDurations(template, project.target_duration || 30);
+  return template.sections.map((item, index) =>
+    buildTemplateShot({
+      id: `${item.id}-${index + 1}`,
+      order: index + 1,
+      section: item.id,
+      text: script[item.id],
+      placeholder: item.placeholder,
+      durationSec: durations[index],
+    })
+  );
+};
+
+/**
+ * Ask the LLM to split each script section into shots and validate the result against the
+ * storyboard shot schema. A rejected attempt is retried with its errors fed back.
+ * Returns the shots, or no shots plus the validation errors of the last attempt.
+ */
+const generateLLMStoryboardShots = async (project, { maxShots = DEFAULT_MAX_SHOTS, attempts = 2 } = {}) => {
+  const llm = new LLMProvider({ requires: { jsonOutput: true } });
+  if (!llm.candidates.length) {
+    return { shots: [], errors: ['LLM storyboard needs a configured LLM provider'] };
+  }
+
+  let errors = [];
+  for (let attempt = 1; attempt <= attempts; attempt += 1) {
+    console.log(`[Pipeline] Generating storyboard with LLM (attempt ${attempt})...`);
+    const response = await llm.generateText(buildStoryboardPrompt(project, { maxShots, previousErrors: errors }), {
+      jsonOutput: true,
+      maxTokens: 4096,
+      costContext: { project_id: project.id, asset: 'storyboard' },
+    });
+
+    let data;
+    try {
+      data = JSON.parse(response.text);
+    } catch (error) {
+      errors = ['Response was not valid JSON'];
+      continue;
+    }
+
+    const result = validateStoryboard(data, {
+      sections: projectScriptTemplate(project).sections.map((item) => item.id),
+      targetDuration: project.target_duration || 30,
+      maxShots,
+    });
+    if (!result.errors.length) {
+      return {
+        shots: result.shots.map((shot, index) =>
+          createShot({
+            id: `${shot.section}-${index + 1}`,
+            order: index + 1,
+            section: shot.section,
+            duration_sec: shot.duration_sec,
+            keyframe_prompt: shot.keyframe_prompt,
+            on_screen_text: shot.on_screen_text,
+            camera_notes: shot.camera_notes,
+            video_prompt: shot.video_prompt,
+          })
+        ),
+        errors: [],
+      };
+    }
+    errors = result.errors;
+    console.log(`[Pipeline] Storyboard rejected: ${errors.join('; ')}`);
+  }
+  return { shots: [], errors };
+};
+
+/**
+ * Ask a multimodal LLM to describe a style pack's top reference frames and write its prompt
+ * and negative-prompt spines. Returns { analysis, errors } like generateLLMStoryboardShots.
+ */
+const analyzeStylePackWithLLM = async (stylePack, { refCount = DEFAULT_ANALYSIS_REFS, attempts = 2 } = {}) => {
+  const llm = new LLMProvider({ requires: { jsonOutput: true, imageInput: true } });
+  if (!llm.candidates.length || !llm.capabilities.imageInput) {
+    return { analysis: null, errors: ['Style analysis needs a configured LLM provider that accepts images'] };
+  }
+  const refs = selectStyleRefs(stylePack, refCount).filter((ref) => !ref.placeholder && fs.existsSync(ref.path));
+  if (!refs.length) {
+    return { analysis: null, errors: ['Style pack has no extracted reference frames to analyze'] };
+  }
+
+  let errors = [];
+  for (let attempt = 1; attempt <= attempts; attempt += 1) {
+    console.log(`[Pipeline] Analyzing style pack ${stylePack.pack_id} with LLM (attempt ${attempt})...`);
+    const response = await llm.generateText(buildStyleAnalysisPrompt(stylePack, { previousErrors: errors }), {
+      jsonOutput: true,
+      maxTokens: 2048,
+      images: refs.map((ref) => ref.path),
+      costContext: { stylepack_id: stylePack.pack_id, asset: 'style-analysis' },
+    });
+
+    let data;
+    try {
+      data = JSON.parse(response.text);
+    } catch (error) {
+      errors = ['Response was not valid JSON'];
+      continue;
+    }
+
+    const result = validateStyleAnalysis(data);
+    if (!result.errors.length) {
+      return {
+        analysis: {
+          ...result.analysis,
+          provider: response.provider,
+          model: response.model,
+          ref_paths: refs.map((ref) => ref.path),
+          analyzed_at: new Date().toISOString(),
+        },
+        errors: [],
+      };
+    }
+    errors = result.errors;
+    console.log(`[Pipeline] Style analysis rejected: ${errors.join('; ')}`);
+  }
+  return { analysis: null, errors };
+};
+
+/**
+ * Continuity manager for a clip run. Bridge clips are only set up when the project asks for them,
+ * since each one is an extra paid generation.
+ */
+const createContinuityManager = (project, videoProvider) => {
+  const mode = project.continuity_mode || 'bridging';
+  const bridgeConfig = mode === 'bridge-clip' ? bridgeProviderConfig(project) : null;
+  return {
+    bridgeConfig,
+    continuity: new ContinuityManager({
+      supportsFirstLast: Boolean(videoProvider.capabilities.lastFrame),
+      mode,
+      canBridgeClip: Boolean(bridgeConfig),
+      canInterpolate: hasFfmpeg(),
+    }),
+  };
+};
+
+// The clip that plays at the cut into a shot in the bridge-clip and interpolate modes
+const buildHandoff = ({ project, mode, previousShot, shot, clipPath, version, promptSpine, bridgeConfig }) => {
+  if (!HANDOFF_MODES.includes(mode)) {
+    return null;
+  }
+  const firstFramePath = extractFirstFrame(project, { id: shot.id, clip_path: clipPath, clip_version: version });
+  return createHandoff({ project, mode, previousShot, shot, clipPath, version, firstFramePath, promptSpine, bridgeConfig });
 };
 
 const generateKeyframeForShot = async ({ project, shot }) => {
   ensureProjectDirs(project.id);
   ensureShotHistory(shot);
-  const stylePack = project.selected_style_pack_id ? loadStylePack(project.selected_style_pack_id) : null;
+  const stylePack = loadProjectStylePack(project);
   const promptSpine = buildPromptSpine(project, stylePack);
   const styleRefs = cacheStylePackRefs(project.id, stylePack, selectStyleRefs(stylePack));
-  const imageProvider = new ImageProvider(ImageProvider.defaultConfig());
+  const { productPhotos, referenceImages } = buildKeyframeReferences(project, shot, styleRefs);
+  const imageProvider = new ImageProvider(imageProviderConfig(project, { referenceImages: referenceImages.length > 0 }));
   const assetsPath = path.join(__dirname, '..', '..', 'data', 'projects', project.id, 'assets', 'keyframes');
 
   const version = shot.keyframe_version + 1;
   const filename = `${shot.id}_v${version}.png`;
   const outputPath = path.join(assetsPath, filename);
-  const prompt = `${shot.keyframe_prompt}\n${promptSpine}`;
-  await imageProvider.generateImage({
-    prompt,
-    negativePrompt: shot.negative_prompt,
-    outputPath,
-    referenceImages: styleRefs.map((ref) => ref.cached_path || ref.path),
-  });
+  const prompt = [shot.keyframe_prompt, productPhotos.length ? PRODUCT_REFERENCE_NOTE : null, promptSpine].filter(Boolean).join('\n');
+  let response;
+  try {
+    response = await imageProvider.generateImage({
+      prompt,
+      negativePrompt: buildNegativePrompt(shot.negative_prompt, stylePack),
+      outputPath,
+      referenceImages,
+      aspectRatio: project.aspect_ratio,
+      costContext: { project_id: project.id, shot_id: shot.id, version, asset: 'keyframe' },
+    });
+  } catch (error) {
+    shot.status.keyframe_status = 'failed';
+    shot.status.error = error.message;
+    throw error;
+  }
 
   recordKeyframeVersion(shot, {
     version,
     path: outputPath,
     created_at: new Date().toISOString(),
     prompt,
-    negative_prompt: shot.negative_prompt,
+    negative_prompt: buildNegativePrompt(shot.negative_prompt, stylePack) || null,
     provider_config: {
-      image_provider: imageProvider.name,
-      image_model: imageProvider.model,
-      image_settings: imageProvider.settings,
+      image_provider: response.provider || imageProvider.name,
+      image_model: response.model || imageProvider.model,
+      image_settings: buildImageSettings(imageProvider, project, response),
+      image_fallback: describeFallback(response),
     },
     style_pack_id: project.selected_style_pack_id,
-    reference_images: styleRefs.map((ref) => ref.cached_path || ref.path),
+    style_pack_version: project.selected_style_pack_version,
+    reference_images: response.referenceImages || referenceImages,
+    product_photos: productPhotos,
+    source: keyframeSource(project, shot),
+    qa: checkKeyframe({ filePath: outputPath, project, stylePack, provider: response.provider || imageProvider.name }),
   });
   shot.status.keyframe_status = 'ready';
+  shot.status.error = null;
   return shot;
 };
 
-const generateKeyframesForShots = async (project) => {
+/**
+ * Generate keyframes for every shot in order, or only the shots in options.shotIds.
+ * A failing shot is marked 'failed' and the batch moves on; callers can follow
+ * along through onShotStart / onShotComplete / onShotError.
+ */
+const generateKeyframesForShots = async (project, options = {}) => {
   ensureProjectDirs(project.id);
-  const stylePack = project.selected_style_pack_id ? loadStylePack(project.selected_style_pack_id) : null;
+  const stylePack = loadProjectStylePack(project);
   const promptSpine = buildPromptSpine(project, stylePack);
   const styleRefs = cacheStylePackRefs(project.id, stylePack, selectStyleRefs(stylePack));
-  const imageProvider = new ImageProvider(ImageProvider.defaultConfig());
+  const references = project.shots.map((shot) => buildKeyframeReferences(project, shot, styleRefs));
+  const imageProvider = new ImageProvider(imageProviderConfig(project, {
+    referenceImages: references.some((item) => item.referenceImages.length > 0),
+  }));
   const assetsPath = path.join(__dirname, '..', '..', 'data', 'projects', project.id, 'assets', 'keyframes');
 
-  for (const shot of project.shots) {
+  const selected = options.shotIds ? new Set(options.shotIds) : null;
+
+  for (const [index, shot] of project.shots.entries()) {
+    if (selected && !selected.has(shot.id)) {
+      continue;
+    }
     ensureShotHistory(shot);
+    options.onShotStart?.(shot);
+    const { productPhotos, referenceImages } = references[index];
     const version = shot.keyframe_version + 1;
     const filename = `${shot.id}_v${version}.png`;
     const outputPath = path.join(assetsPath, filename);
-    const prompt = `${shot.keyframe_prompt}\n${promptSpine}`;
-    await imageProvider.generateImage({
-      prompt,
-      negativePrompt: shot.negative_prompt,
-      outputPath,
-      referenceImages: styleRefs.map((ref) => ref.cached_path || ref.path),
-    });
+    const prompt = [shot.keyframe_prompt, productPhotos.length ? PRODUCT_REFERENCE_NOTE : null, promptSpine].filter(Boolean).join('\n');
+    let response;
+    try {
+      response = await imageProvider.generateImage({
+        prompt,
+        negativePrompt: buildNegativePrompt(shot.negative_prompt, stylePack),
+        outputPath,
+        referenceImages,
+        aspectRatio: project.aspect_ratio,
+        costContext: { project_id: project.id, shot_id: shot.id, version, asset: 'keyframe' },
+      });
+    } catch (error) {
+      shot.status.keyframe_status = 'failed';
+      shot.status.error = error.message;
+      options.onShotError?.(shot, error);
+      continue;
+    }
     recordKeyframeVersion(shot, {
       version,
       path: outputPath,
       created_at: new Date().toISOString(),
       prompt,
-      negative_prompt: shot.negative_prompt,
+      negative_prompt: buildNegativePrompt(shot.negative_prompt, stylePack) || null,
       provider_config: {
-        image_provider: imageProvider.name,
-        image_model: imageProvider.model,
-        image_settings: imageProvider.settings,
+        image_provider: response.provider || imageProvider.name,
+        image_model: response.model || imageProvider.model,
+        image_settings: buildImageSettings(imageProvider, project, response),
+        image_fallback: describeFallback(response),
       },
       style_pack_id: project.selected_style_pack_id,
-      reference_images: styleRefs.map((ref) => ref.cached_path || ref.path),
+      style_pack_version: project.selected_style_pack_version,
+      reference_images: response.referenceImages || referenceImages,
+      product_photos: productPhotos,
+      source: keyframeSource(project, shot),
+      qa: checkKeyframe({ filePath: outputPath, project, stylePack, provider: response.provider || imageProvider.name }),
     });
     shot.status.keyframe_status = 'ready';
+    shot.status.error = null;
+    options.onShotComplete?.(shot);
   }
 
   return project;
 };
 
-const generateClipForShot = async ({ project, shot, previousShot }) => {
+/**
+ * Generate the next clip version for one shot. bridge: true re-generates it to start on the
+ * previous clip's last frame (see ContinuityManager.resolveBridgeFrames) whatever the project mode.
+ */
+const generateClipForShot = async ({ project, shot, previousShot, bridge = false }) => {
   ensureProjectDirs(project.id);
   ensureShotHistory(shot);
-  const stylePack = project.selected_style_pack_id ? loadStylePack(project.selected_style_pack_id) : null;
+  const stylePack = loadProjectStylePack(project);
   const promptSpine = buildPromptSpine(project, stylePack);
   const styleRefs = cacheStylePackRefs(project.id, stylePack, selectStyleRefs(stylePack));
-  const videoProvider = new VideoProvider(VideoProvider.defaultConfig());
   const continuityMode = project.continuity_mode || 'bridging';
-  const continuity = new ContinuityManager({
-    supportsFirstLast: true,
-    mode: continuityMode,
-  });
+  const bridged = bridge && Boolean(previousShot);
+  const videoProvider = new VideoProvider(
+    videoProviderConfig(project, ContinuityManager.requiredCapabilities(bridged ? 'bridging' : continuityMode))
+  );
+  const { continuity, bridgeConfig } = createContinuityManager(project, videoProvider);
 
   const clipsPath = path.join(__dirname, '..', '..', 'data', 'projects', project.id, 'assets', 'clips');
   const framesPath = path.join(__dirname, '..', '..', 'data', 'projects', project.id, 'assets', 'frames');
-  const { firstFramePath, targetLastFramePath } = continuity.resolveFrames({
-    previousShot,
-    currentShot: shot,
-  });
+  const frameOptions = { previousShot, currentShot: shot };
+  const { mode, firstFramePath, targetLastFramePath } = bridged
+    ? continuity.resolveBridgeFrames(frameOptions)
+    : continuity.resolveFrames(frameOptions);
 
   const version = shot.clip_version + 1;
   const filename = `${shot.id}_v${version}.mp4`;
   const outputPath = path.join(clipsPath, filename);
   const prompt = `${shot.video_prompt}\n${promptSpine}`;
-  const response = await videoProvider.generateVideo({
-    prompt,
-    negativePrompt: shot.video_negative_prompt,
-    outputPath,
-    firstFramePath,
-    lastFramePath: targetLastFramePath,
-    referenceImages: styleRefs.map((ref) => ref.cached_path || ref.path),
-  });
+  let response;
+  try {
+    response = await videoProvider.generateVideo({
+      prompt,
+      negativePrompt: buildNegativePrompt(shot.video_negative_prompt, stylePack),
+      outputPath,
+      firstFramePath,
+      lastFramePath: targetLastFramePath,
+      referenceImages: styleRefs.map((ref) => ref.cached_path || ref.path),
+      aspectRatio: project.aspect_ratio,
+      durationSec: shot.duration_sec,
+      costContext: { project_id: project.id, shot_id: shot.id, version, asset: 'clip' },
+    });
+  } catch (error) {
+    shot.status.clip_status = 'failed';
+    shot.status.error = error.message;
+    throw error;
+  }
 
   shot.continuity.prev_last_frame_path = previousShot?.continuity?.last_frame_path || null;
   shot.continuity.first_frame_path = response.firstFramePath || firstFramePath || null;
@@ -340,49 +665,80 @@ const generateClipForShot = async ({ project, shot, previousShot }) => {
   const framePath = path.join(framesPath, frameFile);
   continuity.saveLastFrame({ clipPath: outputPath, framePath });
   shot.continuity.last_frame_path = framePath;
+  shot.continuity.mode = mode;
+  shot.continuity.handoff = await buildHandoff({
+    project,
+    mode,
+    previousShot,
+    shot,
+    clipPath: outputPath,
+    version,
+    promptSpine,
+    bridgeConfig,
+  });
 
+  const providerConfig = {
+    video_provider: response.provider || videoProvider.name,
+    video_model: response.model || videoProvider.model,
+    video_settings: buildVideoSettings(videoProvider, project, shot, response),
+    video_fallback: describeFallback(response),
+  };
   recordClipVersion(shot, {
     version,
     path: outputPath,
     created_at: new Date().toISOString(),
     prompt,
-    negative_prompt: shot.video_negative_prompt,
-    provider_config: {
-      video_provider: videoProvider.name,
-      video_model: videoProvider.model,
-      video_settings: videoProvider.settings,
-    },
+    negative_prompt: buildNegativePrompt(shot.video_negative_prompt, stylePack) || null,
+    provider_config: providerConfig,
     continuity: {
-      mode: continuityMode,
+      mode,
+      requested_mode: continuityMode,
+      bridged,
       prev_last_frame_path: shot.continuity.prev_last_frame_path,
       first_frame_path: shot.continuity.first_frame_path,
       target_last_frame_path: shot.continuity.target_last_frame_path,
       last_frame_path: shot.continuity.last_frame_path,
+      handoff: shot.continuity.handoff,
     },
     style_pack_id: project.selected_style_pack_id,
+    style_pack_version: project.selected_style_pack_version,
     reference_images: styleRefs.map((ref) => ref.cached_path || ref.path),
+    source: clipSource(project, shot, previousShot),
+    qa: checkClip({ filePath: outputPath, project, shot, stylePack, providerConfig }),
   });
   shot.status.clip_status = 'ready';
+  shot.status.error = null;
   return shot;
 };
 
-const generateClipsForShots = async (project) => {
+/**
+ * Generate clips for every shot in order, chaining continuity frames, or only the shots in
+ * options.shotIds (skipped shots keep their current clip and still feed the next shot).
+ * Uses the same per-shot callbacks and failure handling as generateKeyframesForShots.
+ */
+const generateClipsForShots = async (project, options = {}) => {
   ensureProjectDirs(project.id);
-  const stylePack = project.selected_style_pack_id ? loadStylePack(project.selected_style_pack_id) : null;
+  const stylePack = loadProjectStylePack(project);
   const promptSpine = buildPromptSpine(project, stylePack);
   const styleRefs = cacheStylePackRefs(project.id, stylePack, selectStyleRefs(stylePack));
-  const videoProvider = new VideoProvider(VideoProvider.defaultConfig());
   const continuityMode = project.continuity_mode || 'bridging';
-  const continuity = new ContinuityManager({ supportsFirstLast: true, mode: continuityMode });
+  const videoProvider = new VideoProvider(videoProviderConfig(project, ContinuityManager.requiredCapabilities(continuityMode)));
+  const { continuity, bridgeConfig } = createContinuityManager(project, videoProvider);
 
   const clipsPath = path.join(__dirname, '..', '..', 'data', 'projects', project.id, 'assets', 'clips');
   const framesPath = path.join(__dirname, '..', '..', 'data', 'projects', project.id, 'assets', 'frames');
 
+  const selected = options.shotIds ? new Set(options.shotIds) : null;
+
   for (let i = 0; i < project.shots.length; i += 1) {
     const shot = project.shots[i];
     const prevShot = project.shots[i - 1];
+    if (selected && !selected.has(shot.id)) {
+      continue;
+    }
     ensureShotHistory(shot);
-    const { firstFramePath, targetLastFramePath } = continuity.resolveFrames({
+    options.onShotStart?.(shot);
+    const { mode, firstFramePath, targetLastFramePath } = continuity.resolveFrames({
       previousShot: prevShot,
       currentShot: shot,
     });
@@ -391,14 +747,25 @@ const generateClipsForShots = async (project) => {
     const filename = `${shot.id}_v${version}.mp4`;
     const outputPath = path.join(clipsPath, filename);
     const prompt = `${shot.video_prompt}\n${promptSpine}`;
-    const response = await videoProvider.generateVideo({
-      prompt,
-      negativePrompt: shot.video_negative_prompt,
-      outputPath,
-      firstFramePath,
-      lastFramePath: targetLastFramePath,
-      referenceImages: styleRefs.map((ref) => ref.cached_path || ref.path),
-    });
+    let response;
+    try {
+      response = await videoProvider.generateVideo({
+        prompt,
+        negativePrompt: buildNegativePrompt(shot.video_negative_prompt, stylePack),
+        outputPath,
+        firstFramePath,
+        lastFramePath: targetLastFramePath,
+        referenceImages: styleRefs.map((ref) => ref.cached_path || ref.path),
+        aspectRatio: project.aspect_ratio,
+        durationSec: shot.duration_sec,
+        costContext: { project_id: project.id, shot_id: shot.id, version, asset: 'clip' },
+      });
+    } catch (error) {
+      shot.status.clip_status = 'failed';
+      shot.status.error = error.message;
+      options.onShotError?.(shot, error);
+      continue;
+    }
     shot.continuity.prev_last_frame_path = prevShot?.continuity?.last_frame_path || null;
     shot.continuity.first_frame_path = response.firstFramePath || firstFramePath || null;
     shot.continuity.target_last_frame_path = response.lastFramePath || targetLastFramePath || null;
@@ -407,63 +774,379 @@ const generateClipsForShots = async (project) => {
     const framePath = path.join(framesPath, frameFile);
     continuity.saveLastFrame({ clipPath: outputPath, framePath });
     shot.continuity.last_frame_path = framePath;
+    shot.continuity.mode = mode;
+    shot.continuity.handoff = await buildHandoff({
+      project,
+      mode,
+      previousShot: prevShot,
+      shot,
+      clipPath: outputPath,
+      version,
+      promptSpine,
+      bridgeConfig,
+    });
+    const providerConfig = {
+      video_provider: response.provider || videoProvider.name,
+      video_model: response.model || videoProvider.model,
+      video_settings: buildVideoSettings(videoProvider, project, shot, response),
+      video_fallback: describeFallback(response),
+    };
     recordClipVersion(shot, {
       version,
       path: outputPath,
       created_at: new Date().toISOString(),
       prompt,
-      negative_prompt: shot.video_negative_prompt,
-      provider_config: {
-        video_provider: videoProvider.name,
-        video_model: videoProvider.model,
-        video_settings: videoProvider.settings,
-      },
+      negative_prompt: buildNegativePrompt(shot.video_negative_prompt, stylePack) || null,
+      provider_config: providerConfig,
       continuity: {
-        mode: continuityMode,
+        mode,
+        requested_mode: continuityMode,
+        bridged: false,
         prev_last_frame_path: shot.continuity.prev_last_frame_path,
         first_frame_path: shot.continuity.first_frame_path,
         target_last_frame_path: shot.continuity.target_last_frame_path,
         last_frame_path: shot.continuity.last_frame_path,
+        handoff: shot.continuity.handoff,
       },
       style_pack_id: project.selected_style_pack_id,
+      style_pack_version: project.selected_style_pack_version,
       reference_images: styleRefs.map((ref) => ref.cached_path || ref.path),
+      source: clipSource(project, shot, prevShot),
+      qa: checkClip({ filePath: outputPath, project, shot, stylePack, providerConfig }),
     });
     shot.status.clip_status = 'ready';
+    shot.status.error = null;
+    options.onShotComplete?.(shot);
   }
 
   return project;
 };
 
-const exportProjectVideo = async (project, options) => {
+/**
+ * Walk the cuts in order and re-generate the clip after each jarring one with stronger bridging,
+ * up to maxAttempts times per cut. Cuts are measured fresh, so a fix that moves a later cut is seen.
+ * Uses the batch callbacks of generateClipsForShots; returns the attempts and the final report.
+ */
+const regenerateJarringClips = async (project, options = {}) => {
+  const maxAttempts = options.maxAttempts || projectContinuityCheck(project).max_attempts;
+  const fixes = [];
+  for (let i = 1; i < project.shots.length; i += 1) {
+    const previousShot = project.shots[i - 1];
+    const shot = project.shots[i];
+    let boundary = analyzeBoundary(project, previousShot, shot);
+    if (boundary.status !== 'jarring') {
+      continue;
+    }
+    const fix = { shot_id: shot.id, before: boundary.metrics, attempts: 0, fixed: false };
+    options.onShotStart?.(shot);
+    try {
+      while (boundary.status === 'jarring' && fix.attempts < maxAttempts) {
+        fix.attempts += 1;
+        await generateClipForShot({ project, shot, previousShot, bridge: true });
+        boundary = analyzeBoundary(project, previousShot, shot);
+      }
+    } catch (error) {
+      shot.status.error = error.message;
+      fixes.push({ ...fix, error: error.message });
+      options.onShotError?.(shot, error);
+      continue;
+    }
+    fixes.push({ ...fix, after: boundary.metrics, fixed: boundary.status === 'ok', clip_version: shot.clip_version });
+    options.onShotComplete?.(shot);
+  }
+  return { fixes, report: buildContinuityReport(project) };
+};
+
+/**
+ * Voice the shots in options.shotIds (every shot when not given) from their narration text and
+ * apply the project's fit mode. A shot whose text is now empty loses its narration. Callbacks
+ * work like the keyframe and clip batches.
+ */
+const generateNarrationForShots = async (project, options = {}) => {
   ensureProjectDirs(project.id);
-  const exportDir = path.join(__dirname, '..', '..', 'data', 'projects', project.id, 'assets', 'exports');
-  const filename = `final_v${project.exports.length + 1}.mp4`;
-  const outputPath = path.join(exportDir, filename);
+  const voiceProvider = new VoiceProvider(voiceProviderConfig(project));
+  const engine = { provider: voiceProvider.name, model: voiceProvider.model };
+  const { voice } = projectVoiceover(project);
+  const texts = narrationTexts(project);
+  const assetsPath = path.join(projectPath(project.id), 'assets', 'narration');
+  const selected = options.shotIds ? new Set(options.shotIds) : null;
 
-  const clipPaths = project.shots.map((shot) => shot.clip_path).filter(Boolean);
-  if (!clipPaths.length) {
-    throw new Error('No clips available for export.');
+  for (const shot of project.shots) {
+    if (selected && !selected.has(shot.id)) {
+      continue;
+    }
+    options.onShotStart?.(shot);
+    const text = texts[shot.id];
+    if (!text) {
+      shot.narration = null;
+      options.onShotComplete?.(shot);
+      continue;
+    }
+    const version = (shot.narration?.version || 0) + 1;
+    const outputPath = path.join(assetsPath, `${shot.id}_v${version}.wav`);
+    let response;
+    try {
+      response = await voiceProvider.generateSpeech({
+        text,
+        outputPath,
+        voice,
+        costContext: { project_id: project.id, shot_id: shot.id, version, asset: 'narration' },
+      });
+    } catch (error) {
+      shot.status.error = error.message;
+      options.onShotError?.(shot, error);
+      continue;
+    }
+    shot.narration = {
+      version,
+      path: outputPath,
+      created_at: new Date().toISOString(),
+      text,
+      voice: response.voice || voice,
+      provider: response.provider || voiceProvider.name,
+      model: response.model || voiceProvider.model,
+      fallback: describeFallback(response),
+      duration_sec: measureNarration(outputPath, response.durationSec),
+      // Word timings when the provider reports them; captions use them for word highlighting
+      words: response.words || null,
+      stretched_from: null,
+      source: narrationSource(project, text, engine),
+    };
+    fitShotToNarration(project, shot);
+    options.onShotComplete?.(shot);
   }
 
-  if (hasFfmpeg()) {
-    const listFile = path.join(exportDir, `concat_${Date.now()}.txt`);
-    fs.writeFileSync(listFile, clipPaths.map((clip) => `file '${clip}'`).join('\n'));
-    const args = ['-y', '-f', 'concat', '-safe', '0', '-i', listFile, '-c', 'copy', outputPath];
-    const result = runFfmpeg(args);
-    if (!result.ok) {
-      fs.writeFileSync(outputPath, 'export placeholder');
+  return project;
+};
+
+/**
+ * Re-run QA on every shot's current keyframe and clip, e.g. for versions made before QA
+ * existed or after the style pack changed. Results replace the qa stored on those versions.
+ */
+const checkProjectAssets = (project) => {
+  const stylePack = loadProjectStylePack(project);
+  project.shots.forEach((shot) => {
+    ensureShotHistory(shot);
+    const keyframe = shot.keyframe_versions.find((entry) => entry.version === shot.keyframe_version);
+    if (keyframe) {
+      keyframe.qa = checkKeyframe({
+        filePath: keyframe.path,
+        project,
+        stylePack,
+        provider: keyframe.provider_config?.image_provider,
+      });
+    }
+    const clip = shot.clip_versions.find((entry) => entry.version === shot.clip_version);
+    if (clip) {
+      clip.qa = checkClip({
+        filePath: clip.path,
+        project,
+        shot,
+        stylePack,
+        providerConfig: clip.provider_config,
+      });
     }
-  } else {
-    fs.writeFileSync(outputPath, 'export placeholder');
+  });
+  return project;
+};
+
+// Why a project cannot be exported with these options, or null when it can
+const exportOptionsError = (project, options = {}) => {
+  if (!project.shots.some((shot) => shot.clip_path)) {
+    return 'No clips available for export.';
+  }
+  const musicPath = resolveProjectFile(project, options.audio_path);
+  if (musicPath && !fs.existsSync(musicPath)) {
+    return `Background music not found: ${options.audio_path}`;
+  }
+  try {
+    resolveRenditions(project, options);
+  } catch (error) {
+    return error.message;
   }
+  return null;
+};
 
-  project.exports.push({
-    path: outputPath,
-    created_at: new Date().toISOString(),
-    audio: options?.audio_path || null,
-  });
+/**
+ * Chain of export passes: each reads the current stage file and writes the next one.
+ * The file a pass read is removed even when the pass fails, unless it is `keepPath`.
+ */
+const exportStages = (firstPath, keepPath = null) => {
+  const remove = (filePath) => {
+    if (filePath !== keepPath && fs.existsSync(filePath)) fs.unlinkSync(filePath);
+  };
+  const stages = {
+    path: firstPath,
+    run: async (nextPath, runPass) => {
+      const previousPath = stages.path;
+      stages.path = nextPath;
+      try {
+        return await runPass(previousPath, nextPath);
+      } finally {
+        remove(previousPath);
+      }
+    },
+    cleanup: () => remove(stages.path),
+  };
+  return stages;
+};
+
+/**
+ * Export every requested rendition. The clips are stitched once into a master at the project's
+ * frame, with narration and music mixed in; each rendition is reframed from that master, then
+ * gets its overlays, captions and delivery encode.
+ * `onStart(total)` and `onProgress(step, update)` report the master ('stitch') and each rendition
+ * (by preset) as steps, with the running pass in `update.stage`.
+ */
+const exportProjectVideo = async (project, options = {}, { onStart = () => {}, onProgress = () => {} } = {}) => {
+  const problem = exportOptionsError(project, options);
+  if (problem) {
+    throw new Error(problem);
+  }
+  ensureProjectDirs(project.id);
+  const exportDir = path.join(__dirname, '..', '..', 'data', 'projects', project.id, 'assets', 'exports');
+  const run = project.exports.reduce((max, item, index) => Math.max(max, item.run || index + 1), 0) + 1;
+
+  const musicPath = resolveProjectFile(project, options.audio_path);
+  const renditions = resolveRenditions(project, options);
+  const master = masterRendition(project);
+  const timeline = buildExportTimeline(project);
+  // Fallback length for the audio passes when ffprobe cannot measure the stitched master
+  const durationSec = timelineDuration(timeline);
+  const logoPath = resolveProjectFile(project, project.brand_kit?.logo_path);
+  const overlaySettings = options.overlays === false ? null : normalizeOverlayOptions(options.overlays);
+  const captionSettings = normalizeCaptionOptions(options.captions, overlaySettings);
+  // Narration is mixed in whenever shots have it, unless the caller passes narration: false
+  const cues = options.narration === false ? [] : narrationCues(project, timeline);
+  const createdAt = new Date().toISOString();
 
-  return { project, outputPath };
+  const runStep = async (step, work) => {
+    onProgress(step, { status: 'running', started_at: new Date().toISOString() });
+    try {
+      const result = await work((stage) => onProgress(step, { status: 'running', stage }));
+      onProgress(step, { status: 'completed', stage: null, finished_at: new Date().toISOString() });
+      return result;
+    } catch (error) {
+      onProgress(step, { status: 'failed', error: error.message, finished_at: new Date().toISOString() });
+      throw error;
+    }
+  };
+
+  onStart(renditions.length + 1);
+  const masterStages = exportStages(path.join(exportDir, `final_v${run}_stitched.mp4`));
+  try {
+    // Audio does not depend on the frame, so it is mixed once on the master
+    const { stitch, narration, audio } = await runStep('stitch', async (reportStage) => {
+      reportStage('stitch');
+      const stitched = await stitchClips({ project, timeline, outputPath: masterStages.path, rendition: master });
+      let narrationRecord = null;
+      if (cues.length) {
+        reportStage('narration');
+        narrationRecord = await masterStages.run(path.join(exportDir, `final_v${run}_narration.mp4`), (videoPath, stageOutput) =>
+          mixNarration({ videoPath, outputPath: stageOutput, cues, durationSec })
+        );
+      }
+      let audioRecord = null;
+      if (musicPath) {
+        reportStage('music');
+        audioRecord = await masterStages.run(path.join(exportDir, `final_v${run}_mixed.mp4`), (videoPath, stageOutput) =>
+          mixBackgroundMusic({
+            videoPath,
+            musicPath,
+            outputPath: stageOutput,
+            options: options.audio_mix,
+            durationSec,
+          })
+        );
+      }
+      return { stitch: stitched, narration: narrationRecord, audio: audioRecord };
+    });
+
+    const entries = [];
+    for (const rendition of renditions) {
+      const exportBase = renditions.length === 1 && rendition.preset === 'master'
+        ? `final_v${run}`
+        : `final_v${run}_${rendition.preset}`;
+      const outputPath = path.join(exportDir, `${exportBase}.${containerExtension(rendition.container)}`);
+      const stagePath = (name) => path.join(exportDir, `${exportBase}_${name}.mp4`);
+
+      const entry = await runStep(rendition.preset, async (reportStage) => {
+        const stages = exportStages(masterStages.path, masterStages.path);
+        try {
+          const sameFrame = rendition.width === master.width && rendition.height === master.height;
+          let reframe = null;
+          if (!sameFrame) {
+            reportStage('reframe');
+            reframe = await stages.run(stagePath('reframed'), (videoPath, stageOutput) =>
+              reframeVideo({ videoPath, outputPath: stageOutput, timeline, rendition })
+            );
+          }
+
+          let overlays = null;
+          if (options.overlays !== false) {
+            reportStage('overlays');
+            overlays = await stages.run(stagePath('overlay'), (videoPath, stageOutput) =>
+              burnOverlays({
+                videoPath,
+                outputPath: stageOutput,
+                project,
+                timeline,
+                options: options.overlays,
+                logoPath,
+                aspectRatio: rendition.aspect_ratio,
+              })
+            );
+          }
+
+          const captions = captionSettings
+            ? writeCaptionFiles({
+                project,
+                timeline,
+                basePath: path.join(exportDir, exportBase),
+                rendition,
+                settings: captionSettings,
+                overlays: overlaySettings,
+              })
+            : null;
+          if (captions?.ass) {
+            reportStage('captions');
+            Object.assign(
+              captions,
+              await stages.run(stagePath('captions'), (videoPath, stageOutput) =>
+                burnCaptions({ videoPath, outputPath: stageOutput, assPath: captions.ass })
+              )
+            );
+          }
+
+          reportStage('encode');
+          const encode = await encodeRendition({ videoPath: stages.path, outputPath, rendition });
+
+          return {
+            path: outputPath,
+            created_at: createdAt,
+            run,
+            preset: rendition.preset,
+            rendition,
+            stitch,
+            reframe,
+            narration,
+            audio,
+            overlays,
+            captions,
+            encode,
+          };
+        } finally {
+          stages.cleanup();
+        }
+      });
+      entries.push(entry);
+    }
+
+    project.exports.push(...entries);
+    return { project, outputPath: entries[0].path, renditions: entries };
+  } finally {
+    masterStages.cleanup();
+  }
 };
 
 module.exports = {
@@ -473,8 +1156,16 @@ module.exports = {
   generateKeyframeForShot,
   generateClipForShot,
   generateScriptSections,
+  generateScriptVariants,
   generateStoryboardShots,
+  generateLLMStoryboardShots,
+  analyzeStylePackWithLLM,
   generateKeyframesForShots,
   generateClipsForShots,
+  regenerateJarringClips,
+  generateNarrationForShots,
+  checkProjectAssets,
+  exportOptionsError,
   exportProjectVideo,
+  pinnedStylePackError,
 };
@@ -0,0 +1,329 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { nanoid } = require('nanoid');
+const { ensureProjectDirs, projectPath, saveProject } = require('../storage/projectStore');
+const { loadStylePack, restoreStylePackVersion, isStylePackId, stylePackDir } = require('../storage/stylePackStore');
+const { createTarGz, extractTarGz } = require('../utils/tar');
+
+const BUNDLE_FORMAT = 'project-bundle';
+const BUNDLE_VERSION = 1;
+const dataRoot = path.join(__dirname, '..', '..', 'data');
+// Larger uploads are refused; unpacking stops at twice this so a gzip bomb cannot fill memory
+const MAX_BUNDLE_BYTES = Number(process.env.BUNDLE_MAX_MB || 1024) * 1024 * 1024;
+const MAX_UNPACKED_BYTES = MAX_BUNDLE_BYTES * 2;
+
+// Files of a bundle live under one folder per root; everything else is a JSON document
+const BUNDLE_ROOTS = ['project', 'stylepack'];
+const BUNDLE_DOCUMENTS = ['manifest.json', 'project.json', 'stylepack.json'];
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+
+const isInside = (dir, filePath) => {
+  const relative = path.relative(dir, filePath);
+  return Boolean(relative) && !relative.startsWith('..') && !path.isAbsolute(relative);
+};
+
+const isFile = (filePath) => fs.existsSync(filePath) && fs.statSync(filePath).isFile();
+
+// Visit every string in a JSON document along with its key path
+const mapStrings = (value, fn, pointer = []) => {
+  if (typeof value === 'string') {
+    return fn(value, pointer);
+  }
+  if (Array.isArray(value)) {
+    return value.map((item, index) => mapStrings(item, fn, [...pointer, index]));
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, mapStrings(item, fn, [...pointer, key])]));
+  }
+  return value;
+};
+
+/**
+ * Replace absolute paths of existing files with paths relative to a bundle root and queue the
+ * files for the archive. Files outside every root (a parent project's shots, say) are copied
+ * into externalDir of the first root. Returns the document and where each path was rewritten.
+ */
+const relativizePaths = (document, roots, externalDir, files) => {
+  const paths = [];
+  const missing = [];
+  const rewritten = mapStrings(document, (value, pointer) => {
+    if (!path.isAbsolute(value)) {
+      // Brand files are already stored relative to the project folder; they only need packing
+      const resolved = value && path.resolve(roots[0].dir, value);
+      if (resolved && isInside(roots[0].dir, resolved) && isFile(resolved)) {
+        files.set(`${roots[0].name}/${path.relative(roots[0].dir, resolved).split(path.sep).join('/')}`, resolved);
+      }
+      return value;
+    }
+    if (!isFile(value)) {
+      if (isInside(dataRoot, value)) {
+        missing.push(value);
+      }
+      return value;
+    }
+    const root = roots.find((item) => isInside(item.dir, value));
+    const relative = root
+      ? path.relative(root.dir, value).split(path.sep).join('/')
+      : `${externalDir}/${sha256(value).slice(0, 8)}-${path.basename(value)}`;
+    const rootName = root?.name || roots[0].name;
+    files.set(`${rootName}/${relative}`, value);
+    paths.push({ pointer, root: rootName, path: relative });
+    return relative;
+  });
+  return { document: rewritten, paths, missing };
+};
+
+/**
+ * Build a .tar.gz holding the project, every file it references and the style pack version it
+ * is pinned to. Paths in the JSON become relative; manifest.json lists a sha256 per file.
+ */
+const buildProjectBundle = (project) => {
+  const files = new Map();
+  const stylePack = project.selected_style_pack_id
+    ? loadStylePack(project.selected_style_pack_id, project.selected_style_pack_version)
+    : null;
+  const packRoot = stylePack ? [{ name: 'stylepack', dir: stylePackDir(stylePack.pack_id) }] : [];
+
+  const bundledProject = relativizePaths(
+    project,
+    [{ name: 'project', dir: projectPath(project.id) }, ...packRoot],
+    'assets/external',
+    files
+  );
+  const bundledPack = stylePack ? relativizePaths(stylePack, packRoot, 'external', files) : null;
+
+  const entries = [
+    { name: 'project.json', data: Buffer.from(JSON.stringify(bundledProject.document, null, 2)) },
+    ...(bundledPack ? [{ name: 'stylepack.json', data: Buffer.from(JSON.stringify(bundledPack.document, null, 2)) }] : []),
+    ...[...files.entries()].map(([name, filePath]) => ({ name, data: fs.readFileSync(filePath) })),
+  ];
+  const manifest = {
+    format: BUNDLE_FORMAT,
+    version: BUNDLE_VERSION,
+    created_at: new Date().toISOString(),
+    project: { id: project.id, name: project.name },
+    style_pack: stylePack
+      ? { pack_id: stylePack.pack_id, version: stylePack.version, version_created_at: stylePack.version_created_at }
+      : null,
+    paths: { project: bundledProject.paths, style_pack: bundledPack?.paths || [] },
+    files: entries.map(({ name, data }) => ({ name, size: data.length, sha256: sha256(data) })),
+    // Referenced files that were already gone; their paths are left as they were
+    missing: [...new Set([...bundledProject.missing, ...(bundledPack?.missing || [])])],
+  };
+  return {
+    manifest,
+    buffer: createTarGz([{ name: 'manifest.json', data: Buffer.from(JSON.stringify(manifest, null, 2)) }, ...entries]),
+  };
+};
+
+const isSafeName = (name) =>
+  typeof name === 'string' &&
+  (BUNDLE_DOCUMENTS.includes(name) || BUNDLE_ROOTS.some((root) => name.startsWith(`${root}/`))) &&
+  !name.split('/').some((part) => !part || part === '.' || part === '..') &&
+  !name.includes('\\');
+
+/**
+ * Problems that make a bundle unsafe or incomplete: unexpected or unlisted files,
+ * missing files and files whose size or checksum differ from the manifest
+ */
+const verifyBundleFiles = (manifest, byName) => {
+  const listed = Array.isArray(manifest.files) ? manifest.files : [];
+  const problems = listed.flatMap((file) => {
+    const { name, size, sha256: expected } = file || {};
+    if (!isSafeName(name) || name === 'manifest.json') {
+      return [`${name}: not a valid bundle path`];
+    }
+    const data = byName.get(name);
+    if (!data) {
+      return [`${name}: missing from the bundle`];
+    }
+    if (data.length !== size || sha256(data) !== expected) {
+      return [`${name}: checksum mismatch`];
+    }
+    return [];
+  });
+  const listedNames = new Set(listed.map((file) => file?.name));
+  [...byName.keys()]
+    .filter((name) => name !== 'manifest.json' && !listedNames.has(name))
+    .forEach((name) => problems.push(`${name}: not listed in the manifest`));
+  if (!listedNames.has('project.json')) {
+    problems.push('project.json: missing from the bundle');
+  }
+  if (manifest.style_pack && !listedNames.has('stylepack.json')) {
+    problems.push('stylepack.json: missing from the bundle');
+  }
+  return problems;
+};
+
+const isPlainObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+// The manifest is written by whoever made the bundle, so its pack id and version are checked before use
+const verifyBundledStylePack = (stylePack) => {
+  if (!stylePack) {
+    return [];
+  }
+  return [
+    ...(isStylePackId(stylePack.pack_id) ? [] : [`style_pack.pack_id: ${stylePack.pack_id} is not a style pack id`]),
+    ...(Number.isInteger(stylePack.version) && stylePack.version > 0
+      ? []
+      : [`style_pack.version: ${stylePack.version} is not a positive integer`]),
+  ];
+};
+
+// Every destination is resolved and checked to stay inside dir before the first file is written
+const writeRootFiles = (byName, root, dir) => {
+  const files = [...byName.entries()]
+    .filter(([name]) => name.startsWith(`${root}/`))
+    .map(([name, data]) => ({ name, data, destination: path.resolve(dir, ...name.slice(root.length + 1).split('/')) }));
+  const outside = files.find(({ destination }) => !isInside(dir, destination));
+  if (outside) {
+    throw new Error(`Bundle file would be written outside its folder: ${outside.name}`);
+  }
+  files.forEach(({ data, destination }) => {
+    fs.mkdirSync(path.dirname(destination), { recursive: true });
+    fs.writeFileSync(destination, data);
+  });
+};
+
+// Turn the paths recorded in the manifest back into absolute paths under their new roots
+const absolutizePaths = (document, paths, rootDirs) => {
+  (Array.isArray(paths) ? paths : []).forEach((entry) => {
+    const { pointer, root, path: relative } = entry || {};
+    if (!Array.isArray(pointer) || typeof relative !== 'string' || relative.split('/').includes('..')) {
+      return;
+    }
+    const parent = pointer
+      .slice(0, -1)
+      .reduce((node, key) => (node && Object.prototype.hasOwnProperty.call(node, key) ? node[key] : null), document);
+    const key = pointer[pointer.length - 1];
+    if (parent && Object.prototype.hasOwnProperty.call(parent, key) && rootDirs[root] && parent[key] === relative) {
+      parent[key] = path.join(rootDirs[root], ...relative.split('/'));
+    }
+  });
+  return document;
+};
+
+/**
+ * Clear every path that would reach outside the folders the bundle was restored into: absolute
+ * paths the manifest did not rewrite and relative ones climbing out with '..'. Returns the
+ * document and the pointers that were cleared.
+ */
+const clearOutsidePaths = (document, dirs) => {
+  const cleared = [];
+  const sanitized = mapStrings(document, (value, pointer) => {
+    const isPath = path.isAbsolute(value) || value.split(/[\\/]/).includes('..');
+    if (!isPath || dirs.some((dir) => isInside(dir, path.resolve(dirs[0], value)))) {
+      return value;
+    }
+    cleared.push(pointer.join('/'));
+    return null;
+  });
+  return { document: sanitized, cleared };
+};
+
+/**
+ * Reuse the local copy of the pinned pack version when it is the same snapshot, otherwise
+ * restore the bundled one, under a new id when the local pack with that id is a different one
+ */
+const restoreBundledStylePack = (manifest, bundledPack, byName) => {
+  const { pack_id: packId, version, version_created_at: createdAt } = manifest.style_pack;
+  const local = loadStylePack(packId, version);
+  if (local && local.version_created_at === createdAt) {
+    return { pack_id: packId, version, restored: false };
+  }
+  const targetId = loadStylePack(packId) ? nanoid(10) : packId;
+  const dir = stylePackDir(targetId);
+  writeRootFiles(byName, 'stylepack', dir);
+  const pack = clearOutsidePaths(absolutizePaths(bundledPack, manifest.paths?.style_pack, { stylepack: dir }), [dir]);
+  restoreStylePackVersion({ ...pack.document, pack_id: targetId, version });
+  return { pack_id: targetId, version, restored: true, bundled_pack_id: packId, cleared: pack.cleared };
+};
+
+/**
+ * Restore a bundle as a new project with the given id. Every file is checked against the
+ * manifest before anything is written. Returns { project, style_pack, files } or { error, details }.
+ */
+const importProjectBundle = (buffer, projectId) => {
+  if (buffer.length > MAX_BUNDLE_BYTES) {
+    return { error: `Bundle is larger than ${MAX_BUNDLE_BYTES} bytes` };
+  }
+  let entries;
+  try {
+    entries = extractTarGz(buffer, { maxBytes: MAX_UNPACKED_BYTES });
+  } catch (error) {
+    return { error: `Bundle could not be read: ${error.message}` };
+  }
+  const byName = new Map(entries.map(({ name, data }) => [name, data]));
+  let manifest;
+  try {
+    manifest = JSON.parse(byName.get('manifest.json'));
+  } catch (error) {
+    return { error: 'Bundle has no readable manifest.json' };
+  }
+  if (manifest?.format !== BUNDLE_FORMAT) {
+    return { error: 'Not a project bundle' };
+  }
+  if (manifest.version > BUNDLE_VERSION) {
+    return { error: `Bundle format version ${manifest.version} is newer than this app supports` };
+  }
+  const packProblems = verifyBundledStylePack(manifest.style_pack);
+  if (packProblems.length) {
+    return { error: 'Bundle names an invalid style pack', details: packProblems };
+  }
+  const problems = verifyBundleFiles(manifest, byName);
+  if (problems.length) {
+    return { error: 'Bundle failed its integrity check', details: problems };
+  }
+  let bundled;
+  let bundledPack;
+  try {
+    bundled = JSON.parse(byName.get('project.json'));
+    bundledPack = manifest.style_pack ? JSON.parse(byName.get('stylepack.json')) : null;
+  } catch (error) {
+    return { error: `Bundle has an unreadable document: ${error.message}` };
+  }
+  if (!isPlainObject(bundled) || (manifest.style_pack && !isPlainObject(bundledPack))) {
+    return { error: 'Bundle has an unreadable document' };
+  }
+
+  const { cleared: packCleared = [], ...stylePack } = manifest.style_pack
+    ? restoreBundledStylePack(manifest, bundledPack, byName)
+    : {};
+  ensureProjectDirs(projectId);
+  writeRootFiles(byName, 'project', projectPath(projectId));
+  const rootDirs = {
+    project: projectPath(projectId),
+    stylepack: stylePack.pack_id ? stylePackDir(stylePack.pack_id) : null,
+  };
+  const { document: project, cleared } = clearOutsidePaths(
+    absolutizePaths(bundled, manifest.paths?.project, rootDirs),
+    Object.values(rootDirs).filter(Boolean)
+  );
+  Object.assign(project, {
+    id: projectId,
+    ...(stylePack.pack_id ? { selected_style_pack_id: stylePack.pack_id, selected_style_pack_version: stylePack.version } : {}),
+    imported_from: {
+      project_id: manifest.project?.id || null,
+      bundled_at: manifest.created_at || null,
+      imported_at: new Date().toISOString(),
+    },
+  });
+  saveProject(project);
+  return {
+    project,
+    style_pack: stylePack.pack_id ? stylePack : null,
+    files: manifest.files.length,
+    missing: manifest.missing || [],
+    cleared_paths: [...cleared, ...packCleared.map((pointer) => `stylepack/${pointer}`)],
+  };
+};
+
+module.exports = {
+  BUNDLE_FORMAT,
+  MAX_BUNDLE_BYTES,
+  buildProjectBundle,
+  verifyBundleFiles,
+  importProjectBundle,
+};
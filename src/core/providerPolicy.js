@@ -0,0 +1,75 @@
+const { ImageProvider } = require('../providers/imageProvider');
+const { VideoProvider } = require('../providers/videoProvider');
+const { VoiceProvider } = require('../providers/voiceProvider');
+const { listAdapters } = require('../providers/registry');
+
+// An empty chain keeps the registry's default order (capabilities, then IMAGE_PROVIDER / VIDEO_PROVIDER).
+// strict turns "every provider failed" into a failed shot instead of a placeholder asset.
+const DEFAULT_PROVIDER_POLICY = { image_chain: [], video_chain: [], strict: false };
+
+const chainableAdapterIds = (kind) =>
+  listAdapters(kind)
+    .filter((adapter) => !adapter.placeholder)
+    .map((adapter) => adapter.id);
+
+const normalizeChain = (kind, chain) => {
+  if (chain === null || chain === undefined) {
+    return { chain: [] };
+  }
+  if (!Array.isArray(chain)) {
+    return { error: `provider_policy.${kind}_chain must be an array of provider ids` };
+  }
+  const known = chainableAdapterIds(kind);
+  const unknown = chain.filter((id) => !known.includes(id));
+  if (unknown.length) {
+    return { error: `Unknown ${kind} provider(s): ${unknown.join(', ')}. Use ${known.join(', ')}` };
+  }
+  return { chain: [...new Set(chain)] };
+};
+
+/**
+ * Validate a provider policy update from the settings API
+ */
+const normalizeProviderPolicy = (input = {}) => {
+  const image = normalizeChain('image', input.image_chain);
+  if (image.error) {
+    return { error: image.error };
+  }
+  const video = normalizeChain('video', input.video_chain);
+  if (video.error) {
+    return { error: video.error };
+  }
+  return {
+    policy: {
+      image_chain: image.chain,
+      video_chain: video.chain,
+      strict: Boolean(input.strict),
+    },
+  };
+};
+
+const projectPolicy = (project) => ({ ...DEFAULT_PROVIDER_POLICY, ...project.provider_policy });
+
+/**
+ * ImageProvider config for a project: env defaults plus the project's chain and strict flag
+ */
+const imageProviderConfig = (project, requires = {}) => {
+  const policy = projectPolicy(project);
+  return { ...ImageProvider.defaultConfig(), requires, chain: policy.image_chain, strict: policy.strict };
+};
+
+const videoProviderConfig = (project, requires = {}) => {
+  const policy = projectPolicy(project);
+  return { ...VideoProvider.defaultConfig(), requires, chain: policy.video_chain, strict: policy.strict };
+};
+
+// Voice has no fallback chain of its own; it follows the project's strict flag
+const voiceProviderConfig = (project) => ({ ...VoiceProvider.defaultConfig(), strict: projectPolicy(project).strict });
+
+module.exports = {
+  DEFAULT_PROVIDER_POLICY,
+  normalizeProviderPolicy,
+  imageProviderConfig,
+  videoProviderConfig,
+  voiceProviderConfig,
+};
@@ -0,0 +1,299 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { nanoid } = require('nanoid');
+const { analyzePng, sharpnessScore, readImageInfo } = require('../utils/imageUtils');
+const { paletteDistance } = require('../utils/colorUtils');
+const { hasFfmpeg, hasFfprobe, runFfmpeg, getMediaDuration, getVideoStreamInfo } = require('../utils/ffmpeg');
+const { parseAspectRatio } = require('../utils/mediaSettings');
+
+const QA_THRESHOLDS = {
+  black_brightness: 20,
+  min_sharpness: 2,
+  min_contrast: 8,
+  min_short_side: 512,
+  aspect_tolerance: 0.03,
+  // Allowed clip duration drift: the larger of these seconds or this share of the request
+  duration_tolerance_sec: 0.5,
+  duration_tolerance_ratio: 0.1,
+  min_fps: 23,
+  // Share of a clip that may be black or frozen before it is flagged
+  max_black_ratio: 0.1,
+  max_frozen_ratio: 0.3,
+  // Coverage-weighted delta E from the style pack palette
+  max_palette_distance: 25,
+};
+
+// Points taken off a score of 100 for each warning code
+const QA_PENALTIES = {
+  missing: 100,
+  unreadable: 100,
+  placeholder: 60,
+  black_frame: 50,
+  black_frames: 30,
+  frozen: 30,
+  aspect_ratio: 25,
+  blurry: 20,
+  low_resolution: 15,
+  duration_mismatch: 15,
+  low_frame_rate: 10,
+  low_contrast: 10,
+  off_palette: 10,
+  unchecked: 0,
+  qa_error: 0,
+};
+
+const QA_PASS_SCORE = 70;
+
+const warning = (code, message) => ({ code, message });
+
+const scoreWarnings = (warnings) =>
+  Math.max(0, 100 - warnings.reduce((sum, item) => sum + (QA_PENALTIES[item.code] ?? 10), 0));
+
+const buildResult = (warnings, metrics) => {
+  const score = scoreWarnings(warnings);
+  return {
+    score,
+    passed: score >= QA_PASS_SCORE,
+    warnings,
+    metrics,
+    checked_at: new Date().toISOString(),
+  };
+};
+
+const isPlaceholderProvider = (provider) => /^placeholder/.test(provider || '');
+
+const checkResolution = (width, height, project, warnings) => {
+  const expected = parseAspectRatio(project.aspect_ratio);
+  if (expected && width && height && Math.abs(width / height - expected) / expected > QA_THRESHOLDS.aspect_tolerance) {
+    warnings.push(warning('aspect_ratio', `${width}x${height} does not match the project's ${project.aspect_ratio}`));
+  }
+  if (width && height && Math.min(width, height) < QA_THRESHOLDS.min_short_side) {
+    warnings.push(warning('low_resolution', `${width}x${height} is below ${QA_THRESHOLDS.min_short_side}px on the short side`));
+  }
+};
+
+/**
+ * Brightness, blur, contrast and palette checks on one PNG frame
+ */
+const checkFramePixels = (framePath, stylePack, warnings, label = 'Frame') => {
+  const stats = analyzePng(framePath);
+  const sharpness = sharpnessScore(framePath);
+  const distance = paletteDistance(stats.palette, stylePack?.metadata_summary?.palette);
+  if (stats.brightness < QA_THRESHOLDS.black_brightness) {
+    warnings.push(warning('black_frame', `${label} is almost black (brightness ${Math.round(stats.brightness)})`));
+  } else if (sharpness < QA_THRESHOLDS.min_sharpness) {
+    warnings.push(warning('blurry', `${label} looks blurred (sharpness ${sharpness.toFixed(1)})`));
+  }
+  if (stats.contrast < QA_THRESHOLDS.min_contrast) {
+    warnings.push(warning('low_contrast', `${label} is flat (contrast ${Math.round(stats.contrast)})`));
+  }
+  if (distance !== null && distance > QA_THRESHOLDS.max_palette_distance) {
+    warnings.push(warning('off_palette', `${label} colors are far from the style pack palette (ΔE ${distance})`));
+  }
+  return {
+    brightness: Math.round(stats.brightness),
+    contrast: Math.round(stats.contrast),
+    sharpness: Math.round(sharpness * 10) / 10,
+    palette: stats.palette.map((color) => color.hex),
+    palette_distance: distance,
+  };
+};
+
+// Frames that are not PNG (e.g. a JPEG saved by a provider) are converted for the pixel checks
+const withPngFrame = (filePath, info, callback) => {
+  if (info.type === 'png') {
+    return callback(filePath);
+  }
+  if (!hasFfmpeg()) {
+    return null;
+  }
+  const tempPath = path.join(os.tmpdir(), `qa-${nanoid(8)}.png`);
+  try {
+    return runFfmpeg(['-y', '-i', filePath, '-frames:v', '1', tempPath]).ok ? callback(tempPath) : null;
+  } finally {
+    if (fs.existsSync(tempPath)) {
+      fs.unlinkSync(tempPath);
+    }
+  }
+};
+
+/**
+ * QA a generated keyframe: file, placeholder, resolution, black, blur, contrast and palette.
+ * Returns { score, passed, warnings, metrics, checked_at }; never throws.
+ */
+const checkKeyframe = ({ filePath, project, stylePack = null, provider = null }) => {
+  const warnings = [];
+  const metrics = {};
+  try {
+    if (!filePath || !fs.existsSync(filePath)) {
+      return buildResult([warning('missing', 'Keyframe file is missing')], metrics);
+    }
+    const info = readImageInfo(filePath);
+    if (!info) {
+      return buildResult([warning('unreadable', 'Keyframe is not a PNG, JPEG or WebP image')], metrics);
+    }
+    Object.assign(metrics, { width: info.width, height: info.height, format: info.type });
+    if (isPlaceholderProvider(provider) || (info.width === 1 && info.height === 1)) {
+      return buildResult([warning('placeholder', 'Keyframe is a placeholder, not a generated image')], metrics);
+    }
+    checkResolution(info.width, info.height, project, warnings);
+    const pixels = withPngFrame(filePath, info, (framePath) => checkFramePixels(framePath, stylePack, warnings, 'Keyframe'));
+    if (pixels) {
+      Object.assign(metrics, pixels);
+    } else {
+      warnings.push(warning('unchecked', `Pixel checks skipped: ${info.type} needs ffmpeg to analyze`));
+    }
+  } catch (error) {
+    warnings.push(warning('qa_error', `QA failed: ${error.message}`));
+  }
+  return buildResult(warnings, metrics);
+};
+
+// Total seconds reported by blackdetect / freezedetect in ffmpeg's log
+const sumDetected = (log, pattern) =>
+  [...log.matchAll(pattern)].reduce((sum, match) => sum + parseFloat(match[1]), 0);
+
+const detectBlackAndFrozen = (clipPath) => {
+  const result = runFfmpeg([
+    '-hide_banner',
+    '-i', clipPath,
+    '-an',
+    '-vf', 'blackdetect=d=0.1:pix_th=0.1,freezedetect=n=-60dB:d=0.5',
+    '-f', 'null',
+    '-',
+  ]);
+  if (!result.ok) {
+    return null;
+  }
+  return {
+    black_sec: sumDetected(result.stderr, /black_duration:\s*([\d.]+)/g),
+    frozen_sec: sumDetected(result.stderr, /freeze_duration:\s*([\d.]+)/g),
+  };
+};
+
+const grabFrame = (clipPath, timestamp, callback) => {
+  const tempPath = path.join(os.tmpdir(), `qa-${nanoid(8)}.png`);
+  try {
+    return runFfmpeg(['-y', '-ss', `${timestamp}`, '-i', clipPath, '-frames:v', '1', tempPath]).ok && fs.existsSync(tempPath)
+      ? callback(tempPath)
+      : null;
+  } finally {
+    if (fs.existsSync(tempPath)) {
+      fs.unlinkSync(tempPath);
+    }
+  }
+};
+
+/**
+ * QA a generated clip: placeholder, resolution, duration, frame rate, black or frozen stretches,
+ * and blur and palette on the middle frame. Returns the same shape as checkKeyframe.
+ * providerConfig is the clip version's provider_config; its duration is what the provider was
+ * actually asked for after snapping, so that is what the clip is measured against.
+ */
+const checkClip = ({ filePath, project, shot, stylePack = null, providerConfig = null }) => {
+  const provider = providerConfig?.video_provider;
+  const warnings = [];
+  const metrics = {};
+  try {
+    if (!filePath || !fs.existsSync(filePath)) {
+      return buildResult([warning('missing', 'Clip file is missing')], metrics);
+    }
+    if (isPlaceholderProvider(provider)) {
+      return buildResult([warning('placeholder', 'Clip is a placeholder, not a generated video')], metrics);
+    }
+    if (!hasFfprobe() || !hasFfmpeg()) {
+      return buildResult([warning('unchecked', 'Clip checks need ffmpeg and ffprobe')], metrics);
+    }
+    const stream = getVideoStreamInfo(filePath);
+    const duration = getMediaDuration(filePath);
+    if (!stream || !duration) {
+      return buildResult([warning('unreadable', 'Clip has no readable video stream')], metrics);
+    }
+    Object.assign(metrics, { width: stream.width, height: stream.height, fps: stream.fps, codec: stream.codec, duration_sec: duration });
+
+    checkResolution(stream.width, stream.height, project, warnings);
+    const requested = providerConfig?.video_settings?.duration_sec || shot.duration_sec;
+    const tolerance = Math.max(QA_THRESHOLDS.duration_tolerance_sec, requested * QA_THRESHOLDS.duration_tolerance_ratio);
+    if (requested && Math.abs(duration - requested) > tolerance) {
+      warnings.push(warning('duration_mismatch', `Clip runs ${duration.toFixed(1)}s; ${requested}s was requested`));
+    }
+    if (stream.fps && stream.fps < QA_THRESHOLDS.min_fps) {
+      warnings.push(warning('low_frame_rate', `Clip is ${stream.fps} fps`));
+    }
+
+    const detected = detectBlackAndFrozen(filePath);
+    if (detected) {
+      metrics.black_ratio = Math.round((detected.black_sec / duration) * 100) / 100;
+      metrics.frozen_ratio = Math.round((detected.frozen_sec / duration) * 100) / 100;
+      if (metrics.black_ratio > QA_THRESHOLDS.max_black_ratio) {
+        warnings.push(warning('black_frames', `${Math.round(metrics.black_ratio * 100)}% of the clip is black`));
+      }
+      if (metrics.frozen_ratio > QA_THRESHOLDS.max_frozen_ratio) {
+        warnings.push(warning('frozen', `${Math.round(metrics.frozen_ratio * 100)}% of the clip is frozen`));
+      }
+    }
+
+    const middle = grabFrame(filePath, duration / 2, (framePath) => checkFramePixels(framePath, stylePack, warnings, 'Middle frame'));
+    if (middle) {
+      metrics.middle_frame = middle;
+    }
+  } catch (error) {
+    warnings.push(warning('qa_error', `QA failed: ${error.message}`));
+  }
+  return buildResult(warnings, metrics);
+};
+
+const currentVersion = (versions, number) => (versions || []).find((entry) => entry.version === number) || null;
+
+const summarizeAssets = (results) => {
+  const checked = results.filter(Boolean);
+  const warningCounts = checked
+    .flatMap((qa) => qa.warnings)
+    .reduce((counts, item) => ({ ...counts, [item.code]: (counts[item.code] || 0) + 1 }), {});
+  return {
+    checked: checked.length,
+    unchecked: results.length - checked.length,
+    passed: checked.filter((qa) => qa.passed).length,
+    failed: checked.filter((qa) => !qa.passed).length,
+    average_score: checked.length ? Math.round(checked.reduce((sum, qa) => sum + qa.score, 0) / checked.length) : null,
+    warning_counts: warningCounts,
+  };
+};
+
+/**
+ * Project QA report from the QA stored on each shot's current keyframe and clip versions
+ */
+const buildQaReport = (project) => {
+  const shots = project.shots.map((shot) => {
+    const keyframe = shot.keyframe_version ? currentVersion(shot.keyframe_versions, shot.keyframe_version) : null;
+    const clip = shot.clip_version ? currentVersion(shot.clip_versions, shot.clip_version) : null;
+    return {
+      shot_id: shot.id,
+      order: shot.order,
+      keyframe: keyframe ? { version: keyframe.version, qa: keyframe.qa || null } : null,
+      clip: clip ? { version: clip.version, qa: clip.qa || null } : null,
+    };
+  });
+  const keyframes = shots.filter((shot) => shot.keyframe).map((shot) => shot.keyframe.qa);
+  const clips = shots.filter((shot) => shot.clip).map((shot) => shot.clip.qa);
+  return {
+    project_id: project.id,
+    pass_score: QA_PASS_SCORE,
+    keyframes: summarizeAssets(keyframes),
+    clips: summarizeAssets(clips),
+    needs_attention: shots
+      .filter((shot) => [shot.keyframe?.qa, shot.clip?.qa].some((qa) => qa && !qa.passed))
+      .map((shot) => shot.shot_id),
+    shots,
+    generated_at: new Date().toISOString(),
+  };
+};
+
+module.exports = {
+  QA_THRESHOLDS,
+  QA_PASS_SCORE,
+  checkKeyframe,
+  checkClip,
+  buildQaReport,
+};
@@ -0,0 +1,209 @@
+const {
+  loadStoredScriptTemplate,
+  listStoredScriptTemplates,
+} = require('../storage/scriptTemplateStore');
+
+const DEFAULT_SCRIPT_TEMPLATE_ID = 'classic';
+const MAX_TEMPLATE_SECTIONS = 8;
+// Template shots are never shorter than this, whatever the section's share
+const MIN_SECTION_SEC = 2;
+
+const section = (id, label, share, guidance, placeholder) => ({ id, label, share, guidance, placeholder });
+
+const BUILT_IN_SCRIPT_TEMPLATES = [
+  {
+    id: 'classic',
+    name: 'Hook / Problem / Solution / CTA',
+    description: 'The default direct-response structure.',
+    sections: [
+      section('hook', 'Hook', 0.25, 'A compelling opening (1-2 sentences) that grabs attention immediately. Use questions, surprising facts, or emotional triggers.', 'Open with the hook.'),
+      section('problem', 'Problem', 0.25, 'Identify the pain point or challenge the target audience faces (2-3 sentences). Make them feel understood.', 'Highlight the problem.'),
+      section('solution', 'Solution', 0.25, 'Present the product/service as the answer (2-3 sentences). Highlight key benefits and unique value.', 'Show the solution.'),
+      section('cta', 'CTA', 0.25, 'A clear call-to-action (1-2 sentences). Tell them exactly what to do next.', 'Close with the CTA.'),
+    ],
+  },
+  {
+    id: 'product-demo',
+    name: 'Product demo',
+    description: 'Show the product working, then the features that matter.',
+    sections: [
+      section('hook', 'Hook', 0.15, 'One line that promises what the viewer is about to see the product do.', 'Open on the product.'),
+      section('demo', 'Demo', 0.35, 'Walk through the product in use, step by step, as it would look on screen (2-3 sentences).', 'Show the product in use.'),
+      section('features', 'Features', 0.3, 'The two or three features that matter most, each tied to a concrete result.', 'Call out the key features.'),
+      section('cta', 'CTA', 0.2, 'A clear call-to-action (1 sentence).', 'Close with the CTA.'),
+    ],
+  },
+  {
+    id: 'testimonial',
+    name: 'Testimonial',
+    description: 'A customer tells their story in the first person.',
+    sections: [
+      section('intro', 'Intro', 0.2, 'The customer introduces themselves and their situation in the first person (1-2 sentences).', 'Meet the customer.'),
+      section('struggle', 'Struggle', 0.25, 'What was not working for them before, in their own words (2 sentences).', 'Show what was not working.'),
+      section('turning_point', 'Turning point', 0.3, 'How the product changed things, with one specific result (2-3 sentences).', 'Show the change the product made.'),
+      section('cta', 'CTA', 0.25, 'The customer recommends the product and the viewer is told what to do next.', 'Close with the recommendation.'),
+    ],
+  },
+  {
+    id: 'listicle',
+    name: 'Listicle',
+    description: 'A hook, three numbered reasons and a CTA.',
+    sections: [
+      section('hook', 'Hook', 0.15, 'Promise a short numbered list ("3 reasons...", "3 ways...") in one line.', 'Announce the list.'),
+      section('item_1', 'Item 1', 0.2, 'The first item: a short title and one sentence of proof.', 'First reason.'),
+      section('item_2', 'Item 2', 0.2, 'The second item: a short title and one sentence of proof.', 'Second reason.'),
+      section('item_3', 'Item 3', 0.2, 'The strongest item, saved for last: a short title and one sentence of proof.', 'Third reason.'),
+      section('cta', 'CTA', 0.25, 'A clear call-to-action (1 sentence).', 'Close with the CTA.'),
+    ],
+  },
+  {
+    id: 'launch-teaser',
+    name: 'Launch teaser',
+    description: 'Build anticipation for something that is not out yet.',
+    sections: [
+      section('tease', 'Tease', 0.3, 'Hint at what is coming without showing it; build curiosity (1-2 sentences).', 'Hint at what is coming.'),
+      section('reveal', 'Reveal', 0.3, 'A first glimpse of the product and the one thing that makes it new.', 'Reveal a first glimpse.'),
+      section('launch', 'Launch', 0.2, 'When and where it launches.', 'Give the launch date.'),
+      section('cta', 'CTA', 0.2, 'What to do now: sign up, follow or pre-order.', 'Ask them to sign up.'),
+    ],
+  },
+].map((template) => ({ ...template, built_in: true }));
+
+const builtInTemplate = (id) => BUILT_IN_SCRIPT_TEMPLATES.find((template) => template.id === id) || null;
+
+const listScriptTemplates = () => [
+  ...BUILT_IN_SCRIPT_TEMPLATES,
+  ...listStoredScriptTemplates().map((template) => ({ ...template, built_in: false })),
+];
+
+const loadScriptTemplate = (id) => {
+  const stored = builtInTemplate(id) ? null : loadStoredScriptTemplate(id);
+  return builtInTemplate(id) || (stored ? { ...stored, built_in: false } : null);
+};
+
+/**
+ * The template a project's script follows. Projects keep a copy, so editing or deleting a saved
+ * template never changes a script that was already written; older projects use the classic one.
+ */
+const projectScriptTemplate = (project) => project.script_template || builtInTemplate(DEFAULT_SCRIPT_TEMPLATE_ID);
+
+// "Turning point" -> "turning_point"
+const toSectionKey = (label) => String(label || '').trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+
+/**
+ * Validate a user template: an id, a name and 1-8 ordered sections with guidance and a share of
+ * the runtime. Shares are scaled to add up to 1. Returns { template } or { error }.
+ */
+const normalizeScriptTemplate = (input = {}) => {
+  const id = toSectionKey(input.id || input.name).replace(/_/g, '-');
+  if (!id) {
+    return { error: 'Template needs an id or name' };
+  }
+  if (builtInTemplate(id)) {
+    return { error: `${id} is a built-in template; save yours under another id` };
+  }
+  const sections = input.sections;
+  if (!Array.isArray(sections) || !sections.length || sections.length > MAX_TEMPLATE_SECTIONS) {
+    return { error: `sections must be an array of 1 to ${MAX_TEMPLATE_SECTIONS} sections` };
+  }
+  const errors = [];
+  const cleaned = sections.map((item, index) => {
+    const key = toSectionKey(item?.id || item?.label);
+    const share = item?.share === undefined ? 1 / sections.length : Number(item.share);
+    if (!key) {
+      errors.push(`sections[${index}] needs an id or label`);
+    }
+    if (typeof item?.guidance !== 'string' || !item.guidance.trim()) {
+      errors.push(`sections[${index}].guidance must describe what the section should say`);
+    }
+    if (Number.isNaN(share) || share <= 0) {
+      errors.push(`sections[${index}].share must be a positive number`);
+    }
+    return {
+      id: key,
+      label: String(item?.label || key).trim(),
+      share,
+      guidance: String(item?.guidance || '').trim(),
+      placeholder: String(item?.placeholder || item?.label || key).trim(),
+    };
+  });
+  const ids = cleaned.map((item) => item.id);
+  if (new Set(ids).size !== ids.length) {
+    errors.push('Section ids must be unique');
+  }
+  if (errors.length) {
+    return { error: errors.join('; ') };
+  }
+  const total = cleaned.reduce((sum, item) => sum + item.share, 0);
+  return {
+    template: {
+      id,
+      name: String(input.name || id).trim(),
+      description: String(input.description || '').trim(),
+      sections: cleaned.map((item) => ({ ...item, share: Math.round((item.share / total) * 1000) / 1000 })),
+    },
+  };
+};
+
+/**
+ * LLM system prompt asking for one JSON field per template section
+ */
+const buildScriptSystemPrompt = (template) => {
+  const sectionLines = template.sections.map(
+    (item, index) => `${index + 1}. **${item.id}** (${item.label}, about ${Math.round(item.share * 100)}% of the runtime) - ${item.guidance}`
+  );
+  const jsonLines = template.sections.map((item, index) => `  "${item.id}": "..."${index < template.sections.length - 1 ? ',' : ''}`);
+  return [
+    'You are a professional marketing copywriter. Your task is to create compelling video marketing scripts.',
+    '',
+    `Given a brief description of a product, service, or campaign, generate a structured "${template.name}" marketing script with these sections, in this order:`,
+    '',
+    ...sectionLines,
+    '',
+    'Keep the tone conversational and engaging. Each section should flow naturally into the next.',
+    '',
+    'IMPORTANT: Return ONLY valid JSON in this exact format:',
+    '{',
+    ...jsonLines,
+    '}',
+  ].join('\n');
+};
+
+/**
+ * Read "Label: text" lines into the template's sections. A line matches a section by its id or label.
+ */
+const parseScriptSections = (raw, template) => {
+  const sections = Object.fromEntries(template.sections.map((item) => [item.id, '']));
+  String(raw || '').split('\n').forEach((line) => {
+    const [label, ...rest] = line.split(':');
+    const key = toSectionKey(label);
+    const match = template.sections.find((item) => item.id === key || toSectionKey(item.label) === key);
+    if (match) {
+      sections[match.id] = rest.join(':').trim();
+    }
+  });
+  return sections;
+};
+
+const formatScriptSections = (sections, template) =>
+  template.sections.map((item) => `${item.label}: ${sections[item.id] || ''}`).join('\n');
+
+/**
+ * Seconds per section for template storyboards, from each section's share of the target duration
+ */
+const sectionDurations = (template, targetDuration) =>
+  template.sections.map((item) => Math.max(MIN_SECTION_SEC, Math.round(targetDuration * item.share)));
+
+module.exports = {
+  DEFAULT_SCRIPT_TEMPLATE_ID,
+  MAX_TEMPLATE_SECTIONS,
+  BUILT_IN_SCRIPT_TEMPLATES,
+  listScriptTemplates,
+  loadScriptTemplate,
+  projectScriptTemplate,
+  normalizeScriptTemplate,
+  buildScriptSystemPrompt,
+  parseScriptSections,
+  formatScriptSections,
+  sectionDurations,
+};
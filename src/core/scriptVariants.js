@@ -0,0 +1,180 @@
+const fs = require('fs');
+const path = require('path');
+const { nanoid } = require('nanoid');
+const { createProject, saveProject, projectPath } = require('../storage/projectStore');
+const { normalizeShotOrder } = require('./shots');
+const { buildTemplateShot } = require('./storyboard');
+const { projectScriptTemplate } = require('./scriptTemplates');
+
+// Angles a variant can be written from; the guidance is added to the brief
+const SCRIPT_ANGLES = {
+  'benefit-led': 'Lead with the single biggest benefit and keep every section about what the viewer gains.',
+  fomo: 'Fear of missing out: stress scarcity, timing and what others already get, with an urgent CTA.',
+  testimonial: 'Write it as a satisfied customer telling their own story in the first person.',
+};
+const MAX_VARIANTS = 6;
+
+/**
+ * Validate a variant request: either { brief, angles } to write one variant per angle with the LLM,
+ * or { variants: [{ name, raw_script }] } to store scripts written by hand.
+ * Returns { request } or { error }.
+ */
+const normalizeVariantRequest = (input = {}) => {
+  if (input.variants !== undefined) {
+    const { variants } = input;
+    if (!Array.isArray(variants) || !variants.length || variants.length > MAX_VARIANTS) {
+      return { error: `variants must be an array of 1 to ${MAX_VARIANTS} scripts` };
+    }
+    if (variants.some((variant) => typeof variant?.raw_script !== 'string' || !variant.raw_script.trim())) {
+      return { error: 'Every variant needs a raw_script ("Hook: ...\\nProblem: ...")' };
+    }
+    return {
+      request: {
+        variants: variants.map((variant, index) => ({
+          name: String(variant.name || `Variant ${index + 1}`).trim(),
+          raw_script: variant.raw_script,
+        })),
+      },
+    };
+  }
+  if (typeof input.brief !== 'string' || !input.brief.trim()) {
+    return { error: 'brief is required to write variants' };
+  }
+  const angles = input.angles ?? Object.keys(SCRIPT_ANGLES);
+  if (
+    !Array.isArray(angles) ||
+    !angles.length ||
+    angles.length > MAX_VARIANTS ||
+    angles.some((angle) => !SCRIPT_ANGLES[angle])
+  ) {
+    return { error: `angles must list up to ${MAX_VARIANTS} of ${Object.keys(SCRIPT_ANGLES).join(', ')}` };
+  }
+  return { request: { brief: input.brief.trim(), angles } };
+};
+
+// Kept on one line so placeholder scripts built from the brief stay one line per section
+const angleBrief = (brief, angle) => `${brief} Angle: ${SCRIPT_ANGLES[angle]}`;
+
+/**
+ * Variant record stored in project.script_variants, from a generateScriptSections result
+ */
+const createScriptVariant = (script, { name, angle = null }) => ({
+  id: `variant-${nanoid(6)}`,
+  name,
+  angle,
+  raw: script.raw,
+  sections: script.sections,
+  generated: script.generated,
+  provider: script.provider,
+  model: script.model,
+  template_id: script.template_id,
+  branch_project_id: null,
+  created_at: new Date().toISOString(),
+});
+
+const changedSections = (template, script, variant) =>
+  template.sections
+    .map((item) => item.id)
+    .filter((section) => (script?.sections?.[section] || '').trim() !== (variant.sections?.[section] || '').trim());
+
+// Shots made before `section` was stored carry it in their storyboard id ("hook-1")
+const shotSection = (template, shot) =>
+  shot.section || template.sections.map((item) => item.id).find((section) => shot.id.startsWith(`${section}-`)) || null;
+
+/**
+ * Shot list for a variant: shots of unchanged sections are copied with their versions, so their
+ * keyframes and clips are reused, and each changed section becomes one template shot with the
+ * section's total duration. Hand-added shots without a section are kept.
+ */
+const branchShots = (project, variant) => {
+  const template = projectScriptTemplate(project);
+  const changed = changedSections(template, project.script, variant);
+  const shots = [];
+  const shared = [];
+  const placed = new Set();
+  project.shots.forEach((shot) => {
+    const section = shotSection(template, shot);
+    if (!changed.includes(section)) {
+      shots.push(JSON.parse(JSON.stringify(shot)));
+      shared.push(shot.id);
+      return;
+    }
+    if (placed.has(section)) {
+      return;
+    }
+    placed.add(section);
+    const durationSec = project.shots
+      .filter((item) => shotSection(template, item) === section)
+      .reduce((sum, item) => sum + item.duration_sec, 0);
+    shots.push(
+      buildTemplateShot({
+        id: `${section}-${nanoid(6)}`,
+        section,
+        text: variant.sections?.[section],
+        placeholder: template.sections.find((item) => item.id === section).placeholder,
+        durationSec,
+      })
+    );
+  });
+  return { shots, shared, changed, unmatched: changed.filter((section) => !placed.has(section)) };
+};
+
+/**
+ * Create a project for a variant that shares the parent's settings, brand kit and unchanged shots.
+ * Reused versions keep pointing at the parent's asset files; brand files are copied so the
+ * branch can manage its own. Marks the variant as branched on the parent (not saved here).
+ */
+const createVariantBranch = (project, variant, branchId) => {
+  const branch = createProject(branchId, { name: `${project.name} · ${variant.name}` });
+  const brandDir = path.join(projectPath(project.id), 'assets', 'brand');
+  if (fs.existsSync(brandDir)) {
+    fs.cpSync(brandDir, path.join(projectPath(branchId), 'assets', 'brand'), { recursive: true });
+  }
+  const { shots, shared, changed, unmatched } = branchShots(project, variant);
+  Object.assign(branch, {
+    aspect_ratio: project.aspect_ratio,
+    fps_target: project.fps_target,
+    target_duration: project.target_duration,
+    script_template: project.script_template || null,
+    selected_style_pack_id: project.selected_style_pack_id,
+    selected_style_pack_version: project.selected_style_pack_version,
+    continuity_mode: project.continuity_mode,
+    continuity_check: { ...project.continuity_check },
+    voiceover: { ...branch.voiceover, ...project.voiceover },
+    budget: { ...project.budget },
+    provider_policy: JSON.parse(JSON.stringify(project.provider_policy || branch.provider_policy)),
+    brand_kit: JSON.parse(JSON.stringify(project.brand_kit || branch.brand_kit)),
+    script: {
+      raw: variant.raw,
+      sections: { ...variant.sections },
+      generated: variant.generated,
+      provider: variant.provider,
+      model: variant.model,
+      template_id: variant.template_id,
+    },
+    shots,
+    variant_of: { project_id: project.id, variant_id: variant.id, name: variant.name, angle: variant.angle },
+  });
+  normalizeShotOrder(branch);
+  saveProject(branch);
+  variant.branch_project_id = branchId;
+  return {
+    project: branch,
+    changed_sections: changed,
+    unmatched_sections: unmatched,
+    shared_shot_ids: shared,
+    new_shot_ids: shots.filter((shot) => !shared.includes(shot.id)).map((shot) => shot.id),
+  };
+};
+
+module.exports = {
+  SCRIPT_ANGLES,
+  MAX_VARIANTS,
+  normalizeVariantRequest,
+  angleBrief,
+  createScriptVariant,
+  changedSections,
+  shotSection,
+  branchShots,
+  createVariantBranch,
+};
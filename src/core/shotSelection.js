@@ -0,0 +1,176 @@
+// Shot states a batch can be limited to with `only`
+const SHOT_FILTERS = ['missing', 'failed', 'stale'];
+const SHOT_ASSETS = ['keyframe', 'clip'];
+
+const sameList = (a, b) => JSON.stringify(a || []) === JSON.stringify(b || []);
+
+/**
+ * Inputs a keyframe version is generated from; stored on the version as `source`
+ * so later edits can be detected
+ */
+const keyframeSource = (project, shot) => ({
+  keyframe_prompt: shot.keyframe_prompt,
+  negative_prompt: shot.negative_prompt,
+  product_photo_paths: shot.product_photo_paths ?? project.brand_kit?.product_photo_paths ?? [],
+});
+
+// Clips also depend on the shot's current keyframe and, unless shots are independent, the clip before them
+const clipSource = (project, shot, previousShot) => ({
+  video_prompt: shot.video_prompt,
+  video_negative_prompt: shot.video_negative_prompt,
+  duration_sec: shot.duration_sec,
+  keyframe_version: shot.keyframe_version,
+  previous_clip: previousShot ? { shot_id: previousShot.id, version: previousShot.clip_version } : null,
+});
+
+const currentEntry = (versions, version) => (versions || []).find((entry) => entry.version === version) || null;
+
+const styleReasons = (project, entry) =>
+  (entry.style_pack_id || null) !== (project.selected_style_pack_id || null) ||
+  (entry.style_pack_version || null) !== (project.selected_style_pack_version || null)
+    ? ['style pack changed']
+    : [];
+
+// Versions made before `source` was recorded only have the composed prompt to compare against
+const promptChanged = (entry, recorded, prompt) =>
+  recorded !== undefined ? recorded !== prompt : !String(entry.prompt || '').startsWith(prompt || '');
+
+const keyframeStaleReasons = (project, shot, entry) => {
+  const source = entry.source || {};
+  const current = keyframeSource(project, shot);
+  const reasons = [];
+  if (promptChanged(entry, source.keyframe_prompt, shot.keyframe_prompt)) {
+    reasons.push('keyframe prompt changed');
+  }
+  if (entry.source && source.negative_prompt !== current.negative_prompt) {
+    reasons.push('negative prompt changed');
+  }
+  if (entry.source && !sameList(source.product_photo_paths, current.product_photo_paths)) {
+    reasons.push('product photos changed');
+  }
+  return [...reasons, ...styleReasons(project, entry)];
+};
+
+const clipStaleReasons = (project, shot, previousShot, entry) => {
+  const source = entry.source || {};
+  const reasons = [];
+  if (shot.status?.clip_status === 'stale') {
+    reasons.push('shot order changed');
+  }
+  if (promptChanged(entry, source.video_prompt, shot.video_prompt)) {
+    reasons.push('video prompt changed');
+  }
+  if (entry.source && source.video_negative_prompt !== shot.video_negative_prompt) {
+    reasons.push('negative prompt changed');
+  }
+  if (entry.source && source.duration_sec !== shot.duration_sec) {
+    reasons.push('duration changed');
+  }
+  const keyframe = currentEntry(shot.keyframe_versions, shot.keyframe_version);
+  const keyframeChanged = entry.source
+    ? source.keyframe_version !== shot.keyframe_version
+    : Boolean(keyframe && keyframe.created_at > entry.created_at);
+  if (keyframeChanged) {
+    reasons.push('keyframe changed');
+  }
+  if (project.continuity_mode !== 'independent' && previousShot) {
+    const upstream = entry.source
+      ? source.previous_clip?.shot_id !== previousShot.id || source.previous_clip?.version !== previousShot.clip_version
+      : (entry.continuity?.prev_last_frame_path || null) !== (previousShot.continuity?.last_frame_path || null);
+    if (upstream) {
+      reasons.push('previous clip changed');
+    }
+  }
+  return [...reasons, ...styleReasons(project, entry)];
+};
+
+/**
+ * Whether a shot's keyframe or clip is missing, failed or stale, with the reasons it is stale
+ */
+const describeAssetState = (project, shot, asset) => {
+  const index = project.shots.indexOf(shot);
+  const version = asset === 'keyframe' ? shot.keyframe_version : shot.clip_version;
+  const status = asset === 'keyframe' ? shot.status?.keyframe_status : shot.status?.clip_status;
+  const entry = asset === 'keyframe'
+    ? currentEntry(shot.keyframe_versions, version)
+    : currentEntry(shot.clip_versions, version);
+  const reasons = !entry
+    ? []
+    : asset === 'keyframe'
+      ? keyframeStaleReasons(project, shot, entry)
+      : clipStaleReasons(project, shot, project.shots[index - 1], entry);
+  return {
+    missing: !version,
+    failed: status === 'failed',
+    stale: reasons.length > 0,
+    stale_reasons: reasons,
+  };
+};
+
+/**
+ * Validate a batch selection: optional shot_ids and an optional `only` filter
+ * (any of missing, failed, stale). Returns { selection } or { error }.
+ */
+const normalizeShotSelection = (project, input = {}) => {
+  const { shot_ids: shotIds, only } = input;
+  if (shotIds !== undefined && shotIds !== null) {
+    if (!Array.isArray(shotIds) || !shotIds.length) {
+      return { error: 'shot_ids must be a non-empty array of shot ids' };
+    }
+    const unknown = shotIds.filter((id) => !project.shots.some((shot) => shot.id === id));
+    if (unknown.length) {
+      return { error: `Unknown shot id(s): ${unknown.join(', ')}` };
+    }
+  }
+  const filters = typeof only === 'string' ? only.split(',').map((item) => item.trim()).filter(Boolean) : only;
+  if (filters !== undefined && filters !== null) {
+    if (!Array.isArray(filters) || !filters.length || filters.some((item) => !SHOT_FILTERS.includes(item))) {
+      return { error: `only must list one or more of ${SHOT_FILTERS.join(', ')}` };
+    }
+  }
+  return { selection: { shot_ids: shotIds || null, only: filters || null } };
+};
+
+/**
+ * Shots a keyframe or clip batch should generate, in storyboard order, each with the reasons.
+ * For clips, a shot after a selected one is added too (unless shots are independent), since its
+ * continuity frames come from the clip that is about to change.
+ */
+const planShotBatch = (project, asset, selection = {}) => {
+  const requested = selection.shot_ids ? new Set(selection.shot_ids) : null;
+  const chained = asset === 'clip' && project.continuity_mode !== 'independent';
+  const planned = [];
+  let previousPlanned = false;
+  project.shots.forEach((shot) => {
+    const state = describeAssetState(project, shot, asset);
+    let reasons = [];
+    if (!requested || requested.has(shot.id)) {
+      if (!selection.only) {
+        reasons = [requested ? 'selected' : 'all shots'];
+      } else {
+        reasons = selection.only.flatMap((filter) => {
+          if (!state[filter]) return [];
+          return filter === 'stale' ? state.stale_reasons : [filter];
+        });
+      }
+    }
+    if (!reasons.length && chained && previousPlanned) {
+      reasons = ['previous clip will change'];
+    }
+    previousPlanned = reasons.length > 0;
+    if (previousPlanned) {
+      planned.push({ shot_id: shot.id, reasons });
+    }
+  });
+  return planned;
+};
+
+module.exports = {
+  SHOT_FILTERS,
+  SHOT_ASSETS,
+  keyframeSource,
+  clipSource,
+  describeAssetState,
+  normalizeShotSelection,
+  planShotBatch,
+};
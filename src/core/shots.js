@@ -0,0 +1,191 @@
+const { nanoid } = require('nanoid');
+const { TRANSITION_TYPES, DEFAULT_TRANSITION } = require('./timeline');
+
+// Fields a user may change through the shot update API
+const EDITABLE_SHOT_FIELDS = {
+  keyframe_prompt: 'text',
+  negative_prompt: 'text',
+  video_prompt: 'text',
+  video_negative_prompt: 'text',
+  on_screen_text: 'text',
+  camera_notes: 'text',
+  duration_sec: 'duration',
+  transition_out: 'transition',
+  focus_point: 'point',
+  product_photo_paths: 'paths',
+  narration_text: 'optional-text',
+};
+
+const MIN_SHOT_DURATION = 1;
+const MAX_SHOT_DURATION = 60;
+const MAX_TRANSITION_DURATION = 2;
+// Where the subject sits in the frame (0-1 from the top-left); used by the `focus` export fit
+const DEFAULT_FOCUS_POINT = { x: 0.5, y: 0.5 };
+
+const createShot = (fields = {}) => ({
+  id: fields.id || `shot-${nanoid(6)}`,
+  order: fields.order || 0,
+  // Script section (hook, problem, solution, cta) the shot illustrates; null for hand-added shots
+  section: fields.section || null,
+  duration_sec: fields.duration_sec || 4,
+  keyframe_prompt: fields.keyframe_prompt || '',
+  negative_prompt: fields.negative_prompt || 'blurry, distorted, low quality',
+  on_screen_text: fields.on_screen_text || '',
+  camera_notes: fields.camera_notes || '',
+  transition_out: { ...(fields.transition_out || DEFAULT_TRANSITION) },
+  focus_point: { ...(fields.focus_point || DEFAULT_FOCUS_POINT) },
+  // Product photos to condition this shot's keyframe on; null uses the brand kit selection
+  product_photo_paths: fields.product_photo_paths ? [...fields.product_photo_paths] : null,
+  // Words the voiceover reads over this shot; null takes them from the shot's script section
+  narration_text: fields.narration_text ?? null,
+  narration: null,
+  keyframe_image_path: null,
+  keyframe_version: 0,
+  keyframe_versions: [],
+  video_prompt: fields.video_prompt || '',
+  video_negative_prompt: fields.video_negative_prompt || 'flicker, jitter, low fidelity',
+  clip_path: null,
+  clip_version: 0,
+  clip_versions: [],
+  continuity: {
+    prev_last_frame_path: null,
+    first_frame_path: null,
+    target_last_frame_path: null,
+    last_frame_path: null,
+    mode: null,
+    handoff: null,
+  },
+  provider_config: {
+    image_provider: null,
+    image_model: null,
+    image_settings: {},
+    video_provider: null,
+    video_model: null,
+    video_settings: {},
+  },
+  status: {
+    keyframe_status: 'pending',
+    clip_status: 'pending',
+    error: null,
+  },
+});
+
+/**
+ * Validate a partial shot update. Product photo paths must be among `productPhotoPaths`.
+ * Returns the cleaned fields plus a list of human-readable errors.
+ */
+const validateShotFields = (input = {}, { productPhotoPaths = [] } = {}) => {
+  const fields = {};
+  const errors = [];
+
+  Object.entries(input).forEach(([key, value]) => {
+    const kind = EDITABLE_SHOT_FIELDS[key];
+    if (!kind) {
+      errors.push(`${key} is not an editable shot field`);
+      return;
+    }
+    if (kind === 'transition') {
+      const type = value?.type;
+      const duration = value?.duration_sec === undefined ? DEFAULT_TRANSITION.duration_sec : Number(value.duration_sec);
+      if (!TRANSITION_TYPES.includes(type)) {
+        errors.push(`transition_out.type must be one of ${TRANSITION_TYPES.join(', ')}`);
+        return;
+      }
+      if (Number.isNaN(duration) || duration <= 0 || duration > MAX_TRANSITION_DURATION) {
+        errors.push(`transition_out.duration_sec must be greater than 0 and at most ${MAX_TRANSITION_DURATION}`);
+        return;
+      }
+      fields[key] = { type, duration_sec: duration };
+      return;
+    }
+    if (kind === 'point') {
+      const x = Number(value?.x);
+      const y = Number(value?.y);
+      if ([x, y].some((coord) => Number.isNaN(coord) || coord < 0 || coord > 1)) {
+        errors.push(`${key}.x and ${key}.y must be numbers between 0 and 1`);
+        return;
+      }
+      fields[key] = { x, y };
+      return;
+    }
+    if (kind === 'paths') {
+      if (value === null) {
+        fields[key] = null;
+        return;
+      }
+      if (!Array.isArray(value) || value.some((item) => typeof item !== 'string' || !item.trim())) {
+        errors.push(`${key} must be null or an array of file paths`);
+        return;
+      }
+      const unknown = value.filter((item) => !productPhotoPaths.includes(item.trim()));
+      if (unknown.length) {
+        errors.push(`${key} must name uploaded product photos; unknown: ${unknown.join(', ')}`);
+        return;
+      }
+      fields[key] = value.map((item) => item.trim());
+      return;
+    }
+    if (kind === 'optional-text') {
+      if (value !== null && typeof value !== 'string') {
+        errors.push(`${key} must be null or a string`);
+        return;
+      }
+      fields[key] = value === null ? null : value.trim();
+      return;
+    }
+    if (kind === 'duration') {
+      const duration = Number(value);
+      if (Number.isNaN(duration) || duration < MIN_SHOT_DURATION || duration > MAX_SHOT_DURATION) {
+        errors.push(`duration_sec must be a number between ${MIN_SHOT_DURATION} and ${MAX_SHOT_DURATION}`);
+        return;
+      }
+      fields[key] = duration;
+      return;
+    }
+    if (typeof value !== 'string') {
+      errors.push(`${key} must be a string`);
+      return;
+    }
+    fields[key] = value.trim();
+  });
+
+  return { fields, errors };
+};
+
+const duplicateShot = (shot) => {
+  const fields = Object.keys(EDITABLE_SHOT_FIELDS).reduce((acc, key) => {
+    acc[key] = shot[key];
+    return acc;
+  }, {});
+  return createShot({ ...fields, section: shot.section });
+};
+
+/**
+ * Renumber `order` and flag clips whose continuity chain no longer matches.
+ * A clip is stale when it was generated from a different previous shot's last
+ * frame than the one now in front of it.
+ */
+const normalizeShotOrder = (project) => {
+  project.shots.forEach((shot, index) => {
+    shot.order = index + 1;
+    if (!shot.clip_path || project.continuity_mode === 'independent') {
+      return;
+    }
+    const previousShot = project.shots[index - 1];
+    const expected = previousShot?.continuity?.last_frame_path || null;
+    if ((shot.continuity.prev_last_frame_path || null) !== expected) {
+      shot.status.clip_status = 'stale';
+    }
+  });
+  return project;
+};
+
+module.exports = {
+  EDITABLE_SHOT_FIELDS,
+  MIN_SHOT_DURATION,
+  MAX_SHOT_DURATION,
+  createShot,
+  validateShotFields,
+  duplicateShot,
+  normalizeShotOrder,
+};
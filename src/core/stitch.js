@@ -0,0 +1,199 @@
+const fs = require('fs');
+const { hasFfmpeg, runFfmpegAsync, hasAudioStream } = require('../utils/ffmpeg');
+const { outputDimensions } = require('../utils/mediaSettings');
+
+// Storyboard transition names mapped to ffmpeg xfade transitions
+const XFADE_TRANSITIONS = {
+  crossfade: 'fade',
+  'dip-to-black': 'fadeblack',
+  whip: 'smoothleft',
+};
+
+/**
+ * Fit one clip into the output frame.
+ * pad letterboxes, center-crop fills and trims the edges, blur-pad fills the bars with a
+ * blurred copy of the clip, and focus crops around the shot's focus_point (0-1 on each axis).
+ * The focus coordinates may also be ffmpeg expressions evaluated per frame.
+ */
+const buildFramingFilter = ({ input, output, width, height, fit, focusPoint }) => {
+  if (fit === 'center-crop' || fit === 'focus') {
+    const fx = fit === 'focus' ? focusPoint?.x ?? 0.5 : 0.5;
+    const fy = fit === 'focus' ? focusPoint?.y ?? 0.5 : 0.5;
+    return (
+      `[${input}]scale=${width}:${height}:force_original_aspect_ratio=increase,` +
+      `crop=${width}:${height}:x='max(0,min(iw-ow,iw*${fx}-ow/2))':y='max(0,min(ih-oh,ih*${fy}-oh/2))'[${output}]`
+    );
+  }
+  if (fit === 'blur-pad') {
+    return (
+      `[${input}]split=2[${output}fg][${output}bg];` +
+      `[${output}bg]scale=${width}:${height}:force_original_aspect_ratio=increase,crop=${width}:${height},boxblur=20:2[${output}blur];` +
+      `[${output}fg]scale=${width}:${height}:force_original_aspect_ratio=decrease[${output}fit];` +
+      `[${output}blur][${output}fit]overlay=(W-w)/2:(H-h)/2[${output}]`
+    );
+  }
+  return (
+    `[${input}]scale=${width}:${height}:force_original_aspect_ratio=decrease,` +
+    `pad=${width}:${height}:(ow-iw)/2:(oh-ih)/2:color=black[${output}]`
+  );
+};
+
+/**
+ * Build the filter graph that normalizes every clip to one size, frame rate and
+ * audio format, then joins them with xfade/acrossfade or a hard concat per boundary.
+ */
+const buildStitchFilter = ({ timeline, width, height, fit, fps, audioFlags }) => {
+  const withAudio = audioFlags.some(Boolean);
+  const parts = [];
+
+  timeline.forEach((entry, index) => {
+    const duration = entry.duration.toFixed(3);
+    // A handoff longer than its slot is sped up rather than cut, so it still lands on the next shot's first frame
+    const retimed = entry.source_duration > entry.duration;
+    const speed = retimed ? `setpts=${(entry.duration / entry.source_duration).toFixed(4)}*PTS,` : '';
+    parts.push(
+      buildFramingFilter({
+        input: `${index}:v`,
+        output: `f${index}`,
+        width,
+        height,
+        fit,
+        focusPoint: entry.focus_point,
+      }),
+      `[f${index}]${speed}setsar=1,fps=${fps},format=yuv420p,trim=duration=${duration},setpts=PTS-STARTPTS[v${index}]`
+    );
+    if (!withAudio) return;
+    parts.push(
+      audioFlags[index] && !retimed
+        ? `[${index}:a]aresample=48000,aformat=sample_fmts=fltp:channel_layouts=stereo,apad,atrim=duration=${duration},asetpts=PTS-STARTPTS[a${index}]`
+        : `anullsrc=channel_layout=stereo:sample_rate=48000,atrim=duration=${duration},aformat=sample_fmts=fltp[a${index}]`
+    );
+  });
+
+  let video = 'v0';
+  let audio = 'a0';
+  let length = timeline[0].duration;
+  for (let index = 1; index < timeline.length; index += 1) {
+    const transition = timeline[index - 1].transition_out;
+    const xfade = XFADE_TRANSITIONS[transition.type];
+    if (xfade && transition.duration_sec > 0) {
+      const offset = (length - transition.duration_sec).toFixed(3);
+      parts.push(
+        `[${video}][v${index}]xfade=transition=${xfade}:duration=${transition.duration_sec.toFixed(3)}:offset=${offset}[vx${index}]`
+      );
+      if (withAudio) {
+        parts.push(`[${audio}][a${index}]acrossfade=d=${transition.duration_sec.toFixed(3)}[ax${index}]`);
+      }
+      length += timeline[index].duration - transition.duration_sec;
+    } else {
+      parts.push(`[${video}][v${index}]concat=n=2:v=1:a=0[vx${index}]`);
+      if (withAudio) {
+        parts.push(`[${audio}][a${index}]concat=n=2:v=0:a=1[ax${index}]`);
+      }
+      length += timeline[index].duration;
+    }
+    video = `vx${index}`;
+    audio = `ax${index}`;
+  }
+
+  return { filter: parts.join(';'), videoLabel: video, audioLabel: withAudio ? audio : null };
+};
+
+/**
+ * Re-encode and join the timeline's clips into one file at the rendition's size (the project's
+ * master frame by default) and the project's fps_target. Returns the stitch record stored on the export entry;
+ * throws when ffmpeg is missing or fails, so the export fails instead of shipping a broken file.
+ */
+const stitchClips = async ({ project, timeline, outputPath, rendition = {} }) => {
+  const { width, height } = rendition.width ? rendition : outputDimensions(project.aspect_ratio);
+  const fit = rendition.fit || 'pad';
+  const fps = Number(project.fps_target) || 30;
+  const record = {
+    width,
+    height,
+    fit,
+    fps,
+    transitions: timeline.slice(0, -1).map((entry) => ({ shot_id: entry.shot_id, ...entry.transition_out })),
+    handoffs: timeline
+      .filter((entry) => entry.handoff_for)
+      .map((entry) => ({
+        shot_id: entry.handoff_for,
+        mode: entry.handoff_mode,
+        duration_sec: entry.duration,
+        source_duration_sec: entry.source_duration,
+      })),
+    reencoded: false,
+  };
+
+  if (!hasFfmpeg()) {
+    throw new Error('ffmpeg is required to stitch an export');
+  }
+
+  const audioFlags = timeline.map((entry) => hasAudioStream(entry.clip_path));
+  const plan = buildStitchFilter({ timeline, width, height, fit, fps, audioFlags });
+  const args = ['-y'];
+  timeline.forEach((entry) => args.push('-i', entry.clip_path));
+  args.push('-filter_complex', plan.filter, '-map', `[${plan.videoLabel}]`);
+  if (plan.audioLabel) {
+    args.push('-map', `[${plan.audioLabel}]`, '-c:a', 'aac', '-b:a', '192k');
+  }
+  args.push('-c:v', 'libx264', '-preset', 'fast', '-crf', '18', '-pix_fmt', 'yuv420p', '-r', `${fps}`, outputPath);
+
+  const result = await runFfmpegAsync(args);
+  if (!result.ok) {
+    console.error('[Stitch] ffmpeg stitch failed:', result.stderr?.slice(-500));
+    throw new Error(`ffmpeg stitch failed: ${(result.stderr || '').trim().slice(-300) || 'no output'}`);
+  }
+  return { ...record, reencoded: true, has_clip_audio: Boolean(plan.audioLabel) };
+};
+
+// Per-frame expression for one focus_point axis: each shot's value while it is on screen
+const focusExpression = (timeline, axis) =>
+  timeline
+    .slice(0, -1)
+    .reduceRight(
+      (rest, entry) => `if(lt(t,${entry.end.toFixed(3)}),${Number(entry.focus_point?.[axis] ?? 0.5)},${rest})`,
+      `${Number(timeline[timeline.length - 1].focus_point?.[axis] ?? 0.5)}`
+    );
+
+/**
+ * Refit the stitched master into a rendition's frame, so each rendition reuses one stitch.
+ * Audio is copied as-is. Returns the reframe record stored on the export entry.
+ */
+const reframeVideo = async ({ videoPath, outputPath, timeline, rendition }) => {
+  const { width, height, fit } = rendition;
+  const record = { width, height, fit, reencoded: false };
+  if (!hasFfmpeg()) {
+    fs.copyFileSync(videoPath, outputPath);
+    return record;
+  }
+
+  const focusPoint = { x: focusExpression(timeline, 'x'), y: focusExpression(timeline, 'y') };
+  const filter = `${buildFramingFilter({ input: '0:v', output: 'framed', width, height, fit, focusPoint })};[framed]setsar=1,format=yuv420p[vout]`;
+  const args = [
+    '-y',
+    '-i', videoPath,
+    '-filter_complex', filter,
+    '-map', '[vout]',
+    '-map', '0:a?',
+    '-c:v', 'libx264',
+    '-preset', 'fast',
+    '-crf', '18',
+    '-pix_fmt', 'yuv420p',
+    '-c:a', 'copy',
+    outputPath,
+  ];
+  const result = await runFfmpegAsync(args);
+  if (!result.ok) {
+    console.error('[Stitch] ffmpeg reframe failed:', result.stderr?.slice(-500));
+    fs.copyFileSync(videoPath, outputPath);
+    return { ...record, error: 'ffmpeg reframe failed' };
+  }
+  return { ...record, reencoded: true };
+};
+
+module.exports = {
+  XFADE_TRANSITIONS,
+  stitchClips,
+  reframeVideo,
+};
@@ -0,0 +1,171 @@
+const { MIN_SHOT_DURATION, MAX_SHOT_DURATION, createShot } = require('./shots');
+const { projectScriptTemplate } = require('./scriptTemplates');
+
+const DEFAULT_MAX_SHOTS = 12;
+// How far the LLM's durations may drift from target_duration before the storyboard is rejected;
+// anything within it is rescaled to add up exactly
+const DURATION_TOLERANCE = 0.15;
+
+// Fields every storyboard shot must have, with their expected type
+const STORYBOARD_SHOT_SCHEMA = {
+  section: 'section',
+  keyframe_prompt: 'text',
+  video_prompt: 'text',
+  camera_notes: 'text',
+  duration_sec: 'duration',
+  on_screen_text: 'optional-text',
+};
+
+const quoteList = (ids) => ids.map((id) => `"${id}"`).join(', ');
+
+// The sections come from the project's script template
+const storyboardSystemPrompt = (sectionIds) => `You are a commercial director breaking a short marketing video script into a shot list.
+
+Split every script section (${sectionIds.join(', ')}) into one or more shots, in script order. For each shot write:
+- section: which script section it belongs to (one of ${quoteList(sectionIds)})
+- keyframe_prompt: a specific image prompt for the opening frame (subject, setting, composition, lighting). No generic phrases like "marketing polish".
+- video_prompt: what moves and changes during the shot, starting from that frame
+- camera_notes: the camera move and framing (e.g. "slow dolly in, low angle")
+- duration_sec: whole seconds
+- on_screen_text: short overlay text for the shot, or "" for none
+
+IMPORTANT: Return ONLY valid JSON in this exact format:
+{
+  "shots": [
+    { "section": "${sectionIds[0]}", "keyframe_prompt": "...", "video_prompt": "...", "camera_notes": "...", "duration_sec": 3, "on_screen_text": "..." }
+  ]
+}`;
+
+/**
+ * The single template-mode shot for a script section; placeholder stands in for an empty section
+ */
+const buildTemplateShot = ({ id, order, section, text, placeholder, durationSec }) => {
+  const copy = text || placeholder;
+  return createShot({
+    id,
+    order,
+    section,
+    duration_sec: durationSec,
+    keyframe_prompt: `${copy} Visualize with marketing polish.`,
+    on_screen_text: copy,
+    camera_notes: 'Smooth push-in, steady framing.',
+    video_prompt: `${copy} Maintain continuity and brand style.`,
+  });
+};
+
+/**
+ * Prompt for one storyboard attempt. Errors from a rejected attempt are fed back so the model can fix them.
+ */
+const buildStoryboardPrompt = (project, { maxShots = DEFAULT_MAX_SHOTS, previousErrors = [] } = {}) => {
+  const script = project.script?.sections || {};
+  const { sections } = projectScriptTemplate(project);
+  const targetDuration = project.target_duration || 30;
+  const lines = [
+    storyboardSystemPrompt(sections.map((item) => item.id)),
+    '',
+    `Aspect ratio: ${project.aspect_ratio || '16:9'}.`,
+    `Total duration: the shot durations must add up to exactly ${targetDuration} seconds.`,
+    `Use between ${sections.length} and ${maxShots} shots, each ${MIN_SHOT_DURATION}-${MAX_SHOT_DURATION} seconds.`,
+    '',
+    'Script:',
+    ...sections.map((item) => `${item.id} (about ${Math.round(item.share * 100)}% of the time): ${script[item.id] || ''}`),
+  ];
+  if (previousErrors.length) {
+    lines.push('', 'Your previous shot list was rejected. Fix these problems:', ...previousErrors.map((error) => `- ${error}`));
+  }
+  return lines.join('\n');
+};
+
+const validateStoryboardShot = (shot, index, sections) => {
+  const errors = [];
+  if (!shot || typeof shot !== 'object') {
+    return [`shots[${index}] must be an object`];
+  }
+  Object.entries(STORYBOARD_SHOT_SCHEMA).forEach(([key, kind]) => {
+    const value = shot[key];
+    const label = `shots[${index}].${key}`;
+    if (kind === 'section' && !sections.includes(value)) {
+      errors.push(`${label} must be one of ${sections.join(', ')}`);
+    } else if (kind === 'text' && (typeof value !== 'string' || !value.trim())) {
+      errors.push(`${label} must be a non-empty string`);
+    } else if (kind === 'optional-text' && value !== undefined && value !== null && typeof value !== 'string') {
+      errors.push(`${label} must be a string`);
+    } else if (kind === 'duration' && (typeof value !== 'number' || value < MIN_SHOT_DURATION || value > MAX_SHOT_DURATION)) {
+      errors.push(`${label} must be a number between ${MIN_SHOT_DURATION} and ${MAX_SHOT_DURATION}`);
+    }
+  });
+  return errors;
+};
+
+/**
+ * Spread the rounding difference so durations add up to exactly the target
+ */
+const fitDurations = (durations, targetDuration) => {
+  const total = durations.reduce((sum, value) => sum + value, 0);
+  const scaled = durations.map((value) =>
+    Math.min(MAX_SHOT_DURATION, Math.max(MIN_SHOT_DURATION, Math.round((value * targetDuration) / total * 2) / 2))
+  );
+  let difference = targetDuration - scaled.reduce((sum, value) => sum + value, 0);
+  for (let index = scaled.length - 1; index >= 0 && Math.abs(difference) >= 0.5; index -= 1) {
+    const adjusted = Math.min(MAX_SHOT_DURATION, Math.max(MIN_SHOT_DURATION, scaled[index] + difference));
+    difference -= adjusted - scaled[index];
+    scaled[index] = adjusted;
+  }
+  return scaled;
+};
+
+/**
+ * Check an LLM storyboard against the shot schema and the script template's section ids.
+ * Returns the cleaned shots (durations fitted to target_duration) plus a list of human-readable errors.
+ */
+const validateStoryboard = (data, { sections, targetDuration = 30, maxShots = DEFAULT_MAX_SHOTS } = {}) => {
+  const shots = Array.isArray(data?.shots) ? data.shots : null;
+  if (!shots) {
+    return { shots: [], errors: ['Response must be an object with a "shots" array'] };
+  }
+  if (shots.length < sections.length || shots.length > maxShots) {
+    return { shots: [], errors: [`Expected between ${sections.length} and ${maxShots} shots, got ${shots.length}`] };
+  }
+
+  const errors = shots.flatMap((shot, index) => validateStoryboardShot(shot, index, sections));
+  if (errors.length) {
+    return { shots: [], errors };
+  }
+
+  const sectionOrder = shots.map((shot) => sections.indexOf(shot.section));
+  if (sectionOrder.some((value, index) => index > 0 && value < sectionOrder[index - 1])) {
+    errors.push(`Shots must follow the script order: ${sections.join(', ')}`);
+  }
+  const missing = sections.filter((section) => !shots.some((shot) => shot.section === section));
+  if (missing.length) {
+    errors.push(`Every section needs at least one shot; missing ${missing.join(', ')}`);
+  }
+  const total = shots.reduce((sum, shot) => sum + shot.duration_sec, 0);
+  if (Math.abs(total - targetDuration) > targetDuration * DURATION_TOLERANCE) {
+    errors.push(`Shot durations add up to ${total}s but must add up to ${targetDuration}s`);
+  }
+  if (errors.length) {
+    return { shots: [], errors };
+  }
+
+  const durations = fitDurations(shots.map((shot) => shot.duration_sec), targetDuration);
+  return {
+    shots: shots.map((shot, index) => ({
+      section: shot.section,
+      keyframe_prompt: shot.keyframe_prompt.trim(),
+      video_prompt: shot.video_prompt.trim(),
+      camera_notes: shot.camera_notes.trim(),
+      duration_sec: durations[index],
+      on_screen_text: (shot.on_screen_text || '').trim(),
+    })),
+    errors: [],
+  };
+};
+
+module.exports = {
+  DEFAULT_MAX_SHOTS,
+  STORYBOARD_SHOT_SCHEMA,
+  buildTemplateShot,
+  buildStoryboardPrompt,
+  validateStoryboard,
+};
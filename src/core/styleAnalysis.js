@@ -0,0 +1,115 @@
+const { paletteColorHex } = require('../utils/colorUtils');
+
+const DEFAULT_ANALYSIS_REFS = 4;
+const MAX_ANALYSIS_REFS = 8;
+const MIN_SPINE_WORDS = 15;
+const MAX_SPINE_WORDS = 150;
+
+// Descriptive fields first, then the two spines written from them
+const STYLE_ANALYSIS_FIELDS = [
+  'lighting',
+  'lens_and_camera',
+  'composition',
+  'grading',
+  'pacing',
+  'subject_matter',
+  'prompt_spine',
+  'negative_prompt_spine',
+];
+
+const STYLE_ANALYSIS_SYSTEM_PROMPT = `You are a cinematographer and colorist. The attached images are reference frames from marketing videos that share one visual style. Describe that style so an image and video generation model can reproduce it.
+
+Describe what the frames have in common:
+- lighting: key/fill balance, hardness, direction, practical lights, time of day
+- lens_and_camera: focal length feel, depth of field, camera height, and the camera movement the framing implies
+- composition: framing, subject placement, negative space, symmetry
+- grading: contrast curve, saturation, color temperature, dominant hues
+- pacing: the editing rhythm and motion energy the frames suggest
+- subject_matter: recurring subjects, settings, props and wardrobe
+
+Then write:
+- prompt_spine: one dense paragraph (${MIN_SPINE_WORDS}-${MAX_SPINE_WORDS} words) of concrete visual direction that is appended to every shot prompt. Describe the style only; never name a specific product, brand or person.
+- negative_prompt_spine: a comma-separated list of things that would break this style (e.g. "harsh on-camera flash, oversaturated colors, dutch angles")
+
+IMPORTANT: Return ONLY valid JSON in this exact format:
+{
+  "lighting": "...",
+  "lens_and_camera": "...",
+  "composition": "...",
+  "grading": "...",
+  "pacing": "...",
+  "subject_matter": "...",
+  "prompt_spine": "...",
+  "negative_prompt_spine": "..."
+}`;
+
+/**
+ * Prompt for one analysis attempt. The measured pack metadata is included as a hint;
+ * errors from a rejected attempt are fed back so the model can fix them.
+ */
+const buildStyleAnalysisPrompt = (stylePack, { previousErrors = [] } = {}) => {
+  const summary = stylePack.metadata_summary || {};
+  const palette = (summary.palette || [])
+    .map((color) => (color.coverage != null ? `${paletteColorHex(color)} (${color.coverage}%)` : paletteColorHex(color)))
+    .join(', ');
+  const lines = [
+    STYLE_ANALYSIS_SYSTEM_PROMPT,
+    '',
+    `Style pack: ${stylePack.name}${stylePack.description ? ` - ${stylePack.description}` : ''}`,
+    'Measured across the frames (use as a hint, trust the images):',
+    `- palette: ${palette || 'unknown'}`,
+    `- average brightness: ${summary.brightness != null ? Math.round(summary.brightness) : 'unknown'} / 255`,
+    `- average contrast: ${summary.contrast != null ? Math.round(summary.contrast) : 'unknown'}`,
+    `- source aspect ratio: ${summary.aspect_ratio || 'unknown'}, fps: ${summary.fps || 'unknown'}`,
+  ];
+  if (previousErrors.length) {
+    lines.push('', 'Your previous answer was rejected. Fix these problems:', ...previousErrors.map((error) => `- ${error}`));
+  }
+  return lines.join('\n');
+};
+
+const wordCount = (text) => text.trim().split(/\s+/).filter(Boolean).length;
+
+/**
+ * Check an LLM style analysis. Returns the trimmed fields plus a list of human-readable errors.
+ */
+const validateStyleAnalysis = (data) => {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return { analysis: null, errors: ['Response must be a JSON object'] };
+  }
+  const errors = STYLE_ANALYSIS_FIELDS
+    .filter((field) => typeof data[field] !== 'string' || !data[field].trim())
+    .map((field) => `${field} must be a non-empty string`);
+  if (!errors.length) {
+    const words = wordCount(data.prompt_spine);
+    if (words < MIN_SPINE_WORDS || words > MAX_SPINE_WORDS) {
+      errors.push(`prompt_spine must be ${MIN_SPINE_WORDS}-${MAX_SPINE_WORDS} words, got ${words}`);
+    }
+  }
+  if (errors.length) {
+    return { analysis: null, errors };
+  }
+  return {
+    analysis: STYLE_ANALYSIS_FIELDS.reduce((fields, field) => ({ ...fields, [field]: data[field].trim() }), {}),
+    errors: [],
+  };
+};
+
+const normalizeAnalysisRefCount = (value) => {
+  if (value === undefined || value === null || value === '') {
+    return { value: DEFAULT_ANALYSIS_REFS };
+  }
+  const count = Number(value);
+  if (!Number.isInteger(count) || count < 1 || count > MAX_ANALYSIS_REFS) {
+    return { error: `ref_count must be a whole number between 1 and ${MAX_ANALYSIS_REFS}` };
+  }
+  return { value: count };
+};
+
+module.exports = {
+  DEFAULT_ANALYSIS_REFS,
+  STYLE_ANALYSIS_FIELDS,
+  buildStyleAnalysisPrompt,
+  validateStyleAnalysis,
+  normalizeAnalysisRefCount,
+};
@@ -0,0 +1,95 @@
+const fs = require('fs');
+const { getMediaDuration } = require('../utils/ffmpeg');
+
+const TRANSITION_TYPES = ['none', 'crossfade', 'dip-to-black', 'whip'];
+const DEFAULT_TRANSITION = { type: 'none', duration_sec: 0.5 };
+
+/**
+ * Clamp a shot's outgoing transition so it never eats more than half of either clip
+ */
+const resolveTransition = (transition, duration, nextDuration) => {
+  const type = TRANSITION_TYPES.includes(transition?.type) ? transition.type : DEFAULT_TRANSITION.type;
+  if (type === 'none') {
+    return { type, duration_sec: 0 };
+  }
+  const requested = Number(transition.duration_sec) || DEFAULT_TRANSITION.duration_sec;
+  return { type, duration_sec: Math.min(requested, duration / 2, nextDuration / 2) };
+};
+
+/**
+ * The bridge or interpolated clip to play before a shot, if it was made for the clips now on
+ * either side of the cut. A handoff replaces the previous shot's transition.
+ */
+const currentHandoff = (shot, previousShot) => {
+  const handoff = shot.continuity?.handoff;
+  if (!previousShot || !handoff?.path || !fs.existsSync(handoff.path)) {
+    return null;
+  }
+  const matches =
+    handoff.from_shot_id === previousShot.id &&
+    handoff.from_clip_version === previousShot.clip_version &&
+    handoff.clip_version === shot.clip_version;
+  return matches ? handoff : null;
+};
+
+/**
+ * Lay out the shots that have clips on the exported timeline.
+ * Clip durations come from ffprobe when available, otherwise from the shot's planned duration.
+ * `clip_start` is when a clip begins playing; `start`/`end` are the visible window, split at
+ * the midpoint of any transition so overlays and captions switch where the viewer sees the cut.
+ * Handoff clips get their own entries with `shot_id: null` and `handoff_for` set to the next shot.
+ * Their `duration` is the planned length; `source_duration` is the clip file's own length.
+ */
+const buildExportTimeline = (project) => {
+  const shots = project.shots.filter((shot) => shot.clip_path);
+  const items = shots.flatMap((shot, index) => {
+    const handoff = currentHandoff(shot, shots[index - 1]);
+    const clip = {
+      shot,
+      clip_path: shot.clip_path,
+      duration: getMediaDuration(shot.clip_path) || Number(shot.duration_sec) || 4,
+    };
+    if (!handoff) {
+      return [clip];
+    }
+    // A bridge rendered longer than planned (provider minimum) is fitted into its planned slot
+    const sourceDuration = getMediaDuration(handoff.path) || handoff.duration_sec;
+    const duration = Math.min(sourceDuration, handoff.planned_sec || sourceDuration);
+    return [{ handoff, clip_path: handoff.path, duration, source_duration: sourceDuration }, clip];
+  });
+
+  let clipStart = 0;
+  let previousTransition = 0;
+  return items.map((item, index) => {
+    const next = items[index + 1];
+    const transition = next && item.shot && next.shot
+      ? resolveTransition(item.shot.transition_out, item.duration, next.duration)
+      : { type: 'none', duration_sec: 0 };
+    const entry = {
+      shot_id: item.shot?.id || null,
+      clip_path: item.clip_path,
+      duration: item.duration,
+      clip_start: clipStart,
+      start: clipStart + previousTransition / 2,
+      end: clipStart + item.duration - transition.duration_sec / 2,
+      transition_out: transition,
+      focus_point: item.shot?.focus_point || null,
+      ...(item.handoff
+        ? { handoff_for: next.shot.id, handoff_mode: item.handoff.mode, source_duration: item.source_duration }
+        : {}),
+    };
+    clipStart += item.duration - transition.duration_sec;
+    previousTransition = transition.duration_sec;
+    return entry;
+  });
+};
+
+const timelineDuration = (timeline) => (timeline.length ? timeline[timeline.length - 1].end : 0);
+
+module.exports = {
+  TRANSITION_TYPES,
+  DEFAULT_TRANSITION,
+  resolveTransition,
+  buildExportTimeline,
+  timelineDuration,
+};
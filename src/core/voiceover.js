@@ -0,0 +1,231 @@
+const fs = require('fs');
+const { MAX_SHOT_DURATION } = require('./shots');
+const { projectScriptTemplate } = require('./scriptTemplates');
+const { shotSection } = require('./scriptVariants');
+const { readWavDuration } = require('../utils/wav');
+const { getMediaDuration } = require('../utils/ffmpeg');
+const { VoiceProvider } = require('../providers/voiceProvider');
+const { voiceProviderConfig } = require('./providerPolicy');
+
+// stretch lengthens a shot until its narration fits; warn leaves durations alone and reports overruns
+const VOICEOVER_FIT_MODES = ['stretch', 'warn'];
+const DEFAULT_VOICEOVER = { voice: null, fit: 'stretch', padding_sec: 0.3 };
+const MAX_PADDING_SEC = 2;
+// Overruns shorter than this are not worth a warning
+const OVERRUN_TOLERANCE_SEC = 0.05;
+
+const projectVoiceover = (project) => ({ ...DEFAULT_VOICEOVER, ...project.voiceover });
+
+/**
+ * Validate a voiceover update from the settings API. Returns { voiceover } or { error }.
+ */
+const normalizeVoiceover = (input = {}, current = DEFAULT_VOICEOVER) => {
+  const voiceover = { ...DEFAULT_VOICEOVER, ...current };
+  if (input.voice !== undefined) {
+    if (input.voice !== null && typeof input.voice !== 'string') {
+      return { error: 'voiceover.voice must be a voice name or null' };
+    }
+    voiceover.voice = input.voice ? input.voice.trim() : null;
+  }
+  if (input.fit !== undefined) {
+    if (!VOICEOVER_FIT_MODES.includes(input.fit)) {
+      return { error: `voiceover.fit must be one of ${VOICEOVER_FIT_MODES.join(', ')}` };
+    }
+    voiceover.fit = input.fit;
+  }
+  if (input.padding_sec !== undefined) {
+    const padding = Number(input.padding_sec);
+    if (Number.isNaN(padding) || padding < 0 || padding > MAX_PADDING_SEC) {
+      return { error: `voiceover.padding_sec must be between 0 and ${MAX_PADDING_SEC}` };
+    }
+    voiceover.padding_sec = padding;
+  }
+  return { voiceover };
+};
+
+const splitSentences = (text) =>
+  (String(text || '').match(/[^.!?]+[.!?]+["')\]]*|[^.!?]+$/g) || []).map((item) => item.trim()).filter(Boolean);
+
+/**
+ * Narration text for every shot, keyed by shot id. A section's sentences are shared out in
+ * order between its shots by count, so stretching a shot never moves words to another shot.
+ * A shot's own narration_text wins; hand-added shots without one stay silent.
+ */
+const narrationTexts = (project) => {
+  const template = projectScriptTemplate(project);
+  const bySection = {};
+  project.shots.forEach((shot) => {
+    const section = shotSection(template, shot);
+    if (section) {
+      bySection[section] = [...(bySection[section] || []), shot];
+    }
+  });
+
+  const texts = Object.fromEntries(project.shots.map((shot) => [shot.id, '']));
+  Object.entries(bySection).forEach(([section, shots]) => {
+    const sentences = splitSentences(project.script?.sections?.[section]);
+    shots.forEach((shot, index) => {
+      texts[shot.id] = sentences
+        .filter((sentence, sentenceIndex) => Math.floor((sentenceIndex * shots.length) / sentences.length) === index)
+        .join(' ');
+    });
+  });
+  project.shots.forEach((shot) => {
+    if (typeof shot.narration_text === 'string') {
+      texts[shot.id] = shot.narration_text;
+    }
+  });
+  return texts;
+};
+
+// Provider and model a narration batch would use for the project right now
+const narrationEngine = (project) => {
+  const voiceProvider = new VoiceProvider(voiceProviderConfig(project));
+  return { provider: voiceProvider.name, model: voiceProvider.model };
+};
+
+// Inputs a narration is generated from; stored on it as `source` so later edits can be detected
+const narrationSource = (project, text, engine = narrationEngine(project)) => ({
+  text,
+  voice: projectVoiceover(project).voice,
+  provider: engine.provider,
+  model: engine.model,
+});
+
+// Narrations from before the source recorded the engine fall back to the provider that made them
+const narrationStaleReasons = (project, shot, text, engine = narrationEngine(project)) => {
+  const { narration } = shot;
+  if (!text) {
+    return narration ? ['narration text removed'] : [];
+  }
+  if (!narration?.path || !fs.existsSync(narration.path)) {
+    return ['missing'];
+  }
+  const reasons = [];
+  if (narration.source?.text !== text) {
+    reasons.push('narration text changed');
+  }
+  if ((narration.source?.voice || null) !== projectVoiceover(project).voice) {
+    reasons.push('voice changed');
+  }
+  if ((narration.source?.provider ?? narration.provider) !== engine.provider) {
+    reasons.push('voice provider changed');
+  } else if ((narration.source?.model ?? narration.model) !== engine.model) {
+    reasons.push('voice model changed');
+  }
+  return reasons;
+};
+
+/**
+ * Shots a narration batch should voice, with why: missing or outdated narration, or every
+ * shot in shotIds that has text.
+ */
+const planNarrationBatch = (project, shotIds = null) => {
+  const texts = narrationTexts(project);
+  const engine = narrationEngine(project);
+  return project.shots
+    .map((shot) => {
+      const reasons = narrationStaleReasons(project, shot, texts[shot.id], engine);
+      if (!shotIds) {
+        return { shot_id: shot.id, reasons };
+      }
+      if (!shotIds.includes(shot.id) || (!texts[shot.id] && !shot.narration)) {
+        return { shot_id: shot.id, reasons: [] };
+      }
+      return { shot_id: shot.id, reasons: reasons.length ? reasons : ['selected'] };
+    })
+    .filter((item) => item.reasons.length);
+};
+
+/**
+ * Length of a narration file: read from the WAV header, else ffprobe, else what the provider reported
+ */
+const measureNarration = (filePath, reportedSec = null) =>
+  readWavDuration(filePath) || getMediaDuration(filePath) || reportedSec;
+
+/**
+ * Apply the project's fit mode after a shot's narration changed. In stretch mode the shot grows,
+ * in half seconds and up to the longest allowed shot, until the narration plus padding fits.
+ */
+const fitShotToNarration = (project, shot) => {
+  const settings = projectVoiceover(project);
+  if (!shot.narration || settings.fit !== 'stretch') {
+    return shot;
+  }
+  const needed = Math.min(MAX_SHOT_DURATION, Math.ceil((shot.narration.duration_sec + settings.padding_sec) * 2) / 2);
+  if (needed > shot.duration_sec) {
+    shot.narration.stretched_from = shot.duration_sec;
+    shot.duration_sec = needed;
+  }
+  return shot;
+};
+
+// How long the shot plays: its clip's rendered length once there is a clip, else the planned duration
+const playableDuration = (shot) =>
+  (shot.clip_path && shot.provider_config?.video_settings?.duration_sec) || shot.duration_sec;
+
+/**
+ * Narration per shot next to how long the shot plays, with warnings for narration that runs
+ * past its shot and for shots whose narration is missing or out of date
+ */
+const narrationReport = (project) => {
+  const texts = narrationTexts(project);
+  const engine = narrationEngine(project);
+  const shots = project.shots.map((shot, index) => {
+    const narrationSec = shot.narration?.duration_sec || 0;
+    const shotSec = playableDuration(shot);
+    return {
+      shot_id: shot.id,
+      order: index + 1,
+      text: texts[shot.id],
+      narration_sec: shot.narration ? narrationSec : null,
+      shot_sec: shotSec,
+      overrun_sec: Math.max(0, Math.round((narrationSec - shotSec) * 100) / 100),
+      stretched_from: shot.narration?.stretched_from ?? null,
+      provider: shot.narration?.provider || null,
+      stale_reasons: narrationStaleReasons(project, shot, texts[shot.id], engine),
+    };
+  });
+  const warnings = shots.flatMap((item) => [
+    ...(item.overrun_sec > OVERRUN_TOLERANCE_SEC
+      ? [`Shot ${item.order} narration runs ${item.overrun_sec}s past its ${item.shot_sec}s shot`]
+      : []),
+    ...(item.stale_reasons.length ? [`Shot ${item.order} narration: ${item.stale_reasons.join(', ')}`] : []),
+  ]);
+  return {
+    voiceover: projectVoiceover(project),
+    total_sec: Math.round(shots.reduce((sum, item) => sum + (item.narration_sec || 0), 0) * 100) / 100,
+    shots,
+    warnings,
+  };
+};
+
+/**
+ * Where each shot's narration starts on the export timeline: when the shot becomes visible
+ */
+const narrationCues = (project, timeline) =>
+  timeline
+    .filter((entry) => entry.shot_id)
+    .map((entry) => ({ entry, shot: project.shots.find((shot) => shot.id === entry.shot_id) }))
+    .filter(({ shot }) => shot?.narration?.path && fs.existsSync(shot.narration.path))
+    .map(({ entry, shot }) => ({
+      shot_id: shot.id,
+      path: shot.narration.path,
+      start_sec: entry.start,
+      window_sec: entry.end - entry.start,
+      duration_sec: shot.narration.duration_sec,
+    }));
+
+module.exports = {
+  VOICEOVER_FIT_MODES,
+  DEFAULT_VOICEOVER,
+  projectVoiceover,
+  normalizeVoiceover,
+  narrationTexts,
+  narrationSource,
+  planNarrationBatch,
+  measureNarration,
+  fitShotToNarration,
+  narrationReport,
+  narrationCues,
+};
@@ -0,0 +1,98 @@
+const fs = require('fs');
+const { downloadFile, readImageBase64 } = require('../http');
+const { createPrediction, waitForPrediction, predictionOutputUrl } = require('../replicateApi');
+const { closestAspectRatio } = require('../../utils/mediaSettings');
+
+// Aspect ratio to dimensions mapping for Replicate/Flux
+const FLUX_ASPECT_RATIOS = {
+  '16:9': { width: 1344, height: 768 },
+  '9:16': { width: 768, height: 1344 },
+  '1:1': { width: 1024, height: 1024 },
+  '4:3': { width: 1152, height: 896 },
+  '3:4': { width: 896, height: 1152 },
+};
+
+const adapter = {
+  id: 'replicate',
+  kind: 'image',
+  label: 'Replicate (Flux 1.1 Pro)',
+  capabilities: {
+    referenceImages: false,
+    maxReferenceImages: 0,
+    aspectRatios: Object.keys(FLUX_ASPECT_RATIOS),
+  },
+  models: {
+    // Flux 1.1 Pro takes one image as a composition/subject guide (image_prompt)
+    'black-forest-labs/flux-1.1-pro': {
+      pricing: { type: 'image', costPer: 0.04, unit: 'image', description: 'Flux 1.1 Pro - High quality images' },
+      capabilities: { referenceImages: true, maxReferenceImages: 1 },
+    },
+    'black-forest-labs/flux-schnell': {},
+    'stability-ai/sdxl': {},
+  },
+  configSchema: {
+    apiKey: { env: 'REPLICATE_API_KEY', secret: true, required: true },
+    model: { env: 'REPLICATE_IMAGE_MODEL', default: 'black-forest-labs/flux-1.1-pro' },
+  },
+
+  resolveOutputSettings(config, { aspectRatio }) {
+    const fluxAspectRatio = closestAspectRatio(Object.keys(FLUX_ASPECT_RATIOS), aspectRatio);
+    return { aspectRatio: fluxAspectRatio, ...FLUX_ASPECT_RATIOS[fluxAspectRatio] };
+  },
+
+  async generate(config, { prompt, negativePrompt, outputPath, referenceImages = [], aspectRatio }, capabilities = this.capabilities) {
+    console.log(`[ImageProvider] Generating image with ${config.model}...`);
+    console.log(`[ImageProvider] Prompt: ${prompt.substring(0, 100)}...`);
+
+    // Flux 1.1 Pro accepts aspect_ratio as a string, not width/height
+    // Accepted values: 1:1, 16:9, 3:2, 2:3, 4:5, 5:4, 9:16, 3:4, 4:3, custom
+    const output = this.resolveOutputSettings(config, { aspectRatio });
+
+    // Create prediction with only the parameters Flux 1.1 Pro accepts
+    const input = {
+      prompt,
+      aspect_ratio: output.aspectRatio,
+      output_format: 'png',
+      output_quality: 90,
+    };
+
+    const usedReferences = capabilities.referenceImages
+      ? referenceImages.filter((filePath) => fs.existsSync(filePath)).slice(0, capabilities.maxReferenceImages)
+      : [];
+    if (usedReferences.length) {
+      const image = readImageBase64(usedReferences[0]);
+      input.image_prompt = `data:${image.mimeType};base64,${image.data}`;
+    }
+
+    console.log(`[ImageProvider] Replicate input:`, JSON.stringify({ ...input, image_prompt: input.image_prompt ? '<reference image>' : undefined }));
+    const prediction = await createPrediction({ apiKey: config.apiKey, model: config.model, input });
+    const result = await waitForPrediction({
+      apiKey: config.apiKey,
+      id: prediction.id,
+      maxAttempts: 60,
+      pollInterval: 2000,
+      logPrefix: '[ImageProvider]',
+    });
+
+    const imageUrl = predictionOutputUrl(result);
+    if (!imageUrl) {
+      throw new Error('No output URL in Replicate response');
+    }
+
+    await downloadFile(imageUrl, outputPath);
+    console.log(`[ImageProvider] Replicate image saved to: ${outputPath}`);
+
+    return {
+      outputPath,
+      prompt,
+      negativePrompt,
+      referenceImages: usedReferences,
+      provider: 'replicate',
+      model: config.model,
+      predictionId: prediction.id,
+      ...output,
+    };
+  },
+};
+
+module.exports = { adapter, FLUX_ASPECT_RATIOS };
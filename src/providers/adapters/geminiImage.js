@@ -0,0 +1,97 @@
+const fs = require('fs');
+const { requestJson, readImageBase64 } = require('../http');
+const { closestAspectRatio } = require('../../utils/mediaSettings');
+
+// Aspect ratios accepted by Gemini image models
+const GEMINI_ASPECT_RATIOS = ['1:1', '2:3', '3:2', '3:4', '4:3', '4:5', '5:4', '9:16', '16:9', '21:9'];
+
+const adapter = {
+  id: 'gemini',
+  kind: 'image',
+  label: 'Gemini (Nano Banana Pro)',
+  capabilities: {
+    referenceImages: true,
+    maxReferenceImages: 3,
+    aspectRatios: GEMINI_ASPECT_RATIOS,
+  },
+  models: {
+    'gemini-3-pro-image-preview': {
+      pricing: { type: 'image', costPer: 0.04, unit: 'image', description: 'Nano Banana Pro - Best quality image generation' },
+      capabilities: { maxReferenceImages: 14 },
+    },
+    'gemini-2.5-flash-image': {
+      pricing: { type: 'image', costPer: 0.039, unit: 'image', description: 'Gemini 2.5 Flash Image - Fast, cheap' },
+    },
+  },
+  configSchema: {
+    apiKey: { env: 'GEMINI_API_KEY', secret: true, required: true },
+    model: { env: 'GEMINI_IMAGE_MODEL', default: 'gemini-3-pro-image-preview' },
+    imageSize: { env: 'GEMINI_IMAGE_SIZE', default: '2K', description: 'Output size for gemini-3 models' },
+  },
+
+  resolveOutputSettings(config, { aspectRatio }) {
+    return { aspectRatio: closestAspectRatio(GEMINI_ASPECT_RATIOS, aspectRatio) };
+  },
+
+  async generate(config, { prompt, negativePrompt, outputPath, referenceImages = [], aspectRatio }, capabilities = this.capabilities) {
+    console.log(`[ImageProvider] Generating with Gemini ${config.model}...`);
+    const output = this.resolveOutputSettings(config, { aspectRatio });
+
+    // Reference images go in as inline image parts ahead of the prompt
+    const usedReferences = referenceImages.filter((filePath) => fs.existsSync(filePath)).slice(0, capabilities.maxReferenceImages);
+    const referenceParts = usedReferences.map((filePath) => {
+      const image = readImageBase64(filePath);
+      return { inlineData: { mimeType: image.mimeType, data: image.data } };
+    });
+    if (referenceParts.length) {
+      console.log(`[ImageProvider] Added ${referenceParts.length} reference image(s)`);
+    }
+
+    const requestBody = {
+      contents: [{
+        parts: [...referenceParts, { text: prompt }]
+      }],
+      generationConfig: {
+        responseModalities: ['IMAGE'],
+        imageConfig: {
+          aspectRatio: output.aspectRatio, // e.g., "16:9"
+        }
+      }
+    };
+
+    // Add image size for gemini-3-pro-image-preview
+    if (config.model.includes('gemini-3')) {
+      requestBody.generationConfig.imageConfig.imageSize = config.imageSize;
+    }
+
+    const response = await requestJson({
+      hostname: 'generativelanguage.googleapis.com',
+      path: `/v1beta/models/${config.model}:generateContent?key=${config.apiKey}`,
+      method: 'POST',
+      body: requestBody,
+      label: 'Gemini',
+    });
+
+    // Extract image from response
+    const imagePart = response.candidates?.[0]?.content?.parts?.find(p => p.inlineData);
+    if (!imagePart?.inlineData?.data) {
+      throw new Error('No image data in Gemini response');
+    }
+
+    fs.writeFileSync(outputPath, Buffer.from(imagePart.inlineData.data, 'base64'));
+    console.log(`[ImageProvider] Gemini image saved to: ${outputPath}`);
+
+    return {
+      outputPath,
+      prompt,
+      negativePrompt,
+      referenceImages: usedReferences,
+      provider: 'gemini',
+      model: config.model,
+      imageSize: config.imageSize,
+      aspectRatio: output.aspectRatio,
+    };
+  },
+};
+
+module.exports = { adapter, GEMINI_ASPECT_RATIOS };
@@ -0,0 +1,64 @@
+const { requestJson, readImageBase64 } = require('../http');
+
+const adapter = {
+  id: 'gemini',
+  kind: 'llm',
+  label: 'Gemini Flash',
+  capabilities: {
+    jsonOutput: true,
+    imageInput: true,
+  },
+  models: {
+    'gemini-2.0-flash': {
+      pricing: {
+        type: 'text',
+        inputCostPer1k: 0.0001,   // $0.10 per 1M input tokens
+        outputCostPer1k: 0.0004,  // $0.40 per 1M output tokens
+        unit: 'tokens',
+        description: 'Gemini 2.0 Flash - Fast text generation',
+      },
+    },
+    'gemini-2.0-flash-lite': {},
+    'gemini-1.5-flash': {},
+  },
+  configSchema: {
+    apiKey: { env: 'GEMINI_API_KEY', secret: true, required: true },
+    model: { env: 'LLM_MODEL', default: 'gemini-2.0-flash' },
+  },
+
+  resolveOutputSettings() {
+    return {};
+  },
+
+  async generate(config, { prompt, temperature, maxTokens, jsonOutput, images = [] }) {
+    // Images go before the text, the order Gemini recommends for multimodal prompts
+    const imageParts = images.map((imagePath) => ({ inlineData: readImageBase64(imagePath) }));
+    const requestBody = {
+      contents: [{ role: 'user', parts: [...imageParts, { text: prompt }] }],
+      generationConfig: {
+        temperature: temperature || 0.7,
+        maxOutputTokens: maxTokens || 1024,
+      },
+    };
+    if (jsonOutput) {
+      requestBody.generationConfig.responseMimeType = 'application/json';
+    }
+
+    const json = await requestJson({
+      hostname: 'generativelanguage.googleapis.com',
+      path: `/v1beta/models/${config.model}:generateContent?key=${config.apiKey}`,
+      method: 'POST',
+      body: requestBody,
+      label: 'Gemini',
+    });
+
+    return {
+      text: json.candidates?.[0]?.content?.parts?.[0]?.text || '',
+      provider: 'gemini',
+      model: config.model,
+      usage: json.usageMetadata,
+    };
+  },
+};
+
+module.exports = { adapter };
@@ -0,0 +1,166 @@
+const fs = require('fs');
+const { downloadFile, readImageBase64 } = require('../http');
+const { createPrediction, waitForPrediction, predictionOutputUrl } = require('../replicateApi');
+const { closestAspectRatio, closestDuration } = require('../../utils/mediaSettings');
+
+// Replicate video models
+const REPLICATE_VIDEO_MODELS = {
+  KLING_2_6: 'kwaivgi/kling-v2.6',
+  KLING_2_6_MOTION: 'kwaivgi/kling-v2.6-motion-control',
+};
+
+// Durations (seconds) and aspect ratios Kling accepts
+const KLING_DURATIONS = [5, 10];
+const KLING_ASPECT_RATIOS = ['16:9', '9:16', '1:1'];
+
+const adapter = {
+  id: 'replicate',
+  kind: 'video',
+  label: 'Replicate (Kling 2.6)',
+  capabilities: {
+    firstFrame: true,
+    lastFrame: false,
+    referenceImages: false,
+    nativeAudio: true,
+    motionTransfer: false,
+    durations: KLING_DURATIONS,
+    aspectRatios: KLING_ASPECT_RATIOS,
+  },
+  models: {
+    [REPLICATE_VIDEO_MODELS.KLING_2_6]: {
+      pricing: {
+        type: 'video',
+        costPer: 0.35,        // ~$0.35 per run (5s video)
+        costPer10s: 0.70,     // ~$0.70 for 10s video
+        unit: 'run',
+        description: 'Kling 2.6 - Video with native audio',
+      },
+    },
+    [REPLICATE_VIDEO_MODELS.KLING_2_6_MOTION]: {
+      pricing: { type: 'video', costPer: 0.34, unit: 'run', description: 'Kling 2.6 Motion Control - Motion transfer' },
+      capabilities: { motionTransfer: true },
+    },
+  },
+  configSchema: {
+    apiKey: { env: 'REPLICATE_API_KEY', secret: true, required: true },
+    model: { env: 'REPLICATE_VIDEO_MODEL', default: REPLICATE_VIDEO_MODELS.KLING_2_6 },
+    mode: { env: 'KLING_MODE', default: 'std', description: 'std or pro' },
+    audio: { env: 'KLING_AUDIO', default: 'true', description: 'Generate native audio' },
+  },
+
+  resolveOutputSettings(config, { aspectRatio, durationSec }, capabilities) {
+    return {
+      aspectRatio: closestAspectRatio(capabilities.aspectRatios, aspectRatio),
+      durationSec: closestDuration(capabilities.durations, Number(durationSec) || 4),
+    };
+  },
+
+  async generate(config, params, capabilities) {
+    console.log(`[VideoProvider] Generating with Replicate ${config.model}...`);
+    if (capabilities.motionTransfer) {
+      return generateMotion(config, params);
+    }
+
+    const { prompt, negativePrompt, outputPath, firstFramePath } = params;
+    const output = this.resolveOutputSettings(config, params, capabilities);
+    const generateAudio = String(config.audio) !== 'false';
+
+    const input = {
+      prompt,
+      negative_prompt: negativePrompt || '',
+      duration: output.durationSec,
+      aspect_ratio: output.aspectRatio,
+      generate_audio: generateAudio,
+    };
+
+    // Add start image if provided (image-to-video)
+    if (firstFramePath && fs.existsSync(firstFramePath)) {
+      const image = readImageBase64(firstFramePath);
+      input.start_image = `data:${image.mimeType};base64,${image.data}`;
+      console.log('[VideoProvider] Added start image for image-to-video mode');
+    }
+
+    console.log(`[VideoProvider] Kling input: prompt=${prompt.substring(0, 50)}..., duration=${input.duration}s, audio=${input.generate_audio}`);
+    const prediction = await createPrediction({ apiKey: config.apiKey, model: config.model, input, byVersion: true });
+    console.log(`[VideoProvider] Kling prediction started: ${prediction.id}`);
+
+    const result = await waitForPrediction({ apiKey: config.apiKey, id: prediction.id, logPrefix: '[VideoProvider]' });
+    const videoUrl = predictionOutputUrl(result);
+    if (!videoUrl) {
+      throw new Error('No video output from Kling');
+    }
+
+    await downloadFile(videoUrl, outputPath);
+    console.log(`[VideoProvider] Kling video saved to: ${outputPath}`);
+
+    return {
+      outputPath,
+      prompt,
+      negativePrompt,
+      provider: 'replicate-kling',
+      model: config.model,
+      mode: config.mode,
+      hasAudio: generateAudio,
+      firstFramePath,
+      predictionId: prediction.id,
+      ...output,
+    };
+  },
+};
+
+const generateMotion = async (config, { prompt, outputPath, firstFramePath, motionVideoPath }) => {
+  console.log('[VideoProvider] Generating with Kling 2.6 Motion Control...');
+
+  if (!firstFramePath || !fs.existsSync(firstFramePath)) {
+    throw new Error('Kling Motion Control requires a reference image (firstFramePath)');
+  }
+  if (!motionVideoPath || !fs.existsSync(motionVideoPath)) {
+    throw new Error('Kling Motion Control requires a motion reference video (motionVideoPath)');
+  }
+
+  const image = readImageBase64(firstFramePath);
+  const input = {
+    image: `data:${image.mimeType};base64,${image.data}`,
+    video: `data:video/mp4;base64,${fs.readFileSync(motionVideoPath).toString('base64')}`,
+    prompt: prompt || '',
+    mode: config.mode,
+    character_orientation: 'image',
+    keep_original_sound: true,
+  };
+
+  console.log(`[VideoProvider] Kling Motion input: mode=${config.mode}, orientation=image`);
+  const prediction = await createPrediction({
+    apiKey: config.apiKey,
+    model: REPLICATE_VIDEO_MODELS.KLING_2_6_MOTION,
+    input,
+    byVersion: true,
+  });
+  console.log(`[VideoProvider] Kling Motion prediction started: ${prediction.id}`);
+
+  const result = await waitForPrediction({ apiKey: config.apiKey, id: prediction.id, logPrefix: '[VideoProvider]' });
+  const videoUrl = predictionOutputUrl(result);
+  if (!videoUrl) {
+    throw new Error('No video output from Kling Motion Control');
+  }
+
+  await downloadFile(videoUrl, outputPath);
+  console.log(`[VideoProvider] Kling Motion video saved to: ${outputPath}`);
+
+  return {
+    outputPath,
+    prompt,
+    provider: 'replicate-kling-motion',
+    model: REPLICATE_VIDEO_MODELS.KLING_2_6_MOTION,
+    mode: config.mode,
+    firstFramePath,
+    motionVideoPath,
+    predictionId: prediction.id,
+  };
+};
+
+module.exports = {
+  adapter,
+  REPLICATE_VIDEO_MODELS,
+  KLING_DURATIONS,
+  KLING_ASPECT_RATIOS,
+};
@@ -0,0 +1,66 @@
+const fs = require('fs');
+const { requestBuffer } = require('../http');
+const { readWavDuration } = require('../../utils/wav');
+
+const OPENAI_VOICES = ['alloy', 'ash', 'coral', 'echo', 'fable', 'nova', 'onyx', 'sage', 'shimmer'];
+
+const adapter = {
+  id: 'openai',
+  kind: 'voice',
+  label: 'OpenAI TTS',
+  capabilities: {
+    voices: OPENAI_VOICES,
+    formats: ['wav'],
+  },
+  models: {
+    'tts-1': {
+      pricing: {
+        type: 'characters',
+        costPer1kChars: 0.015,  // $15 per 1M characters
+        unit: 'characters',
+        description: 'OpenAI TTS - Fast narration',
+      },
+    },
+    'tts-1-hd': {
+      pricing: {
+        type: 'characters',
+        costPer1kChars: 0.03,   // $30 per 1M characters
+        unit: 'characters',
+        description: 'OpenAI TTS HD - Higher quality narration',
+      },
+    },
+  },
+  configSchema: {
+    apiKey: { env: 'OPENAI_API_KEY', secret: true, required: true },
+    model: { env: 'VOICE_MODEL', default: 'tts-1' },
+    voice: { env: 'VOICE_NAME', default: 'alloy' },
+  },
+
+  resolveOutputSettings(config, { voice }, capabilities = this.capabilities) {
+    return { voice: capabilities.voices.includes(voice) ? voice : config.voice, format: 'wav' };
+  },
+
+  async generate(config, params, capabilities) {
+    const { text, outputPath } = params;
+    const output = this.resolveOutputSettings(config, params, capabilities);
+    const audio = await requestBuffer({
+      hostname: 'api.openai.com',
+      path: '/v1/audio/speech',
+      headers: { Authorization: `Bearer ${config.apiKey}` },
+      body: { model: config.model, input: text, voice: output.voice, response_format: 'wav' },
+      label: 'OpenAI TTS',
+    });
+    fs.writeFileSync(outputPath, audio);
+
+    return {
+      outputPath,
+      text,
+      provider: 'openai',
+      model: config.model,
+      ...output,
+      durationSec: readWavDuration(outputPath),
+    };
+  },
+};
+
+module.exports = { adapter, OPENAI_VOICES };
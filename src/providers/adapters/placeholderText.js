@@ -0,0 +1,33 @@
+const adapter = {
+  id: 'placeholder',
+  kind: 'llm',
+  label: 'Local placeholder',
+  placeholder: true,
+  capabilities: {
+    jsonOutput: false,
+    imageInput: false,
+  },
+  models: {
+    placeholder: {
+      pricing: { type: 'any', costPer: 0, unit: 'run', description: 'Local placeholder - Free' },
+    },
+  },
+  configSchema: {
+    model: { default: 'placeholder' },
+  },
+
+  resolveOutputSettings() {
+    return {};
+  },
+
+  async generate(config, { prompt, error = null }) {
+    return {
+      text: `[Placeholder response for: ${prompt.substring(0, 50)}...]`,
+      provider: error ? 'placeholder-fallback' : 'placeholder',
+      model: 'placeholder',
+      error,
+    };
+  },
+};
+
+module.exports = { adapter };
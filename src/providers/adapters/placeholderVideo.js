@@ -0,0 +1,72 @@
+const fs = require('fs');
+const { hasFfmpeg, runFfmpeg } = require('../../utils/ffmpeg');
+
+// Loops the first frame with ffmpeg when it can, otherwise writes a stub file
+const adapter = {
+  id: 'placeholder',
+  kind: 'video',
+  label: 'Local placeholder',
+  placeholder: true,
+  capabilities: {
+    firstFrame: true,
+    lastFrame: true,      // accepts and records the target frame so placeholder runs keep bridging metadata
+    referenceImages: true,
+    nativeAudio: false,
+    durations: null,
+    aspectRatios: null,
+  },
+  models: {
+    placeholder: {
+      pricing: { type: 'any', costPer: 0, unit: 'run', description: 'Local placeholder - Free' },
+    },
+  },
+  configSchema: {
+    model: { default: 'placeholder' },
+    duration: { env: 'VEO_DURATION', default: '4' },
+  },
+
+  resolveOutputSettings(config, { aspectRatio, durationSec }) {
+    return { aspectRatio, durationSec: Number(durationSec) || Number(config.duration) || 4 };
+  },
+
+  async generate(config, params) {
+    const { prompt, negativePrompt, outputPath, firstFramePath, lastFramePath, referenceImages, error = null } = params;
+    console.log('[VideoProvider] Generating placeholder video');
+    const output = this.resolveOutputSettings(config, params);
+
+    if (hasFfmpeg() && firstFramePath && fs.existsSync(firstFramePath)) {
+      const args = [
+        '-y',
+        '-loop', '1',
+        '-i', firstFramePath,
+        '-t', `${output.durationSec}`,
+        '-vf', 'scale=trunc(iw/2)*2:trunc(ih/2)*2',
+        '-pix_fmt', 'yuv420p',
+        '-c:v', 'libx264',
+        '-preset', 'fast',
+        outputPath,
+      ];
+      const result = runFfmpeg(args);
+      if (!result.ok) {
+        fs.writeFileSync(outputPath, 'placeholder clip');
+      }
+    } else {
+      fs.writeFileSync(outputPath, 'placeholder clip');
+    }
+
+    return {
+      outputPath,
+      prompt,
+      negativePrompt,
+      provider: error ? 'placeholder-fallback' : 'placeholder',
+      model: 'placeholder',
+      firstFramePath,
+      lastFramePath,
+      referenceImages,
+      ...output,
+      error,
+    };
+  },
+};
+
+module.exports = { adapter };
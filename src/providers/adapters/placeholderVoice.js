@@ -0,0 +1,58 @@
+const { writeWav } = require('../../utils/wav');
+
+// Writes silence (or a quiet tone) as long as the text would take to read aloud
+const adapter = {
+  id: 'placeholder',
+  kind: 'voice',
+  label: 'Local placeholder',
+  placeholder: true,
+  capabilities: {
+    voices: null,
+    formats: ['wav'],
+  },
+  models: {
+    placeholder: {
+      pricing: { type: 'any', costPer: 0, unit: 'run', description: 'Local placeholder - Free' },
+    },
+  },
+  configSchema: {
+    model: { default: 'placeholder' },
+    voice: { default: 'placeholder' },
+    sound: { env: 'PLACEHOLDER_VOICE_SOUND', default: 'silence', description: 'silence or tone' },
+    wordsPerMinute: { env: 'VOICE_WORDS_PER_MINUTE', default: '150' },
+  },
+
+  resolveOutputSettings(config, { voice }) {
+    return { voice: voice || config.voice, format: 'wav' };
+  },
+
+  async generate(config, params) {
+    const { text, outputPath, error = null } = params;
+    console.log('[VoiceProvider] Generating placeholder narration');
+    const output = this.resolveOutputSettings(config, params);
+    const words = String(text || '').split(/\s+/).filter(Boolean);
+    const wordSec = 60 / (Number(config.wordsPerMinute) || 150);
+    const { durationSec } = writeWav(outputPath, {
+      durationSec: Math.max(0.5, Math.round(words.length * wordSec * 10) / 10),
+      toneHz: config.sound === 'tone' ? 440 : null,
+    });
+
+    return {
+      outputPath,
+      text,
+      provider: error ? 'placeholder-fallback' : 'placeholder',
+      model: 'placeholder',
+      ...output,
+      durationSec,
+      // Evenly paced word timings, in seconds from the start of the file
+      words: words.map((word, index) => ({
+        text: word,
+        start: Math.round(index * wordSec * 1000) / 1000,
+        end: Math.round((index + 1) * wordSec * 1000) / 1000,
+      })),
+      error,
+    };
+  },
+};
+
+module.exports = { adapter };
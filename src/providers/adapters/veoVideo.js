@@ -0,0 +1,156 @@
+const fs = require('fs');
+const { requestJson, downloadFile, readImageBase64 } = require('../http');
+const { sleep } = require('../../utils/retry');
+const { closestAspectRatio, closestDuration } = require('../../utils/mediaSettings');
+
+// Durations (seconds) and aspect ratios Veo accepts
+const VEO_DURATIONS = [4, 6, 8];
+const VEO_2_DURATIONS = [5, 6, 7, 8];
+const VEO_ASPECT_RATIOS = ['16:9', '9:16'];
+
+const veoPricing = (costPerSec, description) => ({ type: 'video', costPerSec, unit: 'second', description });
+
+const adapter = {
+  id: 'gemini',
+  kind: 'video',
+  label: 'Gemini (Veo)',
+  capabilities: {
+    firstFrame: true,
+    lastFrame: false,
+    referenceImages: false,
+    nativeAudio: true,
+    durations: VEO_DURATIONS,
+    aspectRatios: VEO_ASPECT_RATIOS,
+  },
+  // Only Veo 3.1 interpolates toward a last frame; Veo 2 is silent and has its own durations
+  models: {
+    'veo-3.1-fast-generate-preview': {
+      pricing: veoPricing(0.15, 'Veo 3.1 Fast - First/last frame bridging'),
+      capabilities: { lastFrame: true },
+    },
+    'veo-3.1-generate-preview': {
+      pricing: veoPricing(0.40, 'Veo 3.1 Preview - Latest features'),
+      capabilities: { lastFrame: true },
+    },
+    'veo-3.0-fast-generate-001': { pricing: veoPricing(0.15, 'Veo 3.0 Fast - Quick video generation') },
+    'veo-3.0-generate-001': { pricing: veoPricing(0.40, 'Veo 3.0 Standard - Higher quality') },
+    'veo-2.0-generate-001': {
+      pricing: veoPricing(0.35, 'Veo 2.0 - Stable video generation'),
+      capabilities: { nativeAudio: false, durations: VEO_2_DURATIONS },
+    },
+  },
+  configSchema: {
+    apiKey: { env: 'GEMINI_API_KEY', secret: true, required: true },
+    model: { env: 'VEO_MODEL', default: 'veo-3.0-fast-generate-001' },
+    duration: { env: 'VEO_DURATION', default: '4', description: 'Duration used when a shot has none' },
+    resolution: { env: 'VEO_RESOLUTION', default: '720p' },
+  },
+
+  resolveOutputSettings(config, { aspectRatio, durationSec }, capabilities) {
+    const requestedDuration = Number(durationSec) || Number(config.duration) || 4;
+    return {
+      aspectRatio: closestAspectRatio(capabilities.aspectRatios, aspectRatio),
+      durationSec: closestDuration(capabilities.durations, requestedDuration),
+    };
+  },
+
+  async generate(config, params, capabilities) {
+    const { prompt, negativePrompt, outputPath, firstFramePath, lastFramePath, referenceImages } = params;
+    console.log(`[VideoProvider] Generating with Veo ${config.model}...`);
+    const output = this.resolveOutputSettings(config, params, capabilities);
+
+    const instance = { prompt };
+
+    if (firstFramePath && fs.existsSync(firstFramePath)) {
+      const image = readImageBase64(firstFramePath);
+      instance.image = { bytesBase64Encoded: image.data, mimeType: image.mimeType };
+      console.log('[VideoProvider] Added first frame to request');
+    }
+
+    if (capabilities.lastFrame && lastFramePath && fs.existsSync(lastFramePath)) {
+      const image = readImageBase64(lastFramePath);
+      instance.lastFrame = { bytesBase64Encoded: image.data, mimeType: image.mimeType };
+      console.log('[VideoProvider] Added last frame for interpolation (bridging mode)');
+    } else if (lastFramePath && !capabilities.lastFrame) {
+      console.log(`[VideoProvider] Skipping lastFrame (not supported by ${config.model})`);
+    }
+
+    const parameters = {
+      aspectRatio: output.aspectRatio,
+      durationSeconds: output.durationSec,
+    };
+    if (negativePrompt) {
+      parameters.negativePrompt = negativePrompt;
+    }
+
+    // Start the long-running operation, then poll it
+    const operation = await requestJson({
+      hostname: 'generativelanguage.googleapis.com',
+      path: `/v1beta/models/${config.model}:predictLongRunning?key=${config.apiKey}`,
+      method: 'POST',
+      body: { instances: [instance], parameters },
+      label: 'Veo',
+    });
+    console.log(`[VideoProvider] Veo operation started: ${operation.name}`);
+
+    const result = await waitForOperation(config, operation.name);
+    const videoUri = result.response?.generateVideoResponse?.generatedSamples?.[0]?.video?.uri;
+    if (!videoUri) {
+      throw new Error('No video URI in Veo response');
+    }
+
+    await downloadFile(downloadUrl(config, videoUri), outputPath);
+    console.log(`[VideoProvider] Veo video saved to: ${outputPath}`);
+
+    return {
+      outputPath,
+      prompt,
+      negativePrompt,
+      provider: 'gemini-veo',
+      model: config.model,
+      firstFramePath,
+      lastFramePath,
+      referenceImages,
+      operationName: operation.name,
+      hasAudio: capabilities.nativeAudio,
+      ...output,
+    };
+  },
+};
+
+const waitForOperation = async (config, operationName, maxAttempts = 120, pollInterval = 5000) => {
+  const opPath = operationName.startsWith('/') ? operationName : `/${operationName}`;
+  for (let attempt = 0; attempt < maxAttempts; attempt++) {
+    const status = await requestJson({
+      hostname: 'generativelanguage.googleapis.com',
+      path: `/v1beta${opPath}?key=${config.apiKey}`,
+      label: 'Veo operation',
+    });
+
+    if (status.done) {
+      if (status.error) {
+        throw new Error(`Veo operation failed: ${status.error.message || JSON.stringify(status.error)}`);
+      }
+      return status;
+    }
+
+    console.log(`[VideoProvider] Veo status: processing (${attempt + 1}/${maxAttempts})`);
+    await sleep(pollInterval);
+  }
+
+  throw new Error('Veo operation timed out');
+};
+
+// GCS URIs go through the public storage host; Gemini API download URLs need the key
+const downloadUrl = (config, uri) => {
+  if (uri.startsWith('gs://')) {
+    return `https://storage.googleapis.com/${uri.replace('gs://', '')}`;
+  }
+  if (uri.includes('generativelanguage.googleapis.com')) {
+    const separator = uri.includes('?') ? '&' : '?';
+    return `${uri}${separator}key=${config.apiKey}`;
+  }
+  return uri;
+};
+
+module.exports = { adapter, VEO_DURATIONS, VEO_2_DURATIONS, VEO_ASPECT_RATIOS };
@@ -0,0 +1,138 @@
+const fs = require('fs');
+const path = require('path');
+const https = require('https');
+const http = require('http');
+
+/**
+ * Send an HTTPS request with an optional JSON body and parse the JSON response.
+ * Error responses reject with the vendor's message when one is present.
+ */
+const requestJson = ({ hostname, path: requestPath, method = 'GET', headers = {}, body, label = 'provider' }) =>
+  new Promise((resolve, reject) => {
+    const data = body === undefined ? null : JSON.stringify(body);
+    const options = {
+      hostname,
+      port: 443,
+      path: requestPath,
+      method,
+      headers: data
+        ? { ...headers, 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(data) }
+        : headers,
+    };
+
+    const req = https.request(options, (res) => {
+      let responseBody = '';
+      res.on('data', (chunk) => responseBody += chunk);
+      res.on('end', () => {
+        let json;
+        try {
+          json = JSON.parse(responseBody);
+        } catch (e) {
+          reject(new Error(`Failed to parse ${label} response: ${responseBody.substring(0, 500)}`));
+          return;
+        }
+        if (res.statusCode >= 400) {
+          const message = json.error?.message || json.detail || (typeof json.error === 'string' ? json.error : null);
+          reject(new Error(message || `HTTP ${res.statusCode}: ${responseBody.substring(0, 500)}`));
+          return;
+        }
+        resolve(json);
+      });
+    });
+
+    req.on('error', reject);
+    if (data) {
+      req.write(data);
+    }
+    req.end();
+  });
+
+/**
+ * Send an HTTPS request with a JSON body and resolve the raw response body (e.g. generated audio).
+ * Error responses are JSON, so they reject with the vendor's message like requestJson.
+ */
+const requestBuffer = ({ hostname, path: requestPath, method = 'POST', headers = {}, body, label = 'provider' }) =>
+  new Promise((resolve, reject) => {
+    const data = JSON.stringify(body || {});
+    const options = {
+      hostname,
+      port: 443,
+      path: requestPath,
+      method,
+      headers: { ...headers, 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(data) },
+    };
+
+    const req = https.request(options, (res) => {
+      const chunks = [];
+      res.on('data', (chunk) => chunks.push(chunk));
+      res.on('end', () => {
+        const buffer = Buffer.concat(chunks);
+        if (res.statusCode < 400) {
+          resolve(buffer);
+          return;
+        }
+        const text = buffer.toString('utf8');
+        let message = null;
+        try {
+          const json = JSON.parse(text);
+          message = json.error?.message || json.detail?.message || json.detail || (typeof json.error === 'string' ? json.error : null);
+        } catch (e) {
+          // Not JSON; fall back to the status line below
+        }
+        reject(new Error(message || `${label} HTTP ${res.statusCode}: ${text.substring(0, 500)}`));
+      });
+    });
+
+    req.on('error', reject);
+    req.write(data);
+    req.end();
+  });
+
+/**
+ * Download a URL to disk, following redirects
+ */
+const downloadFile = (url, outputPath) =>
+  new Promise((resolve, reject) => {
+    const dir = path.dirname(outputPath);
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+
+    const download = (downloadUrl) => {
+      const protocol = downloadUrl.startsWith('https') ? https : http;
+      protocol.get(downloadUrl, (response) => {
+        if (response.statusCode === 301 || response.statusCode === 302) {
+          download(response.headers.location);
+        } else if (response.statusCode === 200) {
+          const file = fs.createWriteStream(outputPath);
+          response.pipe(file);
+          file.on('finish', () => {
+            file.close();
+            resolve();
+          });
+        } else {
+          reject(new Error(`Failed to download ${downloadUrl.split('?')[0]}: HTTP ${response.statusCode}`));
+        }
+      }).on('error', (err) => {
+        fs.unlink(outputPath, () => {});
+        reject(err);
+      });
+    };
+
+    download(url);
+  });
+
+/**
+ * Read a local image as base64 with its mime type
+ */
+const readImageBase64 = (filePath) => ({
+  data: fs.readFileSync(filePath).toString('base64'),
+  mimeType: { '.png': 'image/png', '.webp': 'image/webp' }[path.extname(filePath).toLowerCase()] || 'image/jpeg',
+});
+
+module.exports = {
+  requestJson,
+  requestBuffer,
+  downloadFile,
+  readImageBase64,
+};
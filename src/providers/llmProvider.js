@@ -1,19 +1,14 @@
-const https = require('https');
-
 // Load environment variables
 require('dotenv').config();
 
 // Import utilities
 const { retry, getRetryConfig } = require('../utils/retry');
 const { estimateLLMCost, tracker } = require('../utils/costs');
-
-// Supported providers
-const PROVIDERS = {
-  GEMINI: 'gemini',
-  PLACEHOLDER: 'placeholder',
-};
+const { listAdapters, selectAdapters, placeholderCandidate } = require('./registry');
 
 // Marketing script system prompt
+const DEFAULT_SCRIPT_SECTIONS = ['hook', 'problem', 'solution', 'cta'];
+
 const SCRIPT_SYSTEM_PROMPT = `You are a professional marketing copywriter. Your task is to create compelling video marketing scripts.
 
 Given a brief description of a product, service, or campaign, generate a structured marketing script with these sections:
@@ -36,68 +31,62 @@ IMPORTANT: Return ONLY valid JSON in this exact format:
   "cta": "..."
 }`;
 
+/**
+ * Text generation front end over the registered LLM adapters
+ */
 class LLMProvider {
   constructor(config = {}) {
-    this.provider = config.provider || process.env.LLM_PROVIDER || PROVIDERS.GEMINI;
+    this.provider = config.provider || process.env.LLM_PROVIDER || 'gemini';
     this.useReal = config.useReal ?? (process.env.USE_REAL_LLM_PROVIDER !== 'false');
 
-    // Gemini settings
-    this.geminiApiKey = config.geminiApiKey || process.env.GEMINI_API_KEY;
-    this.geminiModel = config.geminiModel || process.env.LLM_MODEL || 'gemini-2.0-flash';
-
-    // Retry settings
-    this.retryConfig = config.retryConfig || getRetryConfig('gemini');
-
-    // Expose name/model for tracking
-    this._updateActiveInfo();
-  }
+    // Capabilities the caller needs, e.g. { jsonOutput: true }
+    this.requires = config.requires || {};
 
-  _updateActiveInfo() {
-    const active = this._getActiveProvider();
-    this.name = active;
-    this.model = active === PROVIDERS.GEMINI ? this.geminiModel : 'placeholder';
-  }
+    // Per-adapter config overrides keyed by adapter id; anything missing comes from env
+    this.adapterConfigs = config.adapters || {};
+    this.retryConfig = config.retryConfig || null;
 
-  _getActiveProvider() {
-    if (!this.useReal) {
-      return PROVIDERS.PLACEHOLDER;
-    }
+    this.candidates = this.useReal
+      ? selectAdapters('llm', { preferred: this.provider, requires: this.requires, configs: this.adapterConfigs })
+      : [];
+    this.placeholder = placeholderCandidate('llm', this.adapterConfigs);
 
-    if (this.geminiApiKey) {
-      return PROVIDERS.GEMINI;
-    }
-
-    return PROVIDERS.PLACEHOLDER;
+    // Expose name/model for tracking
+    const active = this.candidates[0] || this.placeholder;
+    this.name = active.adapter.id;
+    this.model = active.config.model;
+    this.capabilities = active.capabilities;
   }
 
   /**
    * Generate a marketing script from a brief
    * @param {string} brief - Short description (1-5 sentences) of what to promote
-   * @param {object} options - Additional options
-   * @returns {Promise<{hook: string, problem: string, solution: string, cta: string}>}
+   * @param {object} options - Additional options; `sections` lists the section ids to ask for and
+   *   `systemPrompt` describes them (defaults: hook, problem, solution, cta)
+   * @returns {Promise<object>} One string per section id, plus provider and model
    */
   async generateScript(brief, options = {}) {
-    const activeProvider = this._getActiveProvider();
+    const [active] = this.candidates;
+
+    if (!active) {
+      return this._generatePlaceholderScript(brief, null, options.sections);
+    }
 
     // Estimate cost (Gemini Flash is essentially free)
-    const costEstimate = estimateLLMCost('gemini', this.geminiModel, 500, 500);
-    console.log(`[LLMProvider] Using ${activeProvider} provider (${costEstimate.formatted})`);
+    const costEstimate = estimateLLMCost(active.adapter.id, active.config.model, 500, 500);
+    console.log(`[LLMProvider] Using ${active.adapter.id} provider (${costEstimate.formatted})`);
     console.log(`[LLMProvider] Brief: ${brief.substring(0, 100)}...`);
 
-    if (activeProvider === PROVIDERS.PLACEHOLDER) {
-      return this._generatePlaceholderScript(brief);
-    }
-
     try {
       const result = await retry(async (attempt) => {
         if (attempt > 1) {
           console.log(`[LLMProvider] Retry attempt ${attempt}...`);
         }
-        return await this._generateWithGemini(brief, options);
-      }, this.retryConfig);
+        return await this._generateScriptWith(active, brief, options);
+      }, this.retryConfig || getRetryConfig(active.adapter.id));
 
       // Track cost
-      tracker.addOperation('llm', 'gemini', this.geminiModel, costEstimate.cost, { brief: brief.substring(0, 50) });
+      tracker.addOperation('llm', active.adapter.id, active.config.model, costEstimate.cost, { ...options.costContext, brief: brief.substring(0, 50) });
 
       return {
         ...result,
@@ -106,181 +95,99 @@ class LLMProvider {
     } catch (error) {
       console.error(`[LLMProvider] Error: ${error.message}`);
       console.log('[LLMProvider] Falling back to placeholder');
-      return this._generatePlaceholderScript(brief, error.message);
+      return this._generatePlaceholderScript(brief, error.message, options.sections);
     }
   }
 
-  _generatePlaceholderScript(brief, error = null) {
+  _generatePlaceholderScript(brief, error = null, sections = DEFAULT_SCRIPT_SECTIONS) {
     console.log('[LLMProvider] Generating placeholder script');
 
-    return {
+    const copy = {
       hook: `Tired of the same old problems? There's a better way.`,
       problem: `We know how frustrating it can be when things don't work the way you need them to. You've tried everything, but nothing seems to stick.`,
       solution: `That's why we created something different. ${brief.substring(0, 100)}...`,
       cta: `Ready to make a change? Get started today and see the difference for yourself.`,
+    };
+    return {
+      ...Object.fromEntries(
+        sections.map((section) => [section, copy[section] || `${brief.substring(0, 100)}...`])
+      ),
       provider: error ? 'placeholder-fallback' : 'placeholder',
       model: 'placeholder',
       error,
     };
   }
 
-  async _generateWithGemini(brief, options = {}) {
-    console.log(`[LLMProvider] Generating script with ${this.geminiModel}...`);
+  async _generateScriptWith({ adapter, config, capabilities }, brief, options = {}) {
+    console.log(`[LLMProvider] Generating script with ${config.model}...`);
 
     const systemPrompt = options.systemPrompt || SCRIPT_SYSTEM_PROMPT;
     const userPrompt = `Create a marketing script for: ${brief}`;
+    const response = await adapter.generate(config, {
+      prompt: `${systemPrompt}\n\n${userPrompt}`,
+      jsonOutput: true,
+      temperature: options.temperature,
+      maxTokens: options.maxTokens,
+    }, capabilities);
+
+    if (!response.text) {
+      throw new Error(`No text in ${adapter.id} response`);
+    }
 
-    return new Promise((resolve, reject) => {
-      const requestBody = {
-        contents: [
-          {
-            role: 'user',
-            parts: [{ text: `${systemPrompt}\n\n${userPrompt}` }]
-          }
-        ],
-        generationConfig: {
-          responseMimeType: 'application/json',
-          temperature: options.temperature || 0.7,
-          maxOutputTokens: options.maxTokens || 1024,
-        }
-      };
+    // Parse the JSON from the response
+    let script;
+    try {
+      // Handle nested structure if present
+      const parsed = JSON.parse(response.text);
+      script = parsed.script || parsed;
+    } catch (e) {
+      throw new Error(`Failed to parse script JSON: ${response.text.substring(0, 200)}`);
+    }
 
-      const data = JSON.stringify(requestBody);
-
-      const reqOptions = {
-        hostname: 'generativelanguage.googleapis.com',
-        port: 443,
-        path: `/v1beta/models/${this.geminiModel}:generateContent?key=${this.geminiApiKey}`,
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Content-Length': Buffer.byteLength(data),
-        },
-      };
+    // Validate required fields
+    const sections = options.sections || DEFAULT_SCRIPT_SECTIONS;
+    const missing = sections.filter((section) => !script[section]);
+    if (missing.length) {
+      throw new Error(`Script missing required sections: ${missing.join(', ')}`);
+    }
+
+    console.log('[LLMProvider] Script generated successfully');
 
-      const req = https.request(reqOptions, (res) => {
-        let body = '';
-        res.on('data', (chunk) => body += chunk);
-        res.on('end', () => {
-          try {
-            const json = JSON.parse(body);
-
-            if (res.statusCode >= 400) {
-              reject(new Error(json.error?.message || `HTTP ${res.statusCode}: ${body}`));
-              return;
-            }
-
-            // Extract the text from the response
-            const text = json.candidates?.[0]?.content?.parts?.[0]?.text;
-            if (!text) {
-              reject(new Error('No text in Gemini response'));
-              return;
-            }
-
-            // Parse the JSON from the response
-            let script;
-            try {
-              // Handle nested structure if present
-              const parsed = JSON.parse(text);
-              script = parsed.script || parsed;
-            } catch (e) {
-              reject(new Error(`Failed to parse script JSON: ${text.substring(0, 200)}`));
-              return;
-            }
-
-            // Validate required fields
-            if (!script.hook || !script.problem || !script.solution || !script.cta) {
-              reject(new Error('Script missing required sections'));
-              return;
-            }
-
-            console.log('[LLMProvider] Script generated successfully');
-
-            resolve({
-              hook: script.hook,
-              problem: script.problem,
-              solution: script.solution,
-              cta: script.cta,
-              provider: 'gemini',
-              model: this.geminiModel,
-              usage: json.usageMetadata,
-            });
-          } catch (e) {
-            reject(new Error(`Failed to parse Gemini response: ${e.message}`));
-          }
-        });
-      });
-
-      req.on('error', reject);
-      req.write(data);
-      req.end();
-    });
+    return {
+      ...Object.fromEntries(sections.map((section) => [section, script[section]])),
+      provider: response.provider,
+      model: response.model,
+      usage: response.usage,
+    };
   }
 
   /**
    * Generate custom text (for other use cases beyond scripts)
    */
   async generateText(prompt, options = {}) {
-    const activeProvider = this._getActiveProvider();
-
-    if (activeProvider === PROVIDERS.PLACEHOLDER) {
-      return { text: `[Placeholder response for: ${prompt.substring(0, 50)}...]`, provider: 'placeholder' };
+    const [active] = this.candidates;
+    if (!active) {
+      const { adapter, config, capabilities } = this.placeholder;
+      return adapter.generate(config, { prompt, ...options }, capabilities);
     }
 
-    return new Promise((resolve, reject) => {
-      const requestBody = {
-        contents: [{ role: 'user', parts: [{ text: prompt }] }],
-        generationConfig: {
-          temperature: options.temperature || 0.7,
-          maxOutputTokens: options.maxTokens || 1024,
-        }
-      };
-
-      if (options.jsonOutput) {
-        requestBody.generationConfig.responseMimeType = 'application/json';
+    const response = await retry(async (attempt) => {
+      if (attempt > 1) {
+        console.log(`[LLMProvider] Retry attempt ${attempt}...`);
       }
-
-      const data = JSON.stringify(requestBody);
-
-      const reqOptions = {
-        hostname: 'generativelanguage.googleapis.com',
-        port: 443,
-        path: `/v1beta/models/${this.geminiModel}:generateContent?key=${this.geminiApiKey}`,
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Content-Length': Buffer.byteLength(data),
-        },
-      };
-
-      const req = https.request(reqOptions, (res) => {
-        let body = '';
-        res.on('data', (chunk) => body += chunk);
-        res.on('end', () => {
-          try {
-            const json = JSON.parse(body);
-            if (res.statusCode >= 400) {
-              reject(new Error(json.error?.message || `HTTP ${res.statusCode}`));
-              return;
-            }
-
-            const text = json.candidates?.[0]?.content?.parts?.[0]?.text;
-            resolve({
-              text: text || '',
-              provider: 'gemini',
-              model: this.geminiModel,
-              usage: json.usageMetadata,
-            });
-          } catch (e) {
-            reject(new Error(`Failed to parse response: ${e.message}`));
-          }
-        });
-      });
-
-      req.on('error', reject);
-      req.write(data);
-      req.end();
-    });
+      return await active.adapter.generate(active.config, { prompt, ...options }, active.capabilities);
+    }, this.retryConfig || getRetryConfig(active.adapter.id));
+
+    // Track cost from the reported token usage when there is one
+    const costEstimate = estimateLLMCost(
+      active.adapter.id,
+      active.config.model,
+      response.usage?.promptTokenCount || 500,
+      response.usage?.candidatesTokenCount || 500
+    );
+    tracker.addOperation('llm', active.adapter.id, active.config.model, costEstimate.cost, { ...options.costContext, prompt: prompt.substring(0, 50) });
+
+    return { ...response, costEstimate };
   }
 
   // ==========================================
@@ -288,26 +195,20 @@ class LLMProvider {
   // ==========================================
   static defaultConfig() {
     return {
-      provider: process.env.LLM_PROVIDER || PROVIDERS.GEMINI,
+      provider: process.env.LLM_PROVIDER || 'gemini',
       useReal: process.env.USE_REAL_LLM_PROVIDER !== 'false',
-      geminiApiKey: process.env.GEMINI_API_KEY,
-      geminiModel: process.env.LLM_MODEL || 'gemini-2.0-flash',
     };
   }
 
   static getAvailableProviders() {
-    return Object.values(PROVIDERS);
+    return listAdapters('llm').map((adapter) => adapter.id);
   }
 
   static getAvailableModels() {
-    return {
-      gemini: [
-        'gemini-2.0-flash',        // Fast, cheap - great for scripts
-        'gemini-2.0-flash-lite',   // Even faster/cheaper
-        'gemini-1.5-flash',        // Stable alternative
-      ],
-    };
+    return listAdapters('llm')
+      .filter((adapter) => !adapter.placeholder)
+      .reduce((models, adapter) => ({ ...models, [adapter.id]: Object.keys(adapter.models) }), {});
   }
 }
 
-module.exports = { LLMProvider, PROVIDERS, SCRIPT_SYSTEM_PROMPT };
+module.exports = { LLMProvider, SCRIPT_SYSTEM_PROMPT };
@@ -0,0 +1,223 @@
+/**
+ * Provider Registry
+ * Every vendor integration is a self-contained adapter module in ./adapters that declares:
+ *   id, kind ('image' | 'video' | 'llm' | 'voice') and label
+ *   capabilities  - what it can do (first/last frame, reference images, native audio, durations, aspect ratios)
+ *   models        - model ids with their pricing and per-model capability overrides
+ *   configSchema  - config keys with their env variable, default, and whether they are required or secret
+ *   resolveOutputSettings(config, request, capabilities) and generate(config, params, capabilities)
+ * Placeholder adapters (`placeholder: true`) are only used when no real adapter can run.
+ */
+
+const { retry, getRetryConfig } = require('../utils/retry');
+
+const PROVIDER_KINDS = ['image', 'video', 'llm', 'voice'];
+
+const adapters = new Map();
+
+/**
+ * Add an adapter to the registry. Adding a vendor is one adapter module plus one call here.
+ */
+function registerAdapter(adapter) {
+  if (!adapter?.id || !PROVIDER_KINDS.includes(adapter.kind)) {
+    throw new Error(`Adapter needs an id and one of these kinds: ${PROVIDER_KINDS.join(', ')}`);
+  }
+  if (typeof adapter.generate !== 'function' || typeof adapter.resolveOutputSettings !== 'function') {
+    throw new Error(`Adapter ${adapter.kind}:${adapter.id} must implement generate and resolveOutputSettings`);
+  }
+  adapters.set(`${adapter.kind}:${adapter.id}`, adapter);
+  return adapter;
+}
+
+[
+  require('./adapters/geminiImage').adapter,
+  require('./adapters/fluxImage').adapter,
+  require('./adapters/placeholderImage').adapter,
+  require('./adapters/veoVideo').adapter,
+  require('./adapters/klingVideo').adapter,
+  require('./adapters/placeholderVideo').adapter,
+  require('./adapters/geminiText').adapter,
+  require('./adapters/placeholderText').adapter,
+  require('./adapters/openaiVoice').adapter,
+  require('./adapters/placeholderVoice').adapter,
+].forEach(registerAdapter);
+
+function getAdapter(kind, id) {
+  return adapters.get(`${kind}:${id}`) || null;
+}
+
+function listAdapters(kind) {
+  return [...adapters.values()].filter((adapter) => !kind || adapter.kind === kind);
+}
+
+/**
+ * Build an adapter's config from explicit overrides, then environment variables, then schema defaults
+ */
+function resolveAdapterConfig(adapter, overrides = {}) {
+  return Object.entries(adapter.configSchema || {}).reduce((config, [key, field]) => {
+    const value = overrides[key] ?? (field.env ? process.env[field.env] : undefined) ?? field.default;
+    config[key] = value === undefined ? null : value;
+    return config;
+  }, {});
+}
+
+function isAdapterConfigured(adapter, config) {
+  return Object.entries(adapter.configSchema || {}).every(([key, field]) => !field.required || Boolean(config[key]));
+}
+
+/**
+ * Capabilities of an adapter running a specific model
+ */
+function adapterCapabilities(adapter, model) {
+  return { ...adapter.capabilities, ...adapter.models?.[model]?.capabilities };
+}
+
+function supportsCapabilities(capabilities, requires = {}) {
+  return Object.entries(requires).every(([key, required]) => !required || Boolean(capabilities[key]));
+}
+
+function toCandidate(adapter, configs = {}) {
+  const config = resolveAdapterConfig(adapter, configs[adapter.id]);
+  return { adapter, config, capabilities: adapterCapabilities(adapter, config.model) };
+}
+
+/**
+ * Order the configured, non-placeholder adapters of a kind for one request.
+ * Adapters that support every required capability come first; within each group the
+ * preferred adapter leads and the rest keep registration order.
+ */
+function selectAdapters(kind, { preferred, requires = {}, configs = {} } = {}) {
+  return listAdapters(kind)
+    .filter((adapter) => !adapter.placeholder)
+    .map((adapter) => toCandidate(adapter, configs))
+    .filter((candidate) => isAdapterConfigured(candidate.adapter, candidate.config))
+    .map((candidate, index) => ({
+      candidate,
+      rank: [
+        supportsCapabilities(candidate.capabilities, requires) ? 0 : 1,
+        candidate.adapter.id === preferred ? 0 : 1,
+        index,
+      ],
+    }))
+    .sort((a, b) => a.rank[0] - b.rank[0] || a.rank[1] - b.rank[1] || a.rank[2] - b.rank[2])
+    .map(({ candidate }) => candidate);
+}
+
+/**
+ * Candidates for an explicit, ordered fallback chain of adapter ids.
+ * Unknown or unconfigured adapters are left out; the order is kept as given.
+ */
+function chainAdapters(kind, { chain = [], configs = {} } = {}) {
+  return chain
+    .map((id) => getAdapter(kind, id))
+    .filter((adapter) => adapter && !adapter.placeholder)
+    .map((adapter) => toCandidate(adapter, configs))
+    .filter((candidate) => isAdapterConfigured(candidate.adapter, candidate.config));
+}
+
+/**
+ * Run one generation over ordered candidates: the first with retries, then each fallback once.
+ * `track(candidate, result, fallback)` records the spend of a success and returns its cost estimate.
+ * When every candidate fails, strict mode throws with each provider's error; otherwise the
+ * placeholder runs. Results from a fallback or the placeholder carry fallbackUsed and fallbackErrors.
+ */
+async function generateWithFallbacks({ kind, candidates, placeholder, params, strict = false, retryConfig = null, track }) {
+  const logPrefix = `[${kind[0].toUpperCase()}${kind.slice(1)}Provider]`;
+  const failures = [];
+  for (const [index, candidate] of candidates.entries()) {
+    const { adapter, config, capabilities } = candidate;
+    try {
+      if (index === 0) {
+        const result = await retry(async (attempt) => {
+          if (attempt > 1) {
+            console.log(`${logPrefix} Retry attempt ${attempt}...`);
+          }
+          return await adapter.generate(config, params, capabilities);
+        }, retryConfig || getRetryConfig(adapter.id));
+        return { ...result, costEstimate: track(candidate, result, false) };
+      }
+
+      console.log(`${logPrefix} Trying fallback: ${adapter.id}`);
+      const fallbackResult = await adapter.generate(config, params, capabilities);
+      const costEstimate = track(candidate, fallbackResult, true);
+      return { ...fallbackResult, costEstimate, fallbackUsed: true, fallbackErrors: failures };
+    } catch (error) {
+      console.error(`${logPrefix} ${index === 0 ? 'Primary provider' : 'Fallback'} ${adapter.id} failed: ${error.message}`);
+      failures.push({ provider: adapter.id, error: error.message });
+    }
+  }
+
+  if (strict) {
+    throw new Error(`All ${kind} providers failed: ${failures.map((item) => `${item.provider}: ${item.error}`).join('; ')}`);
+  }
+
+  // Final fallback to placeholder
+  console.log(`${logPrefix} All providers failed, using placeholder`);
+  const result = await placeholder.adapter.generate(placeholder.config, { ...params, error: failures[0]?.error }, placeholder.capabilities);
+  return { ...result, fallbackUsed: true, fallbackErrors: failures };
+}
+
+function placeholderCandidate(kind, configs = {}) {
+  const adapter = listAdapters(kind).find((item) => item.placeholder);
+  return toCandidate(adapter, configs);
+}
+
+/**
+ * Pricing table keyed by adapter id and model, built from the adapters' model lists
+ */
+function buildPricing() {
+  return listAdapters().reduce((pricing, adapter) => {
+    Object.entries(adapter.models || {}).forEach(([model, entry]) => {
+      if (!entry.pricing) return;
+      pricing[adapter.id] = pricing[adapter.id] || {};
+      pricing[adapter.id][model] = entry.pricing;
+    });
+    return pricing;
+  }, {});
+}
+
+/**
+ * Public description of every adapter for the providers API. Secret values are never included.
+ */
+function describeAdapter(adapter) {
+  const config = resolveAdapterConfig(adapter);
+  return {
+    id: adapter.id,
+    kind: adapter.kind,
+    label: adapter.label,
+    placeholder: Boolean(adapter.placeholder),
+    configured: Boolean(adapter.placeholder) || isAdapterConfigured(adapter, config),
+    model: config.model,
+    capabilities: adapterCapabilities(adapter, config.model),
+    models: Object.entries(adapter.models || {}).map(([model, entry]) => ({
+      id: model,
+      pricing: entry.pricing || null,
+      capabilities: adapterCapabilities(adapter, model),
+    })),
+    config: Object.entries(adapter.configSchema || {}).map(([key, field]) => ({
+      key,
+      env: field.env || null,
+      required: Boolean(field.required),
+      secret: Boolean(field.secret),
+      description: field.description || null,
+      ...(field.secret ? { set: Boolean(config[key]) } : { default: field.default ?? null, value: config[key] }),
+    })),
+  };
+}
+
+module.exports = {
+  PROVIDER_KINDS,
+  registerAdapter,
+  getAdapter,
+  listAdapters,
+  resolveAdapterConfig,
+  isAdapterConfigured,
+  adapterCapabilities,
+  supportsCapabilities,
+  selectAdapters,
+  chainAdapters,
+  generateWithFallbacks,
+  placeholderCandidate,
+  buildPricing,
+  describeAdapter,
+};
@@ -0,0 +1,55 @@
+const { requestJson } = require('./http');
+const { sleep } = require('../utils/retry');
+
+/**
+ * Start a Replicate prediction.
+ * Official models are addressed by name (`/v1/models/<model>/predictions`); pass
+ * `byVersion` for models that are started through `/v1/predictions` with a version.
+ */
+const createPrediction = ({ apiKey, model, input, byVersion = false }) =>
+  requestJson({
+    hostname: 'api.replicate.com',
+    path: byVersion ? '/v1/predictions' : `/v1/models/${model}/predictions`,
+    method: 'POST',
+    headers: { Authorization: `Bearer ${apiKey}` },
+    body: byVersion ? { version: model, input } : { input },
+    label: 'Replicate',
+  });
+
+const getPrediction = ({ apiKey, id }) =>
+  requestJson({
+    hostname: 'api.replicate.com',
+    path: `/v1/predictions/${id}`,
+    headers: { Authorization: `Bearer ${apiKey}` },
+    label: 'Replicate',
+  });
+
+/**
+ * Poll a prediction until it succeeds; failed or canceled predictions reject
+ */
+const waitForPrediction = async ({ apiKey, id, maxAttempts = 180, pollInterval = 5000, logPrefix = '[Replicate]' }) => {
+  for (let attempt = 0; attempt < maxAttempts; attempt++) {
+    const prediction = await getPrediction({ apiKey, id });
+
+    if (prediction.status === 'succeeded') {
+      return prediction;
+    }
+    if (prediction.status === 'failed' || prediction.status === 'canceled') {
+      throw new Error(`Replicate prediction ${prediction.status}: ${prediction.error || 'Unknown error'}`);
+    }
+
+    console.log(`${logPrefix} Replicate status: ${prediction.status} (${attempt + 1}/${maxAttempts})`);
+    await sleep(pollInterval);
+  }
+
+  throw new Error('Replicate prediction timed out');
+};
+
+const predictionOutputUrl = (prediction) =>
+  (Array.isArray(prediction.output) ? prediction.output[0] : prediction.output) || null;
+
+module.exports = {
+  createPrediction,
+  waitForPrediction,
+  predictionOutputUrl,
+};
@@ -0,0 +1,114 @@
+// Load environment variables
+require('dotenv').config();
+
+// Import utilities
+const { estimateVoiceCost, tracker } = require('../utils/costs');
+const { listAdapters, selectAdapters, generateWithFallbacks, placeholderCandidate } = require('./registry');
+const { OPENAI_VOICES } = require('./adapters/openaiVoice');
+
+/**
+ * Text-to-speech front end over the registered voice adapters.
+ * Retries the preferred adapter, falls back through the others and finally to the
+ * placeholder, which writes silence as long as the text would take to read. In strict mode
+ * the generation fails instead of falling back to the placeholder.
+ */
+class VoiceProvider {
+  constructor(config = {}) {
+    this.provider = config.provider || process.env.VOICE_PROVIDER || 'openai';
+    this.useReal = config.useReal ?? (process.env.USE_REAL_VOICE_PROVIDER === 'true');
+
+    // Per-adapter config overrides keyed by adapter id; anything missing comes from env
+    this.adapterConfigs = config.adapters || {};
+    this.retryConfig = config.retryConfig || null;
+    this.strict = Boolean(config.strict);
+
+    this.candidates = this.useReal
+      ? selectAdapters('voice', { preferred: this.provider, configs: this.adapterConfigs })
+      : [];
+    this.placeholder = placeholderCandidate('voice', this.adapterConfigs);
+
+    // Expose name/model/capabilities of the adapter that will run first
+    const active = this.candidates[0] || this.placeholder;
+    this.name = active.adapter.id;
+    this.model = active.config.model;
+    this.capabilities = active.capabilities;
+  }
+
+  /**
+   * Voice the given adapter will actually use for a requested voice name
+   */
+  resolveOutputSettings(provider, { voice }) {
+    const { adapter, config, capabilities } =
+      this.candidates.find((candidate) => candidate.adapter.id === provider) || this.placeholder;
+    return adapter.resolveOutputSettings(config, { voice }, capabilities);
+  }
+
+  async generateSpeech({ text, outputPath, voice = null, costContext = {} }) {
+    if (!outputPath) {
+      throw new Error('outputPath is required');
+    }
+    if (!text || !text.trim()) {
+      throw new Error('text is required');
+    }
+
+    const params = { text, outputPath, voice };
+    const [primary] = this.candidates;
+    if (!primary) {
+      if (!this.useReal) {
+        return this._generatePlaceholder(params);
+      }
+      // Real generation was asked for but nothing is configured; flag the placeholder like a fallback
+      const error = 'No configured voice provider';
+      if (this.strict) {
+        throw new Error(`${error} (strict mode)`);
+      }
+      const result = await this._generatePlaceholder({ ...params, error });
+      return { ...result, fallbackUsed: true, fallbackErrors: [{ provider: 'none', error }] };
+    }
+
+    const costEstimate = estimateVoiceCost(primary.adapter.id, primary.config.model, text.length);
+    console.log(`[VoiceProvider] Using ${primary.adapter.id} provider (${costEstimate.formatted})`);
+
+    return generateWithFallbacks({
+      kind: 'voice',
+      candidates: this.candidates,
+      placeholder: this.placeholder,
+      params,
+      strict: this.strict,
+      retryConfig: this.retryConfig,
+      track: ({ adapter, config }, result, fallback) => {
+        const estimate = fallback ? estimateVoiceCost(adapter.id, result.model, text.length) : costEstimate;
+        const details = fallback ? { ...costContext, fallback: true } : { ...costContext, characters: text.length };
+        tracker.addOperation('voice', adapter.id, fallback ? result.model : config.model, estimate.cost, details);
+        return estimate;
+      },
+    });
+  }
+
+  _generatePlaceholder(params) {
+    const { adapter, config, capabilities } = this.placeholder;
+    return adapter.generate(config, params, capabilities);
+  }
+
+  // ==========================================
+  // STATIC METHODS
+  // ==========================================
+  static defaultConfig() {
+    return {
+      provider: process.env.VOICE_PROVIDER || 'openai',
+      useReal: process.env.USE_REAL_VOICE_PROVIDER === 'true',
+    };
+  }
+
+  static getAvailableProviders() {
+    return listAdapters('voice').map((adapter) => adapter.id);
+  }
+
+  static getAvailableModels() {
+    return listAdapters('voice')
+      .filter((adapter) => !adapter.placeholder)
+      .reduce((models, adapter) => ({ ...models, [adapter.id]: Object.keys(adapter.models) }), {});
+  }
+}
+
+module.exports = { VoiceProvider, OPENAI_VOICES };
@@ -0,0 +1,109 @@
+const fs = require('fs');
+const path = require('path');
+const { nanoid } = require('nanoid');
+const { projectPath, projectFilePath, ensureProjectDirs } = require('./projectStore');
+const { readImageInfo, downscalePng } = require('../utils/imageUtils');
+const { hasFfmpeg, runFfmpeg } = require('../utils/ffmpeg');
+
+const BRAND_ASSET_KINDS = ['logo', 'product'];
+const MAX_BRAND_IMAGE_BYTES = 15 * 1024 * 1024;
+const MIN_BRAND_IMAGE_SIDE = 64;
+const THUMBNAIL_SIZE = 256;
+
+// Stored relative to the project folder, like the paths the brand kit already accepted
+const brandDir = (projectId) => path.join(projectPath(projectId), 'assets', 'brand');
+
+/**
+ * Check an uploaded file is a real PNG, JPEG or WebP of a usable size.
+ * The file contents decide the type; the client's mimetype and extension are ignored.
+ */
+const validateBrandImage = (file) => {
+  if (!file) {
+    return { error: 'No image uploaded' };
+  }
+  if (file.size > MAX_BRAND_IMAGE_BYTES) {
+    return { error: `${file.originalname} is larger than ${MAX_BRAND_IMAGE_BYTES / 1024 / 1024} MB` };
+  }
+  const info = readImageInfo(file.path);
+  if (!info) {
+    return { error: `${file.originalname} is not a PNG, JPEG or WebP image` };
+  }
+  if (info.width !== null && Math.min(info.width, info.height) < MIN_BRAND_IMAGE_SIDE) {
+    return { error: `${file.originalname} is ${info.width}x${info.height}; images need at least ${MIN_BRAND_IMAGE_SIDE}px per side` };
+  }
+  return { info };
+};
+
+const createThumbnail = (sourcePath, info, outputPath) => {
+  if (hasFfmpeg()) {
+    const result = runFfmpeg([
+      '-y',
+      '-i', sourcePath,
+      '-vf', `scale='min(${THUMBNAIL_SIZE},iw)':'min(${THUMBNAIL_SIZE},ih)':force_original_aspect_ratio=decrease`,
+      '-frames:v', '1',
+      outputPath,
+    ]);
+    if (result.ok) {
+      return outputPath;
+    }
+  }
+  if (info.type === 'png') {
+    downscalePng(sourcePath, outputPath, THUMBNAIL_SIZE);
+    return outputPath;
+  }
+  return null;
+};
+
+/**
+ * Move a validated upload into assets/brand and build its thumbnail.
+ * Returns the asset record to keep in brand_kit.assets.
+ */
+const storeBrandAsset = (project, file, kind, info) => {
+  ensureProjectDirs(project.id);
+  const dir = brandDir(project.id);
+  const thumbsDir = path.join(dir, 'thumbs');
+  if (!fs.existsSync(thumbsDir)) {
+    fs.mkdirSync(thumbsDir, { recursive: true });
+  }
+
+  const id = `${kind}-${nanoid(8)}`;
+  const filename = `${id}${info.ext}`;
+  const destination = path.join(dir, filename);
+  fs.renameSync(file.path, destination);
+  const thumbnail = createThumbnail(destination, info, path.join(thumbsDir, `${id}.png`));
+
+  return {
+    id,
+    kind,
+    original_name: file.originalname,
+    path: path.join('assets', 'brand', filename),
+    thumbnail_path: thumbnail ? path.join('assets', 'brand', 'thumbs', `${id}.png`) : null,
+    mime_type: info.mimeType,
+    width: info.width,
+    height: info.height,
+    size_bytes: file.size,
+    uploaded_at: new Date().toISOString(),
+  };
+};
+
+const removeBrandAssetFiles = (project, asset) => {
+  [asset.path, asset.thumbnail_path].filter(Boolean).forEach((relativePath) => {
+    const filePath = projectFilePath(project.id, relativePath);
+    if (filePath && fs.existsSync(filePath)) {
+      fs.unlinkSync(filePath);
+    }
+  });
+};
+
+// Paths of the uploaded product photos; the only files a brand kit or shot may condition on
+const productPhotoPaths = (project) =>
+  (project.brand_kit?.assets || []).filter((asset) => asset.kind === 'product').map((asset) => asset.path);
+
+module.exports = {
+  BRAND_ASSET_KINDS,
+  MAX_BRAND_IMAGE_BYTES,
+  validateBrandImage,
+  storeBrandAsset,
+  removeBrandAssetFiles,
+  productPhotoPaths,
+};
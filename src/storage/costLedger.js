@@ -0,0 +1,43 @@
+const fs = require('fs');
+const path = require('path');
+
+const costsRoot = path.join(__dirname, '..', '..', 'data', 'costs');
+// Append-only: one JSON operation per line so a crash never corrupts earlier entries
+const ledgerPath = path.join(costsRoot, 'ledger.jsonl');
+
+const ensureCostsDir = () => {
+  if (!fs.existsSync(costsRoot)) {
+    fs.mkdirSync(costsRoot, { recursive: true });
+  }
+};
+
+const appendCostEntry = (entry) => {
+  ensureCostsDir();
+  fs.appendFileSync(ledgerPath, `${JSON.stringify(entry)}\n`);
+  return entry;
+};
+
+const listCostEntries = ({ projectId } = {}) => {
+  if (!fs.existsSync(ledgerPath)) {
+    return [];
+  }
+  return fs
+    .readFileSync(ledgerPath, 'utf8')
+    .split('\n')
+    .filter(Boolean)
+    .map((line) => {
+      try {
+        return JSON.parse(line);
+      } catch (error) {
+        console.error('[CostLedger] Skipping unreadable entry:', error.message);
+        return null;
+      }
+    })
+    .filter(Boolean)
+    .filter((entry) => !projectId || entry.project_id === projectId);
+};
+
+module.exports = {
+  appendCostEntry,
+  listCostEntries,
+};
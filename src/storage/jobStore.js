@@ -0,0 +1,78 @@
+const fs = require('fs');
+const path = require('path');
+
+const jobsRoot = path.join(__dirname, '..', '..', 'data', 'jobs');
+
+const ensureJobsDir = () => {
+  if (!fs.existsSync(jobsRoot)) {
+    fs.mkdirSync(jobsRoot, { recursive: true });
+  }
+};
+
+const defaultJob = (id, input) => {
+  const now = new Date().toISOString();
+  return {
+    id,
+    type: input.type,
+    project_id: input.project_id || null,
+    status: 'queued',
+    payload: input.payload || {},
+    progress: {
+      total: 0,
+      completed: 0,
+      failed: 0,
+      current_shot_id: null,
+      shots: {},
+    },
+    result: null,
+    error: null,
+    created_at: now,
+    started_at: null,
+    finished_at: null,
+    last_updated: now,
+  };
+};
+
+const jobPath = (id) => path.join(jobsRoot, `${id}.json`);
+
+const createJob = (id, input) => {
+  ensureJobsDir();
+  const job = defaultJob(id, input);
+  fs.writeFileSync(jobPath(id), JSON.stringify(job, null, 2));
+  return job;
+};
+
+const loadJob = (id) => {
+  const filePath = jobPath(id);
+  if (!fs.existsSync(filePath)) {
+    return null;
+  }
+  return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+};
+
+const saveJob = (job) => {
+  ensureJobsDir();
+  job.last_updated = new Date().toISOString();
+  fs.writeFileSync(jobPath(job.id), JSON.stringify(job, null, 2));
+  return job;
+};
+
+const listJobs = ({ projectId } = {}) => {
+  if (!fs.existsSync(jobsRoot)) {
+    return [];
+  }
+  return fs
+    .readdirSync(jobsRoot)
+    .filter((file) => file.endsWith('.json'))
+    .map((file) => loadJob(path.basename(file, '.json')))
+    .filter(Boolean)
+    .filter((job) => !projectId || job.project_id === projectId)
+    .sort((a, b) => a.created_at.localeCompare(b.created_at));
+};
+
+module.exports = {
+  createJob,
+  loadJob,
+  saveJob,
+  listJobs,
+};
@@ -13,11 +13,34 @@ const defaultProject = (id, input) => {
     fps_target: 30,
     target_duration: input?.target_duration || 30,
     selected_style_pack_id: input?.selected_style_pack_id || null,
+    selected_style_pack_version: input?.selected_style_pack_version || null,
     continuity_mode: input?.continuity_mode || 'bridging',
+    // Copy of the script template the script follows; null means the classic hook/problem/solution/cta
+    script_template: input?.script_template || null,
+    continuity_check: {
+      auto_regenerate: false,
+      max_attempts: 1,
+    },
+    budget: {
+      limit_usd: null,
+      mode: 'block',
+    },
+    // Narration read over the shots; stretch lengthens shots to fit it, warn only reports overruns
+    voiceover: {
+      voice: null,
+      fit: 'stretch',
+      padding_sec: 0.3,
+    },
+    provider_policy: {
+      image_chain: [],
+      video_chain: [],
+      strict: false,
+    },
     brand_kit: {
       colors: [],
       logo_path: null,
       product_photo_paths: [],
+      assets: [],
       brand_voice: {
         playful: 0.5,
         luxury: 0.5,
@@ -26,13 +49,11 @@ const defaultProject = (id, input) => {
     },
     script: {
       raw: '',
-      sections: {
-        hook: '',
-        problem: '',
-        solution: '',
-        cta: '',
-      },
+      sections: {},
     },
+    // Alternative scripts for A/B tests; a branched variant becomes its own project
+    script_variants: [],
+    variant_of: null,
     shots: [],
     exports: [],
     last_updated: now,
@@ -41,6 +62,17 @@ const defaultProject = (id, input) => {
 
 const projectPath = (id) => path.join(projectsRoot, id);
 
+// Absolute path of a file stored relative to the project folder, or null when it would land outside it
+const projectFilePath = (id, relativePath) => {
+  if (!relativePath) {
+    return null;
+  }
+  const base = projectPath(id);
+  const filePath = path.resolve(base, relativePath);
+  const relative = path.relative(base, filePath);
+  return relative && !relative.startsWith('..') && !path.isAbsolute(relative) ? filePath : null;
+};
+
 const ensureProjectDirs = (id) => {
   const base = projectPath(id);
   const assets = path.join(base, 'assets');
@@ -53,6 +85,7 @@ const ensureProjectDirs = (id) => {
     path.join(assets, 'keyframes'),
     path.join(assets, 'clips'),
     path.join(assets, 'frames'),
+    path.join(assets, 'narration'),
     path.join(assets, 'exports'),
   ];
   folders.forEach((dir) => {
@@ -108,4 +141,6 @@ module.exports = {
   saveProject,
   listProjects,
   ensureProjectDirs,
+  projectPath,
+  projectFilePath,
 };
@@ -0,0 +1,59 @@
+const fs = require('fs');
+const path = require('path');
+
+const templatesRoot = path.join(__dirname, '..', '..', 'data', 'script-templates');
+
+const ensureTemplatesDir = () => {
+  if (!fs.existsSync(templatesRoot)) {
+    fs.mkdirSync(templatesRoot, { recursive: true });
+  }
+};
+
+// Ids are slugs, which also keeps lookups inside the templates folder
+const isTemplateId = (id) => /^[a-z0-9][a-z0-9-]*$/.test(String(id));
+const templatePath = (id) => path.join(templatesRoot, `${id}.json`);
+
+const saveScriptTemplate = (template) => {
+  ensureTemplatesDir();
+  const existing = loadStoredScriptTemplate(template.id);
+  const now = new Date().toISOString();
+  const saved = { ...template, created_at: existing?.created_at || now, updated_at: now };
+  fs.writeFileSync(templatePath(template.id), JSON.stringify(saved, null, 2));
+  return saved;
+};
+
+const loadStoredScriptTemplate = (id) => {
+  const filePath = templatePath(id);
+  if (!isTemplateId(id) || !fs.existsSync(filePath)) {
+    return null;
+  }
+  return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+};
+
+const listStoredScriptTemplates = () => {
+  if (!fs.existsSync(templatesRoot)) {
+    return [];
+  }
+  return fs
+    .readdirSync(templatesRoot)
+    .filter((file) => file.endsWith('.json'))
+    .map((file) => loadStoredScriptTemplate(path.basename(file, '.json')))
+    .filter(Boolean)
+    .sort((a, b) => a.name.localeCompare(b.name));
+};
+
+const deleteScriptTemplate = (id) => {
+  const filePath = templatePath(id);
+  if (!isTemplateId(id) || !fs.existsSync(filePath)) {
+    return false;
+  }
+  fs.unlinkSync(filePath);
+  return true;
+};
+
+module.exports = {
+  saveScriptTemplate,
+  loadStoredScriptTemplate,
+  listStoredScriptTemplates,
+  deleteScriptTemplate,
+};
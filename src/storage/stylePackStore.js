@@ -4,13 +4,26 @@ const {
   extractFramesFromVideo,
   analyzeFrameSet,
   buildPromptSpine,
+  DEFAULT_FRAMES_PER_VIDEO,
 } = require('../utils/stylePackUtils');
 
 const stylePackRoot = path.join(__dirname, '..', '..', 'data', 'StylePacks');
 
+// Pack ids are made by nanoid(10); anything else could point the pack folder outside data/StylePacks
+const STYLE_PACK_ID_PATTERN = /^[A-Za-z0-9_-]{10}$/;
+
+const isStylePackId = (id) => typeof id === 'string' && STYLE_PACK_ID_PATTERN.test(id);
+
+const stylePackDir = (id) => {
+  if (!isStylePackId(id)) {
+    throw new Error(`Invalid style pack id: ${id}`);
+  }
+  return path.join(stylePackRoot, id);
+};
+
 const ensureStylePackDirs = (packId) => {
-  const base = path.join(stylePackRoot, packId);
-  const dirs = [base, path.join(base, 'videos'), path.join(base, 'refs')];
+  const base = stylePackDir(packId);
+  const dirs = [base, path.join(base, 'videos'), path.join(base, 'refs'), path.join(base, 'versions')];
   dirs.forEach((dir) => {
     if (!fs.existsSync(dir)) {
       fs.mkdirSync(dir, { recursive: true });
@@ -35,32 +48,105 @@ const defaultStylePack = (id, input) => {
       palette: [],
     },
     prompt_spine: '',
+    negative_prompt_spine: '',
+    style_analysis: null,
+    frames_per_video: input?.frames_per_video || DEFAULT_FRAMES_PER_VIDEO,
+    version: 1,
+    version_created_at: now,
+    version_note: 'Created',
   };
 };
 
+// pack.json always holds the latest version; versions/v<N>.json are immutable snapshots
 const stylePackPath = (id) => path.join(stylePackRoot, id, 'pack.json');
+const stylePackVersionPath = (id, version) => path.join(stylePackRoot, id, 'versions', `v${version}.json`);
 
-const createStylePack = (id, input) => {
-  ensureStylePackDirs(id);
-  const pack = defaultStylePack(id, input);
-  fs.writeFileSync(stylePackPath(id), JSON.stringify(pack, null, 2));
+const writeStylePackVersion = (pack) => {
+  ensureStylePackDirs(pack.pack_id);
+  fs.writeFileSync(stylePackVersionPath(pack.pack_id, pack.version), JSON.stringify(pack, null, 2));
+  fs.writeFileSync(stylePackPath(pack.pack_id), JSON.stringify(pack, null, 2));
   return pack;
 };
 
-const loadStylePack = (id) => {
+const createStylePack = (id, input) => writeStylePackVersion(defaultStylePack(id, input));
+
+// Packs saved before versioning existed become v1 the first time they are read
+const ensureVersioned = (pack) => {
+  if (pack.version) {
+    return pack;
+  }
+  return writeStylePackVersion({ ...pack, version: 1, version_created_at: pack.created_at, version_note: 'Created' });
+};
+
+/**
+ * Load the latest version of a pack, or a specific version when one is given
+ */
+const loadStylePack = (id, version = null) => {
   const filePath = stylePackPath(id);
   if (!fs.existsSync(filePath)) {
     return null;
   }
-  return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  const latest = ensureVersioned(JSON.parse(fs.readFileSync(filePath, 'utf8')));
+  if (!version || Number(version) === latest.version) {
+    return latest;
+  }
+  const versionPath = stylePackVersionPath(id, Number(version));
+  if (!fs.existsSync(versionPath)) {
+    return null;
+  }
+  return JSON.parse(fs.readFileSync(versionPath, 'utf8'));
+};
+
+/**
+ * Record the pack as a new version. Earlier versions are never rewritten, so projects
+ * pinned to them regenerate exactly as before.
+ */
+const saveStylePack = (pack, note = 'Edited') => {
+  const latest = loadStylePack(pack.pack_id);
+  return writeStylePackVersion({
+    ...pack,
+    version: (latest?.version || 0) + 1,
+    version_created_at: new Date().toISOString(),
+    version_note: note,
+  });
 };
 
-const saveStylePack = (pack) => {
+/**
+ * Store a version of a pack that was made elsewhere, such as one carried in a project bundle.
+ * pack.json only moves forward, so restoring an older version never hides a newer one.
+ */
+const restoreStylePackVersion = (pack) => {
+  if (!Number.isInteger(pack.version) || pack.version < 1) {
+    throw new Error(`Invalid style pack version: ${pack.version}`);
+  }
   ensureStylePackDirs(pack.pack_id);
-  fs.writeFileSync(stylePackPath(pack.pack_id), JSON.stringify(pack, null, 2));
+  fs.writeFileSync(stylePackVersionPath(pack.pack_id, pack.version), JSON.stringify(pack, null, 2));
+  const latest = loadStylePack(pack.pack_id);
+  if (!latest || latest.version < pack.version) {
+    fs.writeFileSync(stylePackPath(pack.pack_id), JSON.stringify(pack, null, 2));
+  }
   return pack;
 };
 
+const listStylePackVersions = (id) => {
+  if (!loadStylePack(id)) {
+    return [];
+  }
+  const versionsDir = path.join(stylePackRoot, id, 'versions');
+  return fs
+    .readdirSync(versionsDir)
+    .filter((filename) => /^v\d+\.json$/.test(filename))
+    .map((filename) => JSON.parse(fs.readFileSync(path.join(versionsDir, filename), 'utf8')))
+    .map((pack) => ({
+      version: pack.version,
+      created_at: pack.version_created_at,
+      note: pack.version_note,
+      ref_count: pack.extracted_ref_images.length,
+      video_count: pack.source_videos.length,
+    }))
+    .sort((a, b) => a.version - b.version);
+};
+
 const listStylePacks = () => {
   if (!fs.existsSync(stylePackRoot)) {
     return [];
@@ -74,14 +160,25 @@ const listStylePacks = () => {
       name: pack.name,
       description: pack.description,
       created_at: pack.created_at,
+      version: pack.version,
     }));
 };
 
+/**
+ * Add videos to a pack and re-analyze. Videos and frames go into folders for the version about
+ * to be saved, so files of earlier versions are never overwritten; earlier refs stay in the set.
+ */
 const processStylePackVideos = async (pack, files) => {
   ensureStylePackDirs(pack.pack_id);
   const base = path.join(stylePackRoot, pack.pack_id);
-  const videoDir = path.join(base, 'videos');
-  const refsDir = path.join(base, 'refs');
+  const versionDir = `v${(pack.version || 0) + 1}`;
+  const videoDir = path.join(base, 'videos', versionDir);
+  const refsDir = path.join(base, 'refs', versionDir);
+  [videoDir, refsDir].forEach((dir) => {
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+  });
 
   const newVideos = [];
   for (const file of files) {
@@ -96,13 +193,31 @@ const processStylePackVideos = async (pack, files) => {
 
   pack.source_videos = [...pack.source_videos, ...newVideos];
 
-  const extracted = [];
+  const framesPerVideo = pack.frames_per_video || DEFAULT_FRAMES_PER_VIDEO;
+  const extracted = pack.extracted_ref_images
+    .filter((ref) => fs.existsSync(ref.path))
+    .map(({ path: refPath, source, timestamp, scene_change, placeholder, phash }) => ({
+      path: refPath,
+      source,
+      timestamp,
+      scene_change,
+      placeholder,
+      phash,
+    }));
   for (const video of newVideos) {
-    const frames = await extractFramesFromVideo(video.path, refsDir);
+    const frames = await extractFramesFromVideo(video.path, refsDir, { framesPerVideo });
     extracted.push(...frames);
   }
 
-  const analysis = analyzeFrameSet(extracted);
+  const analysis = analyzeFrameSet(extracted, { framesPerVideo });
+  // Only this version's new candidates are deleted; files of earlier versions stay untouched
+  analysis.rejected
+    .filter((frame) => path.dirname(frame.path) === refsDir && fs.existsSync(frame.path))
+    .forEach((frame) => fs.unlinkSync(frame.path));
+  if (analysis.rejected.length) {
+    const reasons = analysis.rejected.reduce((counts, frame) => ({ ...counts, [frame.reason]: (counts[frame.reason] || 0) + 1 }), {});
+    console.log(`[StylePack] Dropped ${analysis.rejected.length} frames: ${Object.entries(reasons).map(([reason, count]) => `${reason} ${count}`).join(', ')}`);
+  }
   pack.extracted_ref_images = analysis.refs;
   pack.metadata_summary = analysis.summary;
   pack.prompt_spine = pack.prompt_spine || buildPromptSpine(pack.metadata_summary);
@@ -113,7 +228,11 @@ module.exports = {
   createStylePack,
   loadStylePack,
   saveStylePack,
+  listStylePackVersions,
   listStylePacks,
+  restoreStylePackVersion,
+  isStylePackId,
+  stylePackDir,
   ensureStylePackDirs,
   processStylePackVideos,
 };
@@ -0,0 +1,245 @@
+const PALETTE_SIZE = 5;
+const KMEANS_ITERATIONS = 12;
+// Clusters closer than this (CIE76 delta E) are the same color to a viewer and get merged
+const MERGE_DELTA_E = 6;
+// How far a pack color may be from a brand color and still count as on-brand
+const BRAND_MATCH_DELTA_E = 10;
+
+const clamp = (value, min, max) => Math.max(min, Math.min(max, value));
+
+const toLinear = (channel) => {
+  const value = channel / 255;
+  return value <= 0.04045 ? value / 12.92 : ((value + 0.055) / 1.055) ** 2.4;
+};
+
+const fromLinear = (value) => {
+  const channel = value <= 0.0031308 ? value * 12.92 : 1.055 * value ** (1 / 2.4) - 0.055;
+  return clamp(Math.round(channel * 255), 0, 255);
+};
+
+// D65 reference white
+const WHITE = [0.95047, 1, 1.08883];
+const EPSILON = 216 / 24389;
+const KAPPA = 24389 / 27;
+
+/**
+ * sRGB (0-255) to CIE Lab
+ */
+const rgbToLab = ([r, g, b]) => {
+  const [lr, lg, lb] = [r, g, b].map(toLinear);
+  const xyz = [
+    (lr * 0.4124 + lg * 0.3576 + lb * 0.1805) / WHITE[0],
+    (lr * 0.2126 + lg * 0.7152 + lb * 0.0722) / WHITE[1],
+    (lr * 0.0193 + lg * 0.1192 + lb * 0.9505) / WHITE[2],
+  ];
+  const [fx, fy, fz] = xyz.map((value) => (value > EPSILON ? Math.cbrt(value) : (KAPPA * value + 16) / 116));
+  return [116 * fy - 16, 500 * (fx - fy), 200 * (fy - fz)];
+};
+
+const labToRgb = ([l, a, b]) => {
+  const fy = (l + 16) / 116;
+  const fx = fy + a / 500;
+  const fz = fy - b / 200;
+  const [x, y, z] = [fx, fy, fz].map((value, index) => {
+    const cubed = value ** 3;
+    return (cubed > EPSILON ? cubed : (116 * value - 16) / KAPPA) * WHITE[index];
+  });
+  return [
+    fromLinear(x * 3.2406 + y * -1.5372 + z * -0.4986),
+    fromLinear(x * -0.9689 + y * 1.8758 + z * 0.0415),
+    fromLinear(x * 0.0557 + y * -0.204 + z * 1.057),
+  ];
+};
+
+const rgbToHex = (rgb) => `#${rgb.map((channel) => channel.toString(16).padStart(2, '0')).join('')}`;
+
+/**
+ * Parse "#rrggbb", "#rgb" or "rgb(r, g, b)" into [r, g, b]. Returns null for anything else.
+ */
+const parseColor = (color) => {
+  const value = String(color || '').trim();
+  const hex = value.match(/^#?([0-9a-f]{6}|[0-9a-f]{3})$/i);
+  if (hex) {
+    const digits = hex[1].length === 3 ? hex[1].split('').map((digit) => digit + digit).join('') : hex[1];
+    return [0, 2, 4].map((offset) => parseInt(digits.slice(offset, offset + 2), 16));
+  }
+  const rgb = value.match(/^rgb\(\s*(\d+)\s*,\s*(\d+)\s*,\s*(\d+)\s*\)$/i);
+  return rgb ? rgb.slice(1, 4).map((part) => clamp(Number(part), 0, 255)) : null;
+};
+
+// CIE76: plain distance in Lab. Around 2.3 is barely noticeable; above 25 reads as a different color.
+const deltaE = (a, b) => Math.sqrt((a[0] - b[0]) ** 2 + (a[1] - b[1]) ** 2 + (a[2] - b[2]) ** 2);
+
+// Fixed-seed PRNG so the same frames always give the same palette
+const seededRandom = (seed) => () => {
+  seed = (seed + 0x6d2b79f5) | 0;
+  let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+  t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+  return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+};
+
+const nearestIndex = (lab, centroids) => {
+  let best = 0;
+  let bestDistance = Infinity;
+  centroids.forEach((centroid, index) => {
+    const distance = deltaE(lab, centroid);
+    if (distance < bestDistance) {
+      best = index;
+      bestDistance = distance;
+    }
+  });
+  return best;
+};
+
+// k-means++ seeding, weighted by sample weight
+const seedCentroids = (samples, count, random) => {
+  const centroids = [samples[Math.floor(random() * samples.length)].lab];
+  while (centroids.length < count) {
+    const distances = samples.map((sample) => sample.weight * deltaE(sample.lab, centroids[nearestIndex(sample.lab, centroids)]) ** 2);
+    const total = distances.reduce((sum, value) => sum + value, 0);
+    if (!total) {
+      break;
+    }
+    let target = random() * total;
+    const index = distances.findIndex((value) => (target -= value) <= 0);
+    centroids.push(samples[index === -1 ? samples.length - 1 : index].lab);
+  }
+  return centroids;
+};
+
+/**
+ * Weighted k-means in Lab. samples are { lab, weight }; returns up to `colors` entries of
+ * { hex, coverage, lab } sorted by coverage, where coverage is a percentage of total weight.
+ */
+const clusterColors = (samples, { colors = PALETTE_SIZE, iterations = KMEANS_ITERATIONS } = {}) => {
+  if (!samples.length) {
+    return [];
+  }
+  let centroids = seedCentroids(samples, Math.min(colors, samples.length), seededRandom(samples.length));
+  let clusters = [];
+  for (let iteration = 0; iteration < iterations; iteration += 1) {
+    clusters = centroids.map(() => ({ weight: 0, sum: [0, 0, 0] }));
+    samples.forEach((sample) => {
+      const cluster = clusters[nearestIndex(sample.lab, centroids)];
+      cluster.weight += sample.weight;
+      sample.lab.forEach((value, channel) => {
+        cluster.sum[channel] += value * sample.weight;
+      });
+    });
+    const next = clusters.map((cluster, index) =>
+      cluster.weight ? cluster.sum.map((value) => value / cluster.weight) : centroids[index]
+    );
+    const moved = next.some((centroid, index) => deltaE(centroid, centroids[index]) > 0.5);
+    centroids = next;
+    if (!moved) {
+      break;
+    }
+  }
+
+  const merged = [];
+  centroids
+    .map((lab, index) => ({ lab, weight: clusters[index]?.weight || 0 }))
+    .filter((cluster) => cluster.weight > 0)
+    .sort((a, b) => b.weight - a.weight)
+    .forEach((cluster) => {
+      const match = merged.find((existing) => deltaE(existing.lab, cluster.lab) < MERGE_DELTA_E);
+      if (match) {
+        match.weight += cluster.weight;
+      } else {
+        merged.push({ ...cluster });
+      }
+    });
+
+  const total = merged.reduce((sum, cluster) => sum + cluster.weight, 0);
+  return merged.map((cluster) => ({
+    hex: rgbToHex(labToRgb(cluster.lab)),
+    coverage: Math.round((cluster.weight / total) * 1000) / 10,
+    lab: cluster.lab.map((value) => Math.round(value * 10) / 10),
+  }));
+};
+
+// Palettes saved before clustering were plain "rgb(...)" strings
+const paletteColorLab = (entry) => entry?.lab || rgbToLab(parseColor(entry?.hex || entry) || [0, 0, 0]);
+const paletteColorHex = (entry) => entry?.hex || rgbToHex(parseColor(entry) || [0, 0, 0]);
+
+/**
+ * Coverage-weighted average delta E from each color of `palette` to its nearest color in `reference`
+ */
+const paletteDistance = (palette, reference) => {
+  if (!palette?.length || !reference?.length) {
+    return null;
+  }
+  const referenceLabs = reference.map(paletteColorLab);
+  let total = 0;
+  let weight = 0;
+  palette.forEach((entry) => {
+    const lab = paletteColorLab(entry);
+    const share = entry?.coverage ?? 100 / palette.length;
+    total += share * Math.min(...referenceLabs.map((other) => deltaE(lab, other)));
+    weight += share;
+  });
+  return Math.round((total / weight) * 10) / 10;
+};
+
+/**
+ * Compare a style pack palette with brand colors: the nearest pack color for every brand color,
+ * the nearest brand color for every pack color, and how much of the pack palette is on-brand.
+ */
+const compareBrandPalette = (palette, brandColors) => {
+  const packColors = (palette || []).map((entry) => ({
+    hex: paletteColorHex(entry),
+    coverage: entry?.coverage ?? null,
+    lab: paletteColorLab(entry),
+  }));
+  const parsed = (brandColors || []).map((color) => ({ color, rgb: parseColor(color) }));
+  const brand = parsed
+    .filter((item) => item.rgb)
+    .map((item) => ({ color: item.color, hex: rgbToHex(item.rgb), lab: rgbToLab(item.rgb) }));
+
+  const nearest = (lab, candidates) =>
+    candidates.reduce((best, candidate) => {
+      const distance = deltaE(lab, candidate.lab);
+      return !best || distance < best.delta_e ? { hex: candidate.hex, delta_e: distance } : best;
+    }, null);
+  const rounded = (match) => (match ? { ...match, delta_e: Math.round(match.delta_e * 10) / 10 } : null);
+
+  const packMatches = packColors.map((color) => ({
+    hex: color.hex,
+    coverage: color.coverage,
+    nearest_brand: rounded(nearest(color.lab, brand)),
+  }));
+  return {
+    brand_colors: brand.map((color) => {
+      const match = rounded(nearest(color.lab, packColors));
+      return {
+        color: color.color,
+        hex: color.hex,
+        nearest_pack: match,
+        on_palette: Boolean(match && match.delta_e <= BRAND_MATCH_DELTA_E),
+      };
+    }),
+    pack_colors: packMatches,
+    // Share of the pack palette (by coverage) within BRAND_MATCH_DELTA_E of some brand color
+    on_brand_coverage: Math.round(
+      packMatches
+        .filter((color) => color.nearest_brand && color.nearest_brand.delta_e <= BRAND_MATCH_DELTA_E)
+        .reduce((sum, color) => sum + (color.coverage ?? 100 / packMatches.length), 0) * 10
+    ) / 10,
+    unparsed_colors: parsed.filter((item) => !item.rgb).map((item) => item.color),
+    match_delta_e: BRAND_MATCH_DELTA_E,
+  };
+};
+
+module.exports = {
+  PALETTE_SIZE,
+  rgbToLab,
+  labToRgb,
+  rgbToHex,
+  parseColor,
+  deltaE,
+  clusterColors,
+  paletteColorHex,
+  paletteColorLab,
+  paletteDistance,
+  compareBrandPalette,
+};
@@ -3,92 +3,11 @@
  * Tracks estimated costs for all AI provider operations
  */
 
-// Pricing data (as of Jan 2025)
-const PRICING = {
-  // ==========================================
-  // GEMINI (Google AI)
-  // ==========================================
-  gemini: {
-    // Image Generation - Nano Banana Pro
-    'gemini-3-pro-image-preview': {
-      type: 'image',
-      costPer: 0.04,        // ~$0.04 per image
-      unit: 'image',
-      description: 'Nano Banana Pro - Best quality image generation',
-    },
-    'gemini-2.0-flash': {
-      type: 'text',
-      inputCostPer1k: 0.0001,   // $0.10 per 1M input tokens
-      outputCostPer1k: 0.0004,  // $0.40 per 1M output tokens
-      unit: 'tokens',
-      description: 'Gemini 2.0 Flash - Fast text generation',
-    },
-    // Video Generation - Veo
-    'veo-3.0-fast-generate-001': {
-      type: 'video',
-      costPerSec: 0.15,     // ~$0.15 per second
-      unit: 'second',
-      description: 'Veo 3.0 Fast - Quick video generation',
-    },
-    'veo-3.0-generate-001': {
-      type: 'video',
-      costPerSec: 0.40,     // ~$0.40 per second
-      unit: 'second',
-      description: 'Veo 3.0 Standard - Higher quality',
-    },
-    'veo-3.1-generate-preview': {
-      type: 'video',
-      costPerSec: 0.40,
-      unit: 'second',
-      description: 'Veo 3.1 Preview - Latest features',
-    },
-    'veo-2.0-generate-001': {
-      type: 'video',
-      costPerSec: 0.35,
-      unit: 'second',
-      description: 'Veo 2.0 - Stable video generation',
-    },
-  },
-
-  // ==========================================
-  // REPLICATE
-  // ==========================================
-  replicate: {
-    // Image Generation
-    'black-forest-labs/flux-1.1-pro': {
-      type: 'image',
-      costPer: 0.04,        // ~$0.04 per image
-      unit: 'image',
-      description: 'Flux 1.1 Pro - High quality images',
-    },
-    // Video Generation - Kling
-    'kwaivgi/kling-v2.6': {
-      type: 'video',
-      costPer: 0.35,        // ~$0.35 per run (5s video)
-      costPer10s: 0.70,     // ~$0.70 for 10s video
-      unit: 'run',
-      description: 'Kling 2.6 - Video with native audio',
-    },
-    'kwaivgi/kling-v2.6-motion-control': {
-      type: 'video',
-      costPer: 0.34,        // ~$0.34 per run
-      unit: 'run',
-      description: 'Kling 2.6 Motion Control - Motion transfer',
-    },
-  },
-
-  // ==========================================
-  // PLACEHOLDER (Free)
-  // ==========================================
-  placeholder: {
-    'placeholder': {
-      type: 'any',
-      costPer: 0,
-      unit: 'run',
-      description: 'Local placeholder - Free',
-    },
-  },
-};
+const { appendCostEntry, listCostEntries } = require('../storage/costLedger');
+const { PROVIDER_KINDS, listAdapters, resolveAdapterConfig, buildPricing } = require('../providers/registry');
+
+// Pricing data comes from the registered provider adapters (see src/providers/adapters)
+const PRICING = buildPricing();
 
 /**
  * Estimate cost for an image generation
@@ -170,6 +89,28 @@ function estimateLLMCost(provider, model, inputTokens = 500, outputTokens = 500)
   };
 }
 
+/**
+ * Estimate cost for text-to-speech narration
+ */
+function estimateVoiceCost(provider, model, characters = 0) {
+  const pricing = PRICING[provider]?.[model];
+  if (!pricing) {
+    return { cost: 0, formatted: 'Unknown', model, provider };
+  }
+
+  const cost = pricing.costPer1kChars ? (characters / 1000) * pricing.costPer1kChars : pricing.costPer || 0;
+  return {
+    cost,
+    formatted: formatCost(cost),
+    model,
+    provider,
+    description: pricing.description,
+    breakdown: pricing.costPer1kChars
+      ? `${characters} characters @ $${pricing.costPer1kChars.toFixed(3)}/1k`
+      : `${characters} characters`,
+  };
+}
+
 /**
  * Estimate total project cost
  */
@@ -224,60 +165,79 @@ function formatCost(cost) {
   return `$${cost.toFixed(2)}`;
 }
 
+// One line price of a model's pricing entry, e.g. "$0.15/sec"
+function describePrice(pricing) {
+  if (pricing.costPerSec) return `$${pricing.costPerSec.toFixed(2)}/sec`;
+  if (pricing.costPer1kChars) return `$${pricing.costPer1kChars}/1k characters`;
+  if (pricing.inputCostPer1k) return `$${pricing.inputCostPer1k}/1k input tokens, $${pricing.outputCostPer1k}/1k output tokens`;
+  return `$${pricing.costPer.toFixed(2)}/${pricing.unit}`;
+}
+
 /**
- * Get provider info with costs
+ * Get provider info with costs, built from the registered adapters like the pricing table.
+ * Each adapter is described with the model its config resolves to; the first adapter of a kind
+ * leads the registry's default order and is the recommended one.
  */
 function getProviderInfo() {
+  return PROVIDER_KINDS.reduce((info, kind) => {
+    const entries = listAdapters(kind)
+      .filter((adapter) => !adapter.placeholder)
+      .map((adapter, index) => {
+        const { model } = resolveAdapterConfig(adapter);
+        const pricing = adapter.models?.[model]?.pricing;
+        return [adapter.id, {
+          name: adapter.label,
+          model,
+          cost: pricing ? describePrice(pricing) : 'Unknown',
+          recommended: index === 0,
+          reason: pricing?.description || null,
+        }];
+      });
+    return { ...info, [kind]: Object.fromEntries(entries) };
+  }, {});
+}
+
+/**
+ * Roll ledger operations up into totals by type, provider, model and shot
+ */
+function summarizeOperations(operations) {
+  const totals = { images: 0, videos: 0, llm: 0, voice: 0, total: 0 };
+  const byProvider = {};
+  const byModel = {};
+  const byShot = {};
+  const add = (bucket, key, operation) => {
+    if (!key) return;
+    bucket[key] = bucket[key] || { cost: 0, count: 0 };
+    bucket[key].cost += operation.cost;
+    bucket[key].count += 1;
+  };
+
+  operations.forEach((operation) => {
+    totals[operation.type] = (totals[operation.type] || 0) + operation.cost;
+    totals.total += operation.cost;
+    add(byProvider, operation.provider, operation);
+    add(byModel, operation.model, operation);
+    add(byShot, operation.shot_id, operation);
+  });
+
   return {
-    image: {
-      gemini: {
-        name: 'Gemini (Nano Banana Pro)',
-        model: 'gemini-3-pro-image-preview',
-        cost: '$0.04/image',
-        recommended: true,
-        reason: 'Best quality, uses your $300 credits',
-      },
-      replicate: {
-        name: 'Replicate (Flux 1.1 Pro)',
-        model: 'black-forest-labs/flux-1.1-pro',
-        cost: '$0.04/image',
-        recommended: false,
-        reason: 'Great alternative, separate billing',
-      },
-    },
-    video: {
-      gemini: {
-        name: 'Gemini (Veo 3.0 Fast)',
-        model: 'veo-3.0-fast-generate-001',
-        cost: '$0.15/sec (~$0.60 for 4s)',
-        recommended: true,
-        reason: 'Fast, uses your $300 credits',
-      },
-      replicate: {
-        name: 'Replicate (Kling 2.6)',
-        model: 'kwaivgi/kling-v2.6',
-        cost: '$0.35/run (5s)',
-        recommended: false,
-        reason: 'Native audio, separate billing',
-      },
-    },
-    llm: {
-      gemini: {
-        name: 'Gemini 2.0 Flash',
-        model: 'gemini-2.0-flash',
-        cost: '<$0.01/script',
-        recommended: true,
-        reason: 'Fast, essentially free',
-      },
-    },
+    operationCount: operations.length,
+    totals,
+    formatted: formatCost(totals.total),
+    byProvider,
+    byModel,
+    byShot,
   };
 }
 
 /**
- * Track actual costs (for session totals)
+ * Track actual costs.
+ * Session totals live in memory; with `persist`, every operation is also appended
+ * to the cost ledger so project spend survives restarts.
  */
 class CostTracker {
-  constructor() {
+  constructor(options = {}) {
+    this.persist = Boolean(options.persist);
     this.reset();
   }
 
@@ -289,6 +249,7 @@ class CostTracker {
         images: 0,
         videos: 0,
         llm: 0,
+        voice: 0,
         total: 0,
       },
     };
@@ -308,34 +269,56 @@ class CostTracker {
     this.session.totals[type] = (this.session.totals[type] || 0) + cost;
     this.session.totals.total += cost;
 
+    if (this.persist) {
+      try {
+        appendCostEntry(operation);
+      } catch (error) {
+        console.error('[Costs] Failed to write cost ledger:', error.message);
+      }
+    }
+
     return operation;
   }
 
   getSessionSummary() {
-    return {
+    const summary = {
       duration: Date.now() - this.session.startTime,
       operationCount: this.session.operations.length,
       totals: this.session.totals,
       formatted: formatCost(this.session.totals.total),
     };
+    if (this.persist) {
+      const allTime = summarizeOperations(listCostEntries());
+      summary.allTime = { totals: allTime.totals, formatted: allTime.formatted };
+    }
+    return summary;
   }
 
   getOperations() {
     return this.session.operations;
   }
+
+  /**
+   * Spend recorded in the ledger for one project
+   */
+  getProjectSummary(projectId) {
+    return summarizeOperations(listCostEntries({ projectId }));
+  }
 }
 
 // Singleton tracker
-const tracker = new CostTracker();
+const tracker = new CostTracker({ persist: true });
 
 module.exports = {
   PRICING,
   estimateImageCost,
   estimateVideoCost,
   estimateLLMCost,
+  estimateVoiceCost,
   estimateProjectCost,
   formatCost,
   getProviderInfo,
+  summarizeOperations,
   CostTracker,
   tracker,
 };
@@ -1,4 +1,7 @@
-const { spawnSync } = require('child_process');
+const { spawn, spawnSync } = require('child_process');
+
+// Output kept from a long-running ffmpeg call; callers only log the tail of stderr
+const MAX_CAPTURED_OUTPUT = 64 * 1024;
 
 const hasFfmpeg = () => {
   const result = spawnSync('ffmpeg', ['-version'], { stdio: 'ignore' });
@@ -19,6 +22,23 @@ const runFfmpeg = (args) => {
   };
 };
 
+/**
+ * Same result as runFfmpeg without blocking the event loop, for long encodes such as exports
+ */
+const runFfmpegAsync = (args) =>
+  new Promise((resolve) => {
+    const output = { stdout: '', stderr: '' };
+    const child = spawn('ffmpeg', args);
+    ['stdout', 'stderr'].forEach((stream) => {
+      child[stream].setEncoding('utf8');
+      child[stream].on('data', (chunk) => {
+        output[stream] = (output[stream] + chunk).slice(-MAX_CAPTURED_OUTPUT);
+      });
+    });
+    child.on('error', (error) => resolve({ ok: false, stdout: output.stdout, stderr: `${output.stderr}${error.message}` }));
+    child.on('close', (code) => resolve({ ok: code === 0, ...output }));
+  });
+
 const runFfprobe = (args) => {
   const result = spawnSync('ffprobe', args, { encoding: 'utf8' });
   return {
@@ -28,9 +48,94 @@ const runFfprobe = (args) => {
   };
 };
 
+const getMediaDuration = (mediaPath) => {
+  if (!hasFfprobe()) {
+    return null;
+  }
+  const result = runFfprobe(['-v', 'error', '-show_entries', 'format=duration', '-of', 'json', mediaPath]);
+  if (!result.ok) {
+    return null;
+  }
+  try {
+    const duration = parseFloat(JSON.parse(result.stdout).format?.duration);
+    return Number.isNaN(duration) ? null : duration;
+  } catch (error) {
+    return null;
+  }
+};
+
+const hasAudioStream = (mediaPath) => {
+  if (!hasFfprobe()) {
+    return false;
+  }
+  const result = runFfprobe([
+    '-v',
+    'error',
+    '-select_streams',
+    'a',
+    '-show_entries',
+    'stream=index',
+    '-of',
+    'json',
+    mediaPath,
+  ]);
+  if (!result.ok) {
+    return false;
+  }
+  try {
+    return (JSON.parse(result.stdout).streams || []).length > 0;
+  } catch (error) {
+    return false;
+  }
+};
+
+const getVideoStreamInfo = (videoPath) => {
+  if (!hasFfprobe()) {
+    return null;
+  }
+  const result = runFfprobe([
+    '-v',
+    'error',
+    '-select_streams',
+    'v:0',
+    '-show_entries',
+    'stream=width,height,r_frame_rate,codec_name',
+    '-of',
+    'json',
+    videoPath,
+  ]);
+  if (!result.ok) {
+    return null;
+  }
+  try {
+    const stream = JSON.parse(result.stdout).streams?.[0];
+    if (!stream) {
+      return null;
+    }
+    const [num, den] = (stream.r_frame_rate || '0/1').split('/').map(Number);
+    return {
+      width: stream.width,
+      height: stream.height,
+      fps: den ? Number((num / den).toFixed(2)) : null,
+      codec: stream.codec_name,
+    };
+  } catch (error) {
+    return null;
+  }
+};
+
+// Quote a value (usually a file path) for use as an ffmpeg filter option inside -filter_complex
+const escapeFilterValue = (value) =>
+  `'${String(value).replace(/\\/g, '/').replace(/:/g, '\\:').replace(/'/g, "'\\''")}'`;
+
 module.exports = {
   hasFfmpeg,
   hasFfprobe,
   runFfmpeg,
+  runFfmpegAsync,
   runFfprobe,
+  getMediaDuration,
+  hasAudioStream,
+  getVideoStreamInfo,
+  escapeFilterValue,
 };
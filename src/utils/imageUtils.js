@@ -1,31 +1,45 @@
 const fs = require('fs');
 const { PNG } = require('pngjs');
+const { rgbToLab, clusterColors } = require('./colorUtils');
 
 const loadPng = (filePath) => {
   const buffer = fs.readFileSync(filePath);
   return PNG.sync.read(buffer);
 };
 
-const clamp = (value, min, max) => Math.max(min, Math.min(max, value));
+// Pixels sampled per frame for palette clustering; every frame gets the same total weight
+const PALETTE_SAMPLES = 2048;
+
+/**
+ * Grid-sample a decoded PNG into Lab colors for clusterColors
+ */
+const sampleLabColors = (png, weight = 1) => {
+  const { data, width, height } = png;
+  const step = Math.max(1, Math.floor(Math.sqrt((width * height) / PALETTE_SAMPLES)));
+  const samples = [];
+  for (let y = Math.floor(step / 2); y < height; y += step) {
+    for (let x = Math.floor(step / 2); x < width; x += step) {
+      const idx = (width * y + x) << 2;
+      if (data[idx + 3] >= 128) {
+        samples.push({ lab: rgbToLab([data[idx], data[idx + 1], data[idx + 2]]) });
+      }
+    }
+  }
+  return samples.map((sample) => ({ ...sample, weight: weight / samples.length }));
+};
+
+const samplePngColors = (filePath, weight = 1) => sampleLabColors(loadPng(filePath), weight);
 
 const analyzePng = (filePath) => {
   const png = loadPng(filePath);
   const { data, width, height } = png;
   let totalLuma = 0;
   let totalLumaSq = 0;
-  const histogram = new Array(256).fill(0);
-  const colorBuckets = {};
 
   for (let i = 0; i < data.length; i += 4) {
-    const r = data[i];
-    const g = data[i + 1];
-    const b = data[i + 2];
-    const luma = Math.round(0.2126 * r + 0.7152 * g + 0.0722 * b);
+    const luma = Math.round(0.2126 * data[i] + 0.7152 * data[i + 1] + 0.0722 * data[i + 2]);
     totalLuma += luma;
     totalLumaSq += luma * luma;
-    histogram[luma] += 1;
-    const bucket = `${Math.round(r / 32)}-${Math.round(g / 32)}-${Math.round(b / 32)}`;
-    colorBuckets[bucket] = (colorBuckets[bucket] || 0) + 1;
   }
 
   const pixelCount = width * height;
@@ -33,18 +47,10 @@ const analyzePng = (filePath) => {
   const variance = totalLumaSq / pixelCount - mean * mean;
   const contrast = Math.sqrt(Math.max(variance, 0));
 
-  const palette = Object.entries(colorBuckets)
-    .sort((a, b) => b[1] - a[1])
-    .slice(0, 5)
-    .map(([bucket]) => {
-      const [r, g, b] = bucket.split('-').map((value) => clamp(parseInt(value, 10) * 32, 0, 255));
-      return `rgb(${r}, ${g}, ${b})`;
-    });
-
   return {
     brightness: mean,
     contrast,
-    palette,
+    palette: clusterColors(sampleLabColors(png)),
   };
 };
 
@@ -68,7 +74,239 @@ const sharpnessScore = (filePath) => {
   return score / ((width * height) / 16);
 };
 
+/**
+ * Box-average a decoded PNG down to a size x size grayscale grid, so frames of any resolution compare
+ */
+const lumaGrid = ({ data, width, height }, size) => {
+  const cells = new Float64Array(size * size);
+  const counts = new Uint32Array(size * size);
+  for (let y = 0; y < height; y += 1) {
+    const row = Math.floor((y * size) / height) * size;
+    for (let x = 0; x < width; x += 1) {
+      const idx = (width * y + x) << 2;
+      const cell = row + Math.floor((x * size) / width);
+      cells[cell] += 0.2126 * data[idx] + 0.7152 * data[idx + 1] + 0.0722 * data[idx + 2];
+      counts[cell] += 1;
+    }
+  }
+  return cells.map((value, index) => (counts[index] ? value / counts[index] : 0));
+};
+
+const HASH_GRID = 32;
+const HASH_FREQUENCIES = 8;
+
+/**
+ * 64-bit DCT perceptual hash as a hex string. Near-identical frames differ in only a few bits,
+ * so compare hashes with hammingDistance.
+ */
+const perceptualHash = (filePath) => {
+  const grid = lumaGrid(loadPng(filePath), HASH_GRID);
+
+  // Only the lowest frequencies of the DCT are kept; they describe the overall layout
+  const cosines = Array.from({ length: HASH_FREQUENCIES }, (_, u) =>
+    Array.from({ length: HASH_GRID }, (__, x) => Math.cos(((2 * x + 1) * u * Math.PI) / (2 * HASH_GRID)))
+  );
+  const coefficients = [];
+  for (let v = 0; v < HASH_FREQUENCIES; v += 1) {
+    for (let u = 0; u < HASH_FREQUENCIES; u += 1) {
+      let sum = 0;
+      for (let y = 0; y < HASH_GRID; y += 1) {
+        for (let x = 0; x < HASH_GRID; x += 1) {
+          sum += grid[y * HASH_GRID + x] * cosines[u][x] * cosines[v][y];
+        }
+      }
+      coefficients.push(sum);
+    }
+  }
+  // The DC term is just average brightness, so it stays out of the median
+  const sorted = coefficients.slice(1).sort((a, b) => a - b);
+  const median = (sorted[31] + sorted[32]) / 2;
+  let hash = '';
+  for (let i = 0; i < coefficients.length; i += 4) {
+    const nibble = coefficients.slice(i, i + 4).reduce((bits, value) => (bits << 1) | (value > median ? 1 : 0), 0);
+    hash += nibble.toString(16);
+  }
+  return hash;
+};
+
+const HISTOGRAM_BINS = 8;
+
+/**
+ * Normalized RGB histogram (HISTOGRAM_BINS per channel, joint bins) of a PNG
+ */
+const colorHistogram = (filePath) => {
+  const { data } = loadPng(filePath);
+  const shift = 8 - Math.log2(HISTOGRAM_BINS);
+  const histogram = new Float64Array(HISTOGRAM_BINS ** 3);
+  let total = 0;
+  for (let i = 0; i < data.length; i += 4) {
+    if (data[i + 3] >= 128) {
+      histogram[((data[i] >> shift) * HISTOGRAM_BINS + (data[i + 1] >> shift)) * HISTOGRAM_BINS + (data[i + 2] >> shift)] += 1;
+      total += 1;
+    }
+  }
+  return total ? histogram.map((count) => count / total) : histogram;
+};
+
+// Bhattacharyya distance: 0 for identical color distributions, 1 for ones that do not overlap
+const histogramDistance = (a, b) => {
+  const overlap = a.reduce((sum, value, index) => sum + Math.sqrt(value * b[index]), 0);
+  return Math.sqrt(Math.max(0, 1 - overlap));
+};
+
+const SSIM_GRID = 64;
+const SSIM_WINDOW = 8;
+const SSIM_C1 = (0.01 * 255) ** 2;
+const SSIM_C2 = (0.03 * 255) ** 2;
+
+/**
+ * Mean SSIM of two frames over SSIM_WINDOW blocks of a downscaled grayscale grid.
+ * 1 means structurally identical; below about 0.5 the layout has clearly changed.
+ */
+const structuralSimilarity = (pathA, pathB) => {
+  const a = lumaGrid(loadPng(pathA), SSIM_GRID);
+  const b = lumaGrid(loadPng(pathB), SSIM_GRID);
+  const windows = SSIM_GRID / SSIM_WINDOW;
+  let total = 0;
+  for (let wy = 0; wy < windows; wy += 1) {
+    for (let wx = 0; wx < windows; wx += 1) {
+      let sumA = 0;
+      let sumB = 0;
+      let sumAA = 0;
+      let sumBB = 0;
+      let sumAB = 0;
+      for (let y = wy * SSIM_WINDOW; y < (wy + 1) * SSIM_WINDOW; y += 1) {
+        for (let x = wx * SSIM_WINDOW; x < (wx + 1) * SSIM_WINDOW; x += 1) {
+          const va = a[y * SSIM_GRID + x];
+          const vb = b[y * SSIM_GRID + x];
+          sumA += va;
+          sumB += vb;
+          sumAA += va * va;
+          sumBB += vb * vb;
+          sumAB += va * vb;
+        }
+      }
+      const n = SSIM_WINDOW * SSIM_WINDOW;
+      const meanA = sumA / n;
+      const meanB = sumB / n;
+      const varA = sumAA / n - meanA * meanA;
+      const varB = sumBB / n - meanB * meanB;
+      const covariance = sumAB / n - meanA * meanB;
+      total +=
+        ((2 * meanA * meanB + SSIM_C1) * (2 * covariance + SSIM_C2)) /
+        ((meanA * meanA + meanB * meanB + SSIM_C1) * (varA + varB + SSIM_C2));
+    }
+  }
+  return total / (windows * windows);
+};
+
+const hammingDistance = (a, b) => {
+  let distance = 0;
+  for (let i = 0; i < Math.min(a.length, b.length); i += 1) {
+    let bits = parseInt(a[i], 16) ^ parseInt(b[i], 16);
+    while (bits) {
+      distance += bits & 1;
+      bits >>= 1;
+    }
+  }
+  return distance;
+};
+
+const IMAGE_SIGNATURES = [
+  { type: 'png', mimeType: 'image/png', ext: '.png', matches: (buffer) => buffer.readUInt32BE(0) === 0x89504e47 },
+  { type: 'jpeg', mimeType: 'image/jpeg', ext: '.jpg', matches: (buffer) => buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff },
+  {
+    type: 'webp',
+    mimeType: 'image/webp',
+    ext: '.webp',
+    matches: (buffer) => buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP',
+  },
+];
+
+const jpegSize = (buffer) => {
+  let offset = 2;
+  while (offset + 9 < buffer.length) {
+    if (buffer[offset] !== 0xff) {
+      return null;
+    }
+    const marker = buffer[offset + 1];
+    // SOF0-SOF15 carry the frame size, except DHT (C4), JPG (C8) and DAC (CC)
+    if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+      return { width: buffer.readUInt16BE(offset + 7), height: buffer.readUInt16BE(offset + 5) };
+    }
+    offset += 2 + buffer.readUInt16BE(offset + 2);
+  }
+  return null;
+};
+
+const webpSize = (buffer) => {
+  const chunk = buffer.toString('ascii', 12, 16);
+  if (chunk === 'VP8X') {
+    return { width: buffer.readUIntLE(24, 3) + 1, height: buffer.readUIntLE(27, 3) + 1 };
+  }
+  if (chunk === 'VP8L') {
+    const bits = buffer.readUInt32LE(21);
+    return { width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+  }
+  if (chunk === 'VP8 ') {
+    return { width: buffer.readUInt16LE(26) & 0x3fff, height: buffer.readUInt16LE(28) & 0x3fff };
+  }
+  return null;
+};
+
+/**
+ * Identify a PNG, JPEG or WebP file from its bytes and read its pixel size.
+ * Returns null for anything else.
+ */
+const readImageInfo = (filePath) => {
+  const buffer = fs.readFileSync(filePath);
+  if (buffer.length < 32) {
+    return null;
+  }
+  const signature = IMAGE_SIGNATURES.find((item) => item.matches(buffer));
+  if (!signature) {
+    return null;
+  }
+  let size = null;
+  if (signature.type === 'png') {
+    size = { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+  } else if (signature.type === 'jpeg') {
+    size = jpegSize(buffer);
+  } else {
+    size = webpSize(buffer);
+  }
+  return { type: signature.type, mimeType: signature.mimeType, ext: signature.ext, ...(size || { width: null, height: null }) };
+};
+
+/**
+ * Nearest-neighbour downscale of a PNG so its longest side is at most maxSize
+ */
+const downscalePng = (sourcePath, outputPath, maxSize = 256) => {
+  const source = loadPng(sourcePath);
+  const scale = Math.min(1, maxSize / Math.max(source.width, source.height));
+  const width = Math.max(1, Math.round(source.width * scale));
+  const height = Math.max(1, Math.round(source.height * scale));
+  const output = new PNG({ width, height });
+  for (let y = 0; y < height; y += 1) {
+    for (let x = 0; x < width; x += 1) {
+      const sourceIdx = (source.width * Math.min(source.height - 1, Math.floor(y / scale)) + Math.min(source.width - 1, Math.floor(x / scale))) << 2;
+      const idx = (width * y + x) << 2;
+      source.data.copy(output.data, idx, sourceIdx, sourceIdx + 4);
+    }
+  }
+  fs.writeFileSync(outputPath, PNG.sync.write(output));
+  return { width, height };
+};
+
 module.exports = {
   analyzePng,
+  samplePngColors,
   sharpnessScore,
+  perceptualHash,
+  hammingDistance,
+  colorHistogram,
+  histogramDistance,
+  structuralSimilarity,
+  readImageInfo,
+  downscalePng,
 };
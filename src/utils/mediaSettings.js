@@ -0,0 +1,74 @@
+/**
+ * Media Settings Utility
+ * Maps project aspect ratios and shot durations onto the values each provider accepts
+ */
+
+// Export frame sizes per aspect ratio (1080p class)
+const OUTPUT_DIMENSIONS = {
+  '16:9': { width: 1920, height: 1080 },
+  '9:16': { width: 1080, height: 1920 },
+  '1:1': { width: 1080, height: 1080 },
+  '4:5': { width: 1080, height: 1350 },
+  '4:3': { width: 1440, height: 1080 },
+  '3:4': { width: 1080, height: 1440 },
+};
+
+/**
+ * Parse "16:9" style ratios into a width/height number
+ */
+function parseAspectRatio(aspectRatio) {
+  const [width, height] = String(aspectRatio || '').split(':').map(Number);
+  if (!width || !height) {
+    return null;
+  }
+  return width / height;
+}
+
+/**
+ * Pick the supported aspect ratio closest to the requested one
+ */
+function closestAspectRatio(supported, requested, fallback = '16:9') {
+  const target = parseAspectRatio(requested);
+  if (!target) {
+    return supported.includes(fallback) ? fallback : supported[0];
+  }
+  if (supported.includes(requested)) {
+    return requested;
+  }
+  return supported.reduce((best, candidate) => {
+    const distance = Math.abs(Math.log(parseAspectRatio(candidate) / target));
+    const bestDistance = Math.abs(Math.log(parseAspectRatio(best) / target));
+    return distance < bestDistance ? candidate : best;
+  });
+}
+
+/**
+ * Pick the supported duration closest to the requested one.
+ * Ties round up so a shot is never cut shorter than planned.
+ */
+function closestDuration(supported, requested) {
+  const target = Number(requested);
+  if (!target || Number.isNaN(target)) {
+    return supported[0];
+  }
+  return [...supported].sort((a, b) => a - b).reduce((best, candidate) => {
+    const distance = Math.abs(candidate - target);
+    const bestDistance = Math.abs(best - target);
+    return distance <= bestDistance ? candidate : best;
+  });
+}
+
+/**
+ * Frame size for an aspect ratio, snapping unknown ratios to the closest known one
+ */
+function outputDimensions(aspectRatio) {
+  return OUTPUT_DIMENSIONS[closestAspectRatio(Object.keys(OUTPUT_DIMENSIONS), aspectRatio)];
+}
+
+module.exports = {
+  OUTPUT_DIMENSIONS,
+  outputDimensions,
+  parseAspectRatio,
+  closestAspectRatio,
+  closestDuration,
+};
@@ -1,10 +1,11 @@
 const fs = require('fs');
 const path = require('path');
-const { analyzePng, sharpnessScore } = require('./imageUtils');
+const { analyzePng, samplePngColors, sharpnessScore, perceptualHash, hammingDistance } = require('./imageUtils');
+const { clusterColors, deltaE, paletteColorHex, paletteColorLab } = require('./colorUtils');
 const { hasFfmpeg, hasFfprobe, runFfmpeg, runFfprobe } = require('./ffmpeg');
 
 const placeholderPng = Buffer.from(
-  'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVQYV2NkYGD4DwABBAEAkS8hNwAAAABJRU5ErkJggg==',
+  'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR4AWNoaGj4DwAFhAKAfr3l1AAAAABJRU5ErkJggg==',
   'base64'
 );
 
@@ -62,81 +63,270 @@ const getVideoDuration = (videoPath) => {
   }
 };
 
-const extractFramesFromVideo = async (videoPath, outputDir) => {
+// Frames kept per source video after black, blurred and duplicate frames are dropped
+const DEFAULT_FRAMES_PER_VIDEO = 5;
+const MAX_FRAMES_PER_VIDEO = 20;
+// ffmpeg scene score above which a frame counts as a cut
+const SCENE_THRESHOLD = 0.3;
+// Candidates are oversampled so rejected frames still leave enough to choose from
+const CANDIDATE_FACTOR = 3;
+const MAX_CANDIDATES = 40;
+const MIN_SCENE_LENGTH = 0.3;
+const BLACK_FRAME_BRIGHTNESS = 20;
+const MIN_SHARPNESS = 1;
+// Frames much softer than the rest of their video are usually motion blur or a transition
+const RELATIVE_SHARPNESS = 0.4;
+// pHash bits (of 64) two frames may differ by and still count as the same shot
+const DUPLICATE_HASH_DISTANCE = 10;
+
+const normalizeFramesPerVideo = (value) => {
+  if (value === undefined || value === null || value === '') {
+    return { value: DEFAULT_FRAMES_PER_VIDEO };
+  }
+  const count = Number(value);
+  if (!Number.isInteger(count) || count < 1 || count > MAX_FRAMES_PER_VIDEO) {
+    return { error: `frames_per_video must be a whole number between 1 and ${MAX_FRAMES_PER_VIDEO}` };
+  }
+  return { value: count };
+};
+
+/**
+ * Timestamps where ffmpeg's scene detection sees a cut
+ */
+const detectSceneChanges = (videoPath) => {
+  const result = runFfmpeg([
+    '-hide_banner',
+    '-i', videoPath,
+    '-an',
+    '-filter:v', `select='gt(scene,${SCENE_THRESHOLD})',showinfo`,
+    '-f', 'null',
+    '-',
+  ]);
+  if (!result.ok) {
+    return [];
+  }
+  return [...result.stderr.matchAll(/pts_time:\s*([\d.]+)/g)].map((match) => parseFloat(match[1]));
+};
+
+/**
+ * The middle of each scene (away from cuts and fades), topped up with evenly spaced samples
+ */
+const candidateTimestamps = (duration, cuts, framesPerVideo) => {
+  const wanted = Math.min(MAX_CANDIDATES, framesPerVideo * CANDIDATE_FACTOR);
+  if (!duration) {
+    return Array.from({ length: wanted }, (_, index) => ({ timestamp: index, scene: false }));
+  }
+  const bounds = [0, ...cuts.filter((time) => time > 0 && time < duration), duration];
+  const scenes = bounds
+    .slice(1)
+    .map((end, index) => ({ start: bounds[index], end }))
+    .filter((scene) => scene.end - scene.start >= MIN_SCENE_LENGTH)
+    .sort((a, b) => (b.end - b.start) - (a.end - a.start))
+    .slice(0, wanted)
+    .map((scene) => ({ timestamp: (scene.start + scene.end) / 2, scene: bounds.length > 2 }));
+
+  const spacing = duration / (wanted + 1);
+  const candidates = [...scenes];
+  for (let index = 1; index <= wanted && candidates.length < wanted; index += 1) {
+    const timestamp = spacing * index;
+    if (!candidates.some((candidate) => Math.abs(candidate.timestamp - timestamp) < spacing / 2)) {
+      candidates.push({ timestamp, scene: false });
+    }
+  }
+  return candidates.sort((a, b) => a.timestamp - b.timestamp);
+};
+
+/**
+ * Extract candidate reference frames from a video. analyzeFrameSet decides which ones are kept.
+ */
+const extractFramesFromVideo = async (videoPath, outputDir, { framesPerVideo = DEFAULT_FRAMES_PER_VIDEO } = {}) => {
   const frames = [];
   const basename = path.basename(videoPath, path.extname(videoPath));
   if (!hasFfmpeg()) {
-    for (let i = 0; i < 5; i += 1) {
+    for (let i = 0; i < framesPerVideo; i += 1) {
       const filename = `${basename}_ref_${i + 1}.png`;
       const outputPath = path.join(outputDir, filename);
       ensurePlaceholder(outputPath);
-      frames.push({ path: outputPath, source: videoPath });
+      frames.push({ path: outputPath, source: videoPath, timestamp: null, placeholder: true });
     }
     return frames;
   }
 
   const duration = getVideoDuration(videoPath);
-  const offsets = duration ? [0, duration * 0.25, duration * 0.5, duration * 0.75, duration * 0.9] : [0, 1, 2, 3, 4];
+  const candidates = candidateTimestamps(duration, detectSceneChanges(videoPath), framesPerVideo);
 
-  for (let i = 0; i < offsets.length; i += 1) {
+  for (let i = 0; i < candidates.length; i += 1) {
     const filename = `${basename}_ref_${i + 1}.png`;
     const outputPath = path.join(outputDir, filename);
-    const args = ['-y', '-ss', `${offsets[i]}`, '-i', videoPath, '-vframes', '1', outputPath];
-    const result = runFfmpeg(args);
-    if (!result.ok) {
-      ensurePlaceholder(outputPath);
+    const timestamp = Number(candidates[i].timestamp.toFixed(2));
+    const result = runFfmpeg(['-y', '-ss', `${timestamp}`, '-i', videoPath, '-frames:v', '1', outputPath]);
+    if (result.ok && fs.existsSync(outputPath)) {
+      frames.push({ path: outputPath, source: videoPath, timestamp, scene_change: candidates[i].scene });
     }
-    frames.push({ path: outputPath, source: videoPath });
   }
   return frames;
 };
 
-const analyzeFrameSet = (frames) => {
-  const refs = frames.map((frame) => {
-    const stats = analyzePng(frame.path);
-    const sharpness = sharpnessScore(frame.path);
-    return {
+// Sharpness a frame needs: the absolute floor, raised relative to the video's median
+// once there are enough frames for the median to mean something
+const sharpnessFloor = (values) => {
+  if (values.length < 3) {
+    return MIN_SHARPNESS;
+  }
+  const sorted = [...values].sort((a, b) => a - b);
+  return Math.max(MIN_SHARPNESS, sorted[Math.floor(sorted.length / 2)] * RELATIVE_SHARPNESS);
+};
+
+/**
+ * Score every frame, drop black, blurred and near-duplicate ones (across all videos), and keep
+ * the best framesPerVideo per source video. Returns the kept refs, the rejected frames with a
+ * reason, and the pack-level summary.
+ */
+const analyzeFrameSet = (frames, { framesPerVideo = DEFAULT_FRAMES_PER_VIDEO } = {}) => {
+  const rejected = [];
+  const analyzed = frames.flatMap((frame) => {
+    let stats;
+    let sharpness;
+    try {
+      stats = analyzePng(frame.path);
+      sharpness = sharpnessScore(frame.path);
+    } catch (error) {
+      rejected.push({ path: frame.path, source: frame.source, timestamp: frame.timestamp ?? null, reason: 'unreadable' });
+      return [];
+    }
+    return [{
       path: frame.path,
       source: frame.source,
+      timestamp: frame.timestamp ?? null,
+      scene_change: Boolean(frame.scene_change),
+      placeholder: Boolean(frame.placeholder),
       brightness: stats.brightness,
       contrast: stats.contrast,
       palette: stats.palette,
       sharpness,
+      phash: frame.phash || perceptualHash(frame.path),
       score: sharpness + stats.contrast,
-    };
+    }];
   });
 
-  const sorted = [...refs].sort((a, b) => b.score - a.score);
-  const topRefs = sorted.slice(0, 3);
+  const sharpnessBySource = {};
+  analyzed.forEach((ref) => {
+    (sharpnessBySource[ref.source] = sharpnessBySource[ref.source] || []).push(ref.sharpness);
+  });
+  // Placeholder frames (no ffmpeg) are all identical, so they skip the quality checks
+  const usable = analyzed.filter((ref) => {
+    if (ref.placeholder) {
+      return true;
+    }
+    if (ref.brightness < BLACK_FRAME_BRIGHTNESS) {
+      rejected.push({ ...ref, reason: 'black' });
+      return false;
+    }
+    if (ref.sharpness < sharpnessFloor(sharpnessBySource[ref.source])) {
+      rejected.push({ ...ref, reason: 'blurred' });
+      return false;
+    }
+    return true;
+  });
+
+  const refs = [];
+  const keptPerSource = {};
+  [...usable].sort((a, b) => b.score - a.score).forEach((ref) => {
+    if (!ref.placeholder && refs.some((kept) => !kept.placeholder && hammingDistance(kept.phash, ref.phash) <= DUPLICATE_HASH_DISTANCE)) {
+      rejected.push({ ...ref, reason: 'duplicate' });
+      return;
+    }
+    if ((keptPerSource[ref.source] || 0) >= framesPerVideo) {
+      rejected.push({ ...ref, reason: 'over-limit' });
+      return;
+    }
+    keptPerSource[ref.source] = (keptPerSource[ref.source] || 0) + 1;
+    refs.push(ref);
+  });
 
   const summary = {
     brightness: refs.length ? average(refs.map((ref) => ref.brightness)) : null,
     contrast: refs.length ? average(refs.map((ref) => ref.contrast)) : null,
-    palette: topRefs.flatMap((ref) => ref.palette).slice(0, 5),
+    // Clustered over every kept frame, each frame weighted equally
+    palette: clusterColors(refs.flatMap((ref) => samplePngColors(ref.path))),
     fps: null,
     aspect_ratio: null,
   };
 
-  if (frames.length) {
-    const meta = getVideoMetadata(frames[0].source);
+  if (refs.length) {
+    const meta = getVideoMetadata(refs[0].source);
     summary.fps = meta.fps;
     summary.aspect_ratio = meta.aspect_ratio;
   }
 
-  return { refs: sorted, summary };
+  return { refs, rejected, summary };
 };
 
 const buildPromptSpine = (summary) => {
-  const palette = summary.palette?.length ? summary.palette.slice(0, 3).join(', ') : 'neutral tones';
+  const palette = summary.palette?.length ? summary.palette.slice(0, 3).map(paletteColorHex).join(', ') : 'neutral tones';
   const brightness = summary.brightness ? Math.round(summary.brightness) : 120;
   const contrast = summary.contrast ? Math.round(summary.contrast) : 30;
   return `Visual style: ${palette} palette, brightness around ${brightness}, contrast around ${contrast}, cinematic framing, polished marketing tone.`;
 };
 
+const listChanges = (from, to) => ({
+  added: [...new Set(to.filter((item) => !from.includes(item)))],
+  removed: [...new Set(from.filter((item) => !to.includes(item)))],
+});
+
+// Palette colors this close (delta E) in two versions count as the same color
+const SAME_COLOR_DELTA_E = 5;
+
+const paletteChanges = (from, to) => {
+  const unmatched = (colors, others) =>
+    colors
+      .filter((color) => !others.some((other) => deltaE(paletteColorLab(color), paletteColorLab(other)) <= SAME_COLOR_DELTA_E))
+      .map(paletteColorHex);
+  return { added: unmatched(to, from), removed: unmatched(from, to) };
+};
+
+/**
+ * Compare two versions of a style pack: prompt spine, palette, reference frames and source videos
+ */
+const diffStylePacks = (from, to) => {
+  const fromSummary = from.metadata_summary || {};
+  const toSummary = to.metadata_summary || {};
+  const refs = listChanges(
+    from.extracted_ref_images.map((ref) => ref.path),
+    to.extracted_ref_images.map((ref) => ref.path)
+  );
+  return {
+    pack_id: to.pack_id,
+    from_version: from.version,
+    to_version: to.version,
+    fields: ['name', 'description', 'negative_prompt_spine', 'frames_per_video']
+      .filter((key) => from[key] !== to[key])
+      .map((key) => ({ field: key, from: from[key], to: to[key] })),
+    prompt_spine: {
+      changed: from.prompt_spine !== to.prompt_spine,
+      from: from.prompt_spine,
+      to: to.prompt_spine,
+    },
+    palette: paletteChanges(fromSummary.palette || [], toSummary.palette || []),
+    metadata: ['aspect_ratio', 'fps', 'brightness', 'contrast']
+      .filter((key) => fromSummary[key] !== toSummary[key])
+      .map((key) => ({ field: key, from: fromSummary[key], to: toSummary[key] })),
+    refs: { ...refs, unchanged: to.extracted_ref_images.length - refs.added.length },
+    source_videos: listChanges(
+      from.source_videos.map((video) => video.filename),
+      to.source_videos.map((video) => video.filename)
+    ),
+  };
+};
+
 const average = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
 
 module.exports = {
+  DEFAULT_FRAMES_PER_VIDEO,
+  MAX_FRAMES_PER_VIDEO,
+  normalizeFramesPerVideo,
   extractFramesFromVideo,
   analyzeFrameSet,
   buildPromptSpine,
+  diffStylePacks,
 };
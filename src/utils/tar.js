@@ -0,0 +1,112 @@
+const zlib = require('zlib');
+
+const BLOCK_BYTES = 512;
+
+const writeOctal = (header, value, offset, length) => {
+  header.write(`${value.toString(8).padStart(length - 1, '0')}\0`, offset, length, 'ascii');
+};
+
+// ustar keeps names of up to 100 bytes, plus a 155 byte prefix split at a slash
+const splitName = (name) => {
+  if (Buffer.byteLength(name) <= 100) {
+    return { name, prefix: '' };
+  }
+  const slash = name.lastIndexOf('/');
+  const prefix = name.slice(0, slash);
+  const rest = name.slice(slash + 1);
+  if (slash <= 0 || Buffer.byteLength(prefix) > 155 || Buffer.byteLength(rest) > 100) {
+    throw new Error(`Path too long for a tar entry: ${name}`);
+  }
+  return { name: rest, prefix };
+};
+
+const tarHeader = (name, size, mtime) => {
+  const header = Buffer.alloc(BLOCK_BYTES);
+  const parts = splitName(name);
+  header.write(parts.name, 0, 100, 'utf8');
+  writeOctal(header, 0o644, 100, 8);
+  writeOctal(header, 0, 108, 8);
+  writeOctal(header, 0, 116, 8);
+  writeOctal(header, size, 124, 12);
+  writeOctal(header, Math.floor(mtime / 1000), 136, 12);
+  header.write('        ', 148, 8, 'ascii');
+  header.write('0', 156, 1, 'ascii');
+  header.write('ustar\0', 257, 6, 'ascii');
+  header.write('00', 263, 2, 'ascii');
+  header.write(parts.prefix, 345, 155, 'utf8');
+  const checksum = header.reduce((sum, byte) => sum + byte, 0);
+  header.write(`${checksum.toString(8).padStart(6, '0')}\0 `, 148, 8, 'ascii');
+  return header;
+};
+
+const padding = (size) => Buffer.alloc((BLOCK_BYTES - (size % BLOCK_BYTES)) % BLOCK_BYTES);
+
+/**
+ * Gzipped ustar archive of regular files. Entries are { name, data } with '/'-separated names.
+ */
+const createTarGz = (entries) => {
+  const now = Date.now();
+  const blocks = entries.flatMap(({ name, data }) => [tarHeader(name, data.length, now), data, padding(data.length)]);
+  return zlib.gzipSync(Buffer.concat([...blocks, Buffer.alloc(BLOCK_BYTES * 2)]));
+};
+
+const readString = (buffer, offset, length) => {
+  const value = buffer.subarray(offset, offset + length);
+  const end = value.indexOf(0);
+  return value.subarray(0, end === -1 ? length : end).toString('utf8');
+};
+
+/**
+ * Regular files of a gzipped (or plain) tar archive as { name, data }. Directories and links
+ * are skipped. Throws when the archive is truncated, a header checksum does not match or the
+ * unpacked archive would be larger than maxBytes.
+ */
+const extractTarGz = (buffer, { maxBytes = Infinity } = {}) => {
+  const gzipped = buffer[0] === 0x1f && buffer[1] === 0x8b;
+  const tar = gzipped
+    ? zlib.gunzipSync(buffer, Number.isFinite(maxBytes) ? { maxOutputLength: maxBytes } : {})
+    : buffer;
+  if (tar.length > maxBytes) {
+    throw new Error(`Archive is larger than ${maxBytes} bytes`);
+  }
+  const entries = [];
+  let offset = 0;
+  let longName = null;
+  while (offset + BLOCK_BYTES <= tar.length) {
+    const header = tar.subarray(offset, offset + BLOCK_BYTES);
+    if (header.every((byte) => byte === 0)) {
+      break;
+    }
+    const stored = parseInt(readString(header, 148, 8).trim(), 8);
+    const checksum = header.reduce((sum, byte, index) => sum + (index >= 148 && index < 156 ? 32 : byte), 0);
+    if (stored !== checksum) {
+      throw new Error(`Corrupt tar header at byte ${offset}`);
+    }
+    const size = parseInt(readString(header, 124, 12).trim() || '0', 8);
+    const type = readString(header, 156, 1) || '0';
+    const prefix = readString(header, 345, 155);
+    const start = offset + BLOCK_BYTES;
+    if (start + size > tar.length) {
+      throw new Error('Tar archive is truncated');
+    }
+    const data = tar.subarray(start, start + size);
+    offset = start + size + padding(size).length;
+
+    // GNU tar stores names over 100 bytes in a preceding 'L' entry
+    if (type === 'L') {
+      longName = readString(data, 0, data.length);
+      continue;
+    }
+    const name = longName || (prefix ? `${prefix}/${readString(header, 0, 100)}` : readString(header, 0, 100));
+    longName = null;
+    if (type === '0' || type === '7') {
+      entries.push({ name: name.replace(/^\.\//, ''), data });
+    }
+  }
+  return entries;
+};
+
+module.exports = {
+  createTarGz,
+  extractTarGz,
+};
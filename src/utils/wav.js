@@ -0,0 +1,70 @@
+const fs = require('fs');
+
+const WAV_HEADER_BYTES = 44;
+
+/**
+ * Write 16-bit mono PCM. With toneHz the file holds a quiet sine with short fades, otherwise silence.
+ */
+const writeWav = (outputPath, { durationSec, sampleRate = 24000, toneHz = null, volume = 0.1 }) => {
+  const samples = Math.max(1, Math.round(durationSec * sampleRate));
+  const dataBytes = samples * 2;
+  const buffer = Buffer.alloc(WAV_HEADER_BYTES + dataBytes);
+  buffer.write('RIFF', 0);
+  buffer.writeUInt32LE(36 + dataBytes, 4);
+  buffer.write('WAVE', 8);
+  buffer.write('fmt ', 12);
+  buffer.writeUInt32LE(16, 16);
+  buffer.writeUInt16LE(1, 20);            // PCM
+  buffer.writeUInt16LE(1, 22);            // mono
+  buffer.writeUInt32LE(sampleRate, 24);
+  buffer.writeUInt32LE(sampleRate * 2, 28);
+  buffer.writeUInt16LE(2, 32);
+  buffer.writeUInt16LE(16, 34);
+  buffer.write('data', 36);
+  buffer.writeUInt32LE(dataBytes, 40);
+
+  if (toneHz) {
+    const fade = Math.max(1, Math.min(samples / 2, sampleRate * 0.05));
+    for (let i = 0; i < samples; i += 1) {
+      const envelope = Math.min(1, i / fade, (samples - i) / fade);
+      const value = Math.sin((2 * Math.PI * toneHz * i) / sampleRate) * volume * envelope;
+      buffer.writeInt16LE(Math.round(value * 32767), WAV_HEADER_BYTES + i * 2);
+    }
+  }
+
+  fs.writeFileSync(outputPath, buffer);
+  return { durationSec: samples / sampleRate, sampleRate };
+};
+
+/**
+ * Duration of a PCM WAV file from its chunks, or null when it is not one.
+ * Streamed WAVs may leave the data size unset, so it is capped at what is actually in the file.
+ */
+const readWavDuration = (filePath) => {
+  if (!fs.existsSync(filePath)) {
+    return null;
+  }
+  const buffer = fs.readFileSync(filePath);
+  if (buffer.length < WAV_HEADER_BYTES || buffer.toString('ascii', 0, 4) !== 'RIFF' || buffer.toString('ascii', 8, 12) !== 'WAVE') {
+    return null;
+  }
+  let byteRate = null;
+  let offset = 12;
+  while (offset + 8 <= buffer.length) {
+    const id = buffer.toString('ascii', offset, offset + 4);
+    const size = buffer.readUInt32LE(offset + 4);
+    if (id === 'fmt ') {
+      byteRate = buffer.readUInt32LE(offset + 16);
+    } else if (id === 'data') {
+      const dataBytes = Math.min(size, buffer.length - offset - 8);
+      return byteRate ? Math.round((dataBytes / byteRate) * 1000) / 1000 : null;
+    }
+    offset += 8 + size + (size % 2);
+  }
+  return null;
+};
+
+module.exports = {
+  writeWav,
+  readWavDuration,
+};